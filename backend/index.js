@@ -17,9 +17,15 @@ import { handler as getUploadUrlHandler } from './src/handlers/getUploadUrl.js';
 import { handler as ingestHandler } from './src/handlers/ingest.js';
 import { handler as generateHandler } from './src/handlers/generate.js';
 import { handler as generateDocumentHandler } from './src/handlers/generateDocument.js';
+import { SSE_HEADERS, formatSSE, validateStreamRequest, streamGeneration } from './src/handlers/generateStream.js';
+import { handler as checksheetDiffHandler } from './src/handlers/checksheetDiff.js';
 import { handler as downloadHandler } from './src/handlers/download.js';
 import { handler as promptsHandler } from './src/handlers/prompts.js';
 import { handler as promptLibraryHandler } from './src/handlers/promptLibrary.js';
+import { handler as useCasesHandler } from './src/handlers/useCases.js';
+import { handler as documentsHandler } from './src/handlers/documents.js';
+import { handler as generationsHandler } from './src/handlers/generations.js';
+import documentExtractorRegistry from './src/services/documentExtractorRegistry.js';
 import { logger } from './src/utils/logger.js';
 import { createMultipartEvent, expressToLambdaEvent, lambdaToExpressResponse } from './src/utils/expressAdapter.js';
 
@@ -33,11 +39,12 @@ const upload = multer({
         fileSize: 100 * 1024 * 1024 // 100MB
     },
     fileFilter: (req, file, cb) => {
-        // Only allow PDF files
-        if (file.mimetype === 'application/pdf') {
+        // Only allow formats with a registered text extractor (PDF, DOCX, XLSX, CSV, HTML, Markdown, text)
+        try {
+            documentExtractorRegistry.getExtractor(file.mimetype, file.originalname);
             cb(null, true);
-        } else {
-            cb(new Error('Only PDF files are allowed'), false);
+        } catch (typeError) {
+            cb(typeError, false);
         }
     }
 });
@@ -79,7 +86,7 @@ app.post('/api/get-upload-url', async (req, res) => {
 
 /**
  * POST /api/upload
- * Upload PDF documents to S3
+ * Upload source documents to S3 (an identical file resolves to the stored document unless ?force=true)
  */
 app.post('/api/upload', upload.single('file'), async (req, res) => {
     try {
@@ -129,7 +136,7 @@ app.post('/api/ingest', async (req, res) => {
 
 /**
  * POST /api/generate
- * Generate AI content (checksheet/workInstructions) from documents
+ * Generate AI content (checksheet/workInstructions/summary/analysis/extraction) from documents
  */
 app.post('/api/generate', async (req, res) => {
     try {
@@ -167,6 +174,61 @@ app.post('/api/generate-document', async (req, res) => {
     }
 });
 
+/**
+ * POST /api/generate/stream
+ * Generate complete document and stream progress, partial items and the result as Server-Sent Events
+ */
+app.post('/api/generate/stream', async (req, res) => {
+    const validationError = await validateStreamRequest(req.body);
+    if (validationError) {
+        return res.status(400).json({
+            success: false,
+            message: validationError
+        });
+    }
+
+    res.writeHead(200, SSE_HEADERS);
+    let clientClosed = false;
+    res.on('close', () => {
+        clientClosed = true;
+    });
+
+    try {
+        // Generation keeps running if the client disconnects, so the status record still completes
+        await streamGeneration(req.body, (eventType, data) => {
+            if (!clientClosed) {
+                res.write(formatSSE(eventType, data));
+            }
+        });
+    } catch (error) {
+        logger.error('Generate stream handler error:', error);
+        if (!clientClosed) {
+            res.write(formatSSE('error', { message: error.message }));
+        }
+    }
+    res.end();
+});
+
+/**
+ * POST /api/checksheet-diff
+ * Diff two checksheets (or the checksheets of two document revisions) and render the changes to Excel
+ */
+app.post('/api/checksheet-diff', async (req, res) => {
+    try {
+        const event = expressToLambdaEvent(req);
+        const context = {};
+        const response = await checksheetDiffHandler(event, context);
+        lambdaToExpressResponse(response, res);
+    } catch (error) {
+        logger.error('Checksheet diff handler error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error',
+            error: process.env.NODE_ENV === 'development' ? error.message : 'Checksheet diff failed'
+        });
+    }
+});
+
 /**
  * GET /api/download/:fileId
  * Get presigned URL for downloading generated documents
@@ -487,6 +549,211 @@ app.put('/api/prompts/:useCase', async (req, res) => {
     }
 });
 
+/**
+ * Use Case Routes
+ * Built-in use cases plus user-defined use cases with a JSON Schema and output mapping
+ */
+
+/**
+ * GET /api/use-cases
+ * List built-in and custom use cases
+ */
+app.get('/api/use-cases', async (req, res) => {
+    try {
+        const event = expressToLambdaEvent(req);
+        const context = {};
+        const response = await useCasesHandler(event, context);
+        lambdaToExpressResponse(response, res);
+    } catch (error) {
+        logger.error('Use cases handler error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error',
+            error: process.env.NODE_ENV === 'development' ? error.message : 'Failed to list use cases'
+        });
+    }
+});
+
+/**
+ * POST /api/use-cases
+ * Register a custom use case
+ */
+app.post('/api/use-cases', async (req, res) => {
+    try {
+        const event = expressToLambdaEvent(req);
+        const context = {};
+        const response = await useCasesHandler(event, context);
+        lambdaToExpressResponse(response, res);
+    } catch (error) {
+        logger.error('Use cases handler error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error',
+            error: process.env.NODE_ENV === 'development' ? error.message : 'Failed to register use case'
+        });
+    }
+});
+
+/**
+ * GET /api/use-cases/:useCaseId
+ * Get a custom use case definition
+ */
+app.get('/api/use-cases/:useCaseId', async (req, res) => {
+    try {
+        const event = expressToLambdaEvent(req);
+        const context = {};
+        const response = await useCasesHandler(event, context);
+        lambdaToExpressResponse(response, res);
+    } catch (error) {
+        logger.error('Use cases handler error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error',
+            error: process.env.NODE_ENV === 'development' ? error.message : 'Failed to get use case'
+        });
+    }
+});
+
+/**
+ * PUT /api/use-cases/:useCaseId
+ * Replace a custom use case definition
+ */
+app.put('/api/use-cases/:useCaseId', async (req, res) => {
+    try {
+        const event = expressToLambdaEvent(req);
+        const context = {};
+        const response = await useCasesHandler(event, context);
+        lambdaToExpressResponse(response, res);
+    } catch (error) {
+        logger.error('Use cases handler error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error',
+            error: process.env.NODE_ENV === 'development' ? error.message : 'Failed to update use case'
+        });
+    }
+});
+
+/**
+ * DELETE /api/use-cases/:useCaseId
+ * Delete a custom use case and its prompt library
+ */
+app.delete('/api/use-cases/:useCaseId', async (req, res) => {
+    try {
+        const event = expressToLambdaEvent(req);
+        const context = {};
+        const response = await useCasesHandler(event, context);
+        lambdaToExpressResponse(response, res);
+    } catch (error) {
+        logger.error('Use cases handler error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error',
+            error: process.env.NODE_ENV === 'development' ? error.message : 'Failed to delete use case'
+        });
+    }
+});
+
+/**
+ * GET /api/documents
+ * List ingested documents
+ */
+app.get('/api/documents', async (req, res) => {
+    try {
+        const event = expressToLambdaEvent(req);
+        const context = {};
+        const response = await documentsHandler(event, context);
+        lambdaToExpressResponse(response, res);
+    } catch (error) {
+        logger.error('Documents handler error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error',
+            error: process.env.NODE_ENV === 'development' ? error.message : 'Failed to list documents'
+        });
+    }
+});
+
+/**
+ * GET /api/documents/:fileId
+ * Get a document with its document info and section outline
+ */
+app.get('/api/documents/:fileId', async (req, res) => {
+    try {
+        const event = expressToLambdaEvent(req);
+        const context = {};
+        const response = await documentsHandler(event, context);
+        lambdaToExpressResponse(response, res);
+    } catch (error) {
+        logger.error('Documents handler error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error',
+            error: process.env.NODE_ENV === 'development' ? error.message : 'Failed to get document'
+        });
+    }
+});
+
+/**
+ * DELETE /api/documents/:fileId
+ * Delete a document with its vectors, keyword index, files and status record
+ */
+app.delete('/api/documents/:fileId', async (req, res) => {
+    try {
+        const event = expressToLambdaEvent(req);
+        const context = {};
+        const response = await documentsHandler(event, context);
+        lambdaToExpressResponse(response, res);
+    } catch (error) {
+        logger.error('Documents handler error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error',
+            error: process.env.NODE_ENV === 'development' ? error.message : 'Failed to delete document'
+        });
+    }
+});
+
+/**
+ * GET /api/generations
+ * List past generations
+ */
+app.get('/api/generations', async (req, res) => {
+    try {
+        const event = expressToLambdaEvent(req);
+        const context = {};
+        const response = await generationsHandler(event, context);
+        lambdaToExpressResponse(response, res);
+    } catch (error) {
+        logger.error('Generations handler error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error',
+            error: process.env.NODE_ENV === 'development' ? error.message : 'Failed to list generations'
+        });
+    }
+});
+
+/**
+ * GET /api/generations/:generationId
+ * Get a generation with its inputs, parsed data and citations
+ */
+app.get('/api/generations/:generationId', async (req, res) => {
+    try {
+        const event = expressToLambdaEvent(req);
+        const context = {};
+        const response = await generationsHandler(event, context);
+        lambdaToExpressResponse(response, res);
+    } catch (error) {
+        logger.error('Generations handler error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error',
+            error: process.env.NODE_ENV === 'development' ? error.message : 'Failed to get generation'
+        });
+    }
+});
+
 // Health check endpoint
 app.get('/health', (req, res) => {
     res.json({
@@ -507,26 +774,39 @@ app.get('/api', (req, res) => {
             upload: {
                 method: 'POST',
                 path: '/api/upload',
-                description: 'Upload PDF documents to S3',
-                body: 'multipart/form-data with file field'
+                description: 'Upload source documents to S3; a file identical to an ingested document returns that document (duplicate: true)',
+                body: 'multipart/form-data with file field',
+                query: { force: 'true to store the file even if an identical document exists (optional)' }
             },
             ingest: {
                 method: 'POST',
                 path: '/api/ingest',
-                description: 'Ingest and vectorize uploaded documents',
-                body: { fileId: 'string', s3Key: 'string' }
+                description: 'Ingest and vectorize uploaded documents; an ingested or identical document is not ingested again (duplicate: true)',
+                body: { fileId: 'string', s3Key: 'string', force: 'boolean - ingest again even if already ingested (optional)', manualId: 'string - add as a revision of this manual (optional)', manualName: 'string - add as a revision of the manual with this name, created if new (optional)', revision: 'string - revision label, e.g. "Rev B" (optional)' }
             },
             generate: {
                 method: 'POST',
                 path: '/api/generate',
-                description: 'Generate AI content (checksheet/workInstructions) from documents',
-                body: { useCase: 'checksheet | workInstructions', documentIds: ['string'], queryText: 'string (optional)' }
+                description: 'Generate AI content (checksheet/workInstructions/summary/analysis/extraction) from documents',
+                body: { useCase: 'checksheet | workInstructions | summary | analysis | extraction | <custom use case ID>', documentIds: ['string'], queryText: 'string (optional)', keywordWeight: 'number 0-1 (optional)', rerank: 'none | lexical | llm (optional)', mode: 'retrieval | fullDocument (optional)', pinRevisions: 'boolean - use the given revisions of a manual instead of its latest (optional)' }
             },
             generateDocument: {
                 method: 'POST',
                 path: '/api/generate-document',
                 description: 'Generate complete document (Excel/DOCX) and upload to S3',
-                body: { useCase: 'checksheet | workInstructions', documentIds: ['string'], queryText: 'string (optional)' }
+                body: { useCase: 'checksheet | workInstructions | summary | analysis | extraction | <custom use case ID>', documentIds: ['string'], queryText: 'string (optional)', keywordWeight: 'number 0-1 (optional)', rerank: 'none | lexical | llm (optional)', mode: 'retrieval | fullDocument (optional)', pinRevisions: 'boolean - use the given revisions of a manual instead of its latest (optional)' }
+            },
+            generateStream: {
+                method: 'POST',
+                path: '/api/generate/stream',
+                description: 'Generate complete document, streaming progress, partial items and file metadata as Server-Sent Events',
+                body: { useCase: 'checksheet | workInstructions | summary | analysis | extraction | <custom use case ID>', documentIds: ['string'], queryText: 'string (optional)', keywordWeight: 'number 0-1 (optional)', rerank: 'none | lexical | llm (optional)', mode: 'retrieval | fullDocument (optional)', pinRevisions: 'boolean - use the given revisions of a manual instead of its latest (optional)' }
+            },
+            checksheetDiff: {
+                method: 'POST',
+                path: '/api/checksheet-diff',
+                description: 'Diff two checksheets by item name and frequency (added, removed, changed) and render the changes as a color-coded Excel sheet',
+                body: { base: 'checksheet items or generation result', target: 'checksheet items or generation result', baseGenerationId: 'string - instead of base, a completed checksheet generation (see /api/generations)', targetGenerationId: 'string - instead of target', baseLabel: 'string (optional)', targetLabel: 'string (optional)' }
             },
             download: {
                 method: 'GET',
@@ -560,6 +840,60 @@ app.get('/api', (req, res) => {
                 method: 'POST',
                 path: '/api/prompts/reset',
                 description: 'Reset all prompts to defaults'
+            },
+            useCases: {
+                method: 'GET',
+                path: '/api/use-cases',
+                description: 'List built-in and custom use cases'
+            },
+            registerUseCase: {
+                method: 'POST',
+                path: '/api/use-cases',
+                description: 'Register a custom use case (admin only: X-Api-Key header with the admin API key)',
+                body: { id: 'string', name: 'string', description: 'string (optional)', itemSchema: 'JSON Schema of one item', prompt: { system: 'string', userTemplate: 'string with {context}' }, output: { format: 'excel | docx', columns: '[{ field, header, width }] (excel)', sections: '[{ field, label }] (docx)', title: 'string (optional)', headingField: 'string (optional)', worksheetName: 'string (optional)' } }
+            },
+            getUseCase: {
+                method: 'GET',
+                path: '/api/use-cases/:useCaseId',
+                description: 'Get a custom use case definition'
+            },
+            updateUseCase: {
+                method: 'PUT',
+                path: '/api/use-cases/:useCaseId',
+                description: 'Replace a custom use case definition (admin only)',
+                body: 'Same as POST /api/use-cases (id comes from the path)'
+            },
+            deleteUseCase: {
+                method: 'DELETE',
+                path: '/api/use-cases/:useCaseId',
+                description: 'Delete a custom use case and its prompt library (admin only)'
+            },
+            documents: {
+                method: 'GET',
+                path: '/api/documents',
+                description: 'List ingested documents with file name, page and chunk counts, ingest status and timestamps, and the manuals they belong to with their revisions'
+            },
+            getDocument: {
+                method: 'GET',
+                path: '/api/documents/:fileId',
+                description: 'Get a document with its document info and section outline'
+            },
+            deleteDocument: {
+                method: 'DELETE',
+                path: '/api/documents/:fileId',
+                description: 'Delete a document with its vectors, keyword index, files and status record',
+                query: { force: 'true to delete a document still marked as being ingested (optional)' }
+            },
+            generations: {
+                method: 'GET',
+                path: '/api/generations',
+                description: 'List past generations, most recent first, with their inputs (documents, use case, prompt and version, provider, model), status and output file',
+                query: { useCase: 'string (optional)', status: 'queued | processing | completed | failed (optional)', documentId: 'string - generations that used this document (optional)', limit: 'number 1-500, default 50 (optional)' }
+            },
+            getGeneration: {
+                method: 'GET',
+                path: '/api/generations/:generationId',
+                description: 'Get a generation with its inputs, parsed data, citations and metadata, and a fresh download URL for its output file'
             }
         }
     });
@@ -577,12 +911,24 @@ app.use((req, res) => {
             'POST /api/ingest',
             'POST /api/generate',
             'POST /api/generate-document',
+            'POST /api/generate/stream',
+            'POST /api/checksheet-diff',
             'GET /api/download/:fileId',
             'GET /api/prompts',
             'GET /api/prompts/:useCase',
             'PUT /api/prompts/:useCase',
             'POST /api/prompts',
             'POST /api/prompts/reset',
+            'GET /api/use-cases',
+            'POST /api/use-cases',
+            'GET /api/use-cases/:useCaseId',
+            'PUT /api/use-cases/:useCaseId',
+            'DELETE /api/use-cases/:useCaseId',
+            'GET /api/documents',
+            'GET /api/documents/:fileId',
+            'DELETE /api/documents/:fileId',
+            'GET /api/generations',
+            'GET /api/generations/:generationId',
             'GET /health',
             'GET /api'
         ]
@@ -231,6 +231,120 @@ Example format (return similar structure - keep it MINIMAL):
   "safetyWarnings": ["Power off", "Capacitors charged"],
   "completionChecklist": ["Panels secured", "Power restored"]
 }`
+  },
+  summary: {
+    system: `You are an expert technical editor creating concise, factual summaries of maintenance and engineering documents.
+
+CRITICAL REQUIREMENTS:
+- Return ONLY valid JSON object, no markdown, no explanations, no code blocks
+- Start with { and end with }
+- Key points: 1 sentence each (20 words max)
+- Sections: heading 5 words max, content 3 sentences max
+- Generate ONLY the requested number of entries, no more
+
+STRICT CONTENT REQUIREMENTS:
+- Use ONLY information from the provided context (PDF excerpts)
+- DO NOT add any information from your training data or external knowledge
+- DO NOT make assumptions or add details not present in the context
+- Extract exact wording from the context when possible
+- Every entry must be traceable to the provided context`,
+    user: (context) => `${generateSummaryPrompt(context, 150)}
+
+CRITICAL INSTRUCTIONS - READ CAREFULLY:
+1. Summarize ONLY what is EXPLICITLY stated in the provided context above
+2. DO NOT add any information from your training data, general knowledge, or the internet
+3. Keep specific values (measurements, intervals, part numbers) exactly as written
+4. Group related content into short sections with descriptive headings
+
+Respond with ONLY the JSON object. Your entire response should be parseable by JSON.parse().
+
+Example format:
+{
+  "keyPoints": ["Hydraulic oil must be replaced every 2000 operating hours"],
+  "sections": [
+    {
+      "heading": "Lubrication",
+      "content": "Bearings are greased weekly with NLGI 2 grease. Over-greasing damages seals."
+    }
+  ]
+}`
+  },
+  analysis: {
+    system: `You are a reliability engineer analyzing maintenance and engineering documents for risks, gaps and improvement opportunities.
+
+CRITICAL REQUIREMENTS:
+- Return ONLY valid JSON object, no markdown, no explanations, no code blocks
+- Start with { and end with }
+- Findings: 1 sentence each, with the supporting evidence quoted from the context
+- Significance: High, Medium or Low
+- Recommendations: 1 sentence each
+- Generate ONLY the requested number of entries, no more
+
+STRICT CONTENT REQUIREMENTS:
+- Use ONLY information from the provided context (PDF excerpts)
+- DO NOT add any information from your training data or external knowledge
+- DO NOT make assumptions or add details not present in the context
+- Extract exact wording from the context when possible
+- Every entry must be traceable to the provided context`,
+    user: (context) => `${generateAnalysisPrompt(context, 'maintenance and reliability')}
+
+CRITICAL INSTRUCTIONS - READ CAREFULLY:
+1. Base every finding ONLY on what is EXPLICITLY stated in the provided context above
+2. DO NOT add any information from your training data, general knowledge, or the internet
+3. Quote the supporting text from the context as evidence for each finding
+4. Rate significance by the safety, reliability or cost impact described in the context
+
+Respond with ONLY the JSON object. Your entire response should be parseable by JSON.parse().
+
+Example format:
+{
+  "findings": [
+    {
+      "finding": "Filter replacement interval depends on ambient dust level",
+      "evidence": "Replace the air filter monthly, or weekly in dusty environments.",
+      "significance": "Medium"
+    }
+  ],
+  "recommendations": ["Schedule weekly filter checks for units in dusty areas"]
+}`
+  },
+  extraction: {
+    system: `You are a data extraction specialist turning maintenance and engineering documents into structured records.
+
+CRITICAL REQUIREMENTS:
+- Return ONLY valid JSON array, no markdown, no explanations, no code blocks
+- Start with [ and end with ]
+- One record per value: specifications, tolerances, intervals, quantities, part numbers, settings
+- Values exactly as written in the context, with the unit in its own field
+- Generate ONLY the requested number of records, no more
+
+STRICT CONTENT REQUIREMENTS:
+- Use ONLY information from the provided context (PDF excerpts)
+- DO NOT add any information from your training data or external knowledge
+- DO NOT make assumptions or add details not present in the context
+- Extract exact wording from the context when possible
+- Every entry must be traceable to the provided context`,
+    user: (context) => `${generateExtractionPrompt(context, 'a JSON array of records with category, field, value, unit and notes')}
+
+CRITICAL INSTRUCTIONS - READ CAREFULLY:
+1. Extract ONLY values that are EXPLICITLY stated in the provided context above
+2. DO NOT add any information from your training data, general knowledge, or the internet
+3. Category: the kind of value (e.g. Specification, Interval, Part Number, Setting, Capacity)
+4. Field: what the value describes (4 words max)
+5. Leave unit empty when the value has none
+
+Respond with ONLY the JSON array. Your entire response should be parseable by JSON.parse().
+
+Example format:
+[
+  {
+    "category": "Specification",
+    "field": "Mounting Bolt Torque",
+    "value": "45",
+    "unit": "Nm",
+    "notes": "Tighten in star pattern"
+  }
+]`
   }
 };
 
@@ -258,3 +372,19 @@ export const generateWorkInstructionsPrompt = (context) => {
   };
 };
 
+/**
+ * Generate the default prompt for any use case defined in PROMPTS
+ * @param {string} useCase - Use case type (e.g. 'summary', 'analysis', 'extraction')
+ * @param {string} context - Context from ingested documents
+ * @returns {Object} Object with system and user prompts
+ */
+export const generateUseCasePrompt = (useCase, context) => {
+  const prompt = PROMPTS[useCase];
+  if (!prompt) {
+    throw new Error(`Invalid use case: ${useCase}`);
+  }
+  return {
+    system: prompt.system,
+    user: prompt.user(context)
+  };
+};
@@ -0,0 +1,141 @@
+/**
+ * Response schemas for chunked generation
+ * Each schema describes what ONE chunked call must return for a use case; the per-slice prompt
+ * constraints ask for exactly this shape. Responses are validated with utils/schemaValidator.js and
+ * sent back to the model for repair when they do not match (see structuredOutputService).
+ *
+ * Custom use cases are validated against an array of their registered itemSchema.
+ */
+
+const nonEmptyString = { type: 'string', minLength: 1 };
+
+// Lists the model may return as plain strings or as { text } objects
+const textList = {
+  type: 'array',
+  items: {
+    anyOf: [
+      nonEmptyString,
+      { type: 'object', required: ['text'], properties: { text: nonEmptyString } }
+    ]
+  }
+};
+
+export const CHECKSHEET_ITEM_SCHEMA = {
+  type: 'object',
+  required: ['itemName', 'inspectionPoint', 'frequency', 'expectedStatus'],
+  properties: {
+    itemName: nonEmptyString,
+    inspectionPoint: nonEmptyString,
+    frequency: nonEmptyString,
+    expectedStatus: nonEmptyString,
+    notes: { type: 'string' }
+  }
+};
+
+export const WORK_INSTRUCTION_STEP_SCHEMA = {
+  type: 'object',
+  required: ['stepNumber', 'title', 'description'],
+  properties: {
+    stepNumber: { type: 'integer', minimum: 1 },
+    title: nonEmptyString,
+    description: nonEmptyString,
+    notes: { type: 'string' }
+  }
+};
+
+export const ANALYSIS_FINDING_SCHEMA = {
+  type: 'object',
+  required: ['finding', 'evidence', 'significance'],
+  properties: {
+    finding: nonEmptyString,
+    evidence: nonEmptyString,
+    significance: { type: 'string', enum: ['High', 'Medium', 'Low'] }
+  }
+};
+
+export const EXTRACTION_RECORD_SCHEMA = {
+  type: 'object',
+  required: ['category', 'field', 'value'],
+  properties: {
+    category: nonEmptyString,
+    field: nonEmptyString,
+    value: { anyOf: [nonEmptyString, { type: 'number' }] },
+    unit: { type: 'string' },
+    notes: { type: 'string' }
+  }
+};
+
+export const RESPONSE_SCHEMAS = {
+  checksheet: {
+    type: 'array',
+    items: CHECKSHEET_ITEM_SCHEMA
+  },
+  // Work instruction chunks return one section group at a time (title/overview, prerequisites, steps,
+  // or safety warnings/checklist), so no top-level field is required
+  workInstructions: {
+    type: 'object',
+    properties: {
+      title: nonEmptyString,
+      overview: nonEmptyString,
+      prerequisites: {
+        anyOf: [
+          textList,
+          {
+            type: 'object',
+            properties: {
+              tools: textList,
+              materials: textList,
+              safety: textList
+            }
+          }
+        ]
+      },
+      steps: { type: 'array', items: WORK_INSTRUCTION_STEP_SCHEMA },
+      safetyWarnings: textList,
+      completionChecklist: textList
+    }
+  },
+  summary: {
+    type: 'object',
+    required: ['keyPoints'],
+    properties: {
+      keyPoints: textList,
+      sections: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['heading', 'content'],
+          properties: {
+            heading: nonEmptyString,
+            content: nonEmptyString
+          }
+        }
+      }
+    }
+  },
+  analysis: {
+    type: 'object',
+    required: ['findings'],
+    properties: {
+      findings: { type: 'array', items: ANALYSIS_FINDING_SCHEMA },
+      recommendations: textList
+    }
+  },
+  extraction: {
+    type: 'array',
+    items: EXTRACTION_RECORD_SCHEMA
+  }
+};
+
+/**
+ * Get the chunk response schema for a use case
+ * @param {string} useCase - Use case type
+ * @param {Object} [customUseCase] - Custom use case definition (its itemSchema describes one array item)
+ * @returns {Object|null} JSON Schema, or null if the use case has none
+ */
+export const getResponseSchema = (useCase, customUseCase = null) => {
+  if (customUseCase) {
+    return { type: 'array', items: customUseCase.itemSchema };
+  }
+  return RESPONSE_SCHEMAS[useCase] || null;
+};
@@ -4,47 +4,121 @@
  * Separates controller logic from handler
  */
 
-import chromaService from '../services/chromaService.js';
-import pineconeService from '../services/pineconeService.js';
-import geminiService from '../services/geminiService.js';
-import bedrockService from '../services/bedrockService.js';
+import vectorStoreFactory from '../services/vectorStoreFactory.js';
+import keywordIndexService from '../services/keywordIndexService.js';
+import ingestionStatusService from '../services/ingestionStatusService.js';
+import rerankService from '../services/rerankService.js';
+import deduplicationService from '../services/deduplicationService.js';
+import tokenBudgetService from '../services/tokenBudgetService.js';
+import llmProviderRegistry from '../services/llmProviderRegistry.js';
 import embeddingService from '../services/embeddingService.js';
-import { generateChecksheetPrompt, generateWorkInstructionsPrompt } from '../config/prompts.js';
+import useCaseRegistry from '../services/useCaseRegistry.js';
+import structuredOutputService from '../services/structuredOutputService.js';
+import groundingService from '../services/groundingService.js';
+import ocrService from '../services/ocrService.js';
+import manualRevisionService from '../services/manualRevisionService.js';
+import { generateChecksheetPrompt, generateWorkInstructionsPrompt, generateUseCasePrompt, generateDocumentPrompt } from '../config/prompts.js';
+import { getResponseSchema } from '../config/schemas.js';
 import { getPrompt } from '../services/promptLibraryService.js';
 import { logger } from '../utils/logger.js';
+import { reciprocalRankFusion } from '../utils/rankFusion.js';
+import { splitContextByStructure } from '../utils/contextSplitter.js';
+import { groupErrorsByItem } from '../utils/schemaValidator.js';
+import { locateSourceSpan, formatLineRange } from '../utils/sourceLocator.js';
+import { matchesSection, SECTION_PATH_SEPARATOR } from '../utils/sectionOutline.js';
+
+// Use cases whose items/steps are checked against their source slice by groundingService
+const GROUNDED_USE_CASES = ['checksheet', 'workInstructions'];
+
+// Retrieval with a section filter asks the stores for this many times the usual candidates, then keeps the section's chunks
+const SECTION_CANDIDATE_FACTOR = 5;
+
+// Full-document generation reads at most this many chunks per document from the vector store
+const MAX_DOCUMENT_CHUNKS = 10000;
+
+/**
+ * Keep the chunks within a section (see utils/sectionOutline.js matchesSection)
+ * @param {Array<Object>} chunks - Chunks with metadata.sectionPath
+ * @param {string|null} section - Section filter, or null to keep every chunk
+ * @returns {Array<Object>} Chunks in the section
+ */
+const filterBySection = (chunks, section) => (section
+  ? chunks.filter(chunk => matchesSection(chunk.metadata?.sectionPath, section))
+  : chunks);
+
+/**
+ * Get the innermost section title of a section path, for citations ("5 Maintenance > 5.3 Hydraulics" => "5.3 Hydraulics")
+ * @param {string|null} sectionPath - Section path
+ * @returns {string|null} Section title
+ */
+const sectionTitleOf = (sectionPath) => (sectionPath ? sectionPath.split(SECTION_PATH_SEPARATOR).pop() : null);
+
+// Tables in page text are laid out as Markdown tables by pdfService (utils/tableDetector.js)
+const MARKDOWN_TABLE_ROW = /^\|.*\|$/m;
+
+/**
+ * Prompt constraint on reading the Markdown tables of a context slice
+ * @param {string} sliceText - Context slice
+ * @param {string} rowHint - What each table row becomes (e.g. 'one checksheet item')
+ * @returns {string} Constraint line starting with a newline, or '' if the slice has no table
+ */
+const tableConstraint = (sliceText, rowHint) => (MARKDOWN_TABLE_ROW.test(sliceText)
+  ? `\n- The context contains Markdown tables (| column | column |, first row = column headers): read each row as ${rowHint}, taking values only from that row's columns`
+  : '');
+
+/**
+ * Attach the schema errors left after the repair attempts to the entries they belong to
+ * Flagged entries keep their content and get validationIssues: [{ field, message }] (one per field),
+ * which the Excel/DOCX renderers highlight for review
+ * @param {Array} entries - Entries in response order
+ * @param {Array<Object>} errors - Remaining schema errors
+ * @param {string} arrayPath - JSON pointer of the entries in the validated response ('' for a top-level array)
+ * @param {Object} [validationTracker] - Tracker from structuredOutputService.createValidationTracker()
+ * @param {Array<string>} [resolvedFields] - Fields the merge step sets itself (e.g. renumbered stepNumber)
+ * @returns {Array} Entries, with validationIssues on those that still fail
+ */
+const flagInvalidEntries = (entries, errors, arrayPath, validationTracker = null, resolvedFields = []) => {
+  if (errors.length === 0) {
+    return entries;
+  }
+
+  const issuesByEntry = groupErrorsByItem(errors, arrayPath);
+  let flagged = 0;
+  const result = entries.map((entry, index) => {
+    const issues = uniqueBy(
+      (issuesByEntry.get(index) || []).filter(issue => !resolvedFields.includes(issue.field)),
+      issue => issue.field
+    );
+    if (issues.length === 0 || !entry || typeof entry !== 'object') {
+      return entry;
+    }
+    flagged++;
+    return { ...entry, validationIssues: issues };
+  });
+
+  validationTracker?.flag(flagged);
+  return result;
+};
 
 /**
- * Split context into multiple smaller chunks to avoid token limit
- * Uses aggressive chunking: many small chunks = very small responses
+ * Split context into slices for chunked generation along structural boundaries
+ * Slices never span two source chunks and avoid cutting sentences or numbered lists
  * @param {string} context - Full context string
  * @param {Array<Object>} chunkPositionMap - Array of { startChar, endChar, chunk } mappings
- * @param {number} targetChunkSize - Target size per chunk in characters (default: 300)
+ * @param {number} targetChunkSize - Target size per slice (tokens when measure counts tokens)
+ * @param {Function} [measure] - (text) => size, defaults to character length
  * @returns {Array<Object>} Array of context chunks with source metadata
  */
-const splitContextIntoChunks = (context, chunkPositionMap = [], targetChunkSize = 300) => {
+const splitContextIntoChunks = (context, chunkPositionMap = [], targetChunkSize = 1000, measure = undefined) => {
   const totalLength = context.length;
-  const numChunks = Math.max(15, Math.ceil(totalLength / targetChunkSize)); // Minimum 15 chunks
-  
-  const chunkSize = Math.ceil(totalLength / numChunks);
-  
-  const chunks = [];
-  for (let i = 0; i < numChunks; i++) {
-    const start = i * chunkSize;
-    const end = Math.min(start + chunkSize, totalLength);
-    const chunkText = context.substring(start, end);
-    if (chunkText.trim().length > 0) {
-      // Find which source chunk(s) this text comes from using position map
-      const sourceInfo = findSourceForTextRange(start, end, chunkPositionMap);
-      chunks.push({
-        text: chunkText,
-        startChar: start,
-        endChar: end,
-        source: sourceInfo
-      });
-    }
-  }
-  
-  logger.info(`Split context into ${chunks.length} chunks (target: ${targetChunkSize} chars per chunk)`, {
+  const chunks = splitContextByStructure(context, chunkPositionMap, targetChunkSize, measure).map(slice => ({
+    ...slice,
+    // Find which source chunk this text comes from using position map
+    source: findSourceForTextRange(slice.startChar, slice.endChar, chunkPositionMap),
+    segments: findSegmentsForTextRange(slice.startChar, slice.endChar, chunkPositionMap)
+  }));
+
+  logger.info(`Split context into ${chunks.length} chunks (target size: ${targetChunkSize} per chunk)`, {
     totalLength,
     avgChunkSize: Math.round(totalLength / chunks.length),
     minChunkSize: Math.min(...chunks.map(c => c.text.length)),
@@ -55,6 +129,58 @@ const splitContextIntoChunks = (context, chunkPositionMap = [], targetChunkSize
   return chunks;
 };
 
+/**
+ * List the source chunks a text range of the context was built from, for line-level citations
+ * @param {number} startChar - Start character position in merged context
+ * @param {number} endChar - End character position in merged context
+ * @param {Array<Object>} chunkPositionMap - Array of { startChar, endChar, chunk } mappings
+ * @returns {Array<Object>} Segments { offset, chunkOffset, text, metadata } (see utils/sourceLocator.js)
+ */
+const findSegmentsForTextRange = (startChar, endChar, chunkPositionMap) => chunkPositionMap
+  .filter(mapped => mapped.startChar < endChar && mapped.endChar > startChar)
+  .map(mapped => {
+    // The context holds the trimmed chunk text after a '\n\n' separator
+    const text = (mapped.chunk.text || mapped.chunk.metadata?.text || '').trim();
+    const textStart = mapped.endChar - text.length;
+    const from = Math.max(textStart, startChar);
+    return { offset: from - startChar, chunkOffset: from - textStart, text, metadata: mapped.chunk.metadata || {} };
+  });
+
+/**
+ * Cite the exact source span of each entry generated from a slice
+ * The supporting quote (groundingQuote, or the best matching sentences of the slice) is located in its
+ * source chunk, so the citation names the page the quote is actually on and, for documents ingested with
+ * line data, the lines; chunks tagged with a section add its title: "manual.pdf, 5.3 Hydraulics, Page 47, Lines 12–15"
+ * @param {Array<Object>} entries - Entries with source fields
+ * @param {Object} slice - Context slice { text, segments } the entries were generated from
+ * @param {Function} textOf - (entry) => text used to find a supporting quote when the entry has none
+ * @returns {Array<Object>} Entries with source, sourcePage and sourceSpan updated where a span was found
+ */
+const citeSourceSpans = (entries, slice, textOf) => {
+  if (!slice?.segments?.length) {
+    return entries;
+  }
+
+  return entries.map(entry => {
+    const quote = entry.groundingQuote || groundingService.findSupportingQuote(textOf(entry), slice.text).quote;
+    const span = quote ? locateSourceSpan(slice, quote) : null;
+    if (!span) {
+      return entry;
+    }
+
+    const section = span.sectionPath ? `, ${sectionTitleOf(span.sectionPath)}` : '';
+    const page = span.pageNumber ? `, Page ${span.pageNumber}` : '';
+    const lines = span.lineStart ? `, ${formatLineRange(span.lineStart, span.lineEnd)}` : '';
+    return {
+      ...entry,
+      source: `${span.fileName}${section}${page}${lines}`,
+      sourceFile: span.fileName,
+      sourcePage: span.pageNumber || entry.sourcePage || null,
+      sourceSpan: span
+    };
+  });
+};
+
 /**
  * Find source metadata for a text range in the context using chunk position map
  * @param {number} startChar - Start character position in merged context
@@ -129,17 +255,23 @@ const findSourceForTextRange = (startChar, endChar, chunkPositionMap) => {
  * Generate checksheet content using chunked generation (multiple requests)
  * @param {Array<string>} contextChunks - Array of context chunks
  * @param {Object} promptConfig - Prompt configuration
- * @param {string} llmProvider - LLM provider
+ * @param {string} llmProvider - Registered LLM provider name
  * @param {Function} onProgress - Optional progress callback
+ * @param {Object} [usageTracker] - Token usage tracker from tokenBudgetService.createUsageTracker()
+ * @param {Function} [onPartial] - Optional callback receiving { chunk, totalChunks, items } after each chunk
+ * @param {Object} [validationTracker] - Tracker from structuredOutputService.createValidationTracker()
+ * @param {Object} [groundingTracker] - Tracker from groundingService.createGroundingTracker()
  * @returns {Promise<Array>} Merged checksheet items array
  */
-const generateChecksheetChunked = async (contextChunks, promptConfig, llmProvider, onProgress) => {
+const generateChecksheetChunked = async (contextChunks, promptConfig, llmProvider, onProgress, usageTracker = null, onPartial = null, validationTracker = null, groundingTracker = null) => {
   const allItems = [];
   const totalChunks = contextChunks.length;
   
-  // Use close to maximum tokens (8000) to allow full responses while keeping prompts strict
+  // Use close to maximum tokens (GENERATION_OUTPUT_TOKENS, 8000) to allow full responses while keeping prompts strict
   // Strict prompts ensure responses stay small naturally
-  const maxTokensPerChunk = 8000;
+  // Capped by the provider's own output limit
+  const provider = llmProviderRegistry.getProvider(llmProvider);
+  const maxTokensPerChunk = tokenBudgetService.getOutputTokensPerCall(provider);
   
   // Limit items per chunk to prevent excessive response size
   const maxItemsPerChunk = 8; // Generate max 8 items per chunk to keep responses small
@@ -167,41 +299,38 @@ const generateChecksheetChunked = async (contextChunks, promptConfig, llmProvide
         .replace('Keep the response concise', 'Keep response VERY concise - each item should be 1-2 sentences max. Limit notes to 10 words or less.');
       
       const chunkPromptConfig = {
-        system: promptConfig.system + `\n\nCRITICAL CONSTRAINTS:\n- Maximum ${maxItemsPerChunk} items in response\n- Keep each item VERY brief (itemName: 3 words max, inspectionPoint: 1 sentence max, notes: max 5 words)\n- Return ONLY the JSON array, no explanations\n- Example: [{"itemName": "Short Name", "inspectionPoint": "One sentence.", "frequency": "Monthly", "expectedStatus": "OK", "notes": "Brief"}]`,
+        system: promptConfig.system + `\n\nCRITICAL CONSTRAINTS:\n- Maximum ${maxItemsPerChunk} items in response\n- Keep each item VERY brief (itemName: 3 words max, inspectionPoint: 1 sentence max, notes: max 5 words)${tableConstraint(chunk, 'one checksheet item (component or point as itemName, its interval column as frequency)')}\n- Return ONLY the JSON array, no explanations\n- Example: [{"itemName": "Short Name", "inspectionPoint": "One sentence.", "frequency": "Monthly", "expectedStatus": "OK", "notes": "Brief"}]`,
         user: chunkPrompt
       };
 
-      // Generate this chunk with aggressive token limit
-      let chunkData;
-      if (llmProvider === 'bedrock') {
-        chunkData = await bedrockService.invokeAndParseJSON(
-          chunkPromptConfig.system,
-          chunkPromptConfig.user,
-          {
-            temperature: 0.3,
-            maxTokens: maxTokensPerChunk
-          }
-        );
-      } else {
-        // Explicitly pass maxTokens to ensure it's used
-        chunkData = await geminiService.invokeAndParseJSON(
-          chunkPromptConfig.system,
-          chunkPromptConfig.user,
-          {
-            temperature: 0.3,
-            maxTokens: maxTokensPerChunk // Use 4000 instead of 8192
-          }
-        );
-      }
-
-      // Extract items from chunk response
-      const chunkItems = Array.isArray(chunkData) ? chunkData : (chunkData.items || chunkData.data || []);
+      // Generate this chunk with aggressive token limit; items that fail the schema go back to the model for repair
+      const { data: chunkItems, errors } = await structuredOutputService.invokeWithRepair(
+        provider,
+        chunkPromptConfig.system,
+        chunkPromptConfig.user,
+        {
+          temperature: 0.3,
+          maxTokens: maxTokensPerChunk,
+          jsonMode: provider.capabilities.jsonMode,
+          responseShape: 'array',
+          onUsage: usageTracker?.record
+        },
+        getResponseSchema('checksheet'),
+        {
+          // Extract items from chunk response
+          normalize: (chunkData) => (Array.isArray(chunkData) ? chunkData : (chunkData?.items || chunkData?.data || [])),
+          validationTracker,
+          label: `checksheet chunk ${i + 1}`
+        }
+      );
       
-      // Limit items if somehow more were generated
-      const limitedItems = Array.isArray(chunkItems) ? chunkItems.slice(0, maxItemsPerChunk) : [];
+      // Limit items if somehow more were generated; fields still failing the schema are flagged
+      const limitedItems = Array.isArray(chunkItems)
+        ? flagInvalidEntries(chunkItems.slice(0, maxItemsPerChunk), errors, '', validationTracker).filter(item => item && typeof item === 'object')
+        : [];
       
       // Add source reference to each item
-      const itemsWithSources = limitedItems.map(item => ({
+      const sourcedItems = limitedItems.map(item => ({
         ...item,
         source: sourceInfo.pageNumber 
           ? `${sourceInfo.fileName}, Page ${sourceInfo.pageRange || sourceInfo.pageNumber}`
@@ -209,6 +338,16 @@ const generateChecksheetChunked = async (contextChunks, promptConfig, llmProvide
         sourceFile: sourceInfo.fileName,
         sourcePage: sourceInfo.pageNumber || null
       }));
+
+      // Check each item against the slice it came from; weakly supported items are flagged for review
+      const checksheetText = item => [item.itemName, item.inspectionPoint].filter(Boolean).join('. ');
+      const itemsWithSources = citeSourceSpans(await groundingService.verifyEntries(sourcedItems, chunk, {
+        textOf: checksheetText,
+        provider,
+        usageTracker,
+        groundingTracker,
+        label: `checksheet chunk ${i + 1}`
+      }), chunkObj, checksheetText);
       
       if (itemsWithSources.length > 0) {
         allItems.push(...itemsWithSources);
@@ -216,6 +355,10 @@ const generateChecksheetChunked = async (contextChunks, promptConfig, llmProvide
       } else {
         logger.warn(`Chunk ${i + 1}/${totalChunks} returned no items`);
       }
+
+      if (onPartial) {
+        onPartial({ chunk: i + 1, totalChunks, items: itemsWithSources });
+      }
     } catch (error) {
       logger.error(`Chunk ${i + 1}/${totalChunks} failed`, {
         error: error.message,
@@ -243,11 +386,15 @@ const generateChecksheetChunked = async (contextChunks, promptConfig, llmProvide
  * Generate work instructions content using chunked generation (multiple requests)
  * @param {Array<string>} contextChunks - Array of context chunks
  * @param {Object} promptConfig - Prompt configuration
- * @param {string} llmProvider - LLM provider
+ * @param {string} llmProvider - Registered LLM provider name
  * @param {Function} onProgress - Optional progress callback
+ * @param {Object} [usageTracker] - Token usage tracker from tokenBudgetService.createUsageTracker()
+ * @param {Function} [onPartial] - Optional callback receiving { chunk, totalChunks, title, overview, steps } after each chunk
+ * @param {Object} [validationTracker] - Tracker from structuredOutputService.createValidationTracker()
+ * @param {Object} [groundingTracker] - Tracker from groundingService.createGroundingTracker()
  * @returns {Promise<Object>} Merged work instructions object
  */
-const generateWorkInstructionsChunked = async (contextChunks, promptConfig, llmProvider, onProgress) => {
+const generateWorkInstructionsChunked = async (contextChunks, promptConfig, llmProvider, onProgress, usageTracker = null, onPartial = null, validationTracker = null, groundingTracker = null) => {
   const mergedResult = {
     title: null,
     overview: null,
@@ -259,9 +406,11 @@ const generateWorkInstructionsChunked = async (contextChunks, promptConfig, llmP
 
   const totalChunks = contextChunks.length;
   
-  // Use close to maximum tokens (8000) to allow full responses while keeping prompts strict
+  // Use close to maximum tokens (GENERATION_OUTPUT_TOKENS, 8000) to allow full responses while keeping prompts strict
   // Strict prompts ensure responses stay small naturally
-  const maxTokensPerChunk = 8000;
+  // Capped by the provider's own output limit
+  const provider = llmProviderRegistry.getProvider(llmProvider);
+  const maxTokensPerChunk = tokenBudgetService.getOutputTokensPerCall(provider);
   
   // Limit sections per chunk to prevent excessive response size
   const maxStepsPerChunk = 2; // Generate max 2 steps per chunk to keep responses small
@@ -279,6 +428,7 @@ const generateWorkInstructionsChunked = async (contextChunks, promptConfig, llmP
     const chunkIndex = i + 1;
     const isFirstChunk = i === 0;
     const isLastChunk = i === contextChunks.length - 1;
+    const stepsBefore = mergedResult.steps.length;
     
     logger.info(`Generating work instructions chunk ${chunkIndex}/${totalChunks} (chunk size: ${chunk.length} chars)...`);
     
@@ -366,28 +516,20 @@ const generateWorkInstructionsChunked = async (contextChunks, promptConfig, llmP
         user: chunkPrompt
       };
 
-      // Generate this chunk with aggressive token limit
-      let chunkData;
-      if (llmProvider === 'bedrock') {
-        chunkData = await bedrockService.invokeAndParseJSON(
-          chunkPromptConfig.system,
-          chunkPromptConfig.user,
-          {
-            temperature: 0.3,
-            maxTokens: maxTokensPerChunk
-          }
-        );
-      } else {
-        // Explicitly pass maxTokens to ensure it's used
-        chunkData = await geminiService.invokeAndParseJSON(
-          chunkPromptConfig.system,
-          chunkPromptConfig.user,
-          {
-            temperature: 0.3,
-            maxTokens: maxTokensPerChunk // Use 4000 instead of 8192
-          }
-        );
-      }
+      // Generate this chunk with aggressive token limit; responses that fail the schema go back to the model for repair
+      const { data: chunkData, errors } = await structuredOutputService.invokeWithRepair(
+        provider,
+        chunkPromptConfig.system,
+        chunkPromptConfig.user,
+        {
+          temperature: 0.3,
+          maxTokens: maxTokensPerChunk,
+          jsonMode: provider.capabilities.jsonMode,
+          onUsage: usageTracker?.record
+        },
+        getResponseSchema('workInstructions'),
+        { validationTracker, label: `work instructions chunk ${chunkIndex}` }
+      );
 
       // Merge chunk data into result
       if (chunkData) {
@@ -417,18 +559,26 @@ const generateWorkInstructionsChunked = async (contextChunks, promptConfig, llmP
             ? `${sourceInfo.fileName}, Page ${sourceInfo.pageRange || sourceInfo.pageNumber}`
             : sourceInfo.fileName;
           
-          // Limit steps if somehow more were generated
-          const limitedSteps = chunkData.steps.slice(0, maxStepsPerChunk);
+          // Limit steps if somehow more were generated; stepNumber is reassigned below, other failing fields are flagged
+          const limitedSteps = flagInvalidEntries(chunkData.steps.slice(0, maxStepsPerChunk), errors, '/steps', validationTracker, ['stepNumber'])
+            .filter(step => step && typeof step === 'object');
           
           // Renumber steps to be sequential and add source references
           const startStepNumber = mergedResult.steps.length + 1;
-          const renumberedSteps = limitedSteps.map((step, idx) => ({
+          const stepText = step => [step.title, step.description].filter(Boolean).join('. ');
+          const renumberedSteps = citeSourceSpans(await groundingService.verifyEntries(limitedSteps.map((step, idx) => ({
             ...step,
             stepNumber: startStepNumber + idx,
             source: sourceRef,
             sourceFile: sourceInfo.fileName,
             sourcePage: sourceInfo.pageNumber || null
-          }));
+          })), chunk, {
+            textOf: stepText,
+            provider,
+            usageTracker,
+            groundingTracker,
+            label: `work instructions chunk ${chunkIndex}`
+          }), chunkObj, stepText);
           mergedResult.steps.push(...renumberedSteps);
           logger.info(`Chunk ${chunkIndex}/${totalChunks} generated ${renumberedSteps.length} steps successfully with source: ${sourceInfo.fileName}${sourceInfo.pageNumber ? `, Page ${sourceInfo.pageNumber}` : ''}`);
         }
@@ -469,6 +619,16 @@ const generateWorkInstructionsChunked = async (contextChunks, promptConfig, llmP
           mergedResult.completionChecklist.push(...checklistWithSource);
         }
       }
+
+      if (onPartial) {
+        onPartial({
+          chunk: chunkIndex,
+          totalChunks,
+          title: mergedResult.title,
+          overview: mergedResult.overview,
+          steps: mergedResult.steps.slice(stepsBefore)
+        });
+      }
     } catch (error) {
       logger.error(`Chunk ${chunkIndex}/${totalChunks} failed`, {
         error: error.message,
@@ -516,286 +676,486 @@ const generateWorkInstructionsChunked = async (contextChunks, promptConfig, llmP
   return mergedResult;
 };
 
+// Per-slice output contract for the report use cases, appended to the system prompt like the
+// checksheet/work-instruction constraints. listKey holds the entries streamed as partial items;
+// tableRows says what a table row becomes when the slice contains a Markdown table.
+const REPORT_SLICE_FORMATS = {
+  summary: {
+    listKey: 'keyPoints',
+    constraints: '- Maximum 4 key points (1 sentence each, 20 words max)\n- Maximum 2 sections (heading 5 words max, content 3 sentences max)',
+    example: '{"keyPoints": ["One sentence."], "sections": [{"heading": "Short Heading", "content": "Two or three sentences."}]}'
+  },
+  analysis: {
+    listKey: 'findings',
+    constraints: '- Maximum 3 findings (finding 1 sentence, evidence quoted from the context, significance High/Medium/Low)\n- significance must be one of: High, Medium, Low\n- Maximum 2 recommendations (1 sentence each)',
+    example: '{"findings": [{"finding": "One sentence.", "evidence": "Quote from the context.", "significance": "Medium"}], "recommendations": ["One sentence."]}'
+  },
+  extraction: {
+    listKey: 'items',
+    maxItems: 8,
+    constraints: '- Maximum 8 items in response\n- One record per value (category 2 words max, field 4 words max, value exactly as written, unit only if stated)',
+    tableRows: 'records (one per value cell: category from the table title, field from the row and column headers)',
+    example: '[{"category": "Specification", "field": "Bolt Torque", "value": "45", "unit": "Nm", "notes": "Brief"}]'
+  }
+};
+
 /**
- * Generate AI content from documents
- * @param {Object} params - Generation parameters
- * @param {string} params.useCase - Use case type ('checksheet' or 'workInstructions')
- * @param {Array<string>} params.documentIds - Array of document UUIDs
- * @param {string} [params.queryText] - Optional query text for better relevance
- * @param {string} [params.llmProvider] - LLM provider ('bedrock' or 'gemini'), defaults to 'gemini'
- * @param {string} [params.promptId] - Specific prompt ID to use, defaults to active prompt
- * @param {Function} [params.onProgress] - Optional progress callback function
- * @returns {Promise<Object>} Generated content and metadata
+ * Check whether a use case is generated by generateReportChunked
+ * @param {string} useCase - Use case type
+ * @returns {boolean} True for summary, analysis and extraction
  */
-export const handleGenerate = async ({ useCase, documentIds, queryText, llmProvider = 'gemini', promptId = null, onProgress = null }) => {
-  // Force Gemini as Bedrock is not accessible
-  // If bedrock is requested, fallback to Gemini
-  if (llmProvider === 'bedrock') {
-    logger.warn('Bedrock requested but not accessible, falling back to Gemini', { originalProvider: llmProvider });
-    llmProvider = 'gemini';
-  }
-  const startTime = Date.now();
+const isReportUseCase = (useCase) => Object.prototype.hasOwnProperty.call(REPORT_SLICE_FORMATS, useCase);
 
-  // Step 1: Generate query embedding (optional)
-  // Use RETRIEVAL_QUERY task type for queries (optimized for search)
-  let queryEmbedding = null;
-  if (queryText && typeof queryText === 'string' && queryText.trim().length > 0) {
-    try {
-      logger.info('Generating query embedding...');
-      queryEmbedding = await embeddingService.generateEmbedding(queryText.trim(), 'RETRIEVAL_QUERY');
-      logger.info('Query embedding generated');
-    } catch (embeddingError) {
-      logger.warn('Failed to generate query embedding, using metadata filter only', embeddingError);
-      // Continue without query embedding - will use metadata filter
+/**
+ * Normalize a string-or-object list entry to { text } with source fields
+ * @param {string|Object} entry - Entry returned by the model
+ * @param {Object} sourceFields - { source, sourceFile, sourcePage }
+ * @returns {Object} Entry object
+ */
+const toSourcedText = (entry, sourceFields) => ({
+  text: typeof entry === 'string' ? entry : entry?.text || JSON.stringify(entry),
+  ...sourceFields
+});
+
+/**
+ * Keep the first of entries that normalize to the same key
+ * @param {Array<Object>} entries - Entries in generation order
+ * @param {Function} keyOf - (entry) => string
+ * @returns {Array<Object>} Unique entries
+ */
+const uniqueBy = (entries, keyOf) => {
+  const seen = new Set();
+  return entries.filter(entry => {
+    const key = keyOf(entry);
+    if (seen.has(key)) {
+      return false;
     }
+    seen.add(key);
+    return true;
+  });
+};
+
+/**
+ * Write the title and overview paragraph of a summary/analysis report from the merged slice results
+ * @param {string} useCase - 'summary' or 'analysis'
+ * @param {Object} merged - Merged slice results
+ * @param {Object} promptConfig - Prompt configuration (system prompt is reused)
+ * @param {Object} provider - LLM provider
+ * @param {number} maxTokens - Output token limit
+ * @param {Object} [usageTracker] - Token usage tracker
+ * @returns {Promise<Object>} { title, overview }
+ */
+const composeReportOverview = async (useCase, merged, promptConfig, provider, maxTokens, usageTracker) => {
+  const notes = useCase === 'summary'
+    ? [...merged.keyPoints.map(point => point.text), ...merged.sections.map(section => `${section.heading}: ${section.content}`)]
+    : [...merged.findings.map(finding => `${finding.finding} (${finding.significance || 'Unrated'})`), ...merged.recommendations.map(rec => `Recommendation: ${rec.text}`)];
+  const fallback = {
+    title: useCase === 'summary' ? 'Document Summary' : 'Document Analysis',
+    overview: notes.slice(0, 3).join(' ')
+  };
+
+  if (notes.length === 0) {
+    return fallback;
   }
 
-  // Step 2: Query vector database for relevant chunks
-  const useLangchain = process.env.USE_LANGCHAIN === 'true';
-  const vectorDb = process.env.VECTOR_DB || 'chromadb';
-  // Limit chunks to prevent context overflow - reduce context to allow more room for response
-  // Lower context = more tokens available for response generation
-  // Reduced context size to allow for smaller chunks and prevent token limit errors
-  const maxContextChars = parseInt(process.env.MAX_CONTEXT_CHARS) || 4000;
-  const topK = 10; // Number of results to return
+  const userPrompt = generateDocumentPrompt(
+    useCase === 'summary' ? 'document summary' : 'analysis overview',
+    'Write a title (8 words max) and ONE paragraph (5 sentences max) that combines the notes below. Use ONLY the notes; do not add information.',
+    notes.map(note => `- ${note}`).join('\n')
+  );
 
-  let relevantChunks;
-  if (useLangchain) {
-    // Use Langchain for similarity search
-    logger.info('Querying via Langchain for relevant chunks...');
-    const langchainService = (await import('../services/langchainService.js')).default;
-    const query = queryText || 'document content'; // Langchain needs a query string
-    const results = await langchainService.similaritySearch(query, documentIds, topK);
-    relevantChunks = results.map(result => ({
-      id: result.id,
-      text: result.text,
-      metadata: result.metadata,
-      score: result.score
-    }));
-  } else if (vectorDb.toLowerCase() === 'pinecone') {
-    // Use native Pinecone service
-    logger.info('Querying Pinecone for relevant chunks...');
-    relevantChunks = await pineconeService.queryByDocumentIds(
-      documentIds,
-      queryEmbedding,
-      topK
-    );
-  } else {
-    // Use native ChromaDB service (default)
-    logger.info('Querying ChromaDB for relevant chunks...');
-    const chromaQueryText = queryText || null;
-    relevantChunks = await chromaService.queryByDocumentIds(
-      documentIds,
-      chromaQueryText,
-      topK
+  try {
+    const response = await provider.invokeAndParseJSON(
+      promptConfig.system + `\n\nCRITICAL CONSTRAINTS:\n- Return ONLY the JSON object with title and overview fields, no explanations\n- Example: {"title": "Short Title", "overview": "One paragraph."}`,
+      userPrompt,
+      {
+        temperature: 0.3,
+        maxTokens,
+        jsonMode: provider.capabilities.jsonMode,
+        onUsage: usageTracker?.record
+      }
     );
+    return {
+      title: response?.title || fallback.title,
+      overview: response?.overview || response?.summary || fallback.overview
+    };
+  } catch (error) {
+    logger.warn(`Failed to compose ${useCase} overview, using the first notes instead`, { error: error.message });
+    return fallback;
   }
+};
 
-  if (!relevantChunks || relevantChunks.length === 0) {
-    throw new Error(`No relevant chunks found for document IDs: ${documentIds.join(', ')}. Make sure documents have been ingested.`);
+/**
+ * Generate summary, analysis or extraction content using chunked generation (multiple requests)
+ * Map: each slice yields key points/sections, findings/recommendations or records with its source;
+ * reduce: repeated entries are dropped and summary/analysis get a title and overview from one final call
+ * @param {string} useCase - 'summary', 'analysis' or 'extraction'
+ * @param {Array<Object>} contextChunks - Array of context chunks
+ * @param {Object} promptConfig - Prompt configuration
+ * @param {string} llmProvider - Registered LLM provider name
+ * @param {Function} onProgress - Optional progress callback
+ * @param {Object} [usageTracker] - Token usage tracker from tokenBudgetService.createUsageTracker()
+ * @param {Function} [onPartial] - Optional callback receiving { chunk, totalChunks, items } after each chunk
+ * @param {Object} [validationTracker] - Tracker from structuredOutputService.createValidationTracker()
+ * @returns {Promise<Object>} { data, metadata: { totalChunks, itemsBeforeReduce, itemsAfterReduce } }
+ */
+const generateReportChunked = async (useCase, contextChunks, promptConfig, llmProvider, onProgress, usageTracker = null, onPartial = null, validationTracker = null) => {
+  const format = REPORT_SLICE_FORMATS[useCase];
+  if (!format) {
+    throw new Error(`Invalid use case: ${useCase}`);
   }
 
-  logger.info(`Retrieved ${relevantChunks.length} relevant chunks`);
+  const merged = { keyPoints: [], sections: [], findings: [], recommendations: [], items: [] };
+  const totalChunks = contextChunks.length;
+  const provider = llmProviderRegistry.getProvider(llmProvider);
+  const maxTokensPerChunk = tokenBudgetService.getOutputTokensPerCall(provider);
 
-  // Diagnostic: Log sample chunks to verify page metadata is present
-  if (relevantChunks.length > 0) {
-    const sampleChunks = [relevantChunks[0], relevantChunks[Math.floor(relevantChunks.length / 2)], relevantChunks[relevantChunks.length - 1]].filter(Boolean);
-    logger.info('Sample retrieved chunks with metadata (diagnostic)', {
-      samples: sampleChunks.map(c => ({
-        id: c.id,
-        hasMetadata: !!c.metadata,
-        fileName: c.metadata?.fileName,
-        pageNumber: c.metadata?.pageNumber,
-        pageRange: c.metadata?.pageRange,
-        chunkIndex: c.metadata?.chunkIndex,
-        metadataKeys: c.metadata ? Object.keys(c.metadata) : []
-      }))
-    });
-  }
+  for (let i = 0; i < contextChunks.length; i++) {
+    const chunkObj = contextChunks[i];
+    const chunk = typeof chunkObj === 'string' ? chunkObj : chunkObj.text;
+    const sourceInfo = chunkObj.source || { fileName: 'Unknown', pageNumber: null };
+    const sourceFields = {
+      source: sourceInfo.pageNumber
+        ? `${sourceInfo.fileName}, Page ${sourceInfo.pageRange || sourceInfo.pageNumber}`
+        : sourceInfo.fileName,
+      sourceFile: sourceInfo.fileName,
+      sourcePage: sourceInfo.pageNumber || null
+    };
 
-  // Step 3: Build context from chunks with size limit and track sources with position mapping
-  logger.info('Building context from chunks with source tracking...');
-  let context = '';
-  let chunksUsed = 0;
-  const sourceReferences = new Map(); // Track unique sources
-  const chunkPositionMap = []; // Map: [{ startChar, endChar, chunk }]
+    logger.info(`Generating ${useCase} chunk ${i + 1}/${totalChunks} (chunk size: ${chunk.length} chars)...`);
 
-  // Build context incrementally, stopping when we reach max size
-  for (const chunk of relevantChunks) {
-    const text = (chunk.text || chunk.metadata?.text || '').trim();
-    if (text.length === 0) continue;
+    if (onProgress) {
+      onProgress({
+        step: `generating_${useCase}_chunk_${i + 1}`,
+        progress: Math.round((i / totalChunks) * 40 + 10), // 10-50% range
+        message: `Generating ${useCase} section ${i + 1} of ${totalChunks}...`
+      });
+    }
 
-    const chunkStartChar = context.length;
-    const chunkWithSeparator = context ? `\n\n${text}` : text;
-    const potentialContext = context + chunkWithSeparator;
+    try {
+      const { data: chunkData, errors } = await structuredOutputService.invokeWithRepair(
+        provider,
+        promptConfig.system + `\n\nCRITICAL CONSTRAINTS:\n${format.constraints}${format.tableRows ? tableConstraint(chunk, format.tableRows) : ''}\n- Return ONLY the JSON, no explanations\n- Example: ${format.example}`,
+        promptConfig.user.replace('{context}', () => chunk),
+        {
+          temperature: 0.3,
+          maxTokens: maxTokensPerChunk,
+          jsonMode: provider.capabilities.jsonMode,
+          responseShape: useCase === 'extraction' ? 'array' : 'object',
+          onUsage: usageTracker?.record
+        },
+        getResponseSchema(useCase),
+        {
+          normalize: useCase === 'extraction'
+            ? (response) => (Array.isArray(response) ? response : (response?.items || response?.records || response?.data || []))
+            : (response) => response,
+          validationTracker,
+          label: `${useCase} chunk ${i + 1}`
+        }
+      );
 
-    // If adding this chunk would exceed limit, stop here
-    if (potentialContext.length > maxContextChars) {
-      logger.info(`Context size limit reached (${maxContextChars} chars), using ${chunksUsed} chunks`);
-      break;
-    }
+      // Entries that still fail the schema after repair are kept and flagged
+      let added;
+      if (useCase === 'extraction') {
+        added = flagInvalidEntries(chunkData.slice(0, format.maxItems), errors, '', validationTracker)
+          .filter(record => record && typeof record === 'object')
+          .map(record => ({ ...record, value: record.value === undefined || record.value === null ? '' : `${record.value}`, ...sourceFields }));
+        added = citeSourceSpans(added, chunkObj, record => [record.field, record.value, record.unit, record.notes].filter(Boolean).join(' '));
+        merged.items.push(...added);
+      } else if (useCase === 'summary') {
+        added = flagInvalidEntries(
+          (Array.isArray(chunkData?.keyPoints) ? chunkData.keyPoints : []).map(point => toSourcedText(point, sourceFields)),
+          errors, '/keyPoints', validationTracker
+        );
+        added = citeSourceSpans(added, chunkObj, point => point.text);
+        merged.keyPoints.push(...added);
+        merged.sections.push(...citeSourceSpans(flagInvalidEntries(Array.isArray(chunkData?.sections) ? chunkData.sections : [], errors, '/sections', validationTracker)
+          .filter(section => section?.content || section?.validationIssues)
+          .map(section => ({ ...section, heading: section.heading || 'Details', ...sourceFields })), chunkObj, section => section.content));
+      } else {
+        added = flagInvalidEntries(Array.isArray(chunkData?.findings) ? chunkData.findings : [], errors, '/findings', validationTracker)
+          .filter(finding => finding?.finding || finding?.validationIssues)
+          .map(finding => ({ ...finding, ...sourceFields }));
+        // Evidence is quoted from the context, so it locates the finding best
+        added = citeSourceSpans(added, chunkObj, finding => finding.evidence || finding.finding);
+        merged.findings.push(...added);
+        merged.recommendations.push(...(Array.isArray(chunkData?.recommendations) ? chunkData.recommendations : []).map(rec => toSourcedText(rec, sourceFields)));
+      }
 
-    context = potentialContext;
-    const chunkEndChar = context.length;
-    
-    // Map this chunk's position in the merged context
-    chunkPositionMap.push({
-      startChar: chunkStartChar,
-      endChar: chunkEndChar,
-      chunk: chunk // Store reference to original chunk with metadata
-    });
+      logger.info(`Chunk ${i + 1}/${totalChunks} generated ${added.length} ${format.listKey} with source: ${sourceFields.source}`);
 
-    // Diagnostic: Log if this chunk is missing page number
-    if (!chunk.metadata?.pageNumber) {
-      logger.warn(`Chunk ${chunksUsed + 1} missing pageNumber in metadata`, {
-        chunkId: chunk.id,
-        hasMetadata: !!chunk.metadata,
-        metadataKeys: chunk.metadata ? Object.keys(chunk.metadata) : [],
-        fileName: chunk.metadata?.fileName
+      if (onPartial) {
+        onPartial({ chunk: i + 1, totalChunks, items: added });
+      }
+    } catch (error) {
+      logger.error(`Chunk ${i + 1}/${totalChunks} failed`, {
+        error: error.message,
+        chunkSize: chunk.length,
+        stack: error.stack
       });
+      throw new Error(`Failed to generate ${useCase} chunk ${i + 1} of ${totalChunks}: ${error.message}`);
     }
+  }
 
-    chunksUsed++;
-    
-    // Track source references for citations
-    const fileName = chunk.metadata?.fileName || chunk.metadata?.originalFileName || 'Unknown Document';
-    // Prefer displayPageNumber (internal page number) over pageNumber (PDF index)
-    const pageNumber = chunk.metadata?.displayPageNumber || chunk.metadata?.pageNumber || null;
-    const pageRange = chunk.metadata?.pageRange || null;
-    
-    const sourceKey = `${fileName}`;
-    if (!sourceReferences.has(sourceKey)) {
-      sourceReferences.set(sourceKey, {
-        fileName,
-        pages: new Set()
+  const itemsBeforeReduce = merged[format.listKey].length;
+  let data;
+  if (useCase === 'extraction') {
+    data = uniqueBy(merged.items, record => `${normalizeForDedup(record.category)}|${normalizeForDedup(record.field)}|${normalizeForDedup(record.value)}|${normalizeForDedup(record.unit)}`);
+  } else {
+    merged.keyPoints = uniqueBy(merged.keyPoints, point => normalizeForDedup(point.text));
+    merged.sections = uniqueBy(merged.sections, section => normalizeForDedup(section.content));
+    merged.findings = uniqueBy(merged.findings, finding => normalizeForDedup(finding.finding));
+    merged.recommendations = uniqueBy(merged.recommendations, rec => normalizeForDedup(rec.text));
+
+    if (onProgress) {
+      onProgress({
+        step: `composing_${useCase}`,
+        progress: 50,
+        message: `Writing the ${useCase} overview...`
       });
     }
-    
-    // Add page numbers to this source
-    if (pageNumber) {
-      sourceReferences.get(sourceKey).pages.add(pageNumber);
-    }
-    
-    logger.debug(`Added chunk to context`, {
-      fileName,
-      pageNumber,
-      chunkStartChar,
-      chunkEndChar,
-      textLength: text.length
-    });
-  }
+    const { title, overview } = await composeReportOverview(useCase, merged, promptConfig, provider, maxTokensPerChunk, usageTracker);
 
-  if (context.length === 0) {
-    throw new Error('No valid text content found in retrieved chunks');
+    data = useCase === 'summary'
+      ? { title, summary: overview, keyPoints: merged.keyPoints, sections: merged.sections }
+      : { title, overview, findings: merged.findings, recommendations: merged.recommendations };
   }
 
-  // Diagnostic: Summary of page number tracking
-  const chunksWithPageNumbers = chunkPositionMap.filter(m => m.chunk.metadata?.pageNumber).length;
-  logger.info('Context building complete - page tracking summary', {
-    totalChunks: chunksUsed,
-    chunksWithPageNumbers,
-    chunksWithoutPageNumbers: chunksUsed - chunksWithPageNumbers,
-    pageTrackingPercentage: Math.round((chunksWithPageNumbers / chunksUsed) * 100) + '%'
-  });
-
-  if (chunksWithPageNumbers === 0) {
-    logger.error('⚠️ CRITICAL: No chunks have page numbers! Documents may need to be re-ingested with the updated code.');
-  }
+  const itemsAfterReduce = Array.isArray(data) ? data.length : data[format.listKey].length;
+  logger.info(`Chunked ${useCase} generation complete: ${itemsAfterReduce} ${format.listKey} from ${totalChunks} chunks (${itemsBeforeReduce} before removing repeats)`);
 
-  // Build citation text
-  const citations = Array.from(sourceReferences.entries()).map(([key, value]) => {
-    const pages = Array.from(value.pages).sort((a, b) => a - b);
-    if (pages.length > 0) {
-      const pageText = pages.length > 3 
-        ? `Pages ${pages.slice(0, 3).join(', ')}...` 
-        : `Page${pages.length > 1 ? 's' : ''} ${pages.join(', ')}`;
-      return `${value.fileName} (${pageText})`;
+  return {
+    data,
+    metadata: {
+      totalChunks,
+      itemsBeforeReduce,
+      itemsAfterReduce
     }
-    return value.fileName;
-  });
+  };
+};
 
-  logger.info(`Context built: ${context.length} characters from ${chunksUsed} of ${relevantChunks.length} chunks from ${citations.length} source(s)`, {
-    sources: citations
-  });
+/**
+ * Generate items for a custom use case using chunked generation (multiple requests)
+ * Each response is validated against the use case's item schema and repaired like the built-in use cases;
+ * fields that still fail are flagged on the item
+ * @param {Object} definition - Custom use case definition from useCaseRegistry
+ * @param {Array<Object>} contextChunks - Array of context chunks
+ * @param {Object} promptConfig - Prompt configuration
+ * @param {string} llmProvider - Registered LLM provider name
+ * @param {Function} onProgress - Optional progress callback
+ * @param {Object} [usageTracker] - Token usage tracker from tokenBudgetService.createUsageTracker()
+ * @param {Function} [onPartial] - Optional callback receiving { chunk, totalChunks, items } after each chunk
+ * @param {Object} [validationTracker] - Tracker from structuredOutputService.createValidationTracker()
+ * @returns {Promise<Object>} { data, metadata: { totalChunks, itemsBeforeReduce, itemsAfterReduce } }
+ */
+const generateCustomChunked = async (definition, contextChunks, promptConfig, llmProvider, onProgress, usageTracker = null, onPartial = null, validationTracker = null) => {
+  const items = [];
+  const totalChunks = contextChunks.length;
+  const provider = llmProviderRegistry.getProvider(llmProvider);
+  const maxTokensPerChunk = tokenBudgetService.getOutputTokensPerCall(provider);
+  const example = JSON.stringify([useCaseRegistry.buildExampleItem(definition.itemSchema)]);
+  const required = definition.itemSchema.required || [];
+  const enumConstraints = Object.entries(definition.itemSchema.properties)
+    .filter(([, property]) => Array.isArray(property?.enum))
+    .map(([field, property]) => `\n- ${field} must be one of: ${property.enum.join(', ')}`)
+    .join('');
 
-  // Step 4: Get prompt template based on use case from prompt library
-  // Use promptId parameter to select specific prompt from library
-  logger.info(`Getting prompt template for use case: ${useCase}${promptId ? `, promptId: ${promptId}` : ' (using active prompt)'}`);
-  let promptConfig;
+  for (let i = 0; i < contextChunks.length; i++) {
+    const chunkObj = contextChunks[i];
+    const chunk = typeof chunkObj === 'string' ? chunkObj : chunkObj.text;
+    const sourceInfo = chunkObj.source || { fileName: 'Unknown', pageNumber: null };
+    const sourceFields = {
+      source: sourceInfo.pageNumber
+        ? `${sourceInfo.fileName}, Page ${sourceInfo.pageRange || sourceInfo.pageNumber}`
+        : sourceInfo.fileName,
+      sourceFile: sourceInfo.fileName,
+      sourcePage: sourceInfo.pageNumber || null
+    };
 
-  try {
-    // Load from prompt library service (supports multiple prompts per use case)
-    const selectedPrompt = await getPrompt(useCase, promptId);
+    logger.info(`Generating ${definition.id} chunk ${i + 1}/${totalChunks} (chunk size: ${chunk.length} chars)...`);
 
-    if (selectedPrompt) {
-      // Replace {context} placeholder with actual context
-      const userPrompt = selectedPrompt.userTemplate.replace('{context}', context);
-      promptConfig = {
-        system: selectedPrompt.system,
-        user: userPrompt
+    if (onProgress) {
+      onProgress({
+        step: `generating_${definition.id}_chunk_${i + 1}`,
+        progress: Math.round((i / totalChunks) * 40 + 10), // 10-50% range
+        message: `Generating ${definition.name} section ${i + 1} of ${totalChunks}...`
+      });
+    }
+
+    try {
+      const { data: candidates, errors } = await structuredOutputService.invokeWithRepair(
+        provider,
+        promptConfig.system + `\n\nCRITICAL CONSTRAINTS:\n- Maximum 8 items in response\n- Every item is an object with exactly these fields: ${Object.keys(definition.itemSchema.properties).join(', ')}${required.length > 0 ? ` (required: ${required.join(', ')})` : ''}${enumConstraints}\n- Return ONLY the JSON array, no explanations\n- Example: ${example}`,
+        promptConfig.user.replace('{context}', () => chunk),
+        {
+          temperature: 0.3,
+          maxTokens: maxTokensPerChunk,
+          jsonMode: provider.capabilities.jsonMode,
+          responseShape: 'array',
+          onUsage: usageTracker?.record
+        },
+        getResponseSchema(definition.id, definition),
+        {
+          normalize: (chunkData) => (Array.isArray(chunkData) ? chunkData : (chunkData?.items || chunkData?.data || [])),
+          validationTracker,
+          label: `${definition.id} chunk ${i + 1}`
+        }
+      );
+
+      // Validated before the source fields are attached, so schemas may forbid additional properties
+      const added = citeSourceSpans(flagInvalidEntries(candidates.slice(0, 8), errors, '', validationTracker)
+        .filter(candidate => candidate && typeof candidate === 'object' && !Array.isArray(candidate))
+        .map(candidate => ({ ...candidate, ...sourceFields })), chunkObj, candidate => Object.keys(definition.itemSchema.properties)
+        .map(property => candidate[property])
+        .filter(value => typeof value === 'string' || typeof value === 'number')
+        .join(' '));
+      items.push(...added);
+
+      logger.info(`Chunk ${i + 1}/${totalChunks} generated ${added.length} ${definition.id} items (${added.filter(item => item.validationIssues).length} flagged) with source: ${sourceFields.source}`);
+
+      if (onPartial) {
+        onPartial({ chunk: i + 1, totalChunks, items: added });
+      }
+    } catch (error) {
+      logger.error(`Chunk ${i + 1}/${totalChunks} failed`, {
+        error: error.message,
+        chunkSize: chunk.length,
+        stack: error.stack
+      });
+      throw new Error(`Failed to generate ${definition.id} chunk ${i + 1} of ${totalChunks}: ${error.message}`);
+    }
+  }
+
+  if (items.length === 0) {
+    throw new Error(`AI returned no ${definition.name} items. The documents may not contain matching information; check the prompt template and item schema.`);
+  }
+
+  const properties = Object.keys(definition.itemSchema.properties);
+  const data = uniqueBy(items, item => properties.map(property => normalizeForDedup(JSON.stringify(item[property] ?? ''))).join('|'));
+
+  logger.info(`Chunked ${definition.id} generation complete: ${data.length} items from ${totalChunks} chunks (${items.length} before removing repeats)`);
+
+  return {
+    data,
+    metadata: {
+      totalChunks,
+      itemsBeforeReduce: items.length,
+      itemsAfterReduce: data.length
+    }
+  };
+};
+
+/**
+ * Resolve the system/user prompt pair for a use case
+ * Pass the literal '{context}' as context to keep the placeholder for per-batch substitution
+ * @param {string} useCase - Use case type
+ * @param {string|null} promptId - Specific prompt ID, defaults to the active prompt
+ * @param {string} context - Context to substitute into the user template
+ * @param {Object} [customUseCase] - Custom use case definition (its prompt is the fallback)
+ * @returns {Promise<Object>} Prompt configuration { system, user, prompt } where prompt describes the prompt used:
+ *   { id, name, version, source } with source 'library', 'useCase' (a custom use case's own prompt) or 'default'
+ */
+const buildPromptConfig = async (useCase, promptId, context, customUseCase = null) => {
+  logger.info(`Getting prompt template for use case: ${useCase}${promptId ? `, promptId: ${promptId}` : ' (using active prompt)'}`);
+
+  const defaultPromptConfig = () => {
+    if (customUseCase) {
+      return {
+        system: customUseCase.prompt.system,
+        user: customUseCase.prompt.userTemplate.replace('{context}', () => context),
+        prompt: { id: null, name: customUseCase.name || useCase, version: null, source: 'useCase' }
       };
+    }
+    const prompt = { id: null, name: null, version: null, source: 'default' };
+    if (useCase === 'checksheet') {
+      return { ...generateChecksheetPrompt(context), prompt };
+    } else if (useCase === 'workInstructions') {
+      return { ...generateWorkInstructionsPrompt(context), prompt };
+    }
+    return { ...generateUseCasePrompt(useCase, context), prompt };
+  };
+
+  try {
+    // Load from prompt library service (supports multiple prompts per use case)
+    const selectedPrompt = await getPrompt(useCase, promptId);
+
+    if (selectedPrompt) {
       logger.info('Using prompt from library', {
         useCase,
         promptId: selectedPrompt.id,
         promptName: selectedPrompt.name
       });
-    } else {
-      // Fallback to default prompts
-      if (useCase === 'checksheet') {
-        promptConfig = generateChecksheetPrompt(context);
-      } else if (useCase === 'workInstructions') {
-        promptConfig = generateWorkInstructionsPrompt(context);
-      } else {
-        throw new Error(`Invalid use case: ${useCase}`);
-      }
-      logger.info('Using default prompt for use case', { useCase });
+      // Replace {context} placeholder with actual context
+      return {
+        system: selectedPrompt.system,
+        user: selectedPrompt.userTemplate.replace('{context}', () => context),
+        prompt: {
+          id: selectedPrompt.id,
+          name: selectedPrompt.name || null,
+          version: selectedPrompt.version || null,
+          source: 'library'
+        }
+      };
     }
+
+    logger.info('Using default prompt for use case', { useCase });
+    return defaultPromptConfig();
   } catch (error) {
     logger.warn('Error loading prompt from library, using defaults', error);
-    // Fallback to default prompts
-    if (useCase === 'checksheet') {
-      promptConfig = generateChecksheetPrompt(context);
-    } else if (useCase === 'workInstructions') {
-      promptConfig = generateWorkInstructionsPrompt(context);
-    } else {
-      throw new Error(`Invalid use case: ${useCase}`);
-    }
+    return defaultPromptConfig();
   }
+};
 
-  // Step 5: Invoke AI model and parse JSON response
-  // Use chunked generation (7+ requests) to avoid token limit errors
-  // More chunks = smaller responses per chunk = less likely to exceed token limit
-  logger.info(`Invoking ${llmProvider} with chunked generation...`);
-  let parsedData;
-
-  // Split context into many small chunks (15+ chunks, ~300 chars each)
-  // More chunks = smaller responses = less chance of exceeding token limit
-  // Pass chunk position map to preserve lineage
-  const contextSize = context.length;
-  const targetChunkSize = 300; // Very small chunks (~300 chars each)
-  const contextChunks = splitContextIntoChunks(context, chunkPositionMap, targetChunkSize);
-  logger.info(`Using ${contextChunks.length} chunks for generation (context size: ${contextSize} chars, target: ~${targetChunkSize} chars per chunk, from ${chunksUsed} source chunks)`);
-
-  // Use chunked generation for both checksheet and work instructions
-  let generationMetadata = {};
-  if (useCase === 'checksheet') {
-    const result = await generateChecksheetChunked(contextChunks, promptConfig, llmProvider, onProgress);
-    parsedData = result.items || result; // Handle both old and new format
-    generationMetadata = result.metadata || {};
-  } else if (useCase === 'workInstructions') {
-    parsedData = await generateWorkInstructionsChunked(contextChunks, promptConfig, llmProvider, onProgress);
-  } else {
-    throw new Error(`Invalid use case: ${useCase}`);
+/**
+ * Get the source reference a chunk is tracked under, creating it on first use
+ * Revisions of a manual often share a file name, so each revision is its own source
+ * @param {Map<string, Object>} sourceReferences - Map of source key => { fileName, revision, pages: Set, sections: Set }
+ * @param {Object} chunk - Chunk with metadata
+ * @param {Map<string, Object>} revisionsByFileId - Resolved revisions of the requested documents, by file ID
+ * @returns {Object} Source reference of the chunk's document
+ */
+const sourceReferenceOf = (sourceReferences, chunk, revisionsByFileId) => {
+  const fileName = chunk.metadata?.fileName || chunk.metadata?.originalFileName || 'Unknown Document';
+  // Chunks ingested before revisions were stamped get the revision from the document's status record
+  const revision = chunk.metadata?.revision || revisionsByFileId.get(chunk.metadata?.fileId)?.revision || null;
+  const sourceKey = revision ? `${fileName}|${revision}` : fileName;
+  if (!sourceReferences.has(sourceKey)) {
+    sourceReferences.set(sourceKey, { fileName, revision, pages: new Set(), sections: new Set() });
   }
+  return sourceReferences.get(sourceKey);
+};
 
-  // Log detailed response info
-  logger.info('AI response received and parsed successfully', {
-    llmProvider,
-    dataType: Array.isArray(parsedData) ? 'array' : 'object',
-    dataKeys: Array.isArray(parsedData) ? `array[${parsedData.length}]` : Object.keys(parsedData).join(', ')
+/**
+ * Format tracked sources as citation strings, e.g. "manual.pdf, Rev B (Pages 3, 4, 7...; Sections 5.3 Hydraulics, 5.4 Pneumatics)"
+ * @param {Map<string, Object>} sourceReferences - Map of source key => { fileName, revision, pages: Set, sections: Set }
+ * @returns {Array<string>} Citation strings
+ */
+const formatCitations = (sourceReferences) => {
+  return Array.from(sourceReferences.values()).map(value => {
+    const pages = Array.from(value.pages).sort((a, b) => a - b);
+    const sections = Array.from(value.sections || []);
+    const parts = [];
+    if (pages.length > 0) {
+      parts.push(pages.length > 3 
+        ? `Pages ${pages.slice(0, 3).join(', ')}...` 
+        : `Page${pages.length > 1 ? 's' : ''} ${pages.join(', ')}`);
+    }
+    if (sections.length > 0) {
+      parts.push(sections.length > 3
+        ? `Sections ${sections.slice(0, 3).join(', ')}...`
+        : `Section${sections.length > 1 ? 's' : ''} ${sections.join(', ')}`);
+    }
+    const source = value.revision ? `${value.fileName}, ${value.revision}` : value.fileName;
+    return parts.length > 0 ? `${source} (${parts.join('; ')})` : source;
   });
+};
 
-  // Validate content based on use case
+/**
+ * Throw if the model returned no usable content for the use case
+ * @param {string} useCase - Use case type
+ * @param {Object|Array} parsedData - Generated content (work instructions get a default title if missing)
+ */
+const validateGeneratedContent = (useCase, parsedData) => {
   if (useCase === 'workInstructions') {
     logger.info('Validating work instructions content', {
       hasTitle: !!parsedData.title,
@@ -834,6 +1194,35 @@ export const handleGenerate = async ({ useCase, documentIds, queryText, llmProvi
     }
   }
 
+  if (useCase === 'summary' || useCase === 'analysis') {
+    const entries = useCase === 'summary'
+      ? [...(parsedData.keyPoints || []), ...(parsedData.sections || [])]
+      : [...(parsedData.findings || []), ...(parsedData.recommendations || [])];
+    logger.info(`Validating ${useCase} content`, {
+      entryCount: entries.length
+    });
+
+    if (entries.length === 0) {
+      logger.error(`AI returned empty ${useCase}`, {
+        parsedDataSample: JSON.stringify(parsedData).substring(0, 500)
+      });
+      throw new Error(`AI returned empty ${useCase}. The selected documents may not contain readable text, or try a different prompt style.`);
+    }
+  }
+
+  if (useCase === 'extraction') {
+    logger.info('Validating extraction content', {
+      recordCount: parsedData.length
+    });
+
+    if (parsedData.length === 0) {
+      logger.error('AI returned no extracted records', {
+        parsedDataSample: JSON.stringify(parsedData).substring(0, 500)
+      });
+      throw new Error('AI returned no extracted records. The documents may not contain specifications, values or other structured data. Try a different prompt style.');
+    }
+  }
+
   if (useCase === 'checksheet') {
     const items = Array.isArray(parsedData) ? parsedData : (parsedData.items || parsedData.data || []);
     logger.info('Validating checksheet content', {
@@ -847,6 +1236,681 @@ export const handleGenerate = async ({ useCase, documentIds, queryText, llmProvi
       throw new Error('AI returned empty checksheet. The documents may not contain inspection or maintenance information. Try uploading maintenance manuals or inspection guides, or select a different prompt style.');
     }
   }
+};
+
+/**
+ * Normalize text for duplicate detection (case, punctuation and whitespace insensitive)
+ * @param {string} text - Text to normalize
+ * @returns {string} Normalized text
+ */
+const normalizeForDedup = (text) => {
+  return String(text || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+};
+
+/**
+ * Get the number of chunks a document was ingested with, from its status record
+ * @param {string} fileId - File ID
+ * @returns {Promise<number|null>} Chunk count, or null if it is not recorded
+ */
+const ingestedChunkCount = async (fileId) => {
+  try {
+    const status = await ingestionStatusService.getStatus(fileId);
+    return typeof status?.chunksProcessed === 'number' ? status.chunksProcessed : null;
+  } catch (statusError) {
+    logger.warn('Failed to get the ingested chunk count', { fileId, error: statusError.message });
+    return null;
+  }
+};
+
+/**
+ * Load every ingested chunk of the selected documents in document order
+ * Prefers the keyword index (full chunk text); falls back to the vector store,
+ * where Pinecone only keeps a 300-character text preview per chunk and at most MAX_DOCUMENT_CHUNKS are read
+ * @param {Array<string>} documentIds - Document IDs
+ * @returns {Promise<Object>} { chunks, truncated } where chunks are normalized { id, text, metadata } and truncated
+ *   lists the documents cut off at MAX_DOCUMENT_CHUNKS as { fileId, chunksLoaded, totalChunks } (totalChunks is
+ *   null if the document's chunk count is not recorded)
+ */
+const loadDocumentChunks = async (documentIds) => {
+  const allChunks = [];
+  const truncated = [];
+
+  for (const fileId of documentIds) {
+    let chunks = [];
+    let origin = 'keyword index';
+
+    try {
+      const index = await keywordIndexService.loadIndex(fileId);
+      chunks = index ? index.chunks.map(({ id, text, metadata }) => ({ id, text, metadata })) : [];
+    } catch (indexError) {
+      logger.warn('Failed to load keyword index, reading chunks from the vector store', { fileId, error: indexError.message });
+    }
+
+    if (chunks.length === 0) {
+      const vectorStore = vectorStoreFactory.getStore();
+      origin = vectorStore.name;
+      // One chunk over the limit tells a document that was cut off from one that fits exactly
+      chunks = await vectorStore.getChunksByFileId(fileId, MAX_DOCUMENT_CHUNKS + 1);
+      if (chunks.length > MAX_DOCUMENT_CHUNKS) {
+        chunks = chunks.slice(0, MAX_DOCUMENT_CHUNKS);
+        const totalChunks = await ingestedChunkCount(fileId);
+        truncated.push({ fileId, chunksLoaded: chunks.length, totalChunks });
+        logger.warn(`Document has more than ${MAX_DOCUMENT_CHUNKS} chunks, generating from the first ${MAX_DOCUMENT_CHUNKS} only`, { fileId, totalChunks });
+      }
+      if (vectorStore.name === 'pinecone' || vectorStore.nativeStore?.name === 'pinecone') {
+        logger.warn('Pinecone only stores a text preview per chunk; re-ingest the document to build a keyword index with full text', { fileId });
+      }
+    }
+
+    chunks.sort((a, b) => (a.metadata?.chunkIndex ?? 0) - (b.metadata?.chunkIndex ?? 0));
+    logger.info(`Loaded ${chunks.length} chunks for document ${fileId} from ${origin}`);
+    allChunks.push(...chunks);
+  }
+
+  return { chunks: allChunks, truncated };
+};
+
+/**
+ * Group document chunks into batches of whole chunks for the map step
+ * @param {Array<Object>} chunks - Chunks in document order
+ * @param {number} batchChars - Target batch size in characters
+ * @returns {Array<Object>} Batches { text, source, chunks, segments } in the same shape as splitContextIntoChunks output
+ */
+const buildDocumentBatches = (chunks, batchChars) => {
+  const batches = [];
+  let current = [];
+  let currentLength = 0;
+
+  const flush = () => {
+    if (current.length === 0) {
+      return;
+    }
+
+    const first = current[0].metadata || {};
+    const last = current[current.length - 1].metadata || {};
+    const fileName = first.fileName || first.originalFileName || 'Unknown Document';
+    const firstPage = first.displayPageNumber || first.pageNumber || null;
+    const lastPage = last.displayPageNumber || last.pageNumber || null;
+    // Batches may span documents; cite the page range only when it stays within one file
+    const sameFile = current.every(chunk => (chunk.metadata?.fileName || chunk.metadata?.originalFileName || 'Unknown Document') === fileName);
+
+    // Where each chunk starts in the batch text, for line-level citations
+    let offset = 0;
+    const segments = current.map(chunk => {
+      const text = chunk.text.trim();
+      const segment = { offset, chunkOffset: 0, text, metadata: chunk.metadata || {} };
+      offset += text.length + 2;
+      return segment;
+    });
+
+    batches.push({
+      text: current.map(chunk => chunk.text.trim()).join('\n\n'),
+      source: {
+        fileName,
+        pageNumber: firstPage,
+        internalPageNumber: first.internalPageNumber || null,
+        pageRange: firstPage && lastPage && lastPage !== firstPage && sameFile ? `${firstPage}-${lastPage}` : (firstPage ? `${firstPage}` : null)
+      },
+      chunks: current,
+      segments
+    });
+    current = [];
+    currentLength = 0;
+  };
+
+  for (const chunk of chunks) {
+    const text = (chunk.text || '').trim();
+    if (text.length === 0) continue;
+
+    if (currentLength > 0 && currentLength + text.length > batchChars) {
+      flush();
+    }
+    current.push(chunk);
+    currentLength += text.length + 2;
+  }
+  flush();
+
+  return batches;
+};
+
+/**
+ * Reduce step for work instructions: drop repeated steps and renumber the procedure
+ * (prerequisites, warnings and checklist are already deduplicated by generateWorkInstructionsChunked)
+ * @param {Object} workInstructions - Merged work instructions
+ * @returns {Object} Work instructions with unique, sequential steps
+ */
+const reduceWorkInstructions = (workInstructions) => {
+  const seen = new Set();
+  const steps = (workInstructions.steps || []).filter(step => {
+    const key = `${normalizeForDedup(step.title)}|${normalizeForDedup(step.description)}`;
+    if (seen.has(key)) {
+      return false;
+    }
+    seen.add(key);
+    return true;
+  });
+
+  return {
+    ...workInstructions,
+    steps: steps.map((step, index) => ({ ...step, stepNumber: index + 1 }))
+  };
+};
+
+/**
+ * Map-reduce generation over every ingested chunk of the selected documents
+ * Map: extract items/steps per batch of chunks; reduce: merge and deduplicate into one result
+ * @param {Object} params - Same parameters as handleGenerate (retrieval options are ignored), with the resolved revisions
+ * @returns {Promise<Object>} Generated content and metadata (same shape as handleGenerate)
+ */
+const generateFromFullDocument = async ({ useCase, customUseCase, documentIds, llmProvider, promptId, section = null, revisions = [], onProgress, onPartial, startTime }) => {
+  if (onProgress) {
+    onProgress({
+      step: 'loading_document_chunks',
+      progress: 5,
+      message: `Loading all chunks of ${documentIds.length} document(s)...`
+    });
+  }
+
+  const { chunks: documentChunks, truncated } = await loadDocumentChunks(documentIds);
+  if (documentChunks.length === 0) {
+    throw new Error(`No chunks found for document IDs: ${documentIds.join(', ')}. Make sure documents have been ingested.`);
+  }
+  const chunks = filterBySection(documentChunks, section);
+  if (chunks.length === 0) {
+    throw new Error(`No chunks found in section "${section}" of document IDs: ${documentIds.join(', ')}. Documents ingested before section tagging need to be re-ingested.`);
+  }
+
+  // Grow the batch size rather than skip chunks when a document would need more than the batch cap
+  const totalChars = chunks.reduce((sum, chunk) => sum + (chunk.text || '').length, 0);
+  const configuredBatchChars = parseInt(process.env.FULL_DOCUMENT_BATCH_CHARS) || 6000;
+  const maxBatches = parseInt(process.env.FULL_DOCUMENT_MAX_BATCHES) || 40;
+  const batchChars = Math.max(configuredBatchChars, Math.ceil(totalChars / maxBatches));
+  if (batchChars > configuredBatchChars) {
+    logger.warn(`Document needs more than ${maxBatches} batches at ${configuredBatchChars} chars, using ${batchChars} chars per batch`);
+  }
+
+  const batches = buildDocumentBatches(chunks, batchChars);
+  logger.info(`Full-document generation: ${chunks.length} chunks (${totalChars} chars) in ${batches.length} batches`, {
+    useCase,
+    llmProvider,
+    batchChars
+  });
+
+  // Keep the {context} placeholder so the chunked generators substitute each batch
+  const promptConfig = await buildPromptConfig(useCase, promptId, '{context}', customUseCase);
+  const usageTracker = tokenBudgetService.createUsageTracker();
+  const validationTracker = structuredOutputService.createValidationTracker();
+  const groundingTracker = groundingService.createGroundingTracker();
+
+  // Map step: the chunked generators run one extraction per batch and report progress per batch
+  let parsedData;
+  let itemsBeforeReduce;
+  let deduplication = null;
+  if (useCase === 'checksheet') {
+    const result = await generateChecksheetChunked(batches, promptConfig, llmProvider, onProgress, usageTracker, onPartial, validationTracker, groundingTracker);
+    itemsBeforeReduce = result.items.length;
+    const deduped = await deduplicationService.dedupeChecksheetItems(result.items);
+    parsedData = deduped.items;
+    deduplication = deduped.metadata;
+  } else if (useCase === 'workInstructions') {
+    const result = await generateWorkInstructionsChunked(batches, promptConfig, llmProvider, onProgress, usageTracker, onPartial, validationTracker, groundingTracker);
+    itemsBeforeReduce = result.steps.length;
+    parsedData = reduceWorkInstructions(result);
+  } else if (isReportUseCase(useCase)) {
+    const result = await generateReportChunked(useCase, batches, promptConfig, llmProvider, onProgress, usageTracker, onPartial, validationTracker);
+    itemsBeforeReduce = result.metadata.itemsBeforeReduce;
+    parsedData = result.data;
+  } else if (customUseCase) {
+    const result = await generateCustomChunked(customUseCase, batches, promptConfig, llmProvider, onProgress, usageTracker, onPartial, validationTracker);
+    itemsBeforeReduce = result.metadata.itemsBeforeReduce;
+    parsedData = result.data;
+  } else {
+    throw new Error(`Invalid use case: ${useCase}`);
+  }
+
+  const itemsAfterReduce = Array.isArray(parsedData)
+    ? parsedData.length
+    : (parsedData.steps || parsedData.keyPoints || parsedData.findings).length;
+  logger.info(`Reduce step merged ${itemsBeforeReduce} ${REPORT_SLICE_FORMATS[useCase]?.listKey || (useCase === 'workInstructions' ? 'steps' : 'items')} into ${itemsAfterReduce}`);
+
+  validateGeneratedContent(useCase, parsedData);
+
+  // Every chunk that was read is a source
+  const sourceReferences = new Map();
+  const revisionsByFileId = new Map(revisions.map(revision => [revision.fileId, revision]));
+  for (const chunk of chunks) {
+    const sourceReference = sourceReferenceOf(sourceReferences, chunk, revisionsByFileId);
+    const pageNumber = chunk.metadata?.displayPageNumber || chunk.metadata?.pageNumber || null;
+    const sectionTitle = sectionTitleOf(chunk.metadata?.sectionPath);
+    if (pageNumber) {
+      sourceReference.pages.add(pageNumber);
+    }
+    if (sectionTitle) {
+      sourceReference.sections.add(sectionTitle);
+    }
+  }
+  const citations = formatCitations(sourceReferences);
+
+  const processingTime = ((Date.now() - startTime) / 1000).toFixed(2);
+  logger.info('Content validation passed', { useCase, mode: 'fullDocument', processingTime: `${processingTime}s` });
+
+  return {
+    useCase,
+    documentIds,
+    llmProvider,
+    data: parsedData,
+    chunksUsed: chunks.length,
+    contextLength: totalChars,
+    status: 'success',
+    message: truncated.length > 0
+      ? `${useCase} generated from the first ${MAX_DOCUMENT_CHUNKS} chunks of ${truncated.length} document(s) too large to read in full using ${llmProvider}`
+      : `${useCase} generated successfully from the full document using ${llmProvider}`,
+    processingTime: `${processingTime}s`,
+    metadata: {
+      sources: citations,
+      citationText: citations.length > 0 ? `\n\nSource References:\n${citations.map((c, i) => `${i + 1}. ${c}`).join('\n')}` : '',
+      retrieval: {
+        mode: 'fullDocument',
+        chunksProcessed: chunks.length,
+        ...(section && { section, documentChunks: documentChunks.length }),
+        batches: batches.length,
+        batchChars,
+        // Documents cut off at MAX_DOCUMENT_CHUNKS were not covered in full
+        truncated: truncated.length > 0,
+        ...(truncated.length > 0 && {
+          totalChunks: truncated.some(document => document.totalChunks === null)
+            ? null
+            : documentChunks.length + truncated.reduce((sum, document) => sum + document.totalChunks - document.chunksLoaded, 0),
+          truncatedDocuments: truncated
+        })
+      },
+      mapReduce: {
+        batches: batches.length,
+        itemsBeforeReduce,
+        itemsAfterReduce
+      },
+      tokenUsage: usageTracker.summary(),
+      schemaValidation: validationTracker.summary(),
+      ...(GROUNDED_USE_CASES.includes(useCase) && { grounding: groundingTracker.summary() }),
+      ...(deduplication && { deduplication }),
+      ...(revisions.length > 0 && { revisions }),
+      model: llmProviderRegistry.getModelName(llmProvider),
+      prompt: promptConfig.prompt
+    }
+  };
+};
+
+/**
+ * Down-weight retrieved chunks from OCR-recognized pages by their OCR confidence and re-rank them
+ * Scores are only compared within one list, so scaling works for vector, fused and rerank scores alike
+ * @param {Array<Object>} chunks - Retrieved chunks in ranking order ({ score, metadata })
+ * @returns {Object} { chunks, ocr } where ocr is null if no chunk came from OCR,
+ *   otherwise { chunks, averageConfidence } of the OCR chunks
+ */
+const weightByOcrConfidence = (chunks) => {
+  const confidences = chunks
+    .map(chunk => chunk.metadata?.ocrConfidence)
+    .filter(confidence => typeof confidence === 'number');
+  if (confidences.length === 0) {
+    return { chunks, ocr: null };
+  }
+
+  // Stable sort: ties keep their retrieval order
+  const weighted = chunks
+    .map((chunk, index) => {
+      const score = chunk.score ?? 0;
+      const weight = ocrService.confidenceWeight(chunk.metadata?.ocrConfidence);
+      // Negative scores (e.g. cosine) must move down too
+      return { chunk, index, score: score >= 0 ? score * weight : score / weight };
+    })
+    .sort((a, b) => b.score - a.score || a.index - b.index)
+    .map(({ chunk, score }) => ({ ...chunk, score }));
+
+  return {
+    chunks: weighted,
+    ocr: {
+      chunks: confidences.length,
+      averageConfidence: Math.round((confidences.reduce((sum, confidence) => sum + confidence, 0) / confidences.length) * 100) / 100
+    }
+  };
+};
+
+/**
+ * Generate AI content from documents
+ * @param {Object} params - Generation parameters
+ * @param {string} params.useCase - Use case type ('checksheet', 'workInstructions', 'summary', 'analysis', 'extraction' or a registered custom use case ID)
+ * @param {Array<string>} params.documentIds - Array of document UUIDs
+ * @param {string} [params.queryText] - Optional query text for better relevance
+ * @param {string} [params.llmProvider] - Registered LLM provider name (e.g. 'gemini', 'bedrock', 'openai', 'ollama'), defaults to LLM_PROVIDER
+ * @param {string} [params.promptId] - Specific prompt ID to use, defaults to active prompt
+ * @param {number} [params.keywordWeight] - Weight of BM25 keyword results in hybrid retrieval (0 = vector only, 1 = keyword only), defaults to HYBRID_KEYWORD_WEIGHT
+ * @param {string|boolean} [params.rerank] - Rerank strategy ('lexical', 'llm', 'none'; true = default scorer), defaults to RERANK_STRATEGY
+ * @param {string} [params.mode] - 'retrieval' (top chunks only, default) or 'fullDocument' (map-reduce over every chunk)
+ * @param {string} [params.section] - Only use chunks within this chapter/section: a number ("5.3"), title ("Hydraulics") or path prefix ("5 Maintenance > 5.3 Hydraulics")
+ * @param {boolean} [params.pinRevisions] - Use the requested revisions of a manual as given instead of its latest revision
+ * @param {Function} [params.onProgress] - Optional progress callback function
+ * @param {Function} [params.onPartial] - Optional callback receiving the items/steps generated from each context slice (for streaming)
+ * @returns {Promise<Object>} Generated content and metadata
+ */
+export const handleGenerate = async ({ useCase, documentIds, queryText, llmProvider = null, promptId = null, keywordWeight = null, rerank = null, mode = 'retrieval', section = null, pinRevisions = false, onProgress = null, onPartial = null }) => {
+  // Resolve the provider up front so an unknown name fails before any retrieval work
+  llmProvider = (llmProvider || llmProviderRegistry.getDefaultProviderName()).toLowerCase();
+  const provider = llmProviderRegistry.getProvider(llmProvider);
+  logger.info(`Using LLM provider: ${llmProvider}`, { capabilities: provider.capabilities });
+  const startTime = Date.now();
+
+  // Custom use cases carry their own item schema, prompt and output mapping
+  const customUseCase = await useCaseRegistry.getUseCase(useCase);
+  if (!customUseCase && !useCaseRegistry.isBuiltIn(useCase)) {
+    throw new Error(`Invalid use case: ${useCase}`);
+  }
+
+  const sectionFilter = typeof section === 'string' && section.trim().length > 0 ? section.trim() : null;
+
+  // Documents of a manual resolve to its latest revision unless the request pins the revisions it names
+  let revisions = [];
+  try {
+    ({ documentIds, revisions } = await manualRevisionService.resolveDocumentRevisions(documentIds, { pinRevisions }));
+  } catch (revisionError) {
+    logger.warn('Failed to resolve document revisions, using the requested documents', { error: revisionError.message });
+  }
+  const revisionsByFileId = new Map(revisions.map(revision => [revision.fileId, revision]));
+
+  if (mode === 'fullDocument') {
+    return generateFromFullDocument({ useCase, customUseCase, documentIds, llmProvider, promptId, section: sectionFilter, revisions, onProgress, onPartial, startTime });
+  }
+
+  // Step 1: Generate query embedding (optional)
+  // Use RETRIEVAL_QUERY task type for queries (optimized for search)
+  let queryEmbedding = null;
+  if (queryText && typeof queryText === 'string' && queryText.trim().length > 0) {
+    try {
+      logger.info('Generating query embedding...');
+      queryEmbedding = await embeddingService.generateEmbedding(queryText.trim(), 'RETRIEVAL_QUERY');
+      logger.info('Query embedding generated');
+    } catch (embeddingError) {
+      logger.warn('Failed to generate query embedding, using metadata filter only', embeddingError);
+      // Continue without query embedding - will use metadata filter
+    }
+  }
+
+  // Step 2: Query vector database for relevant chunks
+  // The context itself is limited by the token budget in Step 4
+  const topK = 10; // Number of results to return
+
+  // Hybrid retrieval: fuse vector hits with BM25 keyword hits when there is a query to match
+  const hasQuery = typeof queryText === 'string' && queryText.trim().length > 0;
+  const envKeywordWeight = parseFloat(process.env.HYBRID_KEYWORD_WEIGHT);
+  const resolvedKeywordWeight = keywordWeight ?? (Number.isFinite(envKeywordWeight) ? envKeywordWeight : 0.3);
+  const useHybrid = hasQuery && resolvedKeywordWeight > 0;
+
+  // Optional reranking: retrieve a larger candidate set, rescore it, then keep the best topK
+  const rerankStrategy = rerankService.resolveStrategy(rerank);
+  const useRerank = rerankStrategy !== 'none';
+  const candidateCount = useRerank
+    ? Math.max(topK, rerankService.defaultCandidates)
+    : (useHybrid ? topK * 2 : topK);
+
+  // Stores cannot filter on part of a section path, so a section filter is applied to a larger candidate set.
+  // Without a query there is nothing to rank by: the section's chunks are read in document order instead
+  const vectorStore = vectorStoreFactory.getStore();
+  let vectorChunks;
+  if (sectionFilter && !hasQuery) {
+    logger.info(`Loading the chunks of section "${sectionFilter}"...`);
+    vectorChunks = filterBySection((await loadDocumentChunks(documentIds)).chunks, sectionFilter).slice(0, candidateCount);
+  } else {
+    logger.info(`Querying ${vectorStore.name} for relevant chunks...`);
+    vectorChunks = filterBySection(await vectorStore.query(documentIds, {
+      queryText: queryText || null,
+      queryEmbedding,
+      topK: sectionFilter ? candidateCount * SECTION_CANDIDATE_FACTOR : candidateCount
+    }), sectionFilter).slice(0, candidateCount);
+  }
+
+  let relevantChunks = vectorChunks;
+  const retrievalMetadata = { mode: 'vector', vectorStore: vectorStore.name, ...(sectionFilter && { section: sectionFilter }) };
+  if (useHybrid) {
+    let keywordChunks = [];
+    try {
+      keywordChunks = filterBySection(
+        await keywordIndexService.search(documentIds, queryText, sectionFilter ? candidateCount * SECTION_CANDIDATE_FACTOR : candidateCount),
+        sectionFilter
+      ).slice(0, candidateCount);
+    } catch (keywordError) {
+      logger.warn('Keyword search failed, using vector results only', keywordError);
+    }
+
+    relevantChunks = reciprocalRankFusion([
+      { name: 'vector', results: vectorChunks, weight: 1 - resolvedKeywordWeight },
+      { name: 'keyword', results: keywordChunks, weight: resolvedKeywordWeight }
+    ], { topK: useRerank ? candidateCount : topK });
+
+    Object.assign(retrievalMetadata, {
+      mode: 'hybrid',
+      keywordWeight: resolvedKeywordWeight,
+      vectorHits: vectorChunks.length,
+      keywordHits: keywordChunks.length
+    });
+    logger.info('Fused vector and keyword results', retrievalMetadata);
+  }
+
+  if (useRerank && relevantChunks.length > 0) {
+    if (onProgress) {
+      onProgress({
+        step: 'reranking_chunks',
+        progress: 8,
+        message: `Reranking ${relevantChunks.length} retrieved passages...`
+      });
+    }
+
+    const reranked = await rerankService.rerank(relevantChunks, {
+      strategy: rerankStrategy,
+      queryText,
+      useCase,
+      topK,
+      llmProvider
+    });
+    relevantChunks = reranked.chunks;
+    retrievalMetadata.rerank = reranked.metadata;
+  }
+
+  // Passages from scanned pages rank lower the less confident OCR was about them
+  const ocrWeighting = weightByOcrConfidence(relevantChunks);
+  if (ocrWeighting.ocr) {
+    relevantChunks = ocrWeighting.chunks;
+    retrievalMetadata.ocr = ocrWeighting.ocr;
+    logger.info('Weighted OCR passages by recognition confidence', ocrWeighting.ocr);
+  }
+
+  if (!relevantChunks || relevantChunks.length === 0) {
+    if (sectionFilter) {
+      throw new Error(`No relevant chunks found in section "${sectionFilter}" of document IDs: ${documentIds.join(', ')}. Documents ingested before section tagging need to be re-ingested.`);
+    }
+    throw new Error(`No relevant chunks found for document IDs: ${documentIds.join(', ')}. Make sure documents have been ingested.`);
+  }
+
+  logger.info(`Retrieved ${relevantChunks.length} relevant chunks`);
+
+  // Diagnostic: Log sample chunks to verify page metadata is present
+  if (relevantChunks.length > 0) {
+    const sampleChunks = [relevantChunks[0], relevantChunks[Math.floor(relevantChunks.length / 2)], relevantChunks[relevantChunks.length - 1]].filter(Boolean);
+    logger.info('Sample retrieved chunks with metadata (diagnostic)', {
+      samples: sampleChunks.map(c => ({
+        id: c.id,
+        hasMetadata: !!c.metadata,
+        fileName: c.metadata?.fileName,
+        pageNumber: c.metadata?.pageNumber,
+        pageRange: c.metadata?.pageRange,
+        chunkIndex: c.metadata?.chunkIndex,
+        metadataKeys: c.metadata ? Object.keys(c.metadata) : []
+      }))
+    });
+  }
+
+  // Step 3: Get prompt template based on use case from prompt library
+  // Use promptId parameter to select specific prompt from library
+  // Keep the {context} placeholder: the chunked generators substitute one slice per call,
+  // substituting the full context here would send every call the whole context
+  const promptConfig = await buildPromptConfig(useCase, promptId, '{context}', customUseCase);
+
+  // Plan the token budget: total context, slice size and output tokens per call,
+  // measured with the provider's tokenizer and bounded by its context window. Providers counting
+  // tokens through an API measure the prompt and the leading chunks once to calibrate the approximation
+  await tokenBudgetService.calibrate(llmProvider, [
+    promptConfig.system,
+    promptConfig.user,
+    ...relevantChunks.slice(0, 10).map(chunk => chunk.text || chunk.metadata?.text || '')
+  ].join('\n\n'));
+  const countTokens = (text) => tokenBudgetService.countTokens(text, llmProvider);
+  const tokenBudget = tokenBudgetService.planBudget({
+    providerName: llmProvider,
+    provider,
+    systemPrompt: promptConfig.system,
+    userTemplate: promptConfig.user
+  });
+  const usageTracker = tokenBudgetService.createUsageTracker();
+  const validationTracker = structuredOutputService.createValidationTracker();
+  const groundingTracker = groundingService.createGroundingTracker();
+
+  // Step 4: Build context from chunks within the token budget and track sources with position mapping
+  logger.info('Building context from chunks with source tracking...');
+  let context = '';
+  let chunksUsed = 0;
+  const sourceReferences = new Map(); // Track unique sources
+  const chunkPositionMap = []; // Map: [{ startChar, endChar, chunk }]
+
+  // Build context incrementally, stopping when we reach max size
+  for (const chunk of relevantChunks) {
+    const text = (chunk.text || chunk.metadata?.text || '').trim();
+    if (text.length === 0) continue;
+
+    const chunkStartChar = context.length;
+    const chunkWithSeparator = context ? `\n\n${text}` : text;
+    const potentialContext = context + chunkWithSeparator;
+
+    // If adding this chunk would exceed the context token budget, stop here
+    if (countTokens(potentialContext) > tokenBudget.contextTokens) {
+      logger.info(`Context token budget reached (${tokenBudget.contextTokens} tokens), using ${chunksUsed} chunks`);
+      break;
+    }
+
+    context = potentialContext;
+    const chunkEndChar = context.length;
+    
+    // Map this chunk's position in the merged context
+    chunkPositionMap.push({
+      startChar: chunkStartChar,
+      endChar: chunkEndChar,
+      chunk: chunk // Store reference to original chunk with metadata
+    });
+
+    // Diagnostic: Log if this chunk is missing page number
+    if (!chunk.metadata?.pageNumber) {
+      logger.warn(`Chunk ${chunksUsed + 1} missing pageNumber in metadata`, {
+        chunkId: chunk.id,
+        hasMetadata: !!chunk.metadata,
+        metadataKeys: chunk.metadata ? Object.keys(chunk.metadata) : [],
+        fileName: chunk.metadata?.fileName
+      });
+    }
+
+    chunksUsed++;
+    
+    // Track source references for citations
+    const sourceReference = sourceReferenceOf(sourceReferences, chunk, revisionsByFileId);
+    // Prefer displayPageNumber (internal page number) over pageNumber (PDF index)
+    const pageNumber = chunk.metadata?.displayPageNumber || chunk.metadata?.pageNumber || null;
+    
+    // Add page numbers to this source
+    if (pageNumber) {
+      sourceReference.pages.add(pageNumber);
+    }
+
+    // And the sections the chunk is in
+    const sectionTitle = sectionTitleOf(chunk.metadata?.sectionPath);
+    if (sectionTitle) {
+      sourceReference.sections.add(sectionTitle);
+    }
+    
+    logger.debug(`Added chunk to context`, {
+      fileName: sourceReference.fileName,
+      revision: sourceReference.revision,
+      pageNumber,
+      chunkStartChar,
+      chunkEndChar,
+      textLength: text.length
+    });
+  }
+
+  if (context.length === 0) {
+    throw new Error('No valid text content found in retrieved chunks');
+  }
+
+  // Diagnostic: Summary of page number tracking
+  const chunksWithPageNumbers = chunkPositionMap.filter(m => m.chunk.metadata?.pageNumber).length;
+  logger.info('Context building complete - page tracking summary', {
+    totalChunks: chunksUsed,
+    chunksWithPageNumbers,
+    chunksWithoutPageNumbers: chunksUsed - chunksWithPageNumbers,
+    pageTrackingPercentage: Math.round((chunksWithPageNumbers / chunksUsed) * 100) + '%'
+  });
+
+  if (chunksWithPageNumbers === 0) {
+    logger.error('⚠️ CRITICAL: No chunks have page numbers! Documents may need to be re-ingested with the updated code.');
+  }
+
+  // Build citation text
+  const citations = formatCitations(sourceReferences);
+
+  logger.info(`Context built: ${context.length} characters from ${chunksUsed} of ${relevantChunks.length} chunks from ${citations.length} source(s)`, {
+    sources: citations
+  });
+
+  // Step 5: Invoke AI model and parse JSON response
+  // Use chunked generation (7+ requests) to avoid token limit errors
+  // More chunks = smaller responses per chunk = less likely to exceed token limit
+  logger.info(`Invoking ${llmProvider} with chunked generation...`);
+  let parsedData;
+
+  // Split context into slices along source chunk, list and sentence boundaries
+  // Slice size (in tokens) comes from the token budget
+  // Pass chunk position map to preserve lineage
+  const contextTokens = countTokens(context);
+  const targetChunkSize = tokenBudget.sliceTokens;
+  const contextChunks = splitContextIntoChunks(context, chunkPositionMap, targetChunkSize, countTokens);
+  logger.info(`Using ${contextChunks.length} chunks for generation (context size: ${contextTokens} tokens, target: ~${targetChunkSize} tokens per chunk, from ${chunksUsed} source chunks)`);
+
+  // Use chunked generation for every use case
+  let generationMetadata = {};
+  if (useCase === 'checksheet') {
+    const result = await generateChecksheetChunked(contextChunks, promptConfig, llmProvider, onProgress, usageTracker, onPartial, validationTracker, groundingTracker);
+    // Neighbouring slices often yield the same check in different words
+    const deduped = await deduplicationService.dedupeChecksheetItems(result.items || result);
+    parsedData = deduped.items;
+    generationMetadata = { ...(result.metadata || {}), deduplication: deduped.metadata };
+  } else if (useCase === 'workInstructions') {
+    parsedData = await generateWorkInstructionsChunked(contextChunks, promptConfig, llmProvider, onProgress, usageTracker, onPartial, validationTracker, groundingTracker);
+  } else if (isReportUseCase(useCase)) {
+    const result = await generateReportChunked(useCase, contextChunks, promptConfig, llmProvider, onProgress, usageTracker, onPartial, validationTracker);
+    parsedData = result.data;
+    generationMetadata = result.metadata;
+  } else if (customUseCase) {
+    const result = await generateCustomChunked(customUseCase, contextChunks, promptConfig, llmProvider, onProgress, usageTracker, onPartial, validationTracker);
+    parsedData = result.data;
+    generationMetadata = result.metadata;
+  } else {
+    throw new Error(`Invalid use case: ${useCase}`);
+  }
+
+  // Log detailed response info
+  logger.info('AI response received and parsed successfully', {
+    llmProvider,
+    dataType: Array.isArray(parsedData) ? 'array' : 'object',
+    dataKeys: Array.isArray(parsedData) ? `array[${parsedData.length}]` : Object.keys(parsedData).join(', ')
+  });
+
+  // Step 6: Validate content based on use case
+  validateGeneratedContent(useCase, parsedData);
 
   const processingTime = ((Date.now() - startTime) / 1000).toFixed(2);
 
@@ -865,7 +1929,19 @@ export const handleGenerate = async ({ useCase, documentIds, queryText, llmProvi
     metadata: {
       sources: citations,
       citationText: citations.length > 0 ? `\n\nSource References:\n${citations.map((c, i) => `${i + 1}. ${c}`).join('\n')}` : '',
-      ...generationMetadata
+      retrieval: retrievalMetadata,
+      tokenUsage: {
+        budget: tokenBudget,
+        contextTokens,
+        slices: contextChunks.length,
+        ...usageTracker.summary()
+      },
+      schemaValidation: validationTracker.summary(),
+      ...(GROUNDED_USE_CASES.includes(useCase) && { grounding: groundingTracker.summary() }),
+      ...generationMetadata,
+      ...(revisions.length > 0 && { revisions }),
+      model: llmProviderRegistry.getModelName(llmProvider),
+      prompt: promptConfig.prompt
     }
   };
 };
@@ -6,7 +6,8 @@
 
 import { v4 as uuidv4 } from 'uuid';
 import s3Service from '../services/s3Service.js';
-import { validateFileType, validateFileSize, validateFileExtension } from '../utils/validators.js';
+import documentExtractorRegistry from '../services/documentExtractorRegistry.js';
+import { validateFileSize, validateFileExtension } from '../utils/validators.js';
 import { logger } from '../utils/logger.js';
 import { ALLOWED_EXTENSIONS, MAX_FILE_SIZE } from '../utils/constants.js';
 
@@ -22,9 +23,9 @@ export const handleUpload = async (file) => {
       throw new Error('Invalid file: file data and filename are required');
     }
 
-    // Validate file type
-    validateFileType(file.mimetype);
-    validateFileExtension(file.filename);
+    // Validate file type (any format with a registered text extractor)
+    validateFileExtension(file.filename, documentExtractorRegistry.listExtensions());
+    documentExtractorRegistry.getExtractor(file.mimetype, file.filename);
     validateFileSize(file.data.length);
 
     // Generate unique file ID
@@ -0,0 +1,156 @@
+/**
+ * Checksheet Diff Handler
+ * Compares two checksheets, e.g. generated from two revisions of a manual, and renders the differences as an
+ * Excel workbook: a color-coded "Changes" sheet followed by the target checksheet
+ * Endpoint: POST /api/checksheet-diff
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+import { createSuccessResponse, createErrorResponse } from '../utils/errorHandler.js';
+import { validateChecksheetDiffRequest } from '../utils/validators.js';
+import { logger } from '../utils/logger.js';
+import checksheetDiffService, { checksheetItemsOf } from '../services/checksheetDiffService.js';
+import excelService from '../services/excelService.js';
+import s3Service from '../services/s3Service.js';
+import generationHistoryService from '../services/generationHistoryService.js';
+import { validateMethod, handleOptions, parseRequestBody } from '../utils/routeHandler.js';
+
+/**
+ * Load a stored checksheet generation from the generation history
+ * @param {string} generationId - Generation ID
+ * @returns {Promise<Object>} { checksheet: { items, metadata, label } } or { error } with an error response
+ */
+const loadGeneratedChecksheet = async (generationId) => {
+  const generation = await generationHistoryService.getGeneration(generationId);
+  if (!generation) {
+    return { error: createErrorResponse(404, `Generation not found: ${generationId}`) };
+  }
+  if (generation.status !== 'completed') {
+    return { error: createErrorResponse(409, `Generation ${generationId} is ${generation.status}, not completed`) };
+  }
+  if (generation.useCase !== 'checksheet') {
+    return { error: createErrorResponse(400, `Generation ${generationId} is a ${generation.useCase} generation, not a checksheet`) };
+  }
+  if (generation.data === null) {
+    return { error: createErrorResponse(409, `Generation ${generationId} has no stored result`) };
+  }
+
+  const revision = generation.metadata?.revisions?.[0];
+  return {
+    checksheet: {
+      items: checksheetItemsOf(generation.data),
+      metadata: generation.metadata,
+      label: revision?.revision || revision?.fileName || generation.metadata?.sources?.[0] || generationId
+    }
+  };
+};
+
+/**
+ * Lambda handler for checksheet diffs
+ * Body: { base, target } (checksheet items or generation results) or { baseGenerationId, targetGenerationId }
+ * (completed checksheet generations from the generation history), plus optional baseLabel and targetLabel
+ * @param {Object} event - API Gateway event
+ * @returns {Promise<Object>} Response with the diff and the Excel file
+ */
+export const handler = async (event) => {
+  logger.info('Checksheet diff handler invoked', {
+    method: event.httpMethod,
+    path: event.path
+  });
+
+  try {
+    // Handle OPTIONS preflight
+    const optionsResponse = handleOptions(event);
+    if (optionsResponse) {
+      return optionsResponse;
+    }
+
+    // Validate HTTP method
+    const methodError = validateMethod(event, 'POST');
+    if (methodError) {
+      return methodError;
+    }
+
+    // Parse request body
+    const requestBody = parseRequestBody(event);
+    if (!requestBody) {
+      return createErrorResponse(400, 'Invalid or missing request body');
+    }
+
+    const {
+      base,
+      target,
+      baseGenerationId,
+      targetGenerationId,
+      baseLabel,
+      targetLabel
+    } = requestBody;
+
+    // Validate input
+    try {
+      validateChecksheetDiffRequest({ base, target, baseGenerationId, targetGenerationId, baseLabel, targetLabel });
+    } catch (validationError) {
+      logger.warn('Request validation failed', { error: validationError.message });
+      return createErrorResponse(400, validationError.message);
+    }
+
+    // Both checksheets as { items, metadata, label }
+    let baseChecksheet;
+    let targetChecksheet;
+    if (baseGenerationId) {
+      logger.info('Loading generated checksheets', { baseGenerationId, targetGenerationId });
+      const [baseResult, targetResult] = await Promise.all([
+        loadGeneratedChecksheet(baseGenerationId),
+        loadGeneratedChecksheet(targetGenerationId)
+      ]);
+      if (baseResult.error || targetResult.error) {
+        return baseResult.error || targetResult.error;
+      }
+      baseChecksheet = baseResult.checksheet;
+      targetChecksheet = targetResult.checksheet;
+    } else {
+      baseChecksheet = { items: checksheetItemsOf(base), metadata: base.metadata || null, label: 'Base' };
+      targetChecksheet = { items: checksheetItemsOf(target), metadata: target.metadata || null, label: 'Target' };
+    }
+
+    if (targetChecksheet.items.length === 0) {
+      return createErrorResponse(400, 'The target checksheet has no items');
+    }
+
+    const diff = checksheetDiffService.diffChecksheets(baseChecksheet.items, targetChecksheet.items, {
+      baseLabel: baseLabel || baseChecksheet.label,
+      targetLabel: targetLabel || targetChecksheet.label
+    });
+
+    // The workbook is the target checksheet with the changes on a sheet of their own
+    const fileId = uuidv4();
+    const timestamp = new Date().toISOString().split('T')[0].replace(/-/g, '');
+    const fileName = `checksheet-diff-${timestamp}-${fileId.substring(0, 8)}.xlsx`;
+    const contentType = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+    const documentBuffer = await excelService.generateChecksheet({
+      items: targetChecksheet.items,
+      metadata: targetChecksheet.metadata,
+      diff
+    }, `checksheet-diff-${timestamp}`);
+
+    const uploadResult = await s3Service.uploadOutput(documentBuffer, fileName, contentType, fileId);
+    const downloadUrl = await s3Service.getPresignedUrl(uploadResult.bucket, uploadResult.s3Key, 3600);
+
+    logger.info('Checksheet diff completed', { fileId, ...diff.summary });
+
+    return createSuccessResponse({
+      diff,
+      fileId,
+      fileName: uploadResult.fileName,
+      fileType: 'xlsx',
+      contentType,
+      downloadUrl,
+      s3Key: uploadResult.s3Key,
+      s3Bucket: uploadResult.bucket,
+      ...(baseGenerationId && { baseGenerationId, targetGenerationId })
+    }, 200);
+  } catch (error) {
+    logger.error('Checksheet diff handler error', error);
+    return createErrorResponse(500, 'Checksheet diff failed', error);
+  }
+};
@@ -0,0 +1,145 @@
+/**
+ * Lambda handler for the document catalog
+ * Handles listing ingested documents, getting one document and deleting a document with its vectors,
+ * keyword index, files and status record
+ */
+
+import { logger } from '../utils/logger.js';
+import { createSuccessResponse, createErrorResponse } from '../utils/errorHandler.js';
+import { handleOptions } from '../utils/routeHandler.js';
+import { validateUUID } from '../utils/validators.js';
+import documentCatalogService from '../services/documentCatalogService.js';
+import manualRevisionService from '../services/manualRevisionService.js';
+
+/**
+ * Check that a path parameter is a document ID (file IDs are UUIDs)
+ * @param {string} fileId - File identifier from the path
+ * @returns {boolean} True if valid
+ */
+const isDocumentId = (fileId) => {
+  try {
+    return !!fileId && validateUUID(fileId);
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * GET /api/documents - List documents with file name, page and chunk counts, ingest status and timestamps,
+ * and the manuals they belong to with their revisions in order
+ */
+export const listDocumentsHandler = async () => {
+  try {
+    logger.info('Listing documents');
+
+    const documents = await documentCatalogService.listDocuments();
+
+    return createSuccessResponse({
+      documents,
+      count: documents.length,
+      manuals: manualRevisionService.groupManuals(documents)
+    });
+  } catch (error) {
+    logger.error('Error listing documents', error);
+    return createErrorResponse(500, 'Failed to list documents', error);
+  }
+};
+
+/**
+ * GET /api/documents/:fileId - Get a document with its document info and section outline
+ */
+export const getDocumentHandler = async (event) => {
+  try {
+    const fileId = event.pathParameters?.fileId;
+
+    if (!isDocumentId(fileId)) {
+      return createErrorResponse(400, 'A valid document ID (UUID) is required');
+    }
+
+    logger.info(`Getting document: ${fileId}`);
+
+    const document = await documentCatalogService.getDocument(fileId);
+    if (!document) {
+      return createErrorResponse(404, `Document not found: ${fileId}`);
+    }
+
+    return createSuccessResponse({ document });
+  } catch (error) {
+    logger.error('Error getting document', error);
+    return createErrorResponse(500, 'Failed to get document', error);
+  }
+};
+
+/**
+ * DELETE /api/documents/:fileId - Delete a document from the vector store, keyword index, S3 and status table
+ * Query: force=true to delete a document that is still marked as being ingested
+ */
+export const deleteDocumentHandler = async (event) => {
+  try {
+    const fileId = event.pathParameters?.fileId;
+
+    if (!isDocumentId(fileId)) {
+      return createErrorResponse(400, 'A valid document ID (UUID) is required');
+    }
+
+    const document = await documentCatalogService.getDocument(fileId);
+    if (!document) {
+      return createErrorResponse(404, `Document not found: ${fileId}`);
+    }
+
+    // An ingestion still running would store its vectors again after the delete; ?force=true deletes a document
+    // whose ingestion died without marking its status
+    const force = event.queryStringParameters?.force === 'true';
+    if (!force && (document.status === 'queued' || document.status === 'processing')) {
+      return createErrorResponse(409, `Document ${fileId} is still being ingested. Delete it once ingestion has finished, or pass force=true.`);
+    }
+
+    logger.info(`Deleting document: ${fileId}`);
+
+    const result = await documentCatalogService.deleteDocument(fileId);
+
+    return createSuccessResponse({
+      ...result,
+      message: 'Document deleted successfully'
+    });
+  } catch (error) {
+    logger.error('Error deleting document', error);
+    return createErrorResponse(500, error.message || 'Failed to delete document', error);
+  }
+};
+
+/**
+ * Main handler - routes to appropriate function based on method and path
+ */
+export const handler = async (event) => {
+  const method = event.httpMethod || event.requestContext?.http?.method;
+  const path = event.path || event.requestContext?.http?.path || event.rawPath;
+  const fileId = event.pathParameters?.fileId;
+
+  logger.info('Documents handler invoked', { method, path, fileId });
+
+  try {
+    // Handle OPTIONS preflight
+    const optionsResponse = handleOptions(event);
+    if (optionsResponse) {
+      return optionsResponse;
+    }
+
+    if (method === 'GET' && !fileId) {
+      return await listDocumentsHandler(event);
+    }
+
+    if (method === 'GET' && fileId) {
+      return await getDocumentHandler(event);
+    }
+
+    if (method === 'DELETE' && fileId) {
+      return await deleteDocumentHandler(event);
+    }
+
+    return createErrorResponse(405, `Method ${method} not allowed for this path: ${path}`);
+  } catch (error) {
+    logger.error('Documents handler error', error);
+    return createErrorResponse(500, 'Internal server error', error);
+  }
+};
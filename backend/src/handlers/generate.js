@@ -8,6 +8,9 @@ import { createSuccessResponse, createErrorResponse } from '../utils/errorHandle
 import { validateGenerateRequest } from '../utils/validators.js';
 import { logger } from '../utils/logger.js';
 import { handleGenerate } from '../controllers/generateController.js';
+import llmProviderRegistry from '../services/llmProviderRegistry.js';
+import useCaseRegistry from '../services/useCaseRegistry.js';
+import rerankService from '../services/rerankService.js';
 import { validateMethod, handleOptions, parseRequestBody } from '../utils/routeHandler.js';
 
 /**
@@ -41,22 +44,34 @@ export const handler = async (event, context) => {
       return createErrorResponse(400, 'Invalid or missing request body');
     }
 
-    const { useCase, documentIds, queryText, llmProvider = 'gemini' } = requestBody;
+    const { useCase, documentIds, queryText, llmProvider = llmProviderRegistry.getDefaultProviderName(), keywordWeight = null, rerank = null, mode = null, section = null, pinRevisions = false } = requestBody;
 
     // Validate input
     try {
-      validateGenerateRequest({ useCase, documentIds });
+      validateGenerateRequest({ useCase, documentIds, keywordWeight, rerank, mode, section, pinRevisions });
     } catch (validationError) {
       logger.warn('Request validation failed', { error: validationError.message });
       return createErrorResponse(400, validationError.message);
     }
 
+    if (!(await useCaseRegistry.hasUseCase(useCase))) {
+      return createErrorResponse(400, `Unknown use case: ${useCase}. Register it with POST /api/use-cases first`);
+    }
+
+    if (!llmProviderRegistry.hasProvider(llmProvider)) {
+      return createErrorResponse(400, `Invalid llmProvider. Must be one of: ${llmProviderRegistry.listProviderNames().join(', ')}`);
+    }
+
+    if (typeof rerank === 'string' && !rerankService.hasStrategy(rerank)) {
+      return createErrorResponse(400, `Invalid rerank strategy. Must be one of: ${rerankService.listStrategies().join(', ')}`);
+    }
+
     logger.info(`Generating ${useCase} for documents: ${documentIds.join(', ')}`);
 
     // Use controller for business logic
     let responseData;
     try {
-      responseData = await handleGenerate({ useCase, documentIds, queryText, llmProvider });
+      responseData = await handleGenerate({ useCase, documentIds, queryText, llmProvider, keywordWeight, rerank, mode, section, pinRevisions });
     } catch (generateError) {
       logger.error('Generate controller error', generateError);
       
@@ -64,7 +79,7 @@ export const handler = async (event, context) => {
       if (generateError.message.includes('No relevant chunks')) {
         return createErrorResponse(404, generateError.message);
       }
-      if (generateError.message.includes('Invalid use case')) {
+      if (generateError.message.includes('Invalid use case') || generateError.message.includes('Unknown LLM provider')) {
         return createErrorResponse(400, generateError.message);
       }
       
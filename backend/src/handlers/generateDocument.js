@@ -15,10 +15,14 @@ import { createSuccessResponse, createErrorResponse } from '../utils/errorHandle
 import { validateGenerateRequest } from '../utils/validators.js';
 import { logger } from '../utils/logger.js';
 import { handleGenerate } from '../controllers/generateController.js';
+import llmProviderRegistry from '../services/llmProviderRegistry.js';
+import useCaseRegistry from '../services/useCaseRegistry.js';
+import rerankService from '../services/rerankService.js';
 import excelService from '../services/excelService.js';
 import docxService from '../services/docxService.js';
 import s3Service from '../services/s3Service.js';
 import generationStatusService from '../services/generationStatusService.js';
+import generationHistoryService from '../services/generationHistoryService.js';
 import { validateMethod, handleOptions, parseRequestBody } from '../utils/routeHandler.js';
 import { LambdaClient, InvokeCommand } from '@aws-sdk/client-lambda';
 
@@ -35,15 +39,29 @@ const isApiGatewayEvent = (event) => {
  * Processes the document generation (actual work)
  * @param {string} generationId - Generation ID
  * @param {Object} params - Generation parameters
+ * @param {Object} [options] - Processing options
+ * @param {Function} [options.onEvent] - Optional (eventType, data) callback for streaming ('progress', 'partial', 'content')
  * @returns {Promise<Object>} Processing result
  */
-const processGeneration = async (generationId, params) => {
-  const { useCase, documentIds, queryText, llmProvider = 'gemini', promptId = null } = params;
+export const processGeneration = async (generationId, params, { onEvent = null } = {}) => {
+  const { useCase, documentIds, queryText, llmProvider = null, promptId = null, keywordWeight = null, rerank = null, mode = null, section = null, pinRevisions = false } = params;
   const startTime = Date.now();
 
+  // Record a status update and mirror it to the stream when streaming
+  const reportStatus = async (updates) => {
+    await generationStatusService.updateStatus(generationId, updates);
+    if (onEvent) {
+      onEvent('progress', {
+        step: updates.currentStep,
+        progress: updates.progress,
+        message: updates.message
+      });
+    }
+  };
+
   try {
     // Update status to processing
-    await generationStatusService.updateStatus(generationId, {
+    await reportStatus({
       status: 'processing',
       currentStep: 'generating_ai_content',
       progress: 10,
@@ -55,7 +73,7 @@ const processGeneration = async (generationId, params) => {
     
     // Create progress callback for status updates
     const progressCallback = async (progressUpdate) => {
-      await generationStatusService.updateStatus(generationId, {
+      await reportStatus({
         currentStep: progressUpdate.step || 'generating_ai_content',
         progress: progressUpdate.progress || 10,
         message: progressUpdate.message || 'Generating AI content...'
@@ -68,7 +86,13 @@ const processGeneration = async (generationId, params) => {
       queryText, 
       llmProvider, 
       promptId,
-      onProgress: progressCallback
+      keywordWeight,
+      rerank,
+      mode,
+      section,
+      pinRevisions,
+      onProgress: progressCallback,
+      onPartial: onEvent ? (partial) => onEvent('partial', { useCase, ...partial }) : null
     });
     const aiGeneratedData = aiResponse.data;
 
@@ -82,8 +106,12 @@ const processGeneration = async (generationId, params) => {
       chunksUsed: aiResponse.chunksUsed
     });
 
+    if (onEvent) {
+      onEvent('content', { useCase, data: aiGeneratedData });
+    }
+
     // Update status after AI generation
-    await generationStatusService.updateStatus(generationId, {
+    await reportStatus({
       currentStep: 'creating_document',
       progress: 25,
       message: 'AI content generated, creating document...'
@@ -99,22 +127,59 @@ const processGeneration = async (generationId, params) => {
     const fileId = uuidv4();
     const timestamp = new Date().toISOString().split('T')[0].replace(/-/g, '');
 
+    // The renderers list the sources and manual revisions from the generation metadata
+    const renderData = Array.isArray(aiGeneratedData)
+      ? { items: aiGeneratedData, metadata: aiResponse.metadata }
+      : { ...aiGeneratedData, metadata: aiResponse.metadata };
+
     if (useCase === 'checksheet') {
       // Generate Excel checksheet
       logger.info('Generating Excel checksheet...');
-      documentBuffer = await excelService.generateChecksheet(aiGeneratedData, `checksheet-${timestamp}`);
+      documentBuffer = await excelService.generateChecksheet(renderData, `checksheet-${timestamp}`);
       fileExtension = 'xlsx';
       contentType = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
       fileName = `inspection-checksheet-${timestamp}-${fileId.substring(0, 8)}.xlsx`;
     } else if (useCase === 'workInstructions') {
       // Generate DOCX work instructions
       logger.info('Generating DOCX work instructions...');
-      documentBuffer = await docxService.generateWorkInstructions(aiGeneratedData, `work-instructions-${timestamp}`);
+      documentBuffer = await docxService.generateWorkInstructions(renderData, `work-instructions-${timestamp}`);
       fileExtension = 'docx';
       contentType = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
       fileName = `work-instructions-${timestamp}-${fileId.substring(0, 8)}.docx`;
+    } else if (useCase === 'summary' || useCase === 'analysis') {
+      // Generate DOCX summary/analysis report
+      logger.info(`Generating DOCX ${useCase} report...`);
+      documentBuffer = await docxService.generateReport(renderData, `document-${useCase}-${timestamp}`);
+      fileExtension = 'docx';
+      contentType = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+      fileName = `document-${useCase}-${timestamp}-${fileId.substring(0, 8)}.docx`;
+    } else if (useCase === 'extraction') {
+      // Generate Excel extraction table
+      logger.info('Generating Excel extraction table...');
+      documentBuffer = await excelService.generateExtractionTable(renderData, `data-extraction-${timestamp}`);
+      fileExtension = 'xlsx';
+      contentType = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+      fileName = `data-extraction-${timestamp}-${fileId.substring(0, 8)}.xlsx`;
     } else {
-      throw new Error(`Unsupported use case: ${useCase}`);
+      // Custom use cases render through the generic renderers using their output mapping
+      const customUseCase = await useCaseRegistry.getUseCase(useCase);
+      if (!customUseCase) {
+        throw new Error(`Unsupported use case: ${useCase}`);
+      }
+
+      if (customUseCase.output.format === 'excel') {
+        logger.info(`Generating Excel file for custom use case ${useCase}...`);
+        const { worksheetName, columns, rows } = useCaseRegistry.toExcelData(customUseCase, aiGeneratedData);
+        documentBuffer = await excelService.generateExcel(rows, worksheetName, `${useCase}-${timestamp}`, columns);
+        fileExtension = 'xlsx';
+        contentType = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+      } else {
+        logger.info(`Generating DOCX file for custom use case ${useCase}...`);
+        documentBuffer = await docxService.generateDocument({ ...useCaseRegistry.toDocumentData(customUseCase, aiGeneratedData), metadata: aiResponse.metadata }, `${useCase}-${timestamp}`);
+        fileExtension = 'docx';
+        contentType = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+      }
+      fileName = `${useCase}-${timestamp}-${fileId.substring(0, 8)}.${fileExtension}`;
     }
 
     logger.info('Document generated successfully', {
@@ -124,7 +189,7 @@ const processGeneration = async (generationId, params) => {
     });
 
     // Update status after document creation
-    await generationStatusService.updateStatus(generationId, {
+    await reportStatus({
       currentStep: 'uploading_to_s3',
       progress: 50,
       message: 'Document created, uploading to S3...'
@@ -145,8 +210,24 @@ const processGeneration = async (generationId, params) => {
       fileId
     });
 
+    // Keep the parsed data, citations and inputs for the generation history; the file is usable without them
+    let history = null;
+    try {
+      const { resultKey, record } = await generationHistoryService.saveResult(generationId, params, aiResponse, {
+        fileId,
+        fileName,
+        fileType: fileExtension,
+        contentType,
+        s3Key: uploadResult.s3Key,
+        s3Bucket: uploadResult.bucket
+      });
+      history = { resultKey, ...generationHistoryService.summarizeResult(record) };
+    } catch (historyError) {
+      logger.warn('Generation result not saved to history', { generationId, error: historyError.message });
+    }
+
     // Update status after S3 upload
-    await generationStatusService.updateStatus(generationId, {
+    await reportStatus({
       currentStep: 'generating_download_url',
       progress: 75,
       message: 'Uploaded to S3, generating download URL...'
@@ -185,7 +266,8 @@ const processGeneration = async (generationId, params) => {
       s3Key: uploadResult.s3Key,
       s3Bucket: uploadResult.bucket,
       useCase,
-      processingTime: `${processingTime}s`
+      processingTime: `${processingTime}s`,
+      ...history
     });
 
     return {
@@ -199,6 +281,7 @@ const processGeneration = async (generationId, params) => {
       s3Bucket: uploadResult.bucket,
       useCase,
       processingTime: `${processingTime}s`,
+      resultKey: history?.resultKey || null,
       status: 'completed'
     };
   } catch (error) {
@@ -286,16 +369,28 @@ export const handler = async (event, context) => {
       return createErrorResponse(400, 'Invalid or missing request body');
     }
 
-    const { useCase, documentIds, queryText, llmProvider = 'gemini', promptId = null } = requestBody;
+    const { useCase, documentIds, queryText, llmProvider = llmProviderRegistry.getDefaultProviderName(), promptId = null, keywordWeight = null, rerank = null, mode = null, section = null, pinRevisions = false } = requestBody;
 
     // Validate input
     try {
-      validateGenerateRequest({ useCase, documentIds });
+      validateGenerateRequest({ useCase, documentIds, keywordWeight, rerank, mode, section, pinRevisions });
     } catch (validationError) {
       logger.warn('Request validation failed', { error: validationError.message });
       return createErrorResponse(400, validationError.message);
     }
 
+    if (!(await useCaseRegistry.hasUseCase(useCase))) {
+      return createErrorResponse(400, `Unknown use case: ${useCase}. Register it with POST /api/use-cases first`);
+    }
+
+    if (!llmProviderRegistry.hasProvider(llmProvider)) {
+      return createErrorResponse(400, `Invalid llmProvider. Must be one of: ${llmProviderRegistry.listProviderNames().join(', ')}`);
+    }
+
+    if (typeof rerank === 'string' && !rerankService.hasStrategy(rerank)) {
+      return createErrorResponse(400, `Invalid rerank strategy. Must be one of: ${rerankService.listStrategies().join(', ')}`);
+    }
+
     logger.info(`Queuing generation`, {
       useCase,
       documentIds,
@@ -312,7 +407,12 @@ export const handler = async (event, context) => {
         documentIds,
         queryText,
         llmProvider,
-        promptId
+        promptId,
+        keywordWeight,
+        rerank,
+        mode,
+        section,
+        pinRevisions
       });
     } catch (statusError) {
       logger.error('Failed to create initial status', statusError);
@@ -342,7 +442,12 @@ export const handler = async (event, context) => {
             documentIds,
             queryText,
             llmProvider,
-            promptId
+            promptId,
+            keywordWeight,
+            rerank,
+            mode,
+            section,
+            pinRevisions
           }
         })
       });
@@ -370,7 +475,12 @@ export const handler = async (event, context) => {
           documentIds,
           queryText,
           llmProvider,
-          promptId
+          promptId,
+          keywordWeight,
+          rerank,
+          mode,
+          section,
+          pinRevisions
         });
         logger.info('Synchronous processing completed', {
           generationId,
@@ -0,0 +1,176 @@
+/**
+ * Generate Stream Handler
+ * Streams document generation as Server-Sent Events instead of queuing it for polling
+ * Endpoint: POST /api/generate/stream
+ *
+ * Each event is written as `event: <type>\ndata: <json>\n\n`:
+ * - start: { generationId, useCase }
+ * - progress: { step, progress, message }
+ * - partial: items (checksheet, extraction), steps (work instructions), key points (summary) or findings (analysis) generated from one context slice
+ * - content: final generated content after merging and deduplication
+ * - complete: file metadata, same shape as the /api/generate-document result
+ * - error: { generationId, message }
+ *
+ * API Gateway REST APIs buffer responses, so in AWS this runs behind a Lambda function URL
+ * with RESPONSE_STREAM invoke mode (awslambda.streamifyResponse).
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+import { validateGenerateRequest } from '../utils/validators.js';
+import { logger } from '../utils/logger.js';
+import { parseRequestBody } from '../utils/routeHandler.js';
+import llmProviderRegistry from '../services/llmProviderRegistry.js';
+import useCaseRegistry from '../services/useCaseRegistry.js';
+import rerankService from '../services/rerankService.js';
+import generationStatusService from '../services/generationStatusService.js';
+import { processGeneration } from './generateDocument.js';
+
+export const SSE_HEADERS = {
+  'Content-Type': 'text/event-stream',
+  'Cache-Control': 'no-cache',
+  'Connection': 'keep-alive',
+  'X-Accel-Buffering': 'no',
+  'Access-Control-Allow-Origin': '*'
+};
+
+/**
+ * Format one Server-Sent Event
+ * @param {string} eventType - Event name
+ * @param {Object} data - Event payload (JSON encoded)
+ * @returns {string} SSE frame
+ */
+export const formatSSE = (eventType, data) => `event: ${eventType}\ndata: ${JSON.stringify(data)}\n\n`;
+
+/**
+ * Validate a streaming generation request
+ * @param {Object|null} requestBody - Parsed request body
+ * @returns {Promise<string|null>} Error message, or null if valid
+ */
+export const validateStreamRequest = async (requestBody) => {
+  if (!requestBody) {
+    return 'Invalid or missing request body';
+  }
+
+  const { useCase, documentIds, llmProvider = llmProviderRegistry.getDefaultProviderName(), keywordWeight = null, rerank = null, mode = null, section = null, pinRevisions = false } = requestBody;
+
+  try {
+    validateGenerateRequest({ useCase, documentIds, keywordWeight, rerank, mode, section, pinRevisions });
+  } catch (validationError) {
+    logger.warn('Request validation failed', { error: validationError.message });
+    return validationError.message;
+  }
+
+  if (!(await useCaseRegistry.hasUseCase(useCase))) {
+    return `Unknown use case: ${useCase}. Register it with POST /api/use-cases first`;
+  }
+
+  if (!llmProviderRegistry.hasProvider(llmProvider)) {
+    return `Invalid llmProvider. Must be one of: ${llmProviderRegistry.listProviderNames().join(', ')}`;
+  }
+
+  if (typeof rerank === 'string' && !rerankService.hasStrategy(rerank)) {
+    return `Invalid rerank strategy. Must be one of: ${rerankService.listStrategies().join(', ')}`;
+  }
+
+  return null;
+};
+
+/**
+ * Run a generation and report it through writeEvent (the request must already be validated)
+ * Errors are reported as an 'error' event rather than thrown, since the response has already started
+ * @param {Object} requestBody - Parsed request body
+ * @param {Function} writeEvent - (eventType, data) => void
+ * @returns {Promise<Object|null>} Processing result, or null if generation failed
+ */
+export const streamGeneration = async (requestBody, writeEvent) => {
+  const { useCase, documentIds, queryText, llmProvider = llmProviderRegistry.getDefaultProviderName(), promptId = null, keywordWeight = null, rerank = null, mode = null, section = null, pinRevisions = false } = requestBody;
+  const params = { useCase, documentIds, queryText, llmProvider, promptId, keywordWeight, rerank, mode, section, pinRevisions };
+  const generationId = uuidv4();
+
+  logger.info('Streaming generation', { generationId, useCase, documentIds, llmProvider });
+
+  // Status is still recorded so the generation can be looked up after the stream closes
+  try {
+    await generationStatusService.createStatus(generationId, params);
+  } catch (statusError) {
+    logger.error('Failed to create initial status', statusError);
+    // Continue anyway - status tracking is not critical
+  }
+
+  writeEvent('start', { generationId, useCase });
+
+  try {
+    const result = await processGeneration(generationId, params, { onEvent: writeEvent });
+    writeEvent('complete', result);
+    return result;
+  } catch (processingError) {
+    logger.error('Streaming generation failed', { generationId, error: processingError.message });
+    writeEvent('error', { generationId, message: `Failed to process document: ${processingError.message}` });
+    return null;
+  }
+};
+
+/**
+ * Parse and validate a function URL or API Gateway event
+ * @param {Object} event - Lambda event
+ * @returns {Promise<Object>} { requestBody, statusCode, error } (error is null for a valid request)
+ */
+const parseStreamEvent = async (event) => {
+  const method = (event.requestContext?.http?.method || event.httpMethod || '').toUpperCase();
+  if (method !== 'POST') {
+    return { requestBody: null, statusCode: 405, error: 'Method not allowed. Allowed methods: POST' };
+  }
+
+  const body = event.isBase64Encoded && typeof event.body === 'string'
+    ? Buffer.from(event.body, 'base64').toString('utf-8')
+    : event.body;
+  const requestBody = parseRequestBody({ body });
+  const error = await validateStreamRequest(requestBody);
+  return { requestBody, statusCode: error ? 400 : 200, error };
+};
+
+/**
+ * Streaming Lambda handler (function URL, RESPONSE_STREAM invoke mode)
+ * @param {Object} event - Function URL event
+ * @param {Object} responseStream - Writable response stream provided by the runtime
+ * @returns {Promise<void>}
+ */
+const streamingHandler = async (event, responseStream) => {
+  logger.info('Generate stream handler invoked');
+  const { requestBody, statusCode, error } = await parseStreamEvent(event);
+
+  const stream = globalThis.awslambda.HttpResponseStream.from(responseStream, { statusCode, headers: SSE_HEADERS });
+  if (error) {
+    stream.write(formatSSE('error', { message: error }));
+  } else {
+    await streamGeneration(requestBody, (eventType, data) => stream.write(formatSSE(eventType, data)));
+  }
+  stream.end();
+};
+
+/**
+ * Buffered fallback for runtimes without response streaming: the whole event stream is returned at once
+ * @param {Object} event - Lambda event
+ * @returns {Promise<Object>} Response object with the SSE frames as body
+ */
+const bufferedHandler = async (event) => {
+  logger.info('Generate stream handler invoked (buffered)');
+  const { requestBody, statusCode, error } = await parseStreamEvent(event);
+
+  const frames = [];
+  if (error) {
+    frames.push(formatSSE('error', { message: error }));
+  } else {
+    await streamGeneration(requestBody, (eventType, data) => frames.push(formatSSE(eventType, data)));
+  }
+
+  return { statusCode, headers: SSE_HEADERS, body: frames.join('') };
+};
+
+/**
+ * Lambda handler for streaming document generation
+ * `awslambda` is a global provided by the Node.js Lambda runtime
+ */
+export const handler = globalThis.awslambda?.streamifyResponse
+  ? globalThis.awslambda.streamifyResponse(streamingHandler)
+  : bufferedHandler;
@@ -0,0 +1,115 @@
+/**
+ * Lambda handler for the generation history
+ * Handles listing past generations and getting one generation with its inputs, parsed data, citations and a fresh
+ * download URL for its output file
+ */
+
+import { logger } from '../utils/logger.js';
+import { createSuccessResponse, createErrorResponse } from '../utils/errorHandler.js';
+import { handleOptions } from '../utils/routeHandler.js';
+import { validateUUID, validateGenerationHistoryQuery } from '../utils/validators.js';
+import generationHistoryService from '../services/generationHistoryService.js';
+
+/**
+ * Check that a path parameter is a generation ID (generation IDs are UUIDs)
+ * @param {string} generationId - Generation identifier from the path
+ * @returns {boolean} True if valid
+ */
+const isGenerationId = (generationId) => {
+  try {
+    return !!generationId && validateUUID(generationId);
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * GET /api/generations - List generations, most recent first
+ * Query: useCase, status, documentId (generations that used the document), limit (default 50)
+ */
+export const listGenerationsHandler = async (event) => {
+  try {
+    const { useCase = null, status = null, documentId = null, limit = '50' } = event.queryStringParameters || {};
+
+    try {
+      validateGenerationHistoryQuery({ status, documentId, limit });
+    } catch (validationError) {
+      return createErrorResponse(400, validationError.message);
+    }
+
+    logger.info('Listing generations', { useCase, status, documentId, limit });
+
+    const { generations, total } = await generationHistoryService.listGenerations({
+      useCase,
+      status,
+      documentId,
+      limit: Number(limit)
+    });
+
+    return createSuccessResponse({
+      generations,
+      count: generations.length,
+      total
+    });
+  } catch (error) {
+    logger.error('Error listing generations', error);
+    return createErrorResponse(500, 'Failed to list generations', error);
+  }
+};
+
+/**
+ * GET /api/generations/:generationId - Get a generation with its inputs, parsed data and metadata
+ */
+export const getGenerationHandler = async (event) => {
+  try {
+    const generationId = event.pathParameters?.generationId;
+
+    if (!isGenerationId(generationId)) {
+      return createErrorResponse(400, 'A valid generation ID (UUID) is required');
+    }
+
+    logger.info(`Getting generation: ${generationId}`);
+
+    const generation = await generationHistoryService.getGeneration(generationId);
+    if (!generation) {
+      return createErrorResponse(404, `Generation not found: ${generationId}`);
+    }
+
+    return createSuccessResponse({ generation });
+  } catch (error) {
+    logger.error('Error getting generation', error);
+    return createErrorResponse(500, 'Failed to get generation', error);
+  }
+};
+
+/**
+ * Main handler - routes to appropriate function based on method and path
+ */
+export const handler = async (event) => {
+  const method = event.httpMethod || event.requestContext?.http?.method;
+  const path = event.path || event.requestContext?.http?.path || event.rawPath;
+  const generationId = event.pathParameters?.generationId;
+
+  logger.info('Generations handler invoked', { method, path, generationId });
+
+  try {
+    // Handle OPTIONS preflight
+    const optionsResponse = handleOptions(event);
+    if (optionsResponse) {
+      return optionsResponse;
+    }
+
+    if (method === 'GET' && !generationId) {
+      return await listGenerationsHandler(event);
+    }
+
+    if (method === 'GET' && generationId) {
+      return await getGenerationHandler(event);
+    }
+
+    return createErrorResponse(405, `Method ${method} not allowed for this path: ${path}`);
+  } catch (error) {
+    logger.error('Generations handler error', error);
+    return createErrorResponse(500, 'Internal server error', error);
+  }
+};
@@ -9,6 +9,9 @@ import { createSuccessResponse, createErrorResponse } from '../utils/errorHandle
 import { logger } from '../utils/logger.js';
 import { validateMethod, handleOptions, parseRequestBody } from '../utils/routeHandler.js';
 import s3Service from '../services/s3Service.js';
+import documentExtractorRegistry from '../services/documentExtractorRegistry.js';
+import documentCatalogService from '../services/documentCatalogService.js';
+import { isContentHash } from '../utils/contentHash.js';
 import { S3Client, PutObjectCommand } from '@aws-sdk/client-s3';
 import { getSignedUrl } from '@aws-sdk/s3-request-presigner';
 
@@ -43,7 +46,7 @@ const getUploadUrlHandler = async (event, context) => {
       return createErrorResponse(400, 'Invalid or missing request body');
     }
 
-    const { fileName, fileSize, contentType = 'application/pdf' } = requestBody;
+    const { fileName, fileSize, contentHash, force } = requestBody;
 
     // Validate required fields
     if (!fileName) {
@@ -60,9 +63,52 @@ const getUploadUrlHandler = async (event, context) => {
       return createErrorResponse(400, `File size exceeds maximum allowed size of ${maxSize / (1024 * 1024)}MB`);
     }
 
-    // Validate content type (PDF only)
-    if (contentType !== 'application/pdf') {
-      return createErrorResponse(400, 'Only PDF files are allowed');
+    // Validate file type (any format with a registered text extractor); without a content type the file name decides
+    let contentType;
+    try {
+      const extractor = documentExtractorRegistry.getExtractor(requestBody.contentType, fileName);
+      contentType = requestBody.contentType || extractor.mimeType;
+    } catch (typeError) {
+      return createErrorResponse(400, typeError.message);
+    }
+
+    // The client may send the SHA-256 of the file: a file identical to an ingested document then resolves to that
+    // document (and its ingest status and vectors) and is not uploaded again, unless force is true. Identical
+    // documents that are not ingested yet do not count, as their ingestion may never finish.
+    // Ingestion hashes the uploaded file itself, so a wrong hash cannot merge different files.
+    if (contentHash !== undefined && contentHash !== null && !isContentHash(contentHash)) {
+      return createErrorResponse(400, 'contentHash must be a lowercase hex SHA-256 digest');
+    }
+
+    if (contentHash && force !== true) {
+      let existingDocument = null;
+      try {
+        existingDocument = await documentCatalogService.findDuplicate(contentHash, { statuses: ['completed'] });
+      } catch (lookupError) {
+        logger.warn('Duplicate lookup failed, issuing an upload URL for a new document', { error: lookupError.message });
+      }
+
+      if (existingDocument) {
+        logger.info('File is identical to an existing document, no upload needed', {
+          fileName,
+          fileId: existingDocument.fileId,
+          status: existingDocument.status
+        });
+
+        return createSuccessResponse({
+          fileId: existingDocument.fileId,
+          fileName: existingDocument.fileName,
+          originalFileName: existingDocument.originalFileName || existingDocument.fileName,
+          s3Key: existingDocument.s3Key,
+          s3Bucket: s3Service.documentsBucket,
+          contentType: existingDocument.contentType,
+          presignedUrl: null,
+          uploadedAt: existingDocument.uploadedAt,
+          contentHash,
+          duplicate: true,
+          document: existingDocument
+        }, 200);
+      }
     }
 
     // Generate unique file ID
@@ -90,7 +136,8 @@ const getUploadUrlHandler = async (event, context) => {
       Metadata: {
         originalFileName: fileName,
         fileId: fileId,
-        uploadedAt: uploadedAt
+        uploadedAt: uploadedAt,
+        ...(contentHash && { contentHash })
       }
     });
 
@@ -110,9 +157,12 @@ const getUploadUrlHandler = async (event, context) => {
       originalFileName: fileName,
       s3Key,
       s3Bucket: documentsBucket,
+      contentType, // The upload must send this Content-Type (it is part of the signature)
       presignedUrl,
       expiresIn: 3600, // 1 hour
-      uploadedAt
+      uploadedAt,
+      contentHash: contentHash || null,
+      duplicate: false
     };
 
     return createSuccessResponse(responseData, 200);
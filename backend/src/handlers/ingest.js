@@ -1,6 +1,6 @@
 /**
  * Ingest Handler
- * Processes uploaded documents, extracts text, generates embeddings, and stores in vector database (Pinecone/ChromaDB)
+ * Processes uploaded documents, extracts text, generates embeddings, and stores in vector database (Pinecone/ChromaDB/local)
  * Endpoint: POST /api/ingest
  * 
  * This handler uses async processing to avoid API Gateway 29-second timeout:
@@ -9,12 +9,17 @@
  */
 
 import pdfService from '../services/pdfService.js';
+import documentExtractorRegistry from '../services/documentExtractorRegistry.js';
 import embeddingService from '../services/embeddingService.js';
-import chromaService from '../services/chromaService.js';
-import pineconeService from '../services/pineconeService.js';
+import vectorStoreFactory from '../services/vectorStoreFactory.js';
+import keywordIndexService from '../services/keywordIndexService.js';
 import ingestionStatusService from '../services/ingestionStatusService.js';
+import documentCatalogService from '../services/documentCatalogService.js';
+import manualRevisionService, { revisionFieldsOf } from '../services/manualRevisionService.js';
+import s3Service from '../services/s3Service.js';
 import { createSuccessResponse, createErrorResponse, handleAwsError } from '../utils/errorHandler.js';
-import { validateIngestRequest } from '../utils/validators.js';
+import { validateIngestRequest, validateRevisionRequest } from '../utils/validators.js';
+import { isContentHash } from '../utils/contentHash.js';
 import { logger } from '../utils/logger.js';
 import { wrapHandler } from '../utils/handlerWrapper.js';
 import { LambdaClient, InvokeCommand } from '@aws-sdk/client-lambda';
@@ -28,44 +33,120 @@ const isApiGatewayEvent = (event) => {
   return event && (event.httpMethod || event.requestContext);
 };
 
+/**
+ * Record that a file is identical to another document and build the ingest result of that document
+ * The file's status is marked completed with duplicateOf, so status polling for it ends; no vectors are stored
+ * for it, so its content is not counted twice in retrieval
+ * @param {string} fileId - File ID of the identical file
+ * @param {Object} original - Document the file resolves to (documentCatalogService.getDocument shape)
+ * @param {string} contentHash - SHA-256 of the file
+ * @returns {Promise<Object>} Ingest result naming the original document
+ */
+const resolveDuplicate = async (fileId, original, contentHash) => {
+  const message = `Identical to ${original.fileName} (${original.fileId}), which is used instead`;
+
+  await ingestionStatusService.markCompleted(fileId, {
+    message,
+    contentHash,
+    duplicateOf: original.fileId,
+    chunksProcessed: 0
+  });
+
+  logger.info('File resolved to an identical document', {
+    fileId,
+    duplicateOf: original.fileId,
+    status: original.status
+  });
+
+  return {
+    fileId: original.fileId,
+    s3Key: original.s3Key,
+    chunksProcessed: original.chunkCount || 0,
+    status: original.status === 'completed' ? 'success' : 'processing',
+    message,
+    duplicate: true,
+    duplicateFileId: fileId
+  };
+};
+
+/**
+ * Get the content hash recorded for a file: from its status record, else from its S3 object metadata
+ * @param {Object|null} status - Status record of the file
+ * @param {string} s3Key - S3 key
+ * @returns {Promise<string|null>} SHA-256 of the file, or null if none was recorded
+ */
+const recordedContentHash = async (status, s3Key) => {
+  if (isContentHash(status?.contentHash)) {
+    return status.contentHash;
+  }
+  try {
+    const objectMetadata = await s3Service.getObjectMetadata(s3Service.documentsBucket, s3Key);
+    const contentHash = objectMetadata.metadata?.contenthash || objectMetadata.metadata?.contentHash;
+    return isContentHash(contentHash) ? contentHash : null;
+  } catch (metadataError) {
+    logger.warn('Failed to read content hash from S3 object metadata', { s3Key, error: metadataError.message });
+    return null;
+  }
+};
+
 /**
  * Processes the document ingestion (actual work)
+ * A file identical to an already ingested document resolves to that document instead of being embedded again,
+ * unless force is set; a forced ingestion replaces the file's existing vectors. Chunks of a document that belongs
+ * to a manual are stamped with its manual and revision (taken from the status record)
  * @param {string} fileId - File ID
  * @param {string} s3Key - S3 key
+ * @param {Object} [options] - { force }
  * @returns {Promise<Object>} Processing result
  */
-const processIngestion = async (fileId, s3Key) => {
+const processIngestion = async (fileId, s3Key, { force = false } = {}) => {
   const startTime = Date.now();
   const documentsBucket = process.env.S3_DOCUMENTS_BUCKET || process.env.DOCUMENTS_BUCKET;
 
   try {
-    // Update status to processing
-    await ingestionStatusService.updateStatus(fileId, {
+    // Update status to processing (the record holds the manual and revision assigned when ingestion was queued)
+    const statusRecord = await ingestionStatusService.updateStatus(fileId, {
       status: 'processing',
       currentStep: 'extracting_text',
       progress: 10,
-      message: 'Extracting text from PDF...'
+      message: 'Extracting text from document...'
     });
 
-    // Step 1: Extract text from PDF and chunk it
-    logger.info('Step 1: Extracting text from PDF...');
+    // Step 1: Extract text with the extractor for the document's type (PDF, DOCX, XLSX, ...) and chunk it
+    logger.info('Step 1: Extracting text from document...');
     let chunks;
+    let documentInfo;
+    let contentHash;
+    const revisionFields = revisionFieldsOf(statusRecord);
     try {
-      const extractedData = await pdfService.extractTextFromS3(
+      const extractedData = await documentExtractorRegistry.extractFromS3(
         s3Key,
         documentsBucket,
         { fileId, fileName: s3Key.split('/').pop() }
       );
 
       logger.info(`Extracted text length: ${extractedData.text.length} characters`, {
-        pages: extractedData.metadata.numPages
+        pages: extractedData.metadata.numPages,
+        format: extractedData.metadata.format
       });
 
+      contentHash = extractedData.metadata.contentHash;
+
+      // Document properties and section outline, recorded with the ingestion status
+      documentInfo = {
+        ...extractedData.metadata.info,
+        format: extractedData.metadata.format,
+        numPages: extractedData.metadata.numPages,
+        sectionSource: extractedData.metadata.sectionSource || null,
+        sections: (extractedData.metadata.sections || []).map(({ title, level, pageNumber, path }) => ({ title, level, pageNumber, path }))
+      };
+
       // Update progress
       await ingestionStatusService.updateStatus(fileId, {
         currentStep: 'chunking_text',
         progress: 25,
-        message: `Extracted ${extractedData.metadata.numPages} pages, splitting into chunks...`
+        message: `Extracted ${extractedData.metadata.numPages} pages, splitting into chunks...`,
+        contentHash
       });
 
       // Step 2: Split into chunks with page tracking
@@ -78,7 +159,18 @@ const processIngestion = async (fileId, s3Key) => {
         fileName: extractedData.metadata.fileName || s3Key.split('/').pop(),
         numPages: extractedData.metadata.numPages,
         s3Key,
-        extractedAt: extractedData.metadata.extractedAt
+        extractedAt: extractedData.metadata.extractedAt,
+        // Line boxes give each chunk lineStart/lineEnd for line-level citations
+        pageLines: extractedData.metadata.pageLines,
+        pageSizes: extractedData.metadata.pageSizes,
+        // Chunks of scanned pages record how confident OCR was
+        pageOcrConfidence: extractedData.metadata.pageOcrConfidence,
+        // Detected tables become their own chunks (contentType 'table')
+        pageTables: extractedData.metadata.pageTables,
+        // Chunks are tagged with the chapter/section path they start in
+        sections: extractedData.metadata.sections,
+        // Chunks of a manual's revision carry manualId, manualName, revision and revisionIndex
+        ...revisionFields
       });
 
       logger.info(`Created ${chunks.length} chunks`);
@@ -91,10 +183,24 @@ const processIngestion = async (fileId, s3Key) => {
         processedChunks: 0,
         message: `Created ${chunks.length} chunks, generating embeddings...`
       });
-    } catch (pdfError) {
-      logger.error('PDF extraction or chunking failed', pdfError);
-      await ingestionStatusService.markFailed(fileId, `Failed to process PDF: ${pdfError.message}`, 'extracting_text');
-      throw new Error(`Failed to process PDF: ${pdfError.message}`);
+    } catch (extractionError) {
+      logger.error('Document extraction or chunking failed', extractionError);
+      await ingestionStatusService.markFailed(fileId, `Failed to process document: ${extractionError.message}`, 'extracting_text');
+      throw new Error(`Failed to process document: ${extractionError.message}`);
+    }
+
+    // A file identical to an ingested document uses that document's vectors (the upload may not have known
+    // the hash, e.g. a presigned upload without one)
+    if (!force) {
+      let original = null;
+      try {
+        original = await documentCatalogService.findDuplicate(contentHash, { excludeFileId: fileId, statuses: ['completed'] });
+      } catch (lookupError) {
+        logger.warn('Duplicate lookup failed, ingesting as a new document', { fileId, error: lookupError.message });
+      }
+      if (original) {
+        return await resolveDuplicate(fileId, original, contentHash);
+      }
     }
 
     // Step 3: Generate embeddings
@@ -117,37 +223,22 @@ const processIngestion = async (fileId, s3Key) => {
       throw new Error(`Failed to generate embeddings: ${embeddingError.message}`);
     }
 
-    // Step 4: Store in vector database (Pinecone, ChromaDB, or via Langchain)
-    const useLangchain = process.env.USE_LANGCHAIN === 'true';
-    const vectorDb = process.env.VECTOR_DB || 'chromadb';
-    
+    // Step 4: Store in the configured vector database (Pinecone, ChromaDB, local, or via Langchain)
     try {
-      if (useLangchain) {
-        // Use Langchain for vector storage
-        logger.info('Step 4: Storing vectors via Langchain...');
-        const langchainService = (await import('../services/langchainService.js')).default;
-        await langchainService.addDocuments(chunksWithEmbeddings, fileId);
-        logger.info(`Stored ${chunksWithEmbeddings.length} vectors via Langchain`);
-      } else if (vectorDb.toLowerCase() === 'pinecone') {
-        // Use native Pinecone service
-        logger.info('Step 4: Storing vectors in Pinecone...');
-        const embeddings = chunksWithEmbeddings.map(chunk => chunk.embedding);
-        await pineconeService.upsertChunksWithEmbeddings(
-          chunksWithEmbeddings,
-          embeddings,
-          fileId
-        );
-        logger.info(`Stored ${chunksWithEmbeddings.length} vectors in Pinecone`);
-      } else {
-        // Use native ChromaDB service (default)
-        logger.info('Step 4: Storing vectors in ChromaDB...');
-        const embeddings = chunksWithEmbeddings.map(chunk => chunk.embedding);
-        await chromaService.upsertChunksWithEmbeddings(
-          chunksWithEmbeddings,
-          embeddings,
-          fileId
-        );
-        logger.info(`Stored ${chunksWithEmbeddings.length} vectors in ChromaDB`);
+      const vectorStore = vectorStoreFactory.getStore();
+      logger.info(`Step 4: Storing vectors in ${vectorStore.name}...`);
+      // A forced re-ingestion replaces the file's vectors, so chunks the new run no longer produces do not linger
+      if (force) {
+        await vectorStore.deleteByFileId(fileId);
+      }
+      await vectorStore.upsertChunks(chunksWithEmbeddings, fileId);
+      logger.info(`Stored ${chunksWithEmbeddings.length} vectors in ${vectorStore.name}`);
+
+      // Build the BM25 keyword index used by hybrid retrieval (non-fatal: vector search still works without it)
+      try {
+        await keywordIndexService.indexDocument(chunks, fileId);
+      } catch (keywordIndexError) {
+        logger.warn('Keyword index build failed, document will be searchable by vector only', keywordIndexError);
       }
 
       // Update progress
@@ -174,13 +265,16 @@ const processIngestion = async (fileId, s3Key) => {
       metadata: {
         averageChunkSize: Math.round(chunks.reduce((sum, c) => sum + c.text.length, 0) / chunks.length),
         totalTextLength: chunks.reduce((sum, c) => sum + c.text.length, 0)
-      }
+      },
+      document: documentInfo,
+      ...revisionFields
     };
 
     // Mark as completed
     await ingestionStatusService.markCompleted(fileId, {
       chunksProcessed: chunks.length,
-      processingTime: `${processingTime}s`
+      processingTime: `${processingTime}s`,
+      document: documentInfo
     });
 
     return result;
@@ -231,16 +325,17 @@ const ingestHandler = async (event, context) => {
       // Handle cases where event might be wrapped in a body or Records array
       const fileId = eventData.fileId || eventData?.body?.fileId || (eventData?.Records?.[0]?.body && JSON.parse(eventData.Records[0].body)?.fileId);
       const s3Key = eventData.s3Key || eventData?.body?.s3Key || (eventData?.Records?.[0]?.body && JSON.parse(eventData.Records[0].body)?.s3Key);
+      const force = (eventData.force ?? eventData?.body?.force) === true;
       
       if (!fileId || !s3Key) {
         logger.error('Invalid async invocation event', { event, eventData });
         throw new Error('Missing fileId or s3Key in async event');
       }
 
-      logger.info(`Async processing started for file: ${fileId}`, { s3Key });
+      logger.info(`Async processing started for file: ${fileId}`, { s3Key, force });
       
       try {
-        const result = await processIngestion(fileId, s3Key);
+        const result = await processIngestion(fileId, s3Key, { force });
         logger.info('Document ingestion completed successfully', {
           fileId,
           chunksProcessed: result.chunksProcessed,
@@ -268,28 +363,103 @@ const ingestHandler = async (event, context) => {
       return createErrorResponse(400, 'Invalid JSON in request body');
     }
 
-    const { fileId, s3Key } = requestBody;
+    const { fileId, s3Key, manualId, manualName, revision } = requestBody;
+    // force: true ingests the file again even if it (or an identical file) is already ingested
+    const force = requestBody.force === true;
 
     // Validate input
     try {
       validateIngestRequest({ fileId, s3Key });
+      validateRevisionRequest({ manualId, manualName, revision });
     } catch (validationError) {
       logger.warn('Request validation failed', { error: validationError.message });
       return createErrorResponse(400, validationError.message);
     }
 
-    logger.info(`Queuing ingestion for file: ${fileId}`, { s3Key });
+    // Earlier status of the file (an upload record or an earlier ingestion)
+    let existingStatus = null;
+    try {
+      existingStatus = await ingestionStatusService.getStatus(fileId);
+    } catch (statusError) {
+      logger.warn('Failed to get existing status', { fileId, error: statusError.message });
+    }
+
+    if (!force && (existingStatus?.status === 'queued' || existingStatus?.status === 'processing')) {
+      logger.info('Ingestion already in progress', { fileId, status: existingStatus.status });
+      return createSuccessResponse({
+        fileId,
+        s3Key,
+        status: 'processing',
+        message: 'Document ingestion is already in progress.',
+        chunksProcessed: 0
+      }, 202);
+    }
+
+    if (!force && existingStatus?.status === 'completed' && !existingStatus.duplicateOf) {
+      logger.info('Document already ingested', { fileId });
+      return createSuccessResponse({
+        fileId,
+        s3Key,
+        status: 'success',
+        message: 'Document is already ingested. Pass force: true to ingest it again (e.g. to change its manual or revision).',
+        chunksProcessed: existingStatus.chunksProcessed || 0,
+        processingTime: existingStatus.processingTime,
+        document: existingStatus.document,
+        ...revisionFieldsOf(existingStatus),
+        duplicate: true
+      }, 200);
+    }
+
+    // A file identical to a document that is ingested or being ingested resolves to that document
+    const contentHash = await recordedContentHash(existingStatus, s3Key);
+    let original = null;
+    if (!force && contentHash) {
+      try {
+        original = await documentCatalogService.findDuplicate(contentHash, {
+          excludeFileId: fileId,
+          statuses: ['completed', 'processing', 'queued']
+        });
+      } catch (lookupError) {
+        logger.warn('Duplicate lookup failed, ingesting as a new document', { fileId, error: lookupError.message });
+      }
+    }
+
+    // A document keeps its manual and revision across re-ingestions unless the request assigns new ones; an identical
+    // file resolves to the original document, so it does not become a revision of its own
+    let revisionFields = revisionFieldsOf(existingStatus);
+    if (!original && (manualId || manualName)) {
+      try {
+        revisionFields = await manualRevisionService.assignRevision(fileId, { manualId, manualName, revision });
+      } catch (revisionError) {
+        logger.warn('Failed to assign document revision', { fileId, error: revisionError.message });
+        const statusCode = revisionError.message.startsWith('Unknown manual') ? 400 : 500;
+        return createErrorResponse(statusCode, revisionError.message);
+      }
+    }
+
+    logger.info(original ? `Resolving file ${fileId} to identical document ${original.fileId}` : `Queuing ingestion for file: ${fileId}`, { s3Key, force });
 
     // Create initial status record
     try {
       await ingestionStatusService.createStatus(fileId, s3Key, {
-        fileName: s3Key.split('/').pop()
+        fileName: s3Key.split('/').pop(),
+        ...(contentHash && { contentHash }),
+        ...revisionFields
       });
     } catch (statusError) {
       logger.error('Failed to create initial status', statusError);
       // Continue anyway - status tracking is not critical
     }
 
+    if (original) {
+      try {
+        return createSuccessResponse(await resolveDuplicate(fileId, original, contentHash), 200);
+      } catch (resolveError) {
+        logger.error('Failed to record duplicate status', resolveError);
+        return createErrorResponse(500, `Failed to resolve identical document: ${resolveError.message}`, resolveError);
+      }
+    }
+
     // Invoke Lambda asynchronously to process the ingestion
     try {
       const lambdaClient = new LambdaClient({ region: process.env.AWS_REGION || 'us-east-1' });
@@ -306,7 +476,7 @@ const ingestHandler = async (event, context) => {
       const invokeCommand = new InvokeCommand({
         FunctionName: functionName,
         InvocationType: 'Event', // Async invocation
-        Payload: JSON.stringify({ fileId, s3Key })
+        Payload: JSON.stringify({ fileId, s3Key, force })
       });
 
       await lambdaClient.send(invokeCommand);
@@ -319,7 +489,8 @@ const ingestHandler = async (event, context) => {
         s3Key,
         status: 'processing',
         message: 'Document ingestion queued. Processing will continue in the background.',
-        chunksProcessed: 0
+        chunksProcessed: 0,
+        ...revisionFields
       }, 202); // 202 Accepted for async operations
 
     } catch (invokeError) {
@@ -328,7 +499,7 @@ const ingestHandler = async (event, context) => {
       logger.warn('Falling back to synchronous processing', { fileId, s3Key });
       
       try {
-        const result = await processIngestion(fileId, s3Key);
+        const result = await processIngestion(fileId, s3Key, { force });
         logger.info('Synchronous processing completed', {
           fileId,
           chunksProcessed: result.chunksProcessed,
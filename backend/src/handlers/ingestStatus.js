@@ -6,12 +6,12 @@
  * Best Practices:
  * - Fast status check using DynamoDB (< 100ms response time)
  * - Real-time progress tracking with percentage and current step
- * - Fallback to vector database (Pinecone/ChromaDB) if DynamoDB status not found
+ * - Fallback to vector database (Pinecone/ChromaDB/local) via vectorStoreFactory if DynamoDB status not found
  */
 
 import ingestionStatusService from '../services/ingestionStatusService.js';
-import chromaService from '../services/chromaService.js';
-import pineconeService from '../services/pineconeService.js';
+import { revisionFieldsOf } from '../services/manualRevisionService.js';
+import vectorStoreFactory from '../services/vectorStoreFactory.js';
 import { createSuccessResponse, createErrorResponse } from '../utils/errorHandler.js';
 import { logger } from '../utils/logger.js';
 import { wrapHandler } from '../utils/handlerWrapper.js';
@@ -70,7 +70,11 @@ const ingestStatusHandler = async (event, context) => {
         ...(statusRecord.estimatedTotalTime !== undefined && { estimatedTotalTime: statusRecord.estimatedTotalTime }),
         ...(statusRecord.completedAt && { completedAt: statusRecord.completedAt }),
         ...(statusRecord.failedAt && { failedAt: statusRecord.failedAt }),
-        ...(statusRecord.error && { error: statusRecord.error })
+        ...(statusRecord.error && { error: statusRecord.error }),
+        // Identical to an ingested document, whose vectors are used instead
+        ...(statusRecord.duplicateOf && { duplicateOf: statusRecord.duplicateOf }),
+        // Manual and revision the document belongs to
+        ...revisionFieldsOf(statusRecord)
       };
 
       logger.info('Ingest status from DynamoDB', {
@@ -83,10 +87,9 @@ const ingestStatusHandler = async (event, context) => {
     }
 
     // Fallback: Check vector database (for backward compatibility)
-    const useLangchain = process.env.USE_LANGCHAIN === 'true';
-    const vectorDb = process.env.VECTOR_DB || 'chromadb';
-    
-    logger.info(`Status not in DynamoDB, checking ${useLangchain ? 'Langchain' : vectorDb}...`, { fileId });
+    const vectorStoreName = vectorStoreFactory.getDefaultStoreName();
+
+    logger.info(`Status not in DynamoDB, checking ${vectorStoreName}...`, { fileId });
 
     let status = 'not_found';
     let chunksCount = 0;
@@ -94,97 +97,26 @@ const ingestStatusHandler = async (event, context) => {
     let error = null;
 
     try {
-      if (useLangchain) {
-        // Check via Langchain
-        const langchainService = (await import('../services/langchainService.js')).default;
-        const results = await langchainService.queryByMetadata({ fileId }, 1);
-
-        if (results && results.length > 0) {
-          status = 'completed';
-          chunksCount = results[0].metadata?.chunksProcessed || results.length;
-          metadata = {
-            chunksProcessed: chunksCount,
-            processingTime: results[0].metadata?.processingTime,
-            averageChunkSize: results[0].metadata?.averageChunkSize,
-            totalTextLength: results[0].metadata?.totalTextLength
-          };
-        }
-      } else if (vectorDb.toLowerCase() === 'pinecone') {
-        // Check via Pinecone - query by metadata filter
-        try {
-          // Query with a dummy vector and filter by fileId
-          const dummyVector = new Array(1024).fill(0);
-          const results = await pineconeService.queryVectors(
-            dummyVector,
-            1,
-            { fileId: { $eq: fileId } }
-          );
-
-          if (results.matches && results.matches.length > 0) {
-            // Document exists, query for all chunks to get count
-            const allResults = await pineconeService.queryVectors(
-              dummyVector,
-              1000, // Large limit to get all chunks
-              { fileId: { $eq: fileId } }
-            );
-
-            chunksCount = allResults.matches?.length || 0;
-
-            // Extract metadata from first chunk
-            if (allResults.matches && allResults.matches.length > 0) {
-              const firstMatch = allResults.matches[0];
-              metadata = {
-                chunksProcessed: chunksCount,
-                processingTime: firstMatch.metadata?.processingTime,
-                averageChunkSize: firstMatch.metadata?.averageChunkSize,
-                totalTextLength: firstMatch.metadata?.totalTextLength,
-                fileName: firstMatch.metadata?.fileName,
-                numPages: firstMatch.metadata?.numPages
-              };
-            }
-
-            status = 'completed';
-          }
-        } catch (pineconeError) {
-          logger.warn('Error checking Pinecone status', { fileId, error: pineconeError.message });
-          throw pineconeError;
-        }
-      } else {
-        // Check via ChromaDB - query by metadata filter
-        const collection = await chromaService.connect();
-
-        // Use get() with where clause to check if document exists
-        const results = await collection.get({
-          where: { fileId },
-          limit: 1
-        });
-
-        if (results.ids && results.ids.length > 0) {
-          // Document exists, get full count
-          const allResults = await collection.get({
-            where: { fileId }
-          });
-
-          chunksCount = allResults.ids?.length || 0;
-
-          // Extract metadata from first chunk
-          if (allResults.metadatas && allResults.metadatas.length > 0) {
-            const firstMetadata = allResults.metadatas[0];
-            metadata = {
-              chunksProcessed: chunksCount,
-              processingTime: firstMetadata.processingTime,
-              averageChunkSize: firstMetadata.averageChunkSize,
-              totalTextLength: firstMetadata.totalTextLength,
-              fileName: firstMetadata.fileName,
-              numPages: firstMetadata.numPages
-            };
-          }
-
-          status = 'completed';
-        }
+      const chunks = await vectorStoreFactory.getStore(vectorStoreName).getChunksByFileId(fileId);
+
+      if (chunks.length > 0) {
+        chunksCount = chunks.length;
+
+        // Extract metadata from first chunk
+        const firstMetadata = chunks[0].metadata || {};
+        metadata = {
+          chunksProcessed: chunksCount,
+          processingTime: firstMetadata.processingTime,
+          averageChunkSize: firstMetadata.averageChunkSize,
+          totalTextLength: firstMetadata.totalTextLength,
+          fileName: firstMetadata.fileName,
+          numPages: firstMetadata.numPages
+        };
+
+        status = 'completed';
       }
     } catch (dbError) {
-      logger.warn(`Error checking ${vectorDb} status`, { fileId, error: dbError.message });
+      logger.warn(`Error checking ${vectorStoreName} status`, { fileId, error: dbError.message });
       status = 'unknown';
       error = 'Unable to check status from database.';
     }
@@ -6,14 +6,17 @@
 
 import { v4 as uuidv4 } from 'uuid';
 import { createSuccessResponse, createErrorResponse, handleAwsError } from '../utils/errorHandler.js';
-import { validateFileType, validateFileSize, validateFileExtension } from '../utils/validators.js';
+import { validateFileSize, validateFileExtension } from '../utils/validators.js';
 import { logger } from '../utils/logger.js';
 import { parseMultipartFormData } from '../utils/multipartParser.js';
 import { handleUpload } from '../controllers/uploadController.js';
 import { validateMethod, handleOptions } from '../utils/routeHandler.js';
-import { ALLOWED_EXTENSIONS } from '../utils/constants.js';
 import { wrapHandler } from '../utils/handlerWrapper.js';
+import { computeContentHash } from '../utils/contentHash.js';
 import s3Service from '../services/s3Service.js';
+import documentExtractorRegistry from '../services/documentExtractorRegistry.js';
+import ingestionStatusService from '../services/ingestionStatusService.js';
+import documentCatalogService from '../services/documentCatalogService.js';
 
 /**
  * Lambda handler for file upload
@@ -55,7 +58,7 @@ const uploadHandler = async (event, context) => {
       return createErrorResponse(400, 'Invalid request format. Expected multipart/form-data.', parseError);
     }
 
-    const { files } = parsedData;
+    const { files, fields } = parsedData;
 
     // Validate file exists
     if (!files || files.length === 0) {
@@ -69,10 +72,10 @@ const uploadHandler = async (event, context) => {
       return createErrorResponse(400, 'Invalid file data.');
     }
 
-    // Validate file type (PDF only)
+    // Validate file type (any format with a registered text extractor)
     try {
-      validateFileType(file.contentType, ['application/pdf']);
-      validateFileExtension(file.filename, ALLOWED_EXTENSIONS.DOCUMENTS);
+      validateFileExtension(file.filename, documentExtractorRegistry.listExtensions());
+      documentExtractorRegistry.getExtractor(file.contentType, file.filename);
     } catch (validationError) {
       logger.warn('File validation failed', { error: validationError.message, fileName: file.filename });
       return createErrorResponse(400, validationError.message);
@@ -99,6 +102,43 @@ const uploadHandler = async (event, context) => {
       return createErrorResponse(413, 'File size exceeds API Gateway 10MB limit. Please use the presigned URL upload endpoint for files larger than 10MB.');
     }
 
+    // A file identical to an ingested document resolves to that document (and its ingest status and vectors)
+    // instead of being stored again, unless the caller forces a new upload (?force=true or a "force" form field).
+    // An identical document that is only uploaded, still being ingested or failed may never be ingested, so the
+    // file is stored as usual and ingestion resolves it once the original is done
+    const contentHash = computeContentHash(file.buffer);
+    const force = event.queryStringParameters?.force === 'true' || fields?.force === 'true';
+    if (!force) {
+      let existingDocument = null;
+      try {
+        existingDocument = await documentCatalogService.findDuplicate(contentHash, { statuses: ['completed'] });
+      } catch (lookupError) {
+        logger.warn('Duplicate lookup failed, uploading as a new document', { error: lookupError.message });
+      }
+
+      if (existingDocument) {
+        logger.info('File is identical to an existing document, not uploading it again', {
+          fileName: file.filename,
+          fileId: existingDocument.fileId,
+          status: existingDocument.status
+        });
+
+        return createSuccessResponse({
+          fileId: existingDocument.fileId,
+          fileName: existingDocument.fileName,
+          originalFileName: existingDocument.originalFileName || existingDocument.fileName,
+          fileSize: existingDocument.fileSize,
+          contentType: existingDocument.contentType,
+          s3Key: existingDocument.s3Key,
+          s3Bucket: s3Service.documentsBucket,
+          uploadedAt: existingDocument.uploadedAt,
+          contentHash,
+          duplicate: true,
+          document: existingDocument
+        }, 200);
+      }
+    }
+
     // Generate unique file ID
     const fileId = uuidv4();
     const uploadedAt = new Date().toISOString();
@@ -110,13 +150,24 @@ const uploadHandler = async (event, context) => {
         file.buffer,
         file.filename,
         file.contentType,
-        fileId
+        fileId,
+        contentHash
       );
     } catch (uploadError) {
       logger.error('S3 upload failed', uploadError);
       return handleAwsError(uploadError);
     }
 
+    // Record the upload with its content hash, so the next upload of the same file finds it before it is ingested
+    try {
+      await ingestionStatusService.recordUpload(fileId, uploadResult.s3Key, {
+        fileName: uploadResult.fileName,
+        contentHash
+      });
+    } catch (statusError) {
+      logger.warn('Failed to record upload status', { fileId, error: statusError.message });
+    }
+
     // Prepare response data
     const responseData = {
       fileId,
@@ -126,7 +177,9 @@ const uploadHandler = async (event, context) => {
       contentType: file.contentType,
       s3Key: uploadResult.s3Key,
       s3Bucket: uploadResult.bucket,
-      uploadedAt
+      uploadedAt,
+      contentHash,
+      duplicate: false
     };
 
     logger.info('File uploaded successfully', {
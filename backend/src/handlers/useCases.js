@@ -0,0 +1,182 @@
+/**
+ * Lambda handler for use case management
+ * Handles listing built-in and custom use cases, and registering, updating and deleting custom ones
+ * (registering, updating and deleting require admin access, see utils/adminAuth.js)
+ */
+
+import { logger } from '../utils/logger.js';
+import { createSuccessResponse, createErrorResponse } from '../utils/errorHandler.js';
+import { handleOptions, parseRequestBody } from '../utils/routeHandler.js';
+import { requireAdmin } from '../utils/adminAuth.js';
+import useCaseRegistry from '../services/useCaseRegistry.js';
+
+/**
+ * GET /api/use-cases - List built-in and custom use cases
+ */
+export const listUseCasesHandler = async () => {
+  try {
+    logger.info('Listing use cases');
+
+    const useCases = await useCaseRegistry.listUseCases();
+
+    return createSuccessResponse({
+      useCases,
+      count: useCases.length
+    });
+  } catch (error) {
+    logger.error('Error listing use cases', error);
+    return createErrorResponse(500, 'Failed to list use cases', error);
+  }
+};
+
+/**
+ * GET /api/use-cases/:useCaseId - Get a custom use case definition
+ */
+export const getUseCaseHandler = async (event) => {
+  try {
+    const useCaseId = event.pathParameters?.useCaseId;
+
+    if (!useCaseId) {
+      return createErrorResponse(400, 'Use case ID is required');
+    }
+
+    logger.info(`Getting use case: ${useCaseId}`);
+
+    if (useCaseRegistry.isBuiltIn(useCaseId)) {
+      return createErrorResponse(400, `${useCaseId} is a built-in use case and has no stored definition`);
+    }
+
+    const useCase = await useCaseRegistry.getUseCase(useCaseId);
+    if (!useCase) {
+      return createErrorResponse(404, `Use case not found: ${useCaseId}`);
+    }
+
+    return createSuccessResponse({ useCase });
+  } catch (error) {
+    logger.error('Error getting use case', error);
+    return createErrorResponse(500, 'Failed to get use case', error);
+  }
+};
+
+/**
+ * POST /api/use-cases - Register a custom use case
+ * PUT /api/use-cases/:useCaseId - Replace a custom use case (the ID comes from the path)
+ * Admin only
+ */
+export const registerUseCaseHandler = async (event) => {
+  const adminError = requireAdmin(event);
+  if (adminError) {
+    return adminError;
+  }
+
+  const requestBody = parseRequestBody(event);
+  const useCaseId = event.pathParameters?.useCaseId;
+
+  if (!requestBody) {
+    return createErrorResponse(400, 'Request body is required');
+  }
+
+  const definition = useCaseId ? { ...requestBody, id: useCaseId } : requestBody;
+
+  try {
+    useCaseRegistry.validateDefinition(definition);
+  } catch (validationError) {
+    logger.warn('Use case validation failed', { error: validationError.message });
+    return createErrorResponse(400, validationError.message);
+  }
+
+  try {
+    logger.info(`Registering use case: ${definition.id}`);
+
+    const useCase = await useCaseRegistry.registerUseCase(definition);
+
+    return createSuccessResponse({
+      useCase,
+      message: useCaseId ? 'Use case updated successfully' : 'Use case registered successfully'
+    }, useCaseId ? 200 : 201);
+  } catch (error) {
+    logger.error('Error registering use case', error);
+    return createErrorResponse(500, error.message || 'Failed to register use case', error);
+  }
+};
+
+/**
+ * DELETE /api/use-cases/:useCaseId - Delete a custom use case and its prompt library
+ * Admin only
+ */
+export const deleteUseCaseHandler = async (event) => {
+  const adminError = requireAdmin(event);
+  if (adminError) {
+    return adminError;
+  }
+
+  try {
+    const useCaseId = event.pathParameters?.useCaseId;
+
+    if (!useCaseId) {
+      return createErrorResponse(400, 'Use case ID is required');
+    }
+
+    if (useCaseRegistry.isBuiltIn(useCaseId)) {
+      return createErrorResponse(400, `${useCaseId} is a built-in use case and cannot be deleted`);
+    }
+
+    logger.info(`Deleting use case: ${useCaseId}`);
+
+    const deleted = await useCaseRegistry.deleteUseCase(useCaseId);
+    if (!deleted) {
+      return createErrorResponse(404, `Use case not found: ${useCaseId}`);
+    }
+
+    return createSuccessResponse({
+      message: 'Use case deleted successfully'
+    });
+  } catch (error) {
+    logger.error('Error deleting use case', error);
+    return createErrorResponse(500, error.message || 'Failed to delete use case', error);
+  }
+};
+
+/**
+ * Main handler - routes to appropriate function based on method and path
+ */
+export const handler = async (event) => {
+  const method = event.httpMethod || event.requestContext?.http?.method;
+  const path = event.path || event.requestContext?.http?.path || event.rawPath;
+  const useCaseId = event.pathParameters?.useCaseId;
+
+  logger.info('Use cases handler invoked', { method, path, useCaseId });
+
+  try {
+    // Handle OPTIONS preflight
+    const optionsResponse = handleOptions(event);
+    if (optionsResponse) {
+      return optionsResponse;
+    }
+
+    if (method === 'GET' && !useCaseId) {
+      return await listUseCasesHandler(event);
+    }
+
+    if (method === 'POST' && !useCaseId) {
+      return await registerUseCaseHandler(event);
+    }
+
+    if (method === 'GET' && useCaseId) {
+      return await getUseCaseHandler(event);
+    }
+
+    if (method === 'PUT' && useCaseId) {
+      return await registerUseCaseHandler(event);
+    }
+
+    if (method === 'DELETE' && useCaseId) {
+      return await deleteUseCaseHandler(event);
+    }
+
+    return createErrorResponse(405, `Method ${method} not allowed for this path: ${path}`);
+  } catch (error) {
+    logger.error('Use cases handler error', error);
+    return createErrorResponse(500, 'Internal server error', error);
+  }
+};
@@ -27,7 +27,7 @@ export const ROUTES = {
         path: '/api/generate',
         method: 'POST',
         handler: 'generate',
-        description: 'Generate AI content (checksheet/workInstructions) from documents',
+        description: 'Generate AI content (checksheet/workInstructions/summary/analysis/extraction) from documents',
         timeout: 300,
         memorySize: 512,
         cors: true
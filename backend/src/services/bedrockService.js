@@ -3,7 +3,7 @@
  * Handles interactions with Claude models via Amazon Bedrock
  */
 
-import { BedrockRuntimeClient, InvokeModelCommand } from '@aws-sdk/client-bedrock-runtime';
+import { BedrockRuntimeClient, InvokeModelCommand, InvokeModelWithResponseStreamCommand, CountTokensCommand } from '@aws-sdk/client-bedrock-runtime';
 import { logger } from '../utils/logger.js';
 import { BEDROCK_MODELS } from '../utils/constants.js';
 
@@ -20,6 +20,14 @@ class BedrockService {
     this.defaultMaxTokens = 4096;
     this.defaultTemperature = 0.3;
     this.maxRetries = 3;
+
+    // Capability flags consumed by the LLM provider registry
+    this.capabilities = {
+      maxOutputTokens: 8192,
+      contextWindowTokens: 200000,
+      jsonMode: false,
+      streaming: true
+    };
     
     logger.info('BedrockService initialized', {
       region,
@@ -45,11 +53,31 @@ class BedrockService {
     return true;
   }
 
+  /**
+   * Count tokens with the Bedrock CountTokens API
+   * @param {string} text - Text to count (sent as a user message)
+   * @returns {Promise<number>} Token count
+   */
+  async countTokens(text) {
+    this.validateModelId(this.modelId);
+    const requestBody = {
+      anthropic_version: 'bedrock-2023-05-31',
+      max_tokens: 1,
+      messages: [{ role: 'user', content: text }]
+    };
+
+    const response = await this.client.send(new CountTokensCommand({
+      modelId: this.modelId,
+      input: { invokeModel: { body: Buffer.from(JSON.stringify(requestBody)) } }
+    }));
+    return response.inputTokens;
+  }
+
   /**
    * Invoke Claude model
    * @param {string} systemPrompt - System prompt/instructions
    * @param {string} userPrompt - User prompt/content
-   * @param {Object} options - Additional options (temperature, maxTokens, modelId)
+   * @param {Object} options - Additional options (temperature, maxTokens, modelId, onUsage)
    * @returns {Promise<string>} AI response text
    */
   async invokeClaude(systemPrompt, userPrompt, options = {}) {
@@ -57,7 +85,8 @@ class BedrockService {
       const {
         temperature = this.defaultTemperature,
         maxTokens = this.defaultMaxTokens,
-        modelId = this.modelId
+        modelId = this.modelId,
+        onUsage = null
       } = options;
 
       // Validate inputs
@@ -117,6 +146,14 @@ class BedrockService {
         usage: responseBody.usage
       });
 
+      if (onUsage && responseBody.usage) {
+        onUsage({
+          promptTokens: responseBody.usage.input_tokens || 0,
+          outputTokens: responseBody.usage.output_tokens || 0,
+          totalTokens: (responseBody.usage.input_tokens || 0) + (responseBody.usage.output_tokens || 0)
+        });
+      }
+
       return responseText;
     } catch (error) {
       logger.error('Bedrock invocation failed', {
@@ -231,48 +268,65 @@ class BedrockService {
   }
 
   /**
-   * Invoke Claude with streaming response (for future use)
+   * Invoke Claude with streaming response
+   * Yields text fragments as content_block_delta events arrive
    * @param {string} systemPrompt - System prompt/instructions
    * @param {string} userPrompt - User prompt/content
-   * @param {Object} options - Additional options
-   * @returns {Promise<ReadableStream>} Streaming response
+   * @param {Object} options - Additional options (temperature, maxTokens, modelId)
+   * @returns {AsyncGenerator<string>} Text fragments
    */
-  async invokeStream(systemPrompt, userPrompt, options = {}) {
-    try {
-      const {
-        temperature = this.defaultTemperature,
-        maxTokens = this.defaultMaxTokens,
-        modelId = this.modelId
-      } = options;
-
-      if (!systemPrompt || typeof systemPrompt !== 'string' || systemPrompt.trim().length === 0) {
-        throw new Error('System prompt must be a non-empty string');
-      }
-      if (!userPrompt || typeof userPrompt !== 'string' || userPrompt.trim().length === 0) {
-        throw new Error('User prompt must be a non-empty string');
-      }
+  async *invokeStream(systemPrompt, userPrompt, options = {}) {
+    const {
+      temperature = this.defaultTemperature,
+      maxTokens = this.defaultMaxTokens,
+      modelId = this.modelId
+    } = options;
 
-      this.validateModelId(modelId);
+    if (!systemPrompt || typeof systemPrompt !== 'string' || systemPrompt.trim().length === 0) {
+      throw new Error('System prompt must be a non-empty string');
+    }
+    if (!userPrompt || typeof userPrompt !== 'string' || userPrompt.trim().length === 0) {
+      throw new Error('User prompt must be a non-empty string');
+    }
 
-      const requestBody = {
-        anthropic_version: 'bedrock-2023-05-31',
-        max_tokens: maxTokens,
-        temperature: Math.max(0, Math.min(1, temperature)),
-        system: systemPrompt.trim(),
-        messages: [
-          {
-            role: 'user',
-            content: userPrompt.trim()
-          }
-        ]
-      };
+    this.validateModelId(modelId);
+
+    const requestBody = {
+      anthropic_version: 'bedrock-2023-05-31',
+      max_tokens: maxTokens,
+      temperature: Math.max(0, Math.min(1, temperature)),
+      system: systemPrompt.trim(),
+      messages: [
+        {
+          role: 'user',
+          content: userPrompt.trim()
+        }
+      ]
+    };
 
-      // Note: For streaming, use InvokeModelWithResponseStreamCommand
-      // This is a placeholder for future implementation
-      throw new Error('Streaming not yet implemented. Use invokeClaude or invokeWithRetry instead.');
+    let response;
+    try {
+      const command = new InvokeModelWithResponseStreamCommand({
+        modelId,
+        contentType: 'application/json',
+        accept: 'application/json',
+        body: JSON.stringify(requestBody)
+      });
+      response = await this.client.send(command);
     } catch (error) {
       logger.error('Bedrock streaming invocation failed', error);
-      throw error;
+      throw new Error(`Failed to invoke Claude stream: ${error.message}`);
+    }
+
+    const decoder = new TextDecoder();
+    for await (const event of response.body) {
+      if (!event.chunk?.bytes) {
+        continue;
+      }
+      const payload = JSON.parse(decoder.decode(event.chunk.bytes));
+      if (payload.type === 'content_block_delta' && payload.delta?.text) {
+        yield payload.delta.text;
+      }
     }
   }
 }
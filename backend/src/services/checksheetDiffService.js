@@ -0,0 +1,154 @@
+/**
+ * Checksheet Diff Service
+ * Compares two generated checksheets (e.g. from two revisions of a manual) item by item
+ *
+ * Items are matched by itemName and frequency, compared the way deduplication compares them (so "Check oil level"
+ * and "Inspect oil level" are the same item). Items left over are then matched by itemName alone, which catches a
+ * check whose interval changed. A matched item is changed if its frequency, inspection point, expected status or
+ * notes differ; unmatched items were added or removed.
+ */
+
+import deduplicationService from './deduplicationService.js';
+import { logger } from '../utils/logger.js';
+
+// Fields compared between matched items (itemName is the match key itself)
+const COMPARED_FIELDS = ['frequency', 'inspectionPoint', 'expectedStatus', 'notes'];
+
+/**
+ * Normalize a free-text field for comparison (case, whitespace and trailing punctuation do not count as changes)
+ * @param {*} value - Field value
+ * @returns {string} Normalized text
+ */
+const normalizeText = (value) => String(value ?? '')
+  .toLowerCase()
+  .replace(/\s+/g, ' ')
+  .replace(/[.;,\s]+$/, '')
+  .trim();
+
+/**
+ * Get the items of a generated checksheet
+ * @param {Array|Object} checksheet - Items, or a generation result with items in items, data or data.items
+ * @returns {Array<Object>} Checksheet items (empty if there are none)
+ */
+export const checksheetItemsOf = (checksheet) => {
+  if (Array.isArray(checksheet)) {
+    return checksheet;
+  }
+  const items = checksheet?.items || checksheet?.data?.items || checksheet?.data;
+  return Array.isArray(items) ? items : [];
+};
+
+class ChecksheetDiffService {
+  constructor() {
+    logger.info('ChecksheetDiffService initialized', {
+      comparedFields: COMPARED_FIELDS
+    });
+  }
+
+  /**
+   * Get the name an item is matched by
+   * @param {Object} item - Checksheet item
+   * @returns {string} Normalized item name (the inspection point if the name has nothing distinctive)
+   */
+  matchName(item) {
+    return deduplicationService.normalizeItemName(item.itemName || item.name) || normalizeText(item.inspectionPoint);
+  }
+
+  /**
+   * List the fields that differ between two matched items
+   * @param {Object} base - Item of the base checksheet
+   * @param {Object} target - Item of the target checksheet
+   * @returns {Array<Object>} Changes [{ field, from, to }]
+   */
+  compareItems(base, target) {
+    return COMPARED_FIELDS
+      .filter(field => field === 'frequency'
+        ? deduplicationService.normalizeFrequency(base.frequency) !== deduplicationService.normalizeFrequency(target.frequency)
+        : normalizeText(base[field]) !== normalizeText(target[field]))
+      .map(field => ({ field, from: base[field] ?? null, to: target[field] ?? null }));
+  }
+
+  /**
+   * Diff two generated checksheets
+   * @param {Array|Object} baseChecksheet - Earlier checksheet (items or a generation result)
+   * @param {Array|Object} targetChecksheet - Later checksheet (items or a generation result)
+   * @param {Object} [options] - { baseLabel, targetLabel } naming the two checksheets (e.g. revision labels)
+   * @returns {Object} { labels, summary, added, removed, changed, unchanged } where changed entries are
+   *   { itemName, frequency, base, target, changes: [{ field, from, to }] } and the other lists hold items
+   */
+  diffChecksheets(baseChecksheet, targetChecksheet, { baseLabel = 'Base', targetLabel = 'Target' } = {}) {
+    const baseItems = checksheetItemsOf(baseChecksheet);
+    const targetItems = checksheetItemsOf(targetChecksheet);
+
+    const remainingBase = baseItems.map(item => ({
+      item,
+      name: this.matchName(item),
+      frequency: deduplicationService.normalizeFrequency(item.frequency)
+    }));
+    const pairs = [];
+    const added = [];
+
+    // Pass 1: same name and frequency
+    const unmatchedTargets = targetItems.filter(item => {
+      const name = this.matchName(item);
+      const frequency = deduplicationService.normalizeFrequency(item.frequency);
+      const index = remainingBase.findIndex(candidate => candidate.name === name && candidate.frequency === frequency);
+      if (index === -1) {
+        return true;
+      }
+      pairs.push({ base: remainingBase.splice(index, 1)[0].item, target: item });
+      return false;
+    });
+
+    // Pass 2: same name, interval changed
+    unmatchedTargets.forEach(item => {
+      const name = this.matchName(item);
+      const index = name ? remainingBase.findIndex(candidate => candidate.name === name) : -1;
+      if (index === -1) {
+        added.push(item);
+      } else {
+        pairs.push({ base: remainingBase.splice(index, 1)[0].item, target: item });
+      }
+    });
+
+    const changed = [];
+    const unchanged = [];
+    pairs.forEach(({ base, target }) => {
+      const changes = this.compareItems(base, target);
+      if (changes.length === 0) {
+        unchanged.push(target);
+      } else {
+        changed.push({
+          itemName: target.itemName || base.itemName || null,
+          frequency: target.frequency || null,
+          base,
+          target,
+          changes
+        });
+      }
+    });
+    const removed = remainingBase.map(candidate => candidate.item);
+
+    const summary = {
+      baseItems: baseItems.length,
+      targetItems: targetItems.length,
+      added: added.length,
+      removed: removed.length,
+      changed: changed.length,
+      unchanged: unchanged.length
+    };
+    logger.info('Diffed checksheets', { baseLabel, targetLabel, ...summary });
+
+    return {
+      labels: { base: baseLabel, target: targetLabel },
+      summary,
+      added,
+      removed,
+      changed,
+      unchanged
+    };
+  }
+}
+
+// Export singleton instance
+export default new ChecksheetDiffService();
@@ -0,0 +1,213 @@
+/**
+ * Deduplication Service
+ * Collapses near-identical checksheet items produced by chunked generation
+ * (e.g. "Check oil level" / "Inspect oil level" from neighbouring context slices)
+ *
+ * Items are clustered greedily in generation order. An item joins a cluster when its
+ * normalized itemName matches, or when the embedding of "itemName. inspectionPoint" is at
+ * least DEDUP_SIMILARITY_THRESHOLD similar, unless both items name different frequencies.
+ * Each cluster keeps its richest variant and the union of the members' source citations.
+ */
+
+import embeddingService from './embeddingService.js';
+import { logger } from '../utils/logger.js';
+
+// Verbs and filler that vary between phrasings of the same check
+const GENERIC_NAME_WORDS = new Set([
+  'a', 'an', 'and', 'the', 'of', 'for', 'to', 'on', 'in',
+  'check', 'checks', 'checking', 'inspect', 'inspects', 'inspection', 'inspecting',
+  'verify', 'verification', 'examine', 'examination', 'ensure', 'confirm', 'review', 'test', 'monitor'
+]);
+
+// Placeholder values that should not count towards an item's richness
+const PLACEHOLDER_VALUES = new Set(['', 'see manual', 'n/a', 'na', 'none', '-']);
+
+// Fields that describe a checksheet item (source fields are merged separately)
+const CONTENT_FIELDS = ['itemName', 'inspectionPoint', 'frequency', 'expectedStatus', 'notes'];
+
+/**
+ * Cosine similarity between two vectors
+ * @param {Array<number>} a - First vector
+ * @param {Array<number>} b - Second vector
+ * @returns {number} Similarity in [-1, 1] (0 if either vector is zero or dimensions differ)
+ */
+const cosineSimilarity = (a, b) => {
+  if (!a || !b || a.length !== b.length) {
+    return 0;
+  }
+
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+
+  return normA === 0 || normB === 0 ? 0 : dot / (Math.sqrt(normA) * Math.sqrt(normB));
+};
+
+class DeduplicationService {
+  constructor() {
+    const threshold = parseFloat(process.env.DEDUP_SIMILARITY_THRESHOLD);
+    this.similarityThreshold = Number.isFinite(threshold) ? threshold : 0.9;
+    this.enabled = process.env.DEDUP_CHECKSHEET_ITEMS !== 'false';
+
+    logger.info('DeduplicationService initialized', {
+      enabled: this.enabled,
+      similarityThreshold: this.similarityThreshold
+    });
+  }
+
+  /**
+   * Normalize an item name so phrasings of the same check compare equal
+   * ("Inspect Oil Level" and "Check oil level." both become "level oil")
+   * @param {string} name - Item name
+   * @returns {string} Normalized name (empty if nothing distinctive is left)
+   */
+  normalizeItemName(name) {
+    const words = String(name || '')
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, ' ')
+      .split(' ')
+      .filter(word => word && !GENERIC_NAME_WORDS.has(word))
+      .map(word => (word.length > 3 ? word.replace(/s$/, '') : word));
+
+    return [...new Set(words)].sort().join(' ');
+  }
+
+  /**
+   * Normalize a frequency for comparison
+   * @param {string} frequency - Frequency value
+   * @returns {string|null} Normalized frequency, or null if unspecified
+   */
+  normalizeFrequency(frequency) {
+    const raw = String(frequency || '').toLowerCase().trim();
+    const value = raw.replace(/[^a-z0-9]+/g, ' ').trim();
+    return PLACEHOLDER_VALUES.has(raw) || PLACEHOLDER_VALUES.has(value) ? null : value;
+  }
+
+  /**
+   * Score how much information an item carries (longest variant wins within a cluster)
+   * @param {Object} item - Checksheet item
+   * @returns {number} Richness score
+   */
+  richness(item) {
+    return CONTENT_FIELDS.reduce((score, field) => {
+      const value = typeof item[field] === 'string' ? item[field].trim() : '';
+      return PLACEHOLDER_VALUES.has(value.toLowerCase()) ? score : score + value.length;
+    }, 0);
+  }
+
+  /**
+   * Collect the source citations of an item
+   * @param {Object} item - Checksheet item
+   * @returns {Array<string>} Source references
+   */
+  getSources(item) {
+    if (Array.isArray(item.sources) && item.sources.length > 0) {
+      return item.sources;
+    }
+    return item.source ? [item.source] : [];
+  }
+
+  /**
+   * Embed the items for similarity clustering
+   * @param {Array<Object>} items - Checksheet items
+   * @returns {Promise<Array<Array<number>>|null>} One embedding per item, or null if embedding failed
+   */
+  async embedItems(items) {
+    const texts = items.map(item => {
+      const text = [item.itemName, item.inspectionPoint].filter(Boolean).join('. ').trim();
+      return text || 'checksheet item';
+    });
+
+    try {
+      const embeddings = await embeddingService.generateEmbeddingsBatch(texts, null, 'SEMANTIC_SIMILARITY');
+      return embeddings.length === items.length ? embeddings : null;
+    } catch (embeddingError) {
+      logger.warn('Failed to embed checksheet items, deduplicating by item name only', { error: embeddingError.message });
+      return null;
+    }
+  }
+
+  /**
+   * Merge near-duplicate checksheet items
+   * @param {Array<Object>} items - Items in generation order
+   * @param {Object} options - Deduplication options
+   * @param {number} [options.similarityThreshold] - Embedding similarity for a match (default: DEDUP_SIMILARITY_THRESHOLD)
+   * @returns {Promise<Object>} { items, metadata }
+   */
+  async dedupeChecksheetItems(items, { similarityThreshold = this.similarityThreshold } = {}) {
+    const inputItems = Array.isArray(items) ? items.length : 0;
+
+    if (!this.enabled || inputItems < 2) {
+      return {
+        items: items || [],
+        metadata: { enabled: this.enabled, method: 'none', inputItems, outputItems: inputItems, duplicatesCollapsed: 0 }
+      };
+    }
+
+    const embeddings = await this.embedItems(items);
+    const clusters = [];
+
+    items.forEach((item, index) => {
+      const name = this.normalizeItemName(item.itemName);
+      const frequency = this.normalizeFrequency(item.frequency);
+      const embedding = embeddings ? embeddings[index] : null;
+
+      const cluster = clusters.find(candidate => {
+        // Same check at a different interval is a separate row
+        if (frequency && candidate.frequency && frequency !== candidate.frequency) {
+          return false;
+        }
+        if (name && name === candidate.name) {
+          return true;
+        }
+        return embedding !== null && cosineSimilarity(embedding, candidate.embedding) >= similarityThreshold;
+      });
+
+      if (cluster) {
+        cluster.members.push(item);
+        cluster.frequency = cluster.frequency || frequency;
+      } else {
+        clusters.push({ name, frequency, embedding, members: [item] });
+      }
+    });
+
+    const merged = clusters.map(cluster => {
+      if (cluster.members.length === 1) {
+        return cluster.members[0];
+      }
+
+      // Stable: the earliest of equally rich variants wins
+      const richest = cluster.members.reduce((best, member) => (this.richness(member) > this.richness(best) ? member : best));
+      const sources = [...new Set(cluster.members.flatMap(member => this.getSources(member)))];
+
+      return {
+        ...richest,
+        source: sources.join('; ') || richest.source,
+        sources,
+        mergedCount: cluster.members.length
+      };
+    });
+
+    const metadata = {
+      enabled: true,
+      method: embeddings ? 'embedding+name' : 'name',
+      similarityThreshold,
+      inputItems,
+      outputItems: merged.length,
+      duplicatesCollapsed: inputItems - merged.length,
+      clustersMerged: clusters.filter(cluster => cluster.members.length > 1).length
+    };
+
+    logger.info('Deduplicated checksheet items', metadata);
+
+    return { items: merged, metadata };
+  }
+}
+
+// Export singleton instance
+export default new DeduplicationService();
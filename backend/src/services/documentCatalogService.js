@@ -0,0 +1,284 @@
+/**
+ * Document Catalog Service
+ * Lists, inspects and deletes ingested source documents
+ *
+ * A document is the set of objects under documents/{fileId}/ in the documents bucket, joined with its ingestion
+ * status record (status, page and chunk counts, document info). Status records can expire (the table has TTL
+ * enabled), so a document is listed as long as either its file or its status record exists. Deleting a document
+ * removes its vectors, keyword index, files and status record, and the files and status records of the identical
+ * files that resolved to it.
+ *
+ * Status records carry the SHA-256 of the file (contentHash), so an upload or ingestion of a file that is already
+ * stored resolves to the existing document instead of adding a second copy of its vectors. Documents ingested as
+ * revisions of a manual carry the manual and revision (see manualRevisionService).
+ */
+
+import s3Service from './s3Service.js';
+import ingestionStatusService from './ingestionStatusService.js';
+import vectorStoreFactory from './vectorStoreFactory.js';
+import keywordIndexService from './keywordIndexService.js';
+import manualRevisionService from './manualRevisionService.js';
+import { logger } from '../utils/logger.js';
+
+// Source documents are stored as documents/{fileId}/{fileName}
+const DOCUMENTS_PREFIX = 'documents/';
+
+// Statuses of documents an identical file can resolve to, most preferred first (failed ingestions are retried instead)
+const RESOLVABLE_STATUSES = ['completed', 'processing', 'queued', 'uploaded'];
+
+/**
+ * Get the file ID of a document object key
+ * @param {string} key - S3 object key
+ * @returns {string|null} File ID, or null for keys outside documents/{fileId}/
+ */
+const fileIdOfKey = (key) => {
+  const [prefix, fileId, ...rest] = key.split('/');
+  return `${prefix}/` === DOCUMENTS_PREFIX && fileId && rest.length > 0 ? fileId : null;
+};
+
+class DocumentCatalogService {
+  constructor() {
+    logger.info('DocumentCatalogService initialized', {
+      documentsBucket: s3Service.documentsBucket,
+      statusTable: ingestionStatusService.tableName
+    });
+  }
+
+  /**
+   * Get the documents bucket
+   * @returns {string} Bucket name
+   * @throws {Error} If the bucket is not configured
+   */
+  getBucket() {
+    if (!s3Service.documentsBucket) {
+      throw new Error('S3_DOCUMENTS_BUCKET or DOCUMENTS_BUCKET environment variable is not set. Please configure it in your environment variables.');
+    }
+    return s3Service.documentsBucket;
+  }
+
+  /**
+   * Build the catalog entry of a document
+   * @param {string} fileId - File identifier
+   * @param {Object|null} object - Source file { key, size, lastModified }, or null if it no longer exists
+   * @param {Object|null} status - Ingestion status record, or null if none exists
+   * @returns {Object} Document summary
+   */
+  toDocument(fileId, object, status) {
+    const info = status?.document || {};
+    return {
+      fileId,
+      fileName: object ? object.key.split('/').pop() : (status?.fileName || null),
+      s3Key: object?.key || status?.s3Key || null,
+      fileSize: object?.size ?? null,
+      uploadedAt: object?.lastModified ? new Date(object.lastModified).toISOString() : (status?.createdAt || null),
+      fileExists: !!object,
+      // 'uploaded' = stored but never ingested
+      status: status?.status || 'uploaded',
+      progress: status?.progress ?? 0,
+      message: status?.message || null,
+      error: status?.error || null,
+      format: info.format || null,
+      title: info.title || null,
+      author: info.author || null,
+      pageCount: info.numPages ?? null,
+      chunkCount: status?.chunksProcessed ?? null,
+      sectionCount: Array.isArray(info.sections) ? info.sections.length : null,
+      contentHash: status?.contentHash || null,
+      // Set when the file was found identical to another document, whose vectors are used instead
+      duplicateOf: status?.duplicateOf || null,
+      manualId: status?.manualId || null,
+      manualName: status?.manualName || null,
+      revision: status?.revision || null,
+      revisionIndex: status?.revisionIndex ?? null,
+      ingestedAt: status?.createdAt || null,
+      updatedAt: status?.updatedAt || null,
+      completedAt: status?.completedAt || null,
+      failedAt: status?.failedAt || null
+    };
+  }
+
+  /**
+   * List all documents, most recently uploaded first
+   * Documents of a manual are flagged with isLatestRevision (true for the revision generation uses by default)
+   * @returns {Promise<Array<Object>>} Document summaries
+   */
+  async listDocuments() {
+    try {
+      const bucket = this.getBucket();
+      const [objects, statuses] = await Promise.all([
+        s3Service.listObjects(bucket, DOCUMENTS_PREFIX),
+        ingestionStatusService.listStatuses()
+      ]);
+
+      // One source file per document; the first key wins if a folder holds more than one
+      const objectsByFileId = new Map();
+      objects.forEach(object => {
+        const fileId = fileIdOfKey(object.key);
+        if (fileId && !objectsByFileId.has(fileId)) {
+          objectsByFileId.set(fileId, object);
+        }
+      });
+      const statusesByFileId = new Map(statuses.map(status => [status.fileId, status]));
+
+      const fileIds = new Set([...objectsByFileId.keys(), ...statusesByFileId.keys()]);
+      const documents = Array.from(fileIds, fileId => this.toDocument(
+        fileId,
+        objectsByFileId.get(fileId) || null,
+        statusesByFileId.get(fileId) || null
+      )).sort((a, b) => (b.uploadedAt || '').localeCompare(a.uploadedAt || ''));
+
+      const latestFileIds = new Set(manualRevisionService.groupManuals(documents)
+        .map(manual => manual.latest?.fileId)
+        .filter(Boolean));
+      documents.forEach(document => {
+        if (document.manualId) {
+          document.isLatestRevision = latestFileIds.has(document.fileId);
+        }
+      });
+
+      logger.info('Listed documents', {
+        count: documents.length,
+        files: objectsByFileId.size,
+        statuses: statusesByFileId.size
+      });
+      return documents;
+    } catch (error) {
+      logger.error('Failed to list documents', error);
+      throw new Error(`Failed to list documents: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get one document with its upload metadata, document info and section outline
+   * @param {string} fileId - File identifier
+   * @returns {Promise<Object|null>} Document, or null if neither its file nor its status record exists
+   */
+  async getDocument(fileId) {
+    try {
+      const bucket = this.getBucket();
+      const [objects, status] = await Promise.all([
+        s3Service.listObjects(bucket, `${DOCUMENTS_PREFIX}${fileId}/`),
+        ingestionStatusService.getStatus(fileId)
+      ]);
+
+      const object = objects[0] || null;
+      if (!object && !status) {
+        return null;
+      }
+
+      // The upload records the original (unsanitized) file name and content type with the object
+      const objectMetadata = object ? await s3Service.getObjectMetadata(bucket, object.key) : null;
+      const info = status?.document || {};
+
+      return {
+        ...this.toDocument(fileId, object, status),
+        originalFileName: objectMetadata?.metadata?.originalfilename || objectMetadata?.metadata?.originalFileName || null,
+        contentType: objectMetadata?.contentType || null,
+        info: {
+          title: info.title ?? null,
+          author: info.author ?? null,
+          subject: info.subject ?? null,
+          creator: info.creator ?? null,
+          producer: info.producer ?? null,
+          creationDate: info.creationDate ?? null,
+          modDate: info.modDate ?? null
+        },
+        sectionSource: info.sectionSource || null,
+        sections: info.sections || [],
+        processingTime: status?.processingTime || null
+      };
+    } catch (error) {
+      logger.error('Failed to get document', error);
+      throw new Error(`Failed to get document: ${error.message}`);
+    }
+  }
+
+  /**
+   * Find the document that a file with the given content resolves to
+   * Candidates have the same content hash, a file that still exists and are not duplicates themselves; ingested
+   * documents win over ones still being ingested or only uploaded, then the oldest wins
+   * @param {string} contentHash - SHA-256 of the file
+   * @param {Object} [options] - { excludeFileId, statuses } (statuses in order of preference)
+   * @returns {Promise<Object|null>} Document (as returned by getDocument), or null if the content is new
+   */
+  async findDuplicate(contentHash, { excludeFileId = null, statuses = RESOLVABLE_STATUSES } = {}) {
+    try {
+      const records = await ingestionStatusService.findByContentHash(contentHash);
+      const candidates = records
+        .filter(record => record.fileId !== excludeFileId && !record.duplicateOf && statuses.includes(record.status))
+        .sort((a, b) => statuses.indexOf(a.status) - statuses.indexOf(b.status) ||
+          (a.createdAt || '').localeCompare(b.createdAt || ''));
+
+      for (const record of candidates) {
+        const document = await this.getDocument(record.fileId);
+        if (document?.fileExists) {
+          logger.info('Found document with identical content', { contentHash, fileId: document.fileId, status: document.status });
+          return document;
+        }
+      }
+      return null;
+    } catch (error) {
+      logger.error('Failed to find duplicate document', error);
+      throw new Error(`Failed to find duplicate document: ${error.message}`);
+    }
+  }
+
+  /**
+   * Delete the files and status records of the files that resolved to a document as identical copies
+   * They have no vectors of their own, so they would be left pointing at a document that no longer exists
+   * @param {string} bucket - Documents bucket
+   * @param {string} fileId - File identifier of the original document
+   * @returns {Promise<Array<string>>} File IDs of the deleted duplicates
+   */
+  async deleteDuplicates(bucket, fileId) {
+    const duplicates = await ingestionStatusService.findByAttribute('duplicateOf', fileId);
+    for (const duplicate of duplicates) {
+      await s3Service.deletePrefix(bucket, `${DOCUMENTS_PREFIX}${duplicate.fileId}/`);
+      await ingestionStatusService.deleteStatus(duplicate.fileId);
+    }
+    return duplicates.map(duplicate => duplicate.fileId);
+  }
+
+  /**
+   * Delete a document everywhere it is stored: vectors, keyword index, source files and status record, along with
+   * the identical files that resolved to it
+   * Every step is attempted even if an earlier one fails, so a retry only has the failed steps left to do; the
+   * status record goes last, as it is what the duplicates are found by
+   * @param {string} fileId - File identifier
+   * @returns {Promise<Object>} { fileId, deleted: { vectors, keywordIndex, files, duplicates, status } }
+   * @throws {Error} Naming the steps that failed
+   */
+  async deleteDocument(fileId) {
+    const bucket = this.getBucket();
+    const vectorStore = vectorStoreFactory.getStore();
+    const steps = {
+      vectors: () => vectorStore.deleteByFileId(fileId).then(() => true),
+      keywordIndex: () => keywordIndexService.deleteIndex(fileId).then(() => true),
+      files: () => s3Service.deletePrefix(bucket, `${DOCUMENTS_PREFIX}${fileId}/`).then(result => result.deleted),
+      duplicates: () => this.deleteDuplicates(bucket, fileId),
+      status: () => ingestionStatusService.deleteStatus(fileId)
+    };
+
+    const deleted = {};
+    const failures = [];
+    for (const [step, run] of Object.entries(steps)) {
+      try {
+        deleted[step] = await run();
+      } catch (error) {
+        logger.error(`Failed to delete ${step} of document ${fileId}`, error);
+        deleted[step] = false;
+        failures.push(`${step} (${error.message})`);
+      }
+    }
+
+    if (failures.length > 0) {
+      throw new Error(`Failed to delete document ${fileId}: ${failures.join(', ')}`);
+    }
+
+    logger.info(`Deleted document ${fileId}`, { vectorStore: vectorStore.name, ...deleted });
+    return { fileId, deleted };
+  }
+}
+
+// Export singleton instance
+export default new DocumentCatalogService();
@@ -0,0 +1,184 @@
+/**
+ * Document Extractor Registry
+ * Central lookup for the text extractors of the source document formats that can be ingested, keyed by MIME type
+ *
+ * Every extractor implements the same contract:
+ * - extract(buffer, metadata) => Promise<{ text, metadata }> in the shape of pdfService.extractText
+ *   (numPages, pageTexts, pagePositions, pageLines, pageTables, ...), so chunking and citations work the same
+ * - extensions: file extensions of the format, used when a file arrives without a specific MIME type
+ */
+
+import pdfService from './pdfService.js';
+import textExtractorService from './textExtractorService.js';
+import s3Service from './s3Service.js';
+import { MIME_TYPES } from '../utils/constants.js';
+import { computeContentHash } from '../utils/contentHash.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Get the lowercase extension of a file name
+ * @param {string} fileName - File name or S3 key
+ * @returns {string|null} Extension without the dot
+ */
+const extensionOf = (fileName) => {
+  const match = /\.([a-z0-9]+)$/i.exec(fileName || '');
+  return match ? match[1].toLowerCase() : null;
+};
+
+class DocumentExtractorRegistry {
+  constructor() {
+    this.extractors = new Map();
+  }
+
+  /**
+   * Register (or replace) the extractor of a MIME type
+   * @param {string} mimeType - MIME type (e.g. 'application/pdf')
+   * @param {Object} extractor - { name, extensions: [string], extract(buffer, metadata) }
+   * @returns {DocumentExtractorRegistry} The registry (for chaining)
+   */
+  registerExtractor(mimeType, extractor) {
+    if (!mimeType || typeof mimeType !== 'string') {
+      throw new Error('Extractor MIME type must be a non-empty string');
+    }
+    if (!extractor || typeof extractor.extract !== 'function') {
+      throw new Error(`Extractor for "${mimeType}" must implement extract()`);
+    }
+    if (!Array.isArray(extractor.extensions) || extractor.extensions.length === 0) {
+      throw new Error(`Extractor for "${mimeType}" must list its file extensions`);
+    }
+
+    const key = mimeType.toLowerCase();
+    this.extractors.set(key, {
+      ...extractor,
+      mimeType: key,
+      extensions: extractor.extensions.map(extension => extension.toLowerCase())
+    });
+
+    return this;
+  }
+
+  /**
+   * Check whether a MIME type has an extractor
+   * @param {string} mimeType - MIME type (parameters such as "; charset=utf-8" are ignored)
+   * @returns {boolean} True if registered
+   */
+  hasExtractor(mimeType) {
+    return typeof mimeType === 'string' && this.extractors.has(mimeType.split(';')[0].trim().toLowerCase());
+  }
+
+  /**
+   * Resolve the extractor of a file: by MIME type, or by file extension when the MIME type is missing or
+   * generic (browsers send an empty type or application/octet-stream for Markdown and some CSV files)
+   * @param {string|null} mimeType - MIME type of the file
+   * @param {string|null} fileName - File name or S3 key
+   * @returns {Object} Extractor { name, mimeType, extensions, extract }
+   * @throws {Error} If no extractor handles the file
+   */
+  getExtractor(mimeType, fileName = null) {
+    if (this.hasExtractor(mimeType)) {
+      return this.extractors.get(mimeType.split(';')[0].trim().toLowerCase());
+    }
+
+    const extension = extensionOf(fileName);
+    const byExtension = extension && Array.from(this.extractors.values()).find(extractor => extractor.extensions.includes(extension));
+    if (byExtension) {
+      return byExtension;
+    }
+
+    throw new Error(`Unsupported document type${mimeType ? ` "${mimeType}"` : ''}${extension ? ` (.${extension})` : ''}. Supported file types: ${this.listExtensions().join(', ')}`);
+  }
+
+  /**
+   * List registered extractors
+   * @returns {Array<Object>} Array of { name, mimeType, extensions }
+   */
+  listExtractors() {
+    return Array.from(this.extractors.values()).map(({ name, mimeType, extensions }) => ({
+      name,
+      mimeType,
+      extensions: [...extensions]
+    }));
+  }
+
+  /**
+   * List the file extensions of all registered formats
+   * @returns {Array<string>} Extensions without the dot
+   */
+  listExtensions() {
+    return [...new Set(Array.from(this.extractors.values()).flatMap(extractor => extractor.extensions))];
+  }
+
+  /**
+   * Download a source document from S3 and extract its text with the extractor for its type
+   * @param {string} s3Key - S3 object key
+   * @param {string} [bucket] - S3 bucket name (defaults to the documents bucket)
+   * @param {Object} [metadata] - Additional metadata (fileName, fileId, etc.)
+   * @returns {Promise<Object>} Extracted text with metadata (metadata.format names the source format and
+   *   metadata.contentHash is the SHA-256 of the downloaded file)
+   */
+  async extractFromS3(s3Key, bucket = null, metadata = {}) {
+    const bucketName = bucket || s3Service.documentsBucket;
+    if (!bucketName) {
+      throw new Error('S3_DOCUMENTS_BUCKET or DOCUMENTS_BUCKET environment variable is not set. Please configure it in your environment variables.');
+    }
+
+    const { body, contentType } = await s3Service.getObject(bucketName, s3Key);
+    const extractor = this.getExtractor(contentType, metadata.fileName || s3Key);
+
+    logger.info(`Extracting text with the ${extractor.name} extractor`, {
+      key: s3Key,
+      contentType,
+      size: body.length
+    });
+
+    return extractor.extract(body, {
+      ...metadata,
+      s3Key,
+      s3Bucket: bucketName,
+      contentHash: computeContentHash(body)
+    });
+  }
+}
+
+const registry = new DocumentExtractorRegistry();
+
+// Built-in formats
+registry
+  .registerExtractor(MIME_TYPES.PDF, {
+    name: 'pdf',
+    extensions: ['pdf'],
+    extract: (buffer, metadata) => pdfService.extractText(buffer, metadata)
+  })
+  .registerExtractor(MIME_TYPES.DOCX, {
+    name: 'docx',
+    extensions: ['docx'],
+    extract: (buffer, metadata) => textExtractorService.extractDocx(buffer, metadata)
+  })
+  .registerExtractor(MIME_TYPES.XLSX, {
+    name: 'xlsx',
+    extensions: ['xlsx'],
+    extract: (buffer, metadata) => textExtractorService.extractSpreadsheet(buffer, metadata)
+  })
+  .registerExtractor(MIME_TYPES.CSV, {
+    name: 'csv',
+    extensions: ['csv'],
+    extract: (buffer, metadata) => textExtractorService.extractCsv(buffer, metadata)
+  })
+  .registerExtractor(MIME_TYPES.HTML, {
+    name: 'html',
+    extensions: ['html', 'htm'],
+    extract: (buffer, metadata) => textExtractorService.extractHtml(buffer, metadata)
+  })
+  .registerExtractor(MIME_TYPES.MARKDOWN, {
+    name: 'markdown',
+    extensions: ['md', 'markdown'],
+    extract: (buffer, metadata) => textExtractorService.extractPlainText(buffer, metadata, 'markdown')
+  })
+  .registerExtractor(MIME_TYPES.TXT, {
+    name: 'txt',
+    extensions: ['txt'],
+    extract: (buffer, metadata) => textExtractorService.extractPlainText(buffer, metadata, 'txt')
+  });
+
+// Export singleton instance
+export default registry;
@@ -1,6 +1,6 @@
 /**
  * DOCX Service
- * Handles generation of Word documents (.docx) with structured work instructions
+ * Handles generation of Word documents (.docx) with structured work instructions and reports
  * Uses docx library for document creation and formatting
  */
 
@@ -181,7 +181,7 @@ class DOCXService {
         
         data.steps.forEach((step, index) => {
           const stepNumber = step.stepNumber || index + 1;
-          const description = step.description || step.text || '';
+          const description = step.description || step.text || (step.validationIssues ? step.title || '⚠ Missing description' : '');
           const details = step.details || step.additionalInfo || '';
 
           if (description) {
@@ -205,7 +205,7 @@ class DOCXService {
                 spacing: { before: 200, after: 120 },
                 shading: {
                   type: 'clear',
-                  fill: 'E7F3FF'
+                  fill: step.lowGrounding ? 'FFF2CC' : 'E7F3FF'
                 },
                 border: {
                   left: { color: '4472C4', space: 1, style: BorderStyle.SINGLE, size: 24 }
@@ -277,6 +277,9 @@ class DOCXService {
               );
             }
 
+            children.push(...this.createGroundingNote(step, 720));
+            children.push(...this.createValidationNote(step, 720));
+
             // Add checkbox for completion
             children.push(
               new Paragraph({
@@ -554,6 +557,7 @@ class DOCXService {
           spacing: { before: 200 }
         })
       );
+      children.push(...this.createRevisionFooter(data.metadata));
 
       // Create document
       const doc = new Document({
@@ -594,6 +598,367 @@ class DOCXService {
     }
   }
 
+  /**
+   * Generate Word document with a document summary or analysis report
+   * @param {Object} data - Summary { title, summary, keyPoints, sections } or analysis { title, overview, findings, recommendations }
+   * @param {string} fileName - Optional file name for metadata
+   * @returns {Promise<Buffer>} DOCX file buffer
+   */
+  async generateReport(data, fileName = 'document-report') {
+    try {
+      if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        throw new Error('Report data must be an object');
+      }
+
+      const isAnalysis = Array.isArray(data.findings);
+      const title = data.title || (isAnalysis ? 'Document Analysis' : 'Document Summary');
+
+      logger.info('Generating DOCX report', {
+        fileName,
+        reportType: isAnalysis ? 'analysis' : 'summary',
+        keyPointCount: data.keyPoints?.length || 0,
+        findingCount: data.findings?.length || 0
+      });
+
+      const children = [];
+
+      // Title
+      children.push(
+        new Paragraph({
+          children: [
+            new TextRun({
+              text: (isAnalysis ? '🔍 ' : '📝 ') + title.toUpperCase(),
+              bold: true,
+              size: 40, // 20pt
+              color: '1F4E78'
+            })
+          ],
+          heading: HeadingLevel.HEADING_1,
+          alignment: AlignmentType.CENTER,
+          spacing: { after: 300, before: 200 },
+          border: {
+            top: { color: '1F4E78', space: 1, style: BorderStyle.SINGLE, size: 24 },
+            bottom: { color: '1F4E78', space: 1, style: BorderStyle.SINGLE, size: 24 }
+          }
+        })
+      );
+
+      // Metadata
+      children.push(
+        new Paragraph({
+          children: [
+            new TextRun({
+              text: `Generated: ${new Date().toLocaleString('en-US', { dateStyle: 'full', timeStyle: 'short' })}`,
+              italics: true,
+              size: 18,
+              color: '666666'
+            })
+          ],
+          alignment: AlignmentType.CENTER,
+          spacing: { after: 400 }
+        })
+      );
+
+      // Summary / Overview paragraph
+      const overview = data.summary || data.overview;
+      if (overview) {
+        children.push(this.createSectionHeading(isAnalysis ? 'Overview' : 'Summary', 200));
+        children.push(
+          new Paragraph({
+            text: overview,
+            spacing: { after: 300 }
+          })
+        );
+      }
+
+      // Key Points
+      if (Array.isArray(data.keyPoints) && data.keyPoints.length > 0) {
+        children.push(this.createSectionHeading('Key Points', 200));
+        data.keyPoints.forEach((point) => {
+          const pointText = typeof point === 'string' ? point : point.text;
+          if (pointText && pointText.trim()) {
+            children.push(
+              new Paragraph({
+                text: pointText.trim(),
+                bullet: { level: 0 },
+                spacing: { after: 50 }
+              })
+            );
+            children.push(...this.createSourceLine(point));
+            children.push(...this.createValidationNote(point));
+          }
+        });
+      }
+
+      // Sections
+      if (Array.isArray(data.sections) && data.sections.length > 0) {
+        data.sections.forEach((section) => {
+          children.push(this.createSectionHeading(section.heading || 'Details', 300));
+          children.push(
+            new Paragraph({
+              text: section.content || '',
+              spacing: { after: 100 }
+            })
+          );
+          children.push(...this.createSourceLine(section));
+          children.push(...this.createValidationNote(section, 0));
+        });
+      }
+
+      // Findings table
+      if (isAnalysis && data.findings.length > 0) {
+        children.push(this.createSectionHeading('Findings', 300));
+
+        const significanceColors = { high: 'FFC7CE', medium: 'FFEB9C', low: 'C6EFCE' };
+        const headerCell = (text, width) => new TableCell({
+          width: { size: width, type: WidthType.PERCENTAGE },
+          shading: { fill: '4472C4', type: 'clear' },
+          children: [new Paragraph({ children: [new TextRun({ text, bold: true, size: 20, color: 'FFFFFF' })] })]
+        });
+        const textCell = (text, width, options = {}) => new TableCell({
+          width: { size: width, type: WidthType.PERCENTAGE },
+          shading: options.fill ? { fill: options.fill, type: 'clear' } : undefined,
+          children: [new Paragraph({ children: [new TextRun({ text: text || '', size: 18, italics: !!options.italics, color: options.color })] })]
+        });
+
+        children.push(
+          new Table({
+            width: { size: 100, type: WidthType.PERCENTAGE },
+            rows: [
+              new TableRow({
+                tableHeader: true,
+                children: [
+                  headerCell('№', 5),
+                  headerCell('Finding', 30),
+                  headerCell('Evidence', 35),
+                  headerCell('Significance', 12),
+                  headerCell('Source', 18)
+                ]
+              }),
+              ...data.findings.map((finding, index) => new TableRow({
+                children: [
+                  textCell(String(index + 1), 5),
+                  // Findings that still failed validation carry the "Needs review" note in their first cell
+                  finding.validationIssues
+                    ? new TableCell({
+                      width: { size: 30, type: WidthType.PERCENTAGE },
+                      shading: { fill: 'FBE4D5', type: 'clear' },
+                      children: [
+                        new Paragraph({ children: [new TextRun({ text: finding.finding || '⚠ Missing', size: 18 })] }),
+                        ...this.createValidationNote(finding, 0)
+                      ]
+                    })
+                    : textCell(finding.finding, 30),
+                  textCell(finding.evidence, 35, { italics: true }),
+                  textCell(finding.significance, 12, { fill: significanceColors[(finding.significance || '').toLowerCase()] }),
+                  textCell(this.formatSourceReference(finding), 18, { italics: true, color: '666666' })
+                ]
+              }))
+            ]
+          })
+        );
+        children.push(new Paragraph({ text: '', spacing: { after: 200 } }));
+      }
+
+      // Recommendations
+      if (Array.isArray(data.recommendations) && data.recommendations.length > 0) {
+        children.push(this.createSectionHeading('Recommendations', 200));
+        data.recommendations.forEach((recommendation, index) => {
+          const recommendationText = typeof recommendation === 'string' ? recommendation : recommendation.text;
+          if (recommendationText && recommendationText.trim()) {
+            children.push(
+              new Paragraph({
+                children: [
+                  new TextRun({ text: `${index + 1}. `, bold: true, color: '1F4E78' }),
+                  new TextRun({ text: recommendationText.trim() })
+                ],
+                indent: { left: 360 },
+                spacing: { after: 50 }
+              })
+            );
+            children.push(...this.createSourceLine(recommendation));
+          }
+        });
+      }
+
+      // Footer text
+      children.push(
+        new Paragraph({
+          children: [
+            new TextRun({
+              text: '📄 This document was auto-generated by GenAI Document Generator',
+              italics: true,
+              size: 16,
+              color: '999999'
+            })
+          ],
+          alignment: AlignmentType.CENTER,
+          spacing: { before: 400 }
+        })
+      );
+      children.push(...this.createRevisionFooter(data.metadata));
+
+      const doc = new Document({
+        creator: 'GenAI Document Generator',
+        title,
+        description: isAnalysis ? 'Generated document analysis' : 'Generated document summary',
+        sections: [
+          {
+            properties: {
+              page: {
+                margin: {
+                  top: 1440, // 1 inch
+                  right: 1440,
+                  bottom: 1440,
+                  left: 1440
+                }
+              }
+            },
+            children
+          }
+        ]
+      });
+
+      const buffer = await Packer.toBuffer(doc);
+
+      logger.info('DOCX report generated successfully', {
+        fileName,
+        bufferSize: buffer.length
+      });
+
+      return buffer;
+    } catch (error) {
+      logger.error('DOCX report generation failed', error);
+      throw new Error(`Failed to generate DOCX file: ${error.message}`);
+    }
+  }
+
+  /**
+   * Build the source reference for a generated entry, with explicit page number handling
+   * @param {Object|string} entry - Generated entry with source/sourceFile/sourcePage fields
+   * @returns {string|null} Source reference, e.g. "manual.pdf, Page 12", or null if none
+   */
+  formatSourceReference(entry) {
+    if (!entry || typeof entry !== 'object') {
+      return null;
+    }
+    if (entry.source && (entry.source.includes('Page') || entry.source.includes('page'))) {
+      return entry.source;
+    } else if (entry.sourcePage || entry.pageNumber) {
+      const page = entry.sourcePage || entry.pageNumber;
+      const file = entry.sourceFile || entry.fileName || entry.source || 'Document';
+      return `${file}, Page ${page}`;
+    }
+    return entry.source || entry.sourceFile || null;
+  }
+
+  /**
+   * Create the small "Source:" line shown under a generated entry
+   * @param {Object|string} entry - Generated entry
+   * @returns {Array<Paragraph>} One source paragraph, or none if the entry has no source
+   */
+  createSourceLine(entry) {
+    const sourceText = this.formatSourceReference(entry);
+    if (!sourceText) {
+      return [];
+    }
+    return [
+      new Paragraph({
+        children: [
+          new TextRun({ text: '📄 Source: ', italics: true, size: 16, color: '666666' }),
+          new TextRun({ text: sourceText, italics: true, size: 16, color: '4472C4' })
+        ],
+        indent: { left: 360 },
+        spacing: { after: 100 }
+      })
+    ];
+  }
+
+  /**
+   * Create the footer line naming the manual revisions the document was generated from
+   * @param {Object} [metadata] - Generation metadata with revisions [{ manualName, fileName, revision, isLatest, latestRevision }]
+   * @returns {Array<Paragraph>} One footer paragraph, or none if no source document belongs to a manual
+   */
+  createRevisionFooter(metadata) {
+    const revisions = metadata?.revisions || [];
+    if (revisions.length === 0) {
+      return [];
+    }
+    const labels = revisions.map(revision => {
+      const label = `${revision.manualName || revision.fileName}, ${revision.revision}`;
+      if (revision.isLatest) {
+        return label;
+      }
+      return `${label} (pinned${revision.latestRevision ? `; latest is ${revision.latestRevision}` : ''})`;
+    });
+    return [
+      new Paragraph({
+        children: [
+          new TextRun({
+            text: `Source revision${revisions.length > 1 ? 's' : ''}: ${labels.join('; ')}`,
+            italics: true,
+            size: 16,
+            color: '999999'
+          })
+        ],
+        alignment: AlignmentType.CENTER,
+        spacing: { before: 100 }
+      })
+    ];
+  }
+
+  /**
+   * Create the "Verify against source" line shown under an entry the grounding check found weakly supported
+   * @param {Object} entry - Generated entry with optional lowGrounding, groundingScore and groundingQuote
+   * @param {number} [indentLeft] - Left indent in twips
+   * @returns {Array<Paragraph>} One highlighted paragraph, or none if the entry is well supported
+   */
+  createGroundingNote(entry, indentLeft = 360) {
+    if (!entry?.lowGrounding) {
+      return [];
+    }
+    return [
+      new Paragraph({
+        children: [
+          new TextRun({ text: `⚠ Verify against source (support ${Math.round((entry.groundingScore || 0) * 100)}%): `, bold: true, size: 18, color: '9C5700' }),
+          new TextRun({
+            text: entry.groundingQuote ? `closest source text "${entry.groundingQuote}"` : 'no matching source text found',
+            italics: !!entry.groundingQuote,
+            size: 18,
+            color: '9C5700'
+          })
+        ],
+        shading: { type: 'clear', fill: 'FFF2CC' },
+        indent: { left: indentLeft },
+        spacing: { after: 100 }
+      })
+    ];
+  }
+
+  /**
+   * Create the "Needs review" line shown under an entry whose fields still failed schema validation
+   * @param {Object|string} entry - Generated entry with optional validationIssues [{ field, message }]
+   * @param {number} [indentLeft] - Left indent in twips
+   * @returns {Array<Paragraph>} One highlighted paragraph, or none if the entry has no issues
+   */
+  createValidationNote(entry, indentLeft = 360) {
+    if (!Array.isArray(entry?.validationIssues) || entry.validationIssues.length === 0) {
+      return [];
+    }
+    const issues = entry.validationIssues.map(issue => `${issue.field ? `${issue.field} ` : ''}${issue.message}`).join('; ');
+    return [
+      new Paragraph({
+        children: [
+          new TextRun({ text: '⚠ Needs review: ', bold: true, size: 18, color: 'C55A11' }),
+          new TextRun({ text: issues, size: 18, color: 'C55A11' })
+        ],
+        shading: { type: 'clear', fill: 'FBE4D5' },
+        indent: { left: indentLeft },
+        spacing: { after: 100 }
+      })
+    ];
+  }
+
   /**
    * Create a section heading with consistent styling
    * @param {string} text - Heading text
@@ -676,7 +1041,7 @@ class DOCXService {
         if (!step || typeof step !== 'object') {
           throw new Error(`Invalid step at index ${index}: must be an object`);
         }
-        if (!step.description && !step.text) {
+        if (!step.description && !step.text && !step.validationIssues) {
           throw new Error(`Invalid step at index ${index}: must have description or text`);
         }
       });
@@ -721,7 +1086,7 @@ class DOCXService {
 
   /**
    * Generate a simple DOCX document from any structured data
-   * @param {Object} data - Document data
+   * @param {Object} data - Document data { title, content, metadata }; content entries are strings, { heading } or { validationIssues } objects
    * @param {string} fileName - Optional file name
    * @returns {Promise<Buffer>} DOCX file buffer
    */
@@ -753,6 +1118,10 @@ class DOCXService {
           data.content.forEach(item => {
             if (typeof item === 'string') {
               children.push(new Paragraph({ text: item, spacing: { after: 200 } }));
+            } else if (item?.heading) {
+              children.push(this.createSectionHeading(item.heading, 300));
+            } else if (item?.validationIssues) {
+              children.push(...this.createValidationNote(item, 0));
             }
           });
         } else if (typeof data.content === 'string') {
@@ -791,6 +1160,8 @@ class DOCXService {
         logger.info('Added source citations section', { sourceCount: data.metadata.sources.length });
       }
 
+      children.push(...this.createRevisionFooter(data.metadata));
+
       const doc = new Document({
         creator: 'GenAI Document Generator',
         title: data.title || 'Document',
@@ -1,8 +1,10 @@
 /**
  * Embedding Service
  * Generates embeddings for text chunks using Google Gemini's gemini-embedding-001 model
+ * Set EMBEDDING_PROVIDER=mock for deterministic, offline hash-based embeddings
  */
 
+import crypto from 'crypto';
 import { GoogleGenerativeAI } from '@google/generative-ai';
 import { logger } from '../utils/logger.js';
 import { geminiRateLimiter } from '../utils/rateLimiter.js';
@@ -11,14 +13,17 @@ class EmbeddingService {
   constructor() {
     const apiKey = process.env.GOOGLE_API_KEY || process.env.GEMINI_API_KEY;
 
-    if (!apiKey) {
+    // Embedding provider: 'gemini' (default) or 'mock' (offline feature hashing)
+    this.provider = (process.env.EMBEDDING_PROVIDER || 'gemini').toLowerCase();
+
+    if (!apiKey && this.provider !== 'mock') {
       logger.warn('GOOGLE_API_KEY or GEMINI_API_KEY not found in environment variables');
     }
 
     this.client = new GoogleGenerativeAI(apiKey);
 
     // Gemini embedding model
-    this.modelName = 'gemini-embedding-001';
+    this.modelName = this.provider === 'mock' ? 'mock-hash-embedding' : 'gemini-embedding-001';
     // Get the embedding model instance
     this.embeddingModel = this.client.getGenerativeModel({ model: this.modelName });
 
@@ -32,6 +37,7 @@ class EmbeddingService {
     this.taskType = 'RETRIEVAL_DOCUMENT'; // Default for document embeddings
 
     logger.info('EmbeddingService initialized', {
+      provider: this.provider,
       model: this.modelName,
       dimension: this.dimension,
       maxRetries: this.maxRetries,
@@ -41,15 +47,51 @@ class EmbeddingService {
 
   /**
    * Validate API key
-   * @returns {boolean} True if API key is available
+   * @returns {boolean} True if API key is available (always true for the mock provider)
    */
   validateApiKey() {
+    if (this.provider === 'mock') {
+      return true;
+    }
     if (!process.env.GOOGLE_API_KEY && !process.env.GEMINI_API_KEY) {
       throw new Error('GOOGLE_API_KEY or GEMINI_API_KEY environment variable is not set');
     }
     return true;
   }
 
+  /**
+   * Generate a deterministic embedding without any network call
+   * Uses signed feature hashing of word unigrams and bigrams, L2-normalized,
+   * so texts sharing vocabulary land close together in cosine space
+   * @param {string} text - Text to embed
+   * @returns {Array<number>} Embedding vector of length this.dimension
+   */
+  generateHashEmbedding(text) {
+    const vector = new Array(this.dimension).fill(0);
+    const words = text.toLowerCase().match(/[a-z0-9]+/g) || [text.toLowerCase()];
+    const features = [...words];
+    for (let i = 0; i < words.length - 1; i++) {
+      features.push(`${words[i]} ${words[i + 1]}`);
+    }
+
+    for (const feature of features) {
+      const digest = crypto.createHash('sha256').update(feature).digest();
+      const index = digest.readUInt32BE(0) % this.dimension;
+      const sign = digest[4] & 1 ? 1 : -1;
+      vector[index] += sign;
+    }
+
+    const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+    if (norm === 0) {
+      // Every feature cancelled out; fall back to a single hashed component
+      const digest = crypto.createHash('sha256').update(text).digest();
+      vector[digest.readUInt32BE(0) % this.dimension] = 1;
+      return vector;
+    }
+
+    return vector.map(value => value / norm);
+  }
+
   /**
    * Generate embedding for a single text
    * @param {string} text - Text to generate embedding for
@@ -71,6 +113,10 @@ class EmbeddingService {
 
       const task = taskType || this.taskType;
 
+      if (this.provider === 'mock') {
+        return this.generateHashEmbedding(trimmedText);
+      }
+
       // Use embedContent method from GenerativeModel
       // The API accepts: string | Array<string | Part> | EmbedContentRequest
       // Note: outputDimensionality may not be in current SDK - embeddings default to 3072
@@ -204,6 +250,11 @@ class EmbeddingService {
         throw new Error('No valid texts to process');
       }
 
+      if (this.provider === 'mock') {
+        logger.info('Generating mock embeddings', { totalTexts: validTexts.length });
+        return validTexts.map(text => this.generateHashEmbedding(text.trim()));
+      }
+
       // Adaptive batch size: larger for very large documents to improve throughput
       let batch = batchSize || this.defaultBatchSize;
       if (validTexts.length > 200) {
@@ -7,10 +7,24 @@
 import ExcelJS from 'exceljs';
 import { logger } from '../utils/logger.js';
 
+// Fill for cells whose field still failed schema validation after the repair attempts
+const NEEDS_REVIEW_FILL = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFF8CBAD' } }; // Orange
+
+// Fill for rows the grounding check found weakly supported by their source text
+const LOW_GROUNDING_FILL = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFFFEB9C' } }; // Yellow
+
+// Row fills of the checksheet diff sheet, by kind of change
+const DIFF_FILLS = {
+  added: { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFC6EFCE' } }, // Green
+  removed: { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFFFC7CE' } }, // Red
+  changed: { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFFFEB9C' } } // Yellow
+};
+
 class ExcelService {
   /**
    * Generate Excel checksheet from structured data with frequency-based tabs
-   * @param {Array|Object} data - Checksheet data (array of items or object with items array)
+   * @param {Array|Object} data - Checksheet data (array of items or object with items array); an object can carry
+   *   metadata ({ sources, revisions }) and a diff against an earlier checksheet (shown on a "Changes" sheet first)
    * @param {string} fileName - Optional file name for metadata
    * @returns {Promise<Buffer>} Excel file buffer
    */
@@ -34,6 +48,10 @@ class ExcelService {
       workbook.created = new Date();
       workbook.modified = new Date();
 
+      if (data.diff) {
+        this.addChecksheetDiffSheet(workbook, data.diff);
+      }
+
       // Group items by frequency
       const frequencyGroups = {
         daily: [],
@@ -87,57 +105,7 @@ class ExcelService {
 
       // Add source citation sheet if metadata includes sources
       if (data.metadata && data.metadata.sources && data.metadata.sources.length > 0) {
-        const citationSheet = workbook.addWorksheet('Source Citations', {
-          properties: { tabColor: { argb: 'FF95B3D7' } } // Light blue
-        });
-        
-        // Title
-        citationSheet.mergeCells('A1:B1');
-        const citationTitle = citationSheet.getCell('A1');
-        citationTitle.value = '📚 SOURCE DOCUMENT REFERENCES';
-        citationTitle.font = { name: 'Calibri', bold: true, size: 16, color: { argb: 'FF1F4E78' } };
-        citationTitle.alignment = { horizontal: 'center', vertical: 'middle' };
-        citationSheet.getRow(1).height = 30;
-        
-        // Description
-        citationSheet.mergeCells('A2:B2');
-        const citationDesc = citationSheet.getCell('A2');
-        citationDesc.value = 'All checksheet items are extracted from the following source documents:';
-        citationDesc.font = { italic: true, size: 11 };
-        citationSheet.getRow(2).height = 20;
-        
-        // Add blank row
-        citationSheet.addRow([]);
-        
-        // Headers
-        const headerRow = citationSheet.addRow(['#', 'Source Reference']);
-        headerRow.font = { bold: true, size: 11 };
-        headerRow.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFD9E1F2' } };
-        
-        // Add sources
-        data.metadata.sources.forEach((source, index) => {
-          const row = citationSheet.addRow([index + 1, source]);
-          row.alignment = { vertical: 'top', wrapText: true };
-        });
-        
-        // Format columns
-        citationSheet.getColumn(1).width = 5;
-        citationSheet.getColumn(2).width = 80;
-        
-        // Add border to citation rows
-        for (let i = 4; i <= 4 + data.metadata.sources.length; i++) {
-          const row = citationSheet.getRow(i);
-          row.eachCell({ includeEmpty: true }, (cell) => {
-            cell.border = {
-              top: { style: 'thin' },
-              left: { style: 'thin' },
-              bottom: { style: 'thin' },
-              right: { style: 'thin' }
-            };
-          });
-        }
-        
-        logger.info('Added source citations sheet', { sourceCount: data.metadata.sources.length });
+        this.addSourceCitationsSheet(workbook, data.metadata.sources, 'All checksheet items are extracted from the following source documents:', data.metadata.revisions);
       }
 
       logger.info('Excel checksheet with frequency tabs generated', {
@@ -250,21 +218,7 @@ class ExcelService {
           expectedStatus: item.expectedStatus || item.status || '',
           notes: item.notes || item.note || '',
           // Build source reference with explicit page number handling
-          source: (() => {
-            if (item.source && (item.source.includes('Page') || item.source.includes('page'))) {
-              return item.source;
-            } else if (item.sourcePage || item.pageNumber) {
-              const page = item.sourcePage || item.pageNumber;
-              const file = item.sourceFile || item.fileName || item.source || 'Document';
-              return `${file}, Page ${page}`;
-            } else if (item.source) {
-              return item.source;
-            } else if (item.sourceFile) {
-              return item.sourceFile;
-            } else {
-              return 'Unknown';
-            }
-          })(),
+          source: this.formatSourceReference(item),
           status: '' // Empty for user to fill
         };
 
@@ -305,6 +259,10 @@ class ExcelService {
         row.getCell('notes').alignment = { wrapText: true, vertical: 'top' };
         row.getCell('source').alignment = { wrapText: true, vertical: 'top' };
         row.getCell('source').font = { size: 9, italic: true, color: { argb: 'FF666666' } };
+        this.noteSourceQuote(row.getCell('source'), item);
+
+        this.flagLowGrounding(row, item, ['itemName', 'inspectionPoint', 'expectedStatus', 'notes']);
+        this.flagValidationIssues(row, item, ['itemName', 'inspectionPoint', 'frequency', 'expectedStatus', 'notes']);
       });
 
       // Apply borders to all cells (starting from row 4 - headers)
@@ -356,7 +314,7 @@ class ExcelService {
       const lastRow = items.length + 5;
       worksheet.mergeCells(`A${lastRow}:G${lastRow}`);
       const legendCell = worksheet.getCell(`A${lastRow}`);
-      legendCell.value = `💡 Instructions: Fill in "Actual Status" column during inspection. Use dropdown for status (✓ Pass / ✗ Fail / ⚠ Issue / N/A). This sheet contains ${sheetName.toLowerCase()} inspection items.`;
+      legendCell.value = `💡 Instructions: Fill in "Actual Status" column during inspection. Use dropdown for status (✓ Pass / ✗ Fail / ⚠ Issue / N/A). This sheet contains ${sheetName.toLowerCase()} inspection items.${items.some(item => item.validationIssues) ? ' Orange cells failed validation and need review (see the cell notes).' : ''}${items.some(item => item.lowGrounding) ? ' Yellow rows are weakly supported by the source document; check them against the quoted source text in the item name note.' : ''}`;
       legendCell.font = { italic: true, size: 9, color: { argb: 'FF666666' } };
       legendCell.alignment = { horizontal: 'center', wrapText: true };
       legendCell.fill = {
@@ -374,6 +332,432 @@ class ExcelService {
       });
   }
 
+  /**
+   * Add the exact cited source text as a note on the source cell
+   * @param {ExcelJS.Cell} cell - Source Reference cell
+   * @param {Object} item - Generated entry with optional sourceSpan { quote }
+   */
+  noteSourceQuote(cell, item) {
+    if (item?.sourceSpan?.quote) {
+      cell.note = `Source text: "${item.sourceSpan.quote}"`;
+    }
+  }
+
+  /**
+   * Highlight a row the grounding check found weakly supported by its source text
+   * The cells get a yellow fill and the first one a note with the score and the closest source text
+   * @param {ExcelJS.Row} row - Worksheet row
+   * @param {Object} item - Generated entry with optional lowGrounding, groundingScore and groundingQuote
+   * @param {Array<string>} fieldKeys - Column keys to highlight (the first one takes the note)
+   */
+  flagLowGrounding(row, item, fieldKeys) {
+    if (!item?.lowGrounding) {
+      return;
+    }
+
+    fieldKeys.forEach((key) => {
+      row.getCell(key).fill = LOW_GROUNDING_FILL;
+    });
+    row.getCell(fieldKeys[0]).note = `Low source support (${Math.round((item.groundingScore || 0) * 100)}%). ${item.groundingQuote ? `Closest source text: "${item.groundingQuote}"` : 'No matching source text found.'} Verify before use.`;
+  }
+
+  /**
+   * Highlight the cells of fields that still failed schema validation after the repair attempts
+   * Each flagged cell gets an orange fill and a "Needs review" note; missing values read "⚠ Missing"
+   * @param {ExcelJS.Row} row - Worksheet row
+   * @param {Object} item - Generated entry with optional validationIssues [{ field, message }]
+   * @param {Array<string>} fieldKeys - Column keys that hold generated fields (the first one takes issues about the whole entry)
+   */
+  flagValidationIssues(row, item, fieldKeys) {
+    if (!Array.isArray(item?.validationIssues) || item.validationIssues.length === 0) {
+      return;
+    }
+
+    item.validationIssues.forEach((issue) => {
+      const key = fieldKeys.includes(issue.field) ? issue.field : fieldKeys[0];
+      const cell = row.getCell(key);
+      const value = item[issue.field];
+      if (issue.field && (value === undefined || value === null || value === '')) {
+        cell.value = '⚠ Missing';
+      }
+      cell.fill = NEEDS_REVIEW_FILL;
+      cell.note = `Needs review: ${issue.field ? `${issue.field} ` : ''}${issue.message}`;
+    });
+  }
+
+  /**
+   * Add a worksheet listing the source documents used for generation
+   * @param {ExcelJS.Workbook} workbook - Workbook instance
+   * @param {Array<string>} sources - Citation strings
+   * @param {string} description - Line shown under the title
+   * @param {Array<Object>} [revisions] - Manual revisions used ({ manualName, fileName, revision, isLatest, latestRevision }),
+   *   listed in a table under the sources
+   */
+  addSourceCitationsSheet(workbook, sources, description, revisions = []) {
+    const citationSheet = workbook.addWorksheet('Source Citations', {
+      properties: { tabColor: { argb: 'FF95B3D7' } } // Light blue
+    });
+
+    // Title
+    citationSheet.mergeCells('A1:B1');
+    const citationTitle = citationSheet.getCell('A1');
+    citationTitle.value = '📚 SOURCE DOCUMENT REFERENCES';
+    citationTitle.font = { name: 'Calibri', bold: true, size: 16, color: { argb: 'FF1F4E78' } };
+    citationTitle.alignment = { horizontal: 'center', vertical: 'middle' };
+    citationSheet.getRow(1).height = 30;
+
+    // Description
+    citationSheet.mergeCells('A2:B2');
+    const citationDesc = citationSheet.getCell('A2');
+    citationDesc.value = description;
+    citationDesc.font = { italic: true, size: 11 };
+    citationSheet.getRow(2).height = 20;
+
+    // Add blank row
+    citationSheet.addRow([]);
+
+    // Headers
+    const headerRow = citationSheet.addRow(['#', 'Source Reference']);
+    headerRow.font = { bold: true, size: 11 };
+    headerRow.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFD9E1F2' } };
+
+    // Add sources
+    sources.forEach((source, index) => {
+      const row = citationSheet.addRow([index + 1, source]);
+      row.alignment = { vertical: 'top', wrapText: true };
+    });
+
+    // Format columns
+    citationSheet.getColumn(1).width = 5;
+    citationSheet.getColumn(2).width = 80;
+
+    // Add border to citation rows
+    for (let i = 4; i <= 4 + sources.length; i++) {
+      const row = citationSheet.getRow(i);
+      row.eachCell({ includeEmpty: true }, (cell) => {
+        cell.border = {
+          top: { style: 'thin' },
+          left: { style: 'thin' },
+          bottom: { style: 'thin' },
+          right: { style: 'thin' }
+        };
+      });
+    }
+
+    if (revisions && revisions.length > 0) {
+      citationSheet.addRow([]);
+      const revisionsTitle = citationSheet.addRow(['', 'Document Revisions']);
+      revisionsTitle.font = { bold: true, size: 12, color: { argb: 'FF1F4E78' } };
+
+      const revisionHeaderRow = citationSheet.addRow(['#', 'Manual', 'Revision', 'Document', 'Used']);
+      revisionHeaderRow.font = { bold: true, size: 11 };
+      revisionHeaderRow.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFD9E1F2' } };
+
+      revisions.forEach((revision, index) => {
+        const used = revision.isLatest
+          ? 'Latest revision'
+          : `Pinned${revision.latestRevision ? ` (latest is ${revision.latestRevision})` : ''}`;
+        const row = citationSheet.addRow([index + 1, revision.manualName || '', revision.revision, revision.fileName || '', used]);
+        row.alignment = { vertical: 'top', wrapText: true };
+        if (!revision.isLatest) {
+          // Highlight sources that are not the manual's current revision
+          row.getCell(5).fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFFFEB9C' } };
+        }
+      });
+
+      // Add border to revision rows
+      for (let i = revisionHeaderRow.number; i <= revisionHeaderRow.number + revisions.length; i++) {
+        citationSheet.getRow(i).eachCell({ includeEmpty: true }, (cell) => {
+          cell.border = {
+            top: { style: 'thin' },
+            left: { style: 'thin' },
+            bottom: { style: 'thin' },
+            right: { style: 'thin' }
+          };
+        });
+      }
+
+      citationSheet.getColumn(3).width = 16;
+      citationSheet.getColumn(4).width = 40;
+      citationSheet.getColumn(5).width = 28;
+    }
+
+    logger.info('Added source citations sheet', { sourceCount: sources.length, revisionCount: revisions?.length || 0 });
+  }
+
+  /**
+   * Add a worksheet listing the differences between two checksheets, one color-coded row per item
+   * Added rows are green, removed rows red (struck through) and changed rows yellow, with the changed cells in bold
+   * and the earlier value in a cell note
+   * @param {ExcelJS.Workbook} workbook - Workbook instance
+   * @param {Object} diff - Diff from checksheetDiffService.diffChecksheets
+   */
+  addChecksheetDiffSheet(workbook, diff) {
+    const worksheet = workbook.addWorksheet('Changes', {
+      properties: { tabColor: { argb: 'FFFFC000' } } // Amber
+    });
+    const { labels = {}, summary = {} } = diff;
+
+    worksheet.mergeCells('A1:G1');
+    const titleCell = worksheet.getCell('A1');
+    titleCell.value = `CHECKSHEET CHANGES: ${labels.base || 'Base'} → ${labels.target || 'Target'}`;
+    titleCell.font = { name: 'Calibri', bold: true, size: 16, color: { argb: 'FFFFFFFF' } };
+    titleCell.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FF1F4E78' } };
+    titleCell.alignment = { vertical: 'middle', horizontal: 'center' };
+    worksheet.getRow(1).height = 30;
+
+    worksheet.mergeCells('A2:G2');
+    const summaryCell = worksheet.getCell('A2');
+    summaryCell.value = `${summary.added || 0} added | ${summary.removed || 0} removed | ${summary.changed || 0} changed | ${summary.unchanged || 0} unchanged`;
+    summaryCell.font = { italic: true, size: 10, color: { argb: 'FF666666' } };
+    summaryCell.alignment = { horizontal: 'center' };
+
+    worksheet.addRow([]);
+
+    // Keys and widths only: column headers would be written to row 1, over the title
+    const columns = [
+      { header: 'Change', key: 'change', width: 12 },
+      { header: 'Item Name', key: 'itemName', width: 25 },
+      { header: 'Frequency', key: 'frequency', width: 15 },
+      { header: 'Inspection Point', key: 'inspectionPoint', width: 40 },
+      { header: 'Expected Status', key: 'expectedStatus', width: 22 },
+      { header: 'Notes', key: 'notes', width: 30 },
+      { header: 'What Changed', key: 'details', width: 45 }
+    ];
+    worksheet.columns = columns.map(({ key, width }) => ({ key, width }));
+
+    const headerRow = worksheet.getRow(4);
+    headerRow.values = columns.map(column => column.header);
+    headerRow.font = { name: 'Calibri', bold: true, size: 11, color: { argb: 'FFFFFFFF' } };
+    headerRow.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FF4472C4' } };
+    headerRow.alignment = { vertical: 'middle', horizontal: 'center', wrapText: true };
+    headerRow.height = 24;
+
+    const addItemRow = (change, item, fill, details = '') => {
+      const row = worksheet.addRow({
+        change,
+        itemName: item.itemName || item.name || '',
+        frequency: item.frequency || '',
+        inspectionPoint: item.inspectionPoint || '',
+        expectedStatus: item.expectedStatus || '',
+        notes: item.notes || '',
+        details
+      });
+      row.alignment = { vertical: 'top', wrapText: true };
+      if (fill) {
+        row.eachCell({ includeEmpty: true }, (cell) => {
+          cell.fill = fill;
+        });
+      }
+      row.getCell('change').font = { bold: true };
+      return row;
+    };
+
+    (diff.added || []).forEach(item => addItemRow('Added', item, DIFF_FILLS.added, `New in ${labels.target || 'target'}`));
+
+    (diff.removed || []).forEach(item => {
+      const row = addItemRow('Removed', item, DIFF_FILLS.removed, `Not in ${labels.target || 'target'}`);
+      ['itemName', 'frequency', 'inspectionPoint', 'expectedStatus', 'notes'].forEach(key => {
+        row.getCell(key).font = { strike: true, color: { argb: 'FF9C0006' } };
+      });
+    });
+
+    (diff.changed || []).forEach(({ target, changes }) => {
+      const details = changes.map(({ field, from, to }) => `${field}: ${from ?? '(none)'} → ${to ?? '(none)'}`).join('\n');
+      const row = addItemRow('Changed', target, DIFF_FILLS.changed, details);
+      changes.forEach(({ field, from }) => {
+        const cell = row.getCell(field);
+        cell.font = { bold: true };
+        cell.note = `Was: ${from ?? '(none)'}`;
+      });
+    });
+
+    (diff.unchanged || []).forEach(item => addItemRow('Unchanged', item, null));
+
+    worksheet.eachRow((row, rowNumber) => {
+      if (rowNumber >= 4) {
+        row.eachCell({ includeEmpty: true }, (cell) => {
+          cell.border = {
+            top: { style: 'thin', color: { argb: 'FFCCCCCC' } },
+            left: { style: 'thin', color: { argb: 'FFCCCCCC' } },
+            bottom: { style: 'thin', color: { argb: 'FFCCCCCC' } },
+            right: { style: 'thin', color: { argb: 'FFCCCCCC' } }
+          };
+        });
+      }
+    });
+
+    worksheet.autoFilter = {
+      from: { row: 4, column: 1 },
+      to: { row: 4, column: 7 }
+    };
+    worksheet.views = [{ state: 'frozen', ySplit: 4, xSplit: 0, topLeftCell: 'A5', activeCell: 'A5', showGridLines: true }];
+
+    logger.info('Added checksheet diff sheet', summary);
+  }
+
+  /**
+   * Build the source reference shown for a generated row, with explicit page number handling
+   * @param {Object} item - Generated item with source/sourceFile/sourcePage fields
+   * @returns {string} Source reference, e.g. "manual.pdf, Page 12"
+   */
+  formatSourceReference(item) {
+    if (item.source && (item.source.includes('Page') || item.source.includes('page'))) {
+      return item.source;
+    } else if (item.sourcePage || item.pageNumber) {
+      const page = item.sourcePage || item.pageNumber;
+      const file = item.sourceFile || item.fileName || item.source || 'Document';
+      return `${file}, Page ${page}`;
+    } else if (item.source) {
+      return item.source;
+    } else if (item.sourceFile) {
+      return item.sourceFile;
+    }
+    return 'Unknown';
+  }
+
+  /**
+   * Generate Excel data extraction table (one row per extracted value)
+   * @param {Array|Object} data - Extracted records { category, field, value, unit, notes, source } (array or object with items array)
+   * @param {string} fileName - Optional file name for metadata
+   * @returns {Promise<Buffer>} Excel file buffer
+   */
+  async generateExtractionTable(data, fileName = 'data-extraction') {
+    try {
+      const records = Array.isArray(data) ? data : (data?.items || data?.data || []);
+
+      if (!Array.isArray(records) || records.length === 0) {
+        throw new Error('Extraction data must be a non-empty array or contain a non-empty items array');
+      }
+
+      logger.info(`Generating Excel extraction table with ${records.length} records`, { fileName });
+
+      const workbook = new ExcelJS.Workbook();
+      workbook.creator = 'GenAI Document Generator';
+      workbook.created = new Date();
+      workbook.modified = new Date();
+
+      const worksheet = workbook.addWorksheet('Extracted Data', {
+        properties: { tabColor: { argb: 'FF4472C4' } }
+      });
+
+      // Title and metadata rows
+      worksheet.mergeCells('A1:G1');
+      const titleCell = worksheet.getCell('A1');
+      titleCell.value = '📊 EXTRACTED DOCUMENT DATA';
+      titleCell.font = { name: 'Calibri', bold: true, size: 18, color: { argb: 'FFFFFFFF' } };
+      titleCell.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FF1F4E78' } }; // Dark blue
+      titleCell.alignment = { vertical: 'middle', horizontal: 'center' };
+      worksheet.getRow(1).height = 35;
+
+      worksheet.mergeCells('A2:G2');
+      const metaCell = worksheet.getCell('A2');
+      metaCell.value = `${records.length} records | Generated: ${new Date().toLocaleString('en-US', { dateStyle: 'long', timeStyle: 'short' })}`;
+      metaCell.font = { italic: true, size: 10, color: { argb: 'FF666666' } };
+      metaCell.alignment = { horizontal: 'center' };
+      worksheet.getRow(2).height = 18;
+
+      // Empty row for spacing
+      worksheet.addRow([]);
+
+      // Define columns (row 4 will be headers)
+      worksheet.columns = [
+        { header: '№', key: 'number', width: 5 },
+        { header: 'Category', key: 'category', width: 18 },
+        { header: 'Field', key: 'field', width: 30 },
+        { header: 'Value', key: 'value', width: 20 },
+        { header: 'Unit', key: 'unit', width: 10 },
+        { header: 'Notes', key: 'notes', width: 35 },
+        { header: 'Source Reference', key: 'source', width: 35 }
+      ];
+
+      const headerRow = worksheet.getRow(4);
+      headerRow.font = { name: 'Calibri', bold: true, size: 11, color: { argb: 'FFFFFFFF' } };
+      headerRow.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FF4472C4' } }; // Medium blue
+      headerRow.alignment = { vertical: 'middle', horizontal: 'center', wrapText: true };
+      headerRow.height = 30;
+
+      records.forEach((record, index) => {
+        const row = worksheet.addRow({
+          number: index + 1,
+          category: record.category || '',
+          field: record.field || record.name || '',
+          value: record.value ?? '',
+          unit: record.unit || '',
+          notes: record.notes || record.note || '',
+          source: this.formatSourceReference(record)
+        });
+
+        // Alternate row colors for better readability
+        row.fill = {
+          type: 'pattern',
+          pattern: 'solid',
+          fgColor: { argb: index % 2 === 0 ? 'FFF8F9FA' : 'FFFFFFFF' }
+        };
+
+        row.getCell('number').alignment = { horizontal: 'center', vertical: 'middle' };
+        row.getCell('number').font = { bold: true, size: 10, color: { argb: 'FF666666' } };
+        row.getCell('value').alignment = { horizontal: 'center', vertical: 'top' };
+        row.getCell('value').font = { bold: true };
+        row.getCell('unit').alignment = { horizontal: 'center', vertical: 'top' };
+        row.getCell('field').alignment = { wrapText: true, vertical: 'top' };
+        row.getCell('notes').alignment = { wrapText: true, vertical: 'top' };
+        row.getCell('source').alignment = { wrapText: true, vertical: 'top' };
+        row.getCell('source').font = { size: 9, italic: true, color: { argb: 'FF666666' } };
+        this.noteSourceQuote(row.getCell('source'), record);
+
+        this.flagValidationIssues(row, record, ['category', 'field', 'value', 'unit', 'notes']);
+      });
+
+      // Apply borders to header and data rows
+      worksheet.eachRow((row, rowNumber) => {
+        if (rowNumber >= 4) {
+          row.eachCell((cell) => {
+            cell.border = {
+              top: { style: 'thin', color: { argb: 'FFCCCCCC' } },
+              left: { style: 'thin', color: { argb: 'FFCCCCCC' } },
+              bottom: { style: 'thin', color: { argb: 'FFCCCCCC' } },
+              right: { style: 'thin', color: { argb: 'FFCCCCCC' } }
+            };
+          });
+        }
+      });
+
+      worksheet.autoFilter = {
+        from: { row: 4, column: 1 },
+        to: { row: 4, column: 7 }
+      };
+
+      worksheet.views = [
+        {
+          state: 'frozen',
+          ySplit: 4,
+          xSplit: 0,
+          topLeftCell: 'A5',
+          activeCell: 'A5',
+          showGridLines: true
+        }
+      ];
+
+      if (data.metadata && data.metadata.sources && data.metadata.sources.length > 0) {
+        this.addSourceCitationsSheet(workbook, data.metadata.sources, 'All records are extracted from the following source documents:', data.metadata.revisions);
+      }
+
+      const buffer = await workbook.xlsx.writeBuffer();
+
+      logger.info('Excel extraction table generated successfully', {
+        fileName,
+        recordCount: records.length,
+        bufferSize: buffer.length
+      });
+
+      return buffer;
+    } catch (error) {
+      logger.error('Excel extraction table generation failed', error);
+      throw new Error(`Failed to generate Excel file: ${error.message}`);
+    }
+  }
+
   /**
    * Validate checksheet data structure
    * @param {*} data - Data to validate
@@ -395,7 +779,7 @@ class ExcelService {
         if (!item || typeof item !== 'object') {
           throw new Error(`Invalid item at index ${index}: must be an object`);
         }
-        if (!item.itemName && !item.name && !item.inspectionPoint && !item.inspection) {
+        if (!item.itemName && !item.name && !item.inspectionPoint && !item.inspection && !item.validationIssues) {
           throw new Error(`Invalid item at index ${index}: must have itemName or inspectionPoint`);
         }
       });
@@ -415,9 +799,10 @@ class ExcelService {
    * @param {Array} data - Data array
    * @param {string} worksheetName - Name for the worksheet
    * @param {string} fileName - Optional file name
+   * @param {Array<Object>} [columns] - Column definitions { header, key, width }; auto-detected from the first row if omitted
    * @returns {Promise<Buffer>} Excel file buffer
    */
-  async generateExcel(data, worksheetName = 'Sheet1', fileName = 'document') {
+  async generateExcel(data, worksheetName = 'Sheet1', fileName = 'document', columns = null) {
     try {
       if (!Array.isArray(data) || data.length === 0) {
         throw new Error('Data must be a non-empty array');
@@ -431,17 +816,14 @@ class ExcelService {
 
       const worksheet = workbook.addWorksheet(worksheetName);
 
-      // Auto-detect columns from first row
+      // Use the given columns, or auto-detect them from the first row
       if (data.length > 0) {
-        const firstRow = data[0];
-        const columns = Object.keys(firstRow).map(key => ({
+        worksheet.columns = columns || Object.keys(data[0]).filter(key => key !== 'validationIssues').map(key => ({
           header: this.formatHeader(key),
           key: key,
           width: 20
         }));
 
-        worksheet.columns = columns;
-
         // Style header row
         const headerRow = worksheet.getRow(1);
         headerRow.font = { bold: true, size: 11 };
@@ -452,8 +834,9 @@ class ExcelService {
         };
 
         // Add data rows
-        data.forEach((row, index) => {
-          worksheet.addRow(row);
+        const columnKeys = worksheet.columns.map(column => column.key);
+        data.forEach((row) => {
+          this.flagValidationIssues(worksheet.addRow(row), row, columnKeys);
         });
 
         // Apply borders
@@ -29,6 +29,14 @@ class GeminiService {
     this.defaultTemperature = 0.3;
     this.maxRetries = 3;
 
+    // Capability flags consumed by the LLM provider registry
+    this.capabilities = {
+      maxOutputTokens: 8192,
+      contextWindowTokens: 1048576,
+      jsonMode: true,
+      streaming: true
+    };
+
     // Validate model name
     this.validateModelName(this.modelName);
 
@@ -48,6 +56,17 @@ class GeminiService {
     });
   }
 
+  /**
+   * Count tokens with the Gemini countTokens API
+   * @param {string} text - Text to count
+   * @returns {Promise<number>} Token count
+   */
+  async countTokens(text) {
+    this.validateApiKey();
+    const { totalTokens } = await this.model.countTokens(text);
+    return totalTokens;
+  }
+
   /**
    * Validate API key
    * @returns {boolean} True if API key is available
@@ -85,7 +104,7 @@ class GeminiService {
    * Invoke Gemini model
    * @param {string} systemPrompt - System prompt/instructions
    * @param {string} userPrompt - User prompt/content
-   * @param {Object} options - Additional options (temperature, maxTokens, modelName)
+   * @param {Object} options - Additional options (temperature, maxTokens, modelName, jsonMode, onUsage)
    * @returns {Promise<string>} AI response text
    */
   async invokeGemini(systemPrompt, userPrompt, options = {}) {
@@ -95,7 +114,9 @@ class GeminiService {
       const {
         temperature = this.defaultTemperature,
         maxTokens = this.defaultMaxTokens,
-        modelName = this.modelName
+        modelName = this.modelName,
+        jsonMode = false,
+        onUsage = null
       } = options;
 
       // Validate inputs
@@ -124,7 +145,8 @@ class GeminiService {
           model: modelName,
           generationConfig: {
             maxOutputTokens: validMaxTokens,
-            temperature: Math.max(0, Math.min(2, temperature)) // Gemini supports 0-2
+            temperature: Math.max(0, Math.min(2, temperature)), // Gemini supports 0-2
+            ...(jsonMode && { responseMimeType: 'application/json' })
           },
           systemInstruction: systemPrompt.trim()
         });
@@ -134,7 +156,8 @@ class GeminiService {
           model: this.modelName,
           generationConfig: {
             maxOutputTokens: validMaxTokens,
-            temperature: this.defaultTemperature
+            temperature: this.defaultTemperature,
+            ...(jsonMode && { responseMimeType: 'application/json' })
           },
           systemInstruction: systemPrompt.trim()
         });
@@ -365,6 +388,14 @@ class GeminiService {
         });
       }
 
+      if (onUsage) {
+        onUsage({
+          promptTokens: usage?.promptTokenCount || 0,
+          outputTokens: usage?.candidatesTokenCount || 0,
+          totalTokens: usage?.totalTokenCount || 0
+        });
+      }
+
       return responseText;
     } catch (error) {
       logger.error('Gemini invocation failed', {
@@ -574,6 +605,63 @@ class GeminiService {
       throw new Error(`Failed to parse AI response: ${error.message}`);
     }
   }
+
+  /**
+   * Invoke Gemini with streaming response
+   * Yields text fragments as they are produced by the model
+   * @param {string} systemPrompt - System prompt/instructions
+   * @param {string} userPrompt - User prompt/content
+   * @param {Object} options - Additional options (temperature, maxTokens, modelName, jsonMode)
+   * @returns {AsyncGenerator<string>} Text fragments
+   */
+  async *invokeStream(systemPrompt, userPrompt, options = {}) {
+    this.validateApiKey();
+
+    const {
+      temperature = this.defaultTemperature,
+      maxTokens = this.defaultMaxTokens,
+      modelName = this.modelName,
+      jsonMode = false
+    } = options;
+
+    if (!systemPrompt || typeof systemPrompt !== 'string' || systemPrompt.trim().length === 0) {
+      throw new Error('System prompt must be a non-empty string');
+    }
+    if (!userPrompt || typeof userPrompt !== 'string' || userPrompt.trim().length === 0) {
+      throw new Error('User prompt must be a non-empty string');
+    }
+
+    const model = this.client.getGenerativeModel({
+      model: modelName,
+      generationConfig: {
+        maxOutputTokens: Math.min(Math.max(1, maxTokens), 8192),
+        temperature: Math.max(0, Math.min(2, temperature)),
+        ...(jsonMode && { responseMimeType: 'application/json' })
+      },
+      systemInstruction: systemPrompt.trim()
+    });
+
+    let result;
+    try {
+      result = await geminiRateLimiter.execute(async () => {
+        return await model.generateContentStream(userPrompt.trim());
+      });
+    } catch (error) {
+      logger.error('Gemini streaming invocation failed', {
+        error: error.message,
+        status: error.status,
+        modelName
+      });
+      throw new Error(`Failed to invoke Gemini stream: ${error.message}`);
+    }
+
+    for await (const chunk of result.stream) {
+      const text = chunk.text();
+      if (text) {
+        yield text;
+      }
+    }
+  }
 }
 
 // Export singleton instance
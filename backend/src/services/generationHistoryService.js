@@ -0,0 +1,194 @@
+/**
+ * Generation History Service
+ * Persists the results of document generations and lists past generations
+ *
+ * Every generation has a status record (see generationStatusService) holding its inputs, status and output file.
+ * When a generation completes, its full result is stored as JSON next to the output file, at
+ * outputs/{fileId}/generation.json: the inputs (documents, use case, prompt and version, provider, model), the parsed
+ * data, the generation metadata (citations, revisions, token usage, ...) and the output file keys. The status record
+ * points to it with resultKey, so listing generations reads the status table only and the result is loaded for a
+ * single generation.
+ */
+
+import s3Service from './s3Service.js';
+import generationStatusService from './generationStatusService.js';
+import { logger } from '../utils/logger.js';
+
+// Stored next to the output file of the generation
+const RESULT_FILE_NAME = 'generation.json';
+
+// Request parameters recorded as the inputs of a generation
+const INPUT_FIELDS = ['useCase', 'documentIds', 'queryText', 'llmProvider', 'promptId', 'keywordWeight', 'rerank', 'mode', 'section', 'pinRevisions'];
+
+/**
+ * Count the items of generated data (checksheet items, steps, extracted fields, ...)
+ * @param {Array|Object|null} data - Parsed generation data
+ * @returns {number|null} Item count, or null if the data is not a list
+ */
+const itemCountOf = (data) => {
+  if (Array.isArray(data)) {
+    return data.length;
+  }
+  const list = data?.items || data?.steps || data?.data;
+  return Array.isArray(list) ? list.length : null;
+};
+
+class GenerationHistoryService {
+  constructor() {
+    logger.info('GenerationHistoryService initialized', {
+      outputsBucket: s3Service.outputsBucket,
+      statusTable: generationStatusService.tableName
+    });
+  }
+
+  /**
+   * Store the result of a completed generation next to its output file
+   * @param {string} generationId - Generation identifier
+   * @param {Object} params - Generation request parameters
+   * @param {Object} aiResponse - Result of handleGenerate ({ data, metadata, chunksUsed, ... })
+   * @param {Object} output - Output file { fileId, fileName, fileType, contentType, s3Key, s3Bucket }
+   * @returns {Promise<Object>} { resultKey, record } where record is the stored result
+   */
+  async saveResult(generationId, params, aiResponse, output) {
+    try {
+      const metadata = aiResponse.metadata || {};
+      const record = {
+        generationId,
+        createdAt: new Date().toISOString(),
+        inputs: {
+          ...Object.fromEntries(INPUT_FIELDS.map(field => [field, params[field] ?? null])),
+          llmProvider: aiResponse.llmProvider || params.llmProvider || null,
+          model: metadata.model || null,
+          prompt: metadata.prompt || null
+        },
+        data: aiResponse.data,
+        metadata,
+        chunksUsed: aiResponse.chunksUsed ?? null,
+        output
+      };
+
+      const uploadResult = await s3Service.uploadOutput(
+        Buffer.from(JSON.stringify(record)),
+        RESULT_FILE_NAME,
+        'application/json',
+        output.fileId
+      );
+
+      logger.info('Saved generation result', { generationId, resultKey: uploadResult.s3Key });
+      return { resultKey: uploadResult.s3Key, record };
+    } catch (error) {
+      logger.error('Failed to save generation result', error);
+      throw new Error(`Failed to save generation result: ${error.message}`);
+    }
+  }
+
+  /**
+   * Build the history entry of a generation from its status record
+   * @param {Object} status - Generation status record
+   * @returns {Object} Generation summary
+   */
+  toGeneration(status) {
+    return {
+      generationId: status.generationId,
+      status: status.status || null,
+      message: status.message || null,
+      error: status.error || null,
+      ...Object.fromEntries(INPUT_FIELDS.map(field => [field, status[field] ?? null])),
+      model: status.model || null,
+      prompt: status.prompt || null,
+      itemCount: status.itemCount ?? null,
+      sourceCount: status.sourceCount ?? null,
+      fileId: status.fileId || null,
+      fileName: status.fileName || null,
+      fileType: status.fileType || null,
+      s3Key: status.s3Key || null,
+      // Generations from before results were stored have no resultKey
+      resultKey: status.resultKey || null,
+      processingTime: status.processingTime || null,
+      createdAt: status.createdAt || null,
+      updatedAt: status.updatedAt || null,
+      completedAt: status.completedAt || null,
+      failedAt: status.failedAt || null
+    };
+  }
+
+  /**
+   * List generations, most recent first
+   * @param {Object} [filters] - { useCase, status, documentId, limit }
+   * @returns {Promise<Object>} { generations, total } where total counts the matching generations before the limit
+   */
+  async listGenerations({ useCase = null, status = null, documentId = null, limit = 50 } = {}) {
+    try {
+      const statuses = await generationStatusService.listStatuses();
+      const generations = statuses
+        .map(record => this.toGeneration(record))
+        .filter(generation => (!useCase || generation.useCase === useCase) &&
+          (!status || generation.status === status) &&
+          (!documentId || (generation.documentIds || []).includes(documentId)))
+        .sort((a, b) => (b.createdAt || '').localeCompare(a.createdAt || ''));
+
+      logger.info('Listed generations', { total: generations.length, useCase, status, documentId, limit });
+      return { generations: generations.slice(0, limit), total: generations.length };
+    } catch (error) {
+      logger.error('Failed to list generations', error);
+      throw new Error(`Failed to list generations: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get one generation with its stored result and a fresh download URL
+   * @param {string} generationId - Generation identifier
+   * @returns {Promise<Object|null>} Generation with { downloadUrl, inputs, data, metadata } (null if its result was
+   *   not stored), or null if the generation does not exist
+   */
+  async getGeneration(generationId) {
+    try {
+      const status = await generationStatusService.getStatus(generationId);
+      if (!status) {
+        return null;
+      }
+
+      const generation = this.toGeneration(status);
+      const bucket = status.s3Bucket || s3Service.outputsBucket;
+
+      let result = null;
+      if (generation.resultKey) {
+        const object = await s3Service.getObject(bucket, generation.resultKey);
+        result = JSON.parse(object.body.toString('utf-8'));
+      }
+
+      // The URL stored with the status expires after an hour
+      const downloadUrl = generation.status === 'completed' && generation.s3Key
+        ? await s3Service.getPresignedUrl(bucket, generation.s3Key, 3600)
+        : null;
+
+      return {
+        ...generation,
+        downloadUrl,
+        inputs: result?.inputs || null,
+        data: result?.data ?? null,
+        metadata: result?.metadata || null
+      };
+    } catch (error) {
+      logger.error('Failed to get generation', error);
+      throw new Error(`Failed to get generation: ${error.message}`);
+    }
+  }
+
+  /**
+   * Summarize a stored result for the status record (kept small, the result itself is in S3)
+   * @param {Object} record - Stored result (see saveResult)
+   * @returns {Object} { model, prompt, itemCount, sourceCount }
+   */
+  summarizeResult(record) {
+    return {
+      model: record.inputs.model,
+      prompt: record.inputs.prompt,
+      itemCount: itemCountOf(record.data),
+      sourceCount: Array.isArray(record.metadata?.sources) ? record.metadata.sources.length : null
+    };
+  }
+}
+
+// Export singleton instance
+export default new GenerationHistoryService();
@@ -4,7 +4,7 @@
  */
 
 import { DynamoDBClient } from '@aws-sdk/client-dynamodb';
-import { DynamoDBDocumentClient, PutCommand, GetCommand, UpdateCommand } from '@aws-sdk/lib-dynamodb';
+import { DynamoDBDocumentClient, PutCommand, GetCommand, UpdateCommand, ScanCommand } from '@aws-sdk/lib-dynamodb';
 import { logger } from '../utils/logger.js';
 
 class GenerationStatusService {
@@ -97,6 +97,30 @@ class GenerationStatusService {
     }
   }
 
+  /**
+   * List all generation status records (all scan pages)
+   * @returns {Promise<Array<Object>>} Status records
+   */
+  async listStatuses() {
+    try {
+      const items = [];
+      let exclusiveStartKey;
+      do {
+        const result = await this.docClient.send(new ScanCommand({
+          TableName: this.tableName,
+          ExclusiveStartKey: exclusiveStartKey
+        }));
+        items.push(...(result.Items || []));
+        exclusiveStartKey = result.LastEvaluatedKey;
+      } while (exclusiveStartKey);
+
+      return items;
+    } catch (error) {
+      logger.error('Failed to list generation statuses', error);
+      throw new Error(`Failed to list generation statuses: ${error.message}`);
+    }
+  }
+
   /**
    * Update generation status
    * @param {string} generationId - Generation identifier
@@ -0,0 +1,265 @@
+/**
+ * Grounding Service
+ * Checks generated checksheet items and work-instruction steps against the context slice they were
+ * generated from, so content the model added on its own can be flagged for technician review
+ *
+ * Each entry gets a groundingScore in [0, 1] and the groundingQuote that best supports it:
+ * - lexical: share of the entry's (stemmed) terms found in the best matching one or two source sentences
+ * - llm (GROUNDING_JUDGE=llm): entries scoring below the threshold are graded again by the selected
+ *   LLM provider, which also quotes the supporting sentence (falls back to the lexical score on failure)
+ * Entries scoring below GROUNDING_THRESHOLD get lowGrounding: true.
+ */
+
+import keywordIndexService from './keywordIndexService.js';
+import { logger } from '../utils/logger.js';
+
+// Longest supporting quote attached to an entry
+const MAX_QUOTE_CHARS = 300;
+
+/**
+ * Reduce a term to a crude stem so "inspection"/"inspect" and "bearings"/"bearing" match
+ * @param {string} term - Lowercase term
+ * @returns {string} Stem
+ */
+const stem = (term) => {
+  if (term.length <= 4 || /\d/.test(term)) {
+    return term;
+  }
+  return term.replace(/(ations?|ions?|ings?|ments?|ly|ies|es|ed|s)$/, '') || term;
+};
+
+/**
+ * Split source text into sentences (list items and lines count as sentences)
+ * @param {string} text - Source text
+ * @returns {Array<string>} Sentences
+ */
+const splitSentences = (text) => (text || '')
+  .split(/(?<=[.!?])\s+|\n+/)
+  .map(sentence => sentence.replace(/\s+/g, ' ').trim())
+  .filter(sentence => sentence.length > 0);
+
+/**
+ * Collapse whitespace and case so quotes can be matched against the source text
+ * @param {string} text - Text
+ * @returns {string} Normalized text
+ */
+const normalizeQuote = (text) => (text || '').replace(/\s+/g, ' ').trim().toLowerCase();
+
+class GroundingService {
+  constructor() {
+    this.enabled = (process.env.GROUNDING_VERIFY || 'true').toLowerCase() !== 'false';
+    this.judge = (process.env.GROUNDING_JUDGE || 'none').toLowerCase();
+    const threshold = parseFloat(process.env.GROUNDING_THRESHOLD);
+    this.threshold = Number.isFinite(threshold) && threshold >= 0 && threshold <= 1 ? threshold : 0.5;
+    this.judgeBatchSize = 20;
+
+    logger.info('GroundingService initialized', {
+      enabled: this.enabled,
+      judge: this.judge,
+      threshold: this.threshold
+    });
+  }
+
+  /**
+   * Get the stemmed, de-duplicated terms of a text
+   * @param {string} text - Text
+   * @returns {Array<string>} Terms
+   */
+  terms(text) {
+    return [...new Set(keywordIndexService.tokenize(text || '').map(stem))];
+  }
+
+  /**
+   * Lexical grounding: find the one or two consecutive source sentences sharing most of the claim's terms
+   * @param {string} claim - Entry text
+   * @param {Array<Object>} windows - Source windows { text, terms: Set<string> }
+   * @returns {Object} { score, quote }
+   */
+  scoreLexical(claim, windows) {
+    const claimTerms = this.terms(claim);
+    if (claimTerms.length === 0 || windows.length === 0) {
+      return { score: 0, quote: '' };
+    }
+
+    let best = { score: 0, quote: '' };
+    for (const window of windows) {
+      const matched = claimTerms.filter(term => window.terms.has(term)).length;
+      const score = matched / claimTerms.length;
+      if (score > best.score) {
+        best = { score, quote: window.text };
+      }
+    }
+    return best;
+  }
+
+  /**
+   * Build the sentence windows of a source slice (each sentence, and each pair of neighbouring sentences)
+   * @param {string} contextText - Source slice
+   * @returns {Array<Object>} Windows { text, terms: Set<string> }
+   */
+  buildWindows(contextText) {
+    const sentences = splitSentences(contextText);
+    const windows = [];
+    sentences.forEach((sentence, index) => {
+      windows.push({ text: sentence, terms: new Set(this.terms(sentence)) });
+      if (index + 1 < sentences.length) {
+        const pair = `${sentence} ${sentences[index + 1]}`;
+        windows.push({ text: pair, terms: new Set(this.terms(pair)) });
+      }
+    });
+    return windows;
+  }
+
+  /**
+   * Find the source sentences that best support a text (lexical check only, runs even when verification is disabled)
+   * @param {string} claim - Entry text
+   * @param {string} contextText - Source slice
+   * @returns {Object} { score, quote } (empty quote if no sentence shares a term with the claim)
+   */
+  findSupportingQuote(claim, contextText) {
+    return this.scoreLexical(claim, this.buildWindows(contextText));
+  }
+
+  /**
+   * LLM judge: grades how well the source slice supports each claim (0-10) and quotes the support
+   * @param {Array<string>} claims - Entry texts
+   * @param {string} contextText - Source slice
+   * @param {Object} provider - LLM provider
+   * @param {Object} [usageTracker] - Token usage tracker
+   * @returns {Promise<Array<Object|null>>} One { score, quote } per claim (null if not graded)
+   */
+  async judgeWithLLM(claims, contextText, provider, usageTracker = null) {
+    const results = new Array(claims.length).fill(null);
+
+    const systemPrompt = `You verify generated maintenance documentation against its source text.
+For each claim, grade how well the source text supports it, from 0 (not mentioned or contradicted) to 10 (stated explicitly).
+Quote the source sentence that supports the claim word for word, or use an empty quote if there is none.
+Return ONLY a JSON array with one object per claim, no explanations.
+Example: [{"index": 0, "score": 8, "quote": "Check the oil level daily."}]`;
+
+    for (let start = 0; start < claims.length; start += this.judgeBatchSize) {
+      const batch = claims.slice(start, start + this.judgeBatchSize);
+      const listed = batch.map((claim, offset) => `[${offset}] ${claim}`).join('\n');
+      const userPrompt = `Source text:\n\n${contextText}\n\nClaims:\n${listed}\n\nReturn a JSON array of {"index", "score", "quote"} for all ${batch.length} claims.`;
+
+      const response = await provider.invokeAndParseJSON(systemPrompt, userPrompt, {
+        temperature: 0,
+        maxTokens: Math.min(2000, provider.capabilities.maxOutputTokens),
+        jsonMode: provider.capabilities.jsonMode,
+        responseShape: 'array',
+        onUsage: usageTracker?.record
+      });
+
+      const grades = Array.isArray(response) ? response : (response.grades || response.results || []);
+      for (const grade of grades) {
+        const index = Number(grade?.index);
+        const score = Number(grade?.score);
+        if (Number.isInteger(index) && index >= 0 && index < batch.length && Number.isFinite(score)) {
+          results[start + index] = {
+            score: Math.max(0, Math.min(10, score)) / 10,
+            quote: typeof grade.quote === 'string' ? grade.quote.trim() : ''
+          };
+        }
+      }
+    }
+
+    if (results.every(result => result === null)) {
+      throw new Error('LLM returned no usable grounding grades');
+    }
+    return results;
+  }
+
+  /**
+   * Score entries generated from one context slice and attach groundingScore, groundingQuote and lowGrounding
+   * @param {Array<Object>} entries - Generated entries (checksheet items or work instruction steps)
+   * @param {string} contextText - Context slice the entries were generated from
+   * @param {Object} options - Verification options
+   * @param {Function} options.textOf - (entry) => claim text to verify
+   * @param {Object} [options.provider] - LLM provider for the judge
+   * @param {Object} [options.usageTracker] - Token usage tracker
+   * @param {Object} [options.groundingTracker] - Tracker from createGroundingTracker()
+   * @param {string} [options.label] - Name used in logs (e.g. 'checksheet chunk 2')
+   * @returns {Promise<Array<Object>>} Entries with grounding fields (unchanged if verification is disabled)
+   */
+  async verifyEntries(entries, contextText, { textOf, provider = null, usageTracker = null, groundingTracker = null, label = 'entries' }) {
+    if (!this.enabled || entries.length === 0) {
+      return entries;
+    }
+
+    const windows = this.buildWindows(contextText);
+    const claims = entries.map(entry => textOf(entry) || '');
+    const results = claims.map(claim => ({ ...this.scoreLexical(claim, windows), method: 'lexical' }));
+
+    // Only entries the lexical check could not confirm are worth a judge call
+    const doubtful = results.map((result, index) => (result.score < this.threshold ? index : -1)).filter(index => index >= 0);
+    if (this.judge === 'llm' && provider && doubtful.length > 0) {
+      try {
+        const grades = await this.judgeWithLLM(doubtful.map(index => claims[index]), contextText, provider, usageTracker);
+        const source = normalizeQuote(contextText);
+        grades.forEach((grade, offset) => {
+          if (!grade) return;
+          const index = doubtful[offset];
+          // A quote that is not in the source is not evidence; keep the lexical one instead
+          const quote = grade.quote && source.includes(normalizeQuote(grade.quote)) ? grade.quote : results[index].quote;
+          results[index] = { score: grade.score, quote, method: 'llm' };
+        });
+        groundingTracker?.judged(grades.filter(Boolean).length);
+      } catch (error) {
+        logger.warn(`Grounding judge failed for ${label}, keeping lexical scores`, { error: error.message });
+      }
+    }
+
+    const verified = entries.map((entry, index) => {
+      const { score, quote } = results[index];
+      const groundingScore = Math.round(score * 100) / 100;
+      return {
+        ...entry,
+        groundingScore,
+        groundingQuote: quote.length > MAX_QUOTE_CHARS ? `${quote.substring(0, MAX_QUOTE_CHARS)}...` : quote,
+        ...(groundingScore < this.threshold && { lowGrounding: true })
+      };
+    });
+
+    const lowCount = verified.filter(entry => entry.lowGrounding).length;
+    if (lowCount > 0) {
+      logger.warn(`${lowCount} of ${verified.length} entries in ${label} are weakly supported by their source text`, {
+        threshold: this.threshold
+      });
+    }
+
+    groundingTracker?.record(verified);
+    return verified;
+  }
+
+  /**
+   * Create a collector for grounding results across the slices of one generation
+   * @returns {Object} { record(entries), judged(count), summary() }
+   */
+  createGroundingTracker() {
+    const totals = { verified: 0, lowConfidence: 0, judged: 0 };
+    let scoreSum = 0;
+
+    return {
+      record: (entries) => {
+        for (const entry of entries) {
+          totals.verified += 1;
+          scoreSum += entry.groundingScore;
+          if (entry.lowGrounding) totals.lowConfidence += 1;
+        }
+      },
+      judged: (count) => {
+        totals.judged += count;
+      },
+      summary: () => ({
+        enabled: this.enabled,
+        judge: this.judge,
+        threshold: this.threshold,
+        ...totals,
+        averageScore: totals.verified > 0 ? Math.round((scoreSum / totals.verified) * 100) / 100 : null
+      })
+    };
+  }
+}
+
+// Export singleton instance
+export default new GroundingService();
@@ -4,7 +4,7 @@
  */
 
 import { DynamoDBClient } from '@aws-sdk/client-dynamodb';
-import { DynamoDBDocumentClient, PutCommand, GetCommand, UpdateCommand } from '@aws-sdk/lib-dynamodb';
+import { DynamoDBDocumentClient, PutCommand, GetCommand, UpdateCommand, ScanCommand, DeleteCommand } from '@aws-sdk/lib-dynamodb';
 import { logger } from '../utils/logger.js';
 
 class IngestionStatusService {
@@ -51,7 +51,7 @@ class IngestionStatusService {
         Item: statusRecord
       }));
 
-      logger.info('Created ingestion status', { fileId, status: 'queued' });
+      logger.info('Created ingestion status', { fileId, status: statusRecord.status });
       return statusRecord;
     } catch (error) {
       logger.error('Failed to create ingestion status', error);
@@ -59,6 +59,22 @@ class IngestionStatusService {
     }
   }
 
+  /**
+   * Record an uploaded document that has not been ingested yet, so its content hash can be found before ingestion
+   * @param {string} fileId - File identifier
+   * @param {string} s3Key - S3 key
+   * @param {Object} metadata - Additional metadata (fileName, contentHash, ...)
+   * @returns {Promise<Object>} Status record
+   */
+  async recordUpload(fileId, s3Key, metadata = {}) {
+    return this.createStatus(fileId, s3Key, {
+      status: 'uploaded',
+      currentStep: 'uploaded',
+      message: 'Uploaded, not ingested yet',
+      ...metadata
+    });
+  }
+
   /**
    * Get ingestion status with estimated time
    * @param {string} fileId - File identifier
@@ -101,6 +117,98 @@ class IngestionStatusService {
     }
   }
 
+  /**
+   * List all ingestion status records (all scan pages)
+   * @returns {Promise<Array<Object>>} Status records
+   */
+  async listStatuses() {
+    try {
+      const items = [];
+      let exclusiveStartKey;
+      do {
+        const result = await this.docClient.send(new ScanCommand({
+          TableName: this.tableName,
+          ExclusiveStartKey: exclusiveStartKey
+        }));
+        items.push(...(result.Items || []));
+        exclusiveStartKey = result.LastEvaluatedKey;
+      } while (exclusiveStartKey);
+
+      return items;
+    } catch (error) {
+      logger.error('Failed to list ingestion statuses', error);
+      throw new Error(`Failed to list ingestion statuses: ${error.message}`);
+    }
+  }
+
+  /**
+   * Find the status records whose attribute has a value (all scan pages)
+   * @param {string} attribute - Attribute name (e.g. 'contentHash')
+   * @param {*} value - Value to match
+   * @returns {Promise<Array<Object>>} Status records
+   */
+  async findByAttribute(attribute, value) {
+    try {
+      const items = [];
+      let exclusiveStartKey;
+      do {
+        const result = await this.docClient.send(new ScanCommand({
+          TableName: this.tableName,
+          FilterExpression: '#attribute = :value',
+          ExpressionAttributeNames: { '#attribute': attribute },
+          ExpressionAttributeValues: { ':value': value },
+          ExclusiveStartKey: exclusiveStartKey
+        }));
+        items.push(...(result.Items || []));
+        exclusiveStartKey = result.LastEvaluatedKey;
+      } while (exclusiveStartKey);
+
+      return items;
+    } catch (error) {
+      logger.error(`Failed to find ingestion statuses by ${attribute}`, error);
+      throw new Error(`Failed to find ingestion statuses by ${attribute}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Find the status records of the files with a content hash
+   * @param {string} contentHash - SHA-256 of the file
+   * @returns {Promise<Array<Object>>} Status records
+   */
+  async findByContentHash(contentHash) {
+    return this.findByAttribute('contentHash', contentHash);
+  }
+
+  /**
+   * Find the status records of the revisions of a manual
+   * @param {string} manualId - Manual identifier
+   * @returns {Promise<Array<Object>>} Status records
+   */
+  async findByManualId(manualId) {
+    return this.findByAttribute('manualId', manualId);
+  }
+
+  /**
+   * Delete the ingestion status record of a file
+   * @param {string} fileId - File identifier
+   * @returns {Promise<boolean>} True if a record was deleted
+   */
+  async deleteStatus(fileId) {
+    try {
+      const result = await this.docClient.send(new DeleteCommand({
+        TableName: this.tableName,
+        Key: { fileId },
+        ReturnValues: 'ALL_OLD'
+      }));
+
+      logger.info('Deleted ingestion status', { fileId, existed: !!result.Attributes });
+      return !!result.Attributes;
+    } catch (error) {
+      logger.error('Failed to delete ingestion status', error);
+      throw new Error(`Failed to delete ingestion status: ${error.message}`);
+    }
+  }
+
   /**
    * Update ingestion status
    * @param {string} fileId - File identifier
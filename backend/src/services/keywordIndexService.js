@@ -0,0 +1,331 @@
+/**
+ * Keyword Index Service
+ * BM25 keyword search over ingested chunks, complementing embedding search for exact tokens
+ * such as part numbers, torque values and fault codes
+ *
+ * One index is built per document at ingest time from the same chunks that are embedded,
+ * using the same chunk IDs as the vector stores so results can be fused by ID.
+ * Indexes are persisted to S3 (indexes/{fileId}/bm25.json) or, for offline setups, to local JSON files.
+ */
+
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { S3Client, GetObjectCommand, PutObjectCommand, DeleteObjectCommand } from '@aws-sdk/client-s3';
+import { logger } from '../utils/logger.js';
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'if', 'in', 'into', 'is', 'it',
+  'its', 'of', 'on', 'or', 'that', 'the', 'then', 'there', 'these', 'this', 'to', 'was', 'were',
+  'will', 'with'
+]);
+
+// Chunk metadata kept in the index so keyword-only hits can be cited like vector hits
+const INDEXED_METADATA_FIELDS = [
+  'fileId', 'fileName', 'chunkIndex', 'pageNumber', 'internalPageNumber',
+  'displayPageNumber', 'pageRange', 'numPages', 's3Key',
+  'lineStart', 'lineEnd', 'lineBoxes', 'pageWidth', 'pageHeight', 'ocrConfidence',
+  'contentType', 'repeatedHeaderLines', 'tableHeaderLine', 'sectionPath',
+  'manualId', 'manualName', 'revision', 'revisionIndex'
+];
+
+class KeywordIndexService {
+  constructor() {
+    const region = process.env.AWS_REGION || process.env.REGION || 'us-east-1';
+    this.s3Client = new S3Client({ region });
+    this.bucket = process.env.S3_DOCUMENTS_BUCKET || process.env.DOCUMENTS_BUCKET;
+
+    // BM25 parameters
+    this.k1 = 1.2;
+    this.b = 0.75;
+
+    // Where to persist indexes: 's3' or 'local' (defaults to local when the local vector store is used)
+    const vectorDb = (process.env.VECTOR_DB || '').toLowerCase();
+    this.storage = (process.env.KEYWORD_INDEX_STORAGE || (vectorDb === 'local' ? 'local' : 's3')).toLowerCase();
+    this.localDir = process.env.KEYWORD_INDEX_DIR
+      ? path.resolve(process.env.KEYWORD_INDEX_DIR)
+      : (process.env.AWS_LAMBDA_FUNCTION_NAME
+        ? path.join(os.tmpdir(), 'keyword-indexes')
+        : path.resolve(process.cwd(), '.local-vectors', 'keyword-indexes'));
+
+    // Loaded indexes, keyed by fileId
+    this.cache = new Map();
+
+    logger.info('KeywordIndexService initialized', {
+      storage: this.storage,
+      location: this.storage === 'local' ? this.localDir : this.bucket
+    });
+  }
+
+  /**
+   * Split text into normalized search terms
+   * Compound tokens such as "P/N 12-345-A" or "E-104" are kept whole and also split into their parts
+   * @param {string} text - Text to tokenize
+   * @returns {Array<string>} Terms
+   */
+  tokenize(text) {
+    if (!text || typeof text !== 'string') {
+      return [];
+    }
+
+    const terms = [];
+    const tokens = text.toLowerCase().match(/[a-z0-9]+(?:[-./][a-z0-9]+)*/g) || [];
+
+    for (const token of tokens) {
+      if (!STOP_WORDS.has(token)) {
+        terms.push(token);
+      }
+
+      if (/[-./]/.test(token)) {
+        for (const part of token.split(/[-./]/)) {
+          if (part.length > 1 && !STOP_WORDS.has(part)) {
+            terms.push(part);
+          }
+        }
+      }
+    }
+
+    return terms;
+  }
+
+  /**
+   * Build a BM25 index for one document
+   * @param {Array<Object>} chunks - Chunks from pdfService.splitTextByPages (in upsert order)
+   * @param {string} fileId - File identifier
+   * @returns {Object} Serializable index
+   */
+  buildIndex(chunks, fileId) {
+    if (!Array.isArray(chunks) || chunks.length === 0) {
+      throw new Error('Chunks must be a non-empty array');
+    }
+
+    const documentFrequency = {};
+    let totalLength = 0;
+
+    const entries = chunks.map((chunk, index) => {
+      const text = typeof chunk === 'string' ? chunk : chunk.text;
+      const terms = this.tokenize(text);
+      const termFrequency = {};
+
+      for (const term of terms) {
+        termFrequency[term] = (termFrequency[term] || 0) + 1;
+      }
+      for (const term of Object.keys(termFrequency)) {
+        documentFrequency[term] = (documentFrequency[term] || 0) + 1;
+      }
+      totalLength += terms.length;
+
+      const metadata = { fileId, chunkIndex: index };
+      if (typeof chunk === 'object') {
+        for (const field of INDEXED_METADATA_FIELDS) {
+          if (chunk[field] !== undefined && chunk[field] !== null) {
+            metadata[field] = chunk[field];
+          }
+        }
+      }
+
+      return {
+        // Same ID scheme as the vector stores so results can be fused
+        id: `${fileId}-chunk-${index}`,
+        text,
+        metadata,
+        length: terms.length,
+        termFrequency
+      };
+    });
+
+    return {
+      version: 1,
+      fileId,
+      builtAt: new Date().toISOString(),
+      chunkCount: entries.length,
+      totalLength,
+      documentFrequency,
+      chunks: entries
+    };
+  }
+
+  /**
+   * Get the S3 key for a document's index
+   * @param {string} fileId - File identifier
+   * @returns {string} S3 key
+   */
+  getS3Key(fileId) {
+    return `indexes/${fileId}/bm25.json`;
+  }
+
+  /**
+   * Get the local file path for a document's index
+   * @param {string} fileId - File identifier
+   * @returns {string} File path
+   */
+  getLocalPath(fileId) {
+    return path.join(this.localDir, `${fileId}.json`);
+  }
+
+  /**
+   * Build and persist the index for a document
+   * @param {Array<Object>} chunks - Chunks from pdfService.splitTextByPages (in upsert order)
+   * @param {string} fileId - File identifier
+   * @returns {Promise<Object>} { fileId, chunkCount, termCount }
+   */
+  async indexDocument(chunks, fileId) {
+    try {
+      const index = this.buildIndex(chunks, fileId);
+      const body = JSON.stringify(index);
+
+      if (this.storage === 'local') {
+        await fs.mkdir(this.localDir, { recursive: true });
+        await fs.writeFile(this.getLocalPath(fileId), body, 'utf8');
+      } else {
+        if (!this.bucket) {
+          throw new Error('S3_DOCUMENTS_BUCKET is not configured');
+        }
+        await this.s3Client.send(new PutObjectCommand({
+          Bucket: this.bucket,
+          Key: this.getS3Key(fileId),
+          Body: body,
+          ContentType: 'application/json'
+        }));
+      }
+
+      this.cache.set(fileId, index);
+
+      const termCount = Object.keys(index.documentFrequency).length;
+      logger.info('Keyword index built', { fileId, chunkCount: index.chunkCount, termCount });
+
+      return { fileId, chunkCount: index.chunkCount, termCount };
+    } catch (error) {
+      logger.error('Failed to build keyword index', error);
+      throw new Error(`Failed to build keyword index: ${error.message}`);
+    }
+  }
+
+  /**
+   * Load a document's index (cached per process)
+   * @param {string} fileId - File identifier
+   * @returns {Promise<Object|null>} Index or null if the document has no keyword index
+   */
+  async loadIndex(fileId) {
+    if (this.cache.has(fileId)) {
+      return this.cache.get(fileId);
+    }
+
+    try {
+      let raw;
+      if (this.storage === 'local') {
+        raw = await fs.readFile(this.getLocalPath(fileId), 'utf8');
+      } else {
+        const response = await this.s3Client.send(new GetObjectCommand({
+          Bucket: this.bucket,
+          Key: this.getS3Key(fileId)
+        }));
+        raw = await response.Body.transformToString();
+      }
+
+      const index = JSON.parse(raw);
+      this.cache.set(fileId, index);
+      return index;
+    } catch (error) {
+      if (error.code === 'ENOENT' || error.name === 'NoSuchKey' || error.$metadata?.httpStatusCode === 404) {
+        logger.warn('No keyword index found for document (ingested before hybrid search?)', { fileId });
+        return null;
+      }
+      logger.error('Failed to load keyword index', error);
+      throw new Error(`Failed to load keyword index: ${error.message}`);
+    }
+  }
+
+  /**
+   * Delete a document's index
+   * @param {string} fileId - File identifier
+   * @returns {Promise<Object>} Delete result
+   */
+  async deleteIndex(fileId) {
+    try {
+      this.cache.delete(fileId);
+
+      if (this.storage === 'local') {
+        await fs.rm(this.getLocalPath(fileId), { force: true });
+      } else {
+        await this.s3Client.send(new DeleteObjectCommand({
+          Bucket: this.bucket,
+          Key: this.getS3Key(fileId)
+        }));
+      }
+
+      logger.info(`Deleted keyword index for file ${fileId}`);
+      return { deleted: true, fileId };
+    } catch (error) {
+      logger.error('Failed to delete keyword index', error);
+      throw new Error(`Failed to delete keyword index: ${error.message}`);
+    }
+  }
+
+  /**
+   * BM25 search across one or more documents
+   * Corpus statistics (document frequency, average length) are combined across the selected documents
+   * @param {Array<string>} documentIds - Document IDs to search
+   * @param {string} queryText - Query text
+   * @param {number} topK - Number of results (default: 10)
+   * @returns {Promise<Array<Object>>} Chunks normalized to { id, text, metadata, score }
+   */
+  async search(documentIds, queryText, topK = 10) {
+    try {
+      const queryTerms = [...new Set(this.tokenize(queryText))];
+      if (queryTerms.length === 0) {
+        return [];
+      }
+
+      const indexes = (await Promise.all(documentIds.map(fileId => this.loadIndex(fileId)))).filter(Boolean);
+      if (indexes.length === 0) {
+        return [];
+      }
+
+      const totalChunks = indexes.reduce((sum, index) => sum + index.chunkCount, 0);
+      const averageLength = indexes.reduce((sum, index) => sum + index.totalLength, 0) / totalChunks || 1;
+
+      const inverseDocumentFrequency = {};
+      for (const term of queryTerms) {
+        const frequency = indexes.reduce((sum, index) => sum + (index.documentFrequency[term] || 0), 0);
+        inverseDocumentFrequency[term] = Math.log(1 + (totalChunks - frequency + 0.5) / (frequency + 0.5));
+      }
+
+      const scored = [];
+      for (const index of indexes) {
+        for (const chunk of index.chunks) {
+          let score = 0;
+          for (const term of queryTerms) {
+            const frequency = chunk.termFrequency[term];
+            if (!frequency) {
+              continue;
+            }
+            const normalization = this.k1 * (1 - this.b + this.b * (chunk.length / averageLength));
+            score += inverseDocumentFrequency[term] * (frequency * (this.k1 + 1)) / (frequency + normalization);
+          }
+
+          if (score > 0) {
+            scored.push({ id: chunk.id, text: chunk.text, metadata: chunk.metadata, score });
+          }
+        }
+      }
+
+      const results = scored.sort((a, b) => b.score - a.score).slice(0, topK);
+
+      logger.info('Keyword search completed', {
+        documentIds,
+        queryTerms: queryTerms.length,
+        matches: scored.length,
+        resultsCount: results.length
+      });
+
+      return results;
+    } catch (error) {
+      logger.error('Keyword search failed', error);
+      throw new Error(`Failed to run keyword search: ${error.message}`);
+    }
+  }
+}
+
+// Export singleton instance
+export default new KeywordIndexService();
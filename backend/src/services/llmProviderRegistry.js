@@ -0,0 +1,183 @@
+/**
+ * LLM Provider Registry
+ * Central lookup for LLM adapters so callers can select a provider per request
+ *
+ * Every provider implements the same contract:
+ * - invokeAndParseJSON(systemPrompt, userPrompt, options) => Promise<Object|Array>
+ *   (options.responseShape is 'array' for prompts asking for a JSON array, so JSON modes that only return
+ *   objects can wrap and unwrap it)
+ * - invokeStream(systemPrompt, userPrompt, options) => AsyncGenerator<string>
+ * - capabilities: { maxOutputTokens, contextWindowTokens, jsonMode, streaming }
+ *
+ * and may count tokens for the token budget (see tokenBudgetService):
+ * - createTokenizer() => ((text) => number) | null - exact local tokenizer
+ * - countTokens(text) => Promise<number> - token counting API
+ */
+
+import geminiService from './geminiService.js';
+import bedrockService from './bedrockService.js';
+import OpenAICompatibleService from './openaiCompatibleService.js';
+import mockLlmService from './mockLlmService.js';
+import tokenBudgetService from './tokenBudgetService.js';
+import { logger } from '../utils/logger.js';
+
+class LLMProviderRegistry {
+  constructor() {
+    this.providers = new Map();
+    this.defaultProviderName = (process.env.LLM_PROVIDER || 'gemini').toLowerCase();
+  }
+
+  /**
+   * Validate that a provider implements the shared contract
+   * @param {string} name - Provider name
+   * @param {Object} provider - Provider instance
+   */
+  validateProvider(name, provider) {
+    if (!provider || typeof provider !== 'object') {
+      throw new Error(`LLM provider "${name}" must be an object`);
+    }
+    if (typeof provider.invokeAndParseJSON !== 'function') {
+      throw new Error(`LLM provider "${name}" must implement invokeAndParseJSON()`);
+    }
+    if (typeof provider.invokeStream !== 'function') {
+      throw new Error(`LLM provider "${name}" must implement invokeStream()`);
+    }
+    if (!provider.capabilities || typeof provider.capabilities.maxOutputTokens !== 'number') {
+      throw new Error(`LLM provider "${name}" must declare capabilities.maxOutputTokens`);
+    }
+  }
+
+  /**
+   * Register (or replace) a provider
+   * @param {string} name - Provider name used in requests (e.g. 'gemini')
+   * @param {Object} provider - Provider instance implementing the contract
+   * @returns {LLMProviderRegistry} The registry (for chaining)
+   */
+  registerProvider(name, provider) {
+    if (!name || typeof name !== 'string') {
+      throw new Error('Provider name must be a non-empty string');
+    }
+
+    const key = name.toLowerCase();
+    this.validateProvider(key, provider);
+    this.providers.set(key, provider);
+    this.registerTokenCounting(key, provider);
+
+    logger.info(`Registered LLM provider: ${key}`, {
+      capabilities: provider.capabilities
+    });
+
+    return this;
+  }
+
+  /**
+   * Register the tokenizer or token counting API of a provider with the token budget service
+   * @param {string} name - Provider name
+   * @param {Object} provider - Provider instance
+   */
+  registerTokenCounting(name, provider) {
+    const tokenizer = typeof provider.createTokenizer === 'function' ? provider.createTokenizer() : null;
+    if (tokenizer) {
+      tokenBudgetService.registerTokenizer(name, tokenizer);
+    } else if (typeof provider.countTokens === 'function') {
+      tokenBudgetService.registerTokenCounter(name, (text) => provider.countTokens(text));
+    }
+  }
+
+  /**
+   * Check whether a provider is registered
+   * @param {string} name - Provider name
+   * @returns {boolean} True if registered
+   */
+  hasProvider(name) {
+    return typeof name === 'string' && this.providers.has(name.toLowerCase());
+  }
+
+  /**
+   * Get the name of the default provider
+   * @returns {string} Default provider name
+   */
+  getDefaultProviderName() {
+    return this.defaultProviderName;
+  }
+
+  /**
+   * Resolve a provider by name
+   * @param {string} [name] - Provider name, defaults to LLM_PROVIDER env var or 'gemini'
+   * @returns {Object} Provider instance
+   */
+  getProvider(name = null) {
+    const key = (name || this.defaultProviderName).toLowerCase();
+    const provider = this.providers.get(key);
+
+    if (!provider) {
+      throw new Error(`Unknown LLM provider: ${key}. Available providers: ${this.listProviderNames().join(', ')}`);
+    }
+
+    return provider;
+  }
+
+  /**
+   * Get the model a provider generates with
+   * @param {string} [name] - Provider name, defaults to the default provider
+   * @returns {string|null} Model name or ID, or null if the provider does not expose one
+   */
+  getModelName(name = null) {
+    const provider = this.getProvider(name);
+    return provider.modelName || provider.modelId || null;
+  }
+
+  /**
+   * List registered provider names
+   * @returns {Array<string>} Provider names
+   */
+  listProviderNames() {
+    return Array.from(this.providers.keys());
+  }
+
+  /**
+   * List registered providers with their capability flags
+   * @returns {Array<Object>} Array of { name, capabilities, isDefault }
+   */
+  listProviders() {
+    return Array.from(this.providers.entries()).map(([name, provider]) => ({
+      name,
+      capabilities: { ...provider.capabilities },
+      isDefault: name === this.defaultProviderName
+    }));
+  }
+}
+
+const registry = new LLMProviderRegistry();
+
+// Built-in providers
+registry.registerProvider('gemini', geminiService);
+registry.registerProvider('bedrock', bedrockService);
+
+// Any OpenAI Chat Completions compatible endpoint
+registry.registerProvider('openai', new OpenAICompatibleService({
+  name: 'openai',
+  baseUrl: process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
+  apiKey: process.env.OPENAI_API_KEY,
+  model: process.env.OPENAI_MODEL || 'gpt-4o-mini',
+  maxOutputTokens: parseInt(process.env.OPENAI_MAX_TOKENS) || 4096,
+  contextWindowTokens: parseInt(process.env.OPENAI_CONTEXT_WINDOW) || 128000,
+  jsonMode: process.env.OPENAI_JSON_MODE === 'true'
+}));
+
+// Local Ollama server through its OpenAI-compatible /v1 endpoint
+registry.registerProvider('ollama', new OpenAICompatibleService({
+  name: 'ollama',
+  baseUrl: process.env.OLLAMA_BASE_URL || 'http://localhost:11434/v1',
+  model: process.env.OLLAMA_MODEL || 'llama3.1',
+  maxOutputTokens: parseInt(process.env.OLLAMA_MAX_TOKENS) || 4096,
+  contextWindowTokens: parseInt(process.env.OLLAMA_CONTEXT_WINDOW) || 8192,
+  jsonMode: process.env.OLLAMA_JSON_MODE === 'true',
+  timeout: 300000
+}));
+
+// Offline deterministic provider for local development and tests
+registry.registerProvider('mock', mockLlmService);
+
+// Export singleton instance
+export default registry;
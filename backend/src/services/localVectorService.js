@@ -0,0 +1,318 @@
+/**
+ * Local Vector Service
+ * In-process vector store using cosine similarity, persisted to a JSON file
+ * Exposes the same surface as pineconeService/chromaService so it can be selected with VECTOR_DB=local
+ * and used by the Express dev server or CI without any external vector database
+ */
+
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import embeddingService from './embeddingService.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Resolve the default persistence path
+ * Lambda only allows writes under /tmp; locally keep the file next to the backend
+ * @returns {string} Absolute file path
+ */
+const getDefaultStorePath = () => {
+  if (process.env.AWS_LAMBDA_FUNCTION_NAME) {
+    return path.join(os.tmpdir(), 'local-vectors.json');
+  }
+  return path.resolve(process.cwd(), '.local-vectors', 'vectors.json');
+};
+
+class LocalVectorService {
+  constructor() {
+    this.storePath = process.env.LOCAL_VECTOR_DB_PATH
+      ? path.resolve(process.env.LOCAL_VECTOR_DB_PATH)
+      : getDefaultStorePath();
+    this.records = new Map();
+    this.isLoaded = false;
+    this.loadPromise = null;
+    this.writeQueue = Promise.resolve();
+
+    logger.info('LocalVectorService initialized', {
+      storePath: this.storePath
+    });
+  }
+
+  /**
+   * Load persisted vectors from disk (once per process)
+   * @returns {Promise<Map>} Record map keyed by vector ID
+   */
+  async connect() {
+    if (this.isLoaded) {
+      return this.records;
+    }
+
+    if (!this.loadPromise) {
+      this.loadPromise = (async () => {
+        try {
+          const raw = await fs.readFile(this.storePath, 'utf8');
+          const data = JSON.parse(raw);
+          for (const record of data.records || []) {
+            this.records.set(record.id, record);
+          }
+          logger.info('Loaded local vector store', {
+            storePath: this.storePath,
+            count: this.records.size
+          });
+        } catch (error) {
+          if (error.code !== 'ENOENT') {
+            this.loadPromise = null;
+            logger.error('Failed to load local vector store', error);
+            throw new Error(`Failed to load local vector store: ${error.message}`);
+          }
+          logger.info('No local vector store file found, starting empty', {
+            storePath: this.storePath
+          });
+        }
+        this.isLoaded = true;
+        return this.records;
+      })();
+    }
+
+    return this.loadPromise;
+  }
+
+  /**
+   * Persist all vectors to disk
+   * Writes are serialized and go through a temp file + rename so a crash never leaves a partial file
+   * @returns {Promise<void>}
+   */
+  async persist() {
+    const write = async () => {
+      const payload = JSON.stringify({
+        version: 1,
+        dimension: embeddingService.dimension,
+        updatedAt: new Date().toISOString(),
+        records: Array.from(this.records.values())
+      });
+
+      await fs.mkdir(path.dirname(this.storePath), { recursive: true });
+      const tempPath = `${this.storePath}.${process.pid}.tmp`;
+      await fs.writeFile(tempPath, payload, 'utf8');
+      await fs.rename(tempPath, this.storePath);
+    };
+
+    this.writeQueue = this.writeQueue.then(write, write);
+    return this.writeQueue;
+  }
+
+  /**
+   * Compute cosine similarity between two vectors
+   * @param {Array<number>} a - First vector
+   * @param {Array<number>} b - Second vector
+   * @returns {number} Similarity in [-1, 1] (0 if either vector is zero)
+   */
+  cosineSimilarity(a, b) {
+    if (a.length !== b.length) {
+      throw new Error(`Vector dimension mismatch: ${a.length} vs ${b.length}`);
+    }
+
+    let dot = 0;
+    let normA = 0;
+    let normB = 0;
+    for (let i = 0; i < a.length; i++) {
+      dot += a[i] * b[i];
+      normA += a[i] * a[i];
+      normB += b[i] * b[i];
+    }
+
+    if (normA === 0 || normB === 0) {
+      return 0;
+    }
+    return dot / (Math.sqrt(normA) * Math.sqrt(normB));
+  }
+
+  /**
+   * Upsert chunks with embeddings
+   * @param {Array} chunks - Array of text chunks (strings or objects with text + metadata)
+   * @param {Array} embeddings - Array of embedding vectors
+   * @param {string} fileId - File identifier
+   * @param {string} namespace - Optional namespace (unused, kept for interface parity)
+   * @returns {Promise<Object>} Upsert result
+   */
+  async upsertChunksWithEmbeddings(chunks, embeddings, fileId, namespace = '') {
+    try {
+      if (!chunks || chunks.length === 0) {
+        throw new Error('Chunks must be a non-empty array');
+      }
+      if (!Array.isArray(embeddings) || embeddings.length === 0) {
+        throw new Error('Embeddings must be a non-empty array');
+      }
+      if (chunks.length !== embeddings.length) {
+        throw new Error(`Chunks and embeddings count mismatch: ${chunks.length} chunks vs ${embeddings.length} embeddings`);
+      }
+
+      await this.connect();
+
+      chunks.forEach((chunk, index) => {
+        const embedding = embeddings[index];
+        if (!Array.isArray(embedding) || embedding.length === 0) {
+          throw new Error(`Invalid embedding at index ${index}`);
+        }
+
+        const chunkText = typeof chunk === 'string' ? chunk : chunk.text;
+        const chunkMetadata = typeof chunk === 'string' ? {} : chunk;
+        const metadata = { fileId, chunkIndex: index };
+
+        for (const [key, value] of Object.entries(chunkMetadata)) {
+          if (key === 'embedding' || key === 'text' || value === null || value === undefined) {
+            continue;
+          }
+          metadata[key] = value;
+        }
+
+        const id = `${fileId}-chunk-${index}`;
+        this.records.set(id, {
+          id,
+          fileId,
+          text: chunkText,
+          metadata,
+          embedding: Array.from(embedding)
+        });
+      });
+
+      await this.persist();
+
+      logger.info(`Upserted ${chunks.length} vectors to local vector store`, {
+        fileId,
+        totalVectors: this.records.size
+      });
+
+      return {
+        upsertedCount: chunks.length,
+        storePath: this.storePath
+      };
+    } catch (error) {
+      logger.error('Local vector store upsert failed', error);
+      throw new Error(`Failed to upsert to local vector store: ${error.message}`);
+    }
+  }
+
+  /**
+   * Query by document IDs, optionally ranked by similarity to a query
+   * @param {Array<string>} documentIds - Document IDs to filter by
+   * @param {Array<number>|string} query - Optional query embedding, or query text to embed
+   * @param {number} topK - Number of results (default: 10)
+   * @returns {Promise<Array>} Results with id, text, metadata and score
+   */
+  async queryByDocumentIds(documentIds, query = null, topK = 10) {
+    try {
+      await this.connect();
+
+      const fileIds = new Set(documentIds || []);
+      const candidates = Array.from(this.records.values())
+        .filter(record => fileIds.size === 0 || fileIds.has(record.fileId));
+
+      let queryVector = query;
+      if (typeof query === 'string' && query.trim().length > 0) {
+        queryVector = await embeddingService.generateEmbedding(query, 'RETRIEVAL_QUERY');
+      }
+
+      let ranked;
+      if (Array.isArray(queryVector) && queryVector.length > 0) {
+        ranked = candidates
+          .map(record => ({ record, score: this.cosineSimilarity(queryVector, record.embedding) }))
+          .sort((a, b) => b.score - a.score);
+      } else {
+        // No query: return chunks in document order
+        ranked = candidates
+          .sort((a, b) => a.fileId.localeCompare(b.fileId) || a.metadata.chunkIndex - b.metadata.chunkIndex)
+          .map(record => ({ record, score: null }));
+      }
+
+      const results = ranked.slice(0, topK).map(({ record, score }) => ({
+        id: record.id,
+        text: record.text,
+        metadata: record.metadata,
+        score
+      }));
+
+      logger.info('Local vector store query completed', {
+        documentIds,
+        hasQueryVector: Array.isArray(queryVector),
+        candidates: candidates.length,
+        resultsCount: results.length
+      });
+
+      return results;
+    } catch (error) {
+      logger.error('Local vector store query by document IDs failed', error);
+      throw new Error(`Failed to query local vector store by document IDs: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get all stored chunks for a file, in chunk order
+   * @param {string} fileId - File identifier
+   * @returns {Promise<Array>} Results with id, text and metadata
+   */
+  async getChunksByFileId(fileId) {
+    await this.connect();
+
+    return Array.from(this.records.values())
+      .filter(record => record.fileId === fileId)
+      .sort((a, b) => a.metadata.chunkIndex - b.metadata.chunkIndex)
+      .map(record => ({
+        id: record.id,
+        text: record.text,
+        metadata: record.metadata
+      }));
+  }
+
+  /**
+   * Delete vectors by file ID
+   * @param {string} fileId - File identifier
+   * @returns {Promise<Object>} Delete result
+   */
+  async deleteByFileId(fileId) {
+    try {
+      await this.connect();
+
+      let deletedCount = 0;
+      for (const [id, record] of this.records) {
+        if (record.fileId === fileId) {
+          this.records.delete(id);
+          deletedCount++;
+        }
+      }
+
+      if (deletedCount > 0) {
+        await this.persist();
+      }
+
+      logger.info(`Deleted ${deletedCount} vectors for file ${fileId} from local vector store`);
+      return { deleted: true, fileId, deletedCount };
+    } catch (error) {
+      logger.error('Local vector store delete failed', error);
+      throw new Error(`Failed to delete from local vector store: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get store stats
+   * @returns {Promise<Object>} Store statistics
+   */
+  async getStats() {
+    try {
+      await this.connect();
+      const fileIds = new Set(Array.from(this.records.values()).map(record => record.fileId));
+
+      return {
+        count: this.records.size,
+        documentCount: fileIds.size,
+        storePath: this.storePath
+      };
+    } catch (error) {
+      logger.error('Failed to get local vector store stats', error);
+      throw new Error(`Failed to get local vector store stats: ${error.message}`);
+    }
+  }
+}
+
+// Export singleton instance
+export default new LocalVectorService();
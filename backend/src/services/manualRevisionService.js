@@ -0,0 +1,207 @@
+/**
+ * Manual Revision Service
+ * Groups documents into manuals with ordered revisions (e.g. "Rev A", "Rev B" of a re-issued manual)
+ *
+ * A document joins a manual when it is ingested. Its status record then carries manualId, manualName, revision
+ * (the label) and revisionIndex (1 for the first revision of the manual, counting up), and its chunks are stamped
+ * with the same fields. The latest revision of a manual is its highest revisionIndex whose ingestion completed;
+ * generation uses it instead of older revisions unless the request pins the revisions it names.
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+import ingestionStatusService from './ingestionStatusService.js';
+import { logger } from '../utils/logger.js';
+
+// Status record fields that place a document in a manual (also stamped on its chunks)
+export const REVISION_FIELDS = ['manualId', 'manualName', 'revision', 'revisionIndex'];
+
+/**
+ * Get the revision fields of a status record or document
+ * @param {Object|null} record - Status record or catalog document
+ * @returns {Object|null} { manualId, manualName, revision, revisionIndex }, or null if it is not in a manual
+ */
+export const revisionFieldsOf = (record) => {
+  if (!record?.manualId) {
+    return null;
+  }
+  return Object.fromEntries(REVISION_FIELDS.map(field => [field, record[field] ?? null]));
+};
+
+/**
+ * Check whether a revision can be used for generation (ingested, and not resolved to an identical document)
+ * @param {Object} record - Status record or catalog document
+ * @returns {boolean} True if usable
+ */
+const isUsableRevision = (record) => record.status === 'completed' && !record.duplicateOf;
+
+/**
+ * Get the latest usable revision among the revisions of a manual
+ * @param {Array<Object>} records - Status records or catalog documents of one manual
+ * @returns {Object|null} Latest revision, or null if none is ingested yet
+ */
+const latestOf = (records) => records
+  .filter(isUsableRevision)
+  .reduce((latest, record) => (!latest || (record.revisionIndex || 0) > (latest.revisionIndex || 0) ? record : latest), null);
+
+/**
+ * Compare manual names ignoring case and extra whitespace
+ * @param {string} name - Manual name
+ * @returns {string} Normalized name
+ */
+const normalizeName = (name) => (name || '').replace(/\s+/g, ' ').trim().toLowerCase();
+
+class ManualRevisionService {
+  constructor() {
+    logger.info('ManualRevisionService initialized', {
+      fields: REVISION_FIELDS
+    });
+  }
+
+  /**
+   * Work out the manual and revision of a document that is being ingested
+   * The manual is given by ID (it must exist) or by name (matched ignoring case, or created); an existing manual keeps
+   * its name. A document keeps its place in the order if it already belongs to the manual; otherwise it becomes the
+   * manual's newest revision.
+   * @param {string} fileId - File identifier
+   * @param {Object} params - { manualId, manualName, revision } (revision label defaults to "Revision <n>")
+   * @returns {Promise<Object>} { manualId, manualName, revision, revisionIndex } to store with the status record
+   * @throws {Error} If the manual ID is unknown
+   */
+  async assignRevision(fileId, { manualId = null, manualName = null, revision = null }) {
+    let records;
+    let resolvedManualId = manualId;
+    let resolvedName = manualName ? manualName.replace(/\s+/g, ' ').trim() : null;
+
+    if (manualId) {
+      records = await ingestionStatusService.findByManualId(manualId);
+      if (records.length === 0) {
+        throw new Error(`Unknown manual: ${manualId}`);
+      }
+      resolvedName = records.find(record => record.manualName)?.manualName || resolvedName;
+    } else {
+      const statuses = await ingestionStatusService.listStatuses();
+      const match = statuses.find(record => record.manualId && normalizeName(record.manualName) === normalizeName(manualName));
+      resolvedManualId = match?.manualId || uuidv4();
+      resolvedName = match?.manualName || resolvedName;
+      records = match ? statuses.filter(record => record.manualId === resolvedManualId) : [];
+    }
+
+    const own = records.find(record => record.fileId === fileId);
+    const revisionIndex = own?.revisionIndex || 1 + records
+      .filter(record => record.fileId !== fileId)
+      .reduce((max, record) => Math.max(max, record.revisionIndex || 0), 0);
+    const label = revision ? revision.trim() : (own?.revision || `Revision ${revisionIndex}`);
+
+    logger.info('Assigned document revision', {
+      fileId,
+      manualId: resolvedManualId,
+      manualName: resolvedName,
+      revision: label,
+      revisionIndex,
+      newManual: records.length === 0
+    });
+
+    return {
+      manualId: resolvedManualId,
+      manualName: resolvedName,
+      revision: label,
+      revisionIndex
+    };
+  }
+
+  /**
+   * Group documents into manuals with their revisions in order
+   * @param {Array<Object>} records - Status records or catalog documents (documents without a manual are skipped)
+   * @returns {Array<Object>} Manuals [{ manualId, manualName, revisions: [{ fileId, fileName, revision, revisionIndex, status }],
+   *   latest: { fileId, revision, revisionIndex } | null }], sorted by name
+   */
+  groupManuals(records) {
+    const manuals = new Map();
+    records.filter(record => record.manualId).forEach(record => {
+      if (!manuals.has(record.manualId)) {
+        manuals.set(record.manualId, []);
+      }
+      manuals.get(record.manualId).push(record);
+    });
+
+    return Array.from(manuals, ([manualId, revisions]) => {
+      const latest = latestOf(revisions);
+      return {
+        manualId,
+        manualName: revisions.find(record => record.manualName)?.manualName || null,
+        revisions: revisions
+          .sort((a, b) => (a.revisionIndex || 0) - (b.revisionIndex || 0))
+          .map(({ fileId, fileName, revision, revisionIndex, status }) => ({ fileId, fileName: fileName || null, revision, revisionIndex, status })),
+        latest: latest ? { fileId: latest.fileId, revision: latest.revision, revisionIndex: latest.revisionIndex } : null
+      };
+    }).sort((a, b) => (a.manualName || '').localeCompare(b.manualName || ''));
+  }
+
+  /**
+   * Resolve the documents of a generation request to revisions
+   * By default a document that belongs to a manual is replaced by the manual's latest ingested revision (so a
+   * request naming Rev A uses Rev C once Rev C is ingested), and each manual is used once even if the request
+   * names several of its revisions. With pinRevisions the documents are used as given.
+   * @param {Array<string>} documentIds - Requested document IDs
+   * @param {Object} [options] - { pinRevisions }
+   * @returns {Promise<Object>} { documentIds, revisions } where revisions describes each used document that belongs to
+   *   a manual: { fileId, requestedFileId, fileName, manualId, manualName, revision, revisionIndex, latestRevision, isLatest, pinned }
+   */
+  async resolveDocumentRevisions(documentIds, { pinRevisions = false } = {}) {
+    try {
+      const statuses = await Promise.all(documentIds.map(fileId => ingestionStatusService.getStatus(fileId)));
+      const manualRecords = new Map();
+      for (const status of statuses) {
+        if (status?.manualId && !manualRecords.has(status.manualId)) {
+          manualRecords.set(status.manualId, await ingestionStatusService.findByManualId(status.manualId));
+        }
+      }
+
+      const resolvedIds = [];
+      const revisions = [];
+      const usedManuals = new Set();
+      documentIds.forEach((fileId, index) => {
+        const status = statuses[index];
+        if (!status?.manualId) {
+          if (!resolvedIds.includes(fileId)) {
+            resolvedIds.push(fileId);
+          }
+          return;
+        }
+
+        const latest = latestOf(manualRecords.get(status.manualId));
+        const used = !pinRevisions && latest ? latest : status;
+        // Pinned requests may use several revisions of a manual on purpose
+        if (resolvedIds.includes(used.fileId) || (!pinRevisions && usedManuals.has(status.manualId))) {
+          return;
+        }
+        usedManuals.add(status.manualId);
+        resolvedIds.push(used.fileId);
+        revisions.push({
+          fileId: used.fileId,
+          requestedFileId: fileId,
+          fileName: used.fileName || null,
+          ...revisionFieldsOf(used),
+          latestRevision: latest?.revision || null,
+          isLatest: !!latest && latest.fileId === used.fileId,
+          pinned: pinRevisions
+        });
+      });
+
+      const replaced = revisions.filter(revision => revision.fileId !== revision.requestedFileId);
+      if (replaced.length > 0) {
+        logger.info('Using the latest revisions of the requested manuals', {
+          replaced: replaced.map(revision => ({ requested: revision.requestedFileId, used: revision.fileId, revision: revision.revision }))
+        });
+      }
+
+      return { documentIds: resolvedIds, revisions };
+    } catch (error) {
+      logger.error('Failed to resolve document revisions', error);
+      throw new Error(`Failed to resolve document revisions: ${error.message}`);
+    }
+  }
+}
+
+// Export singleton instance
+export default new ManualRevisionService();
@@ -0,0 +1,434 @@
+/**
+ * Mock LLM Service
+ * Offline, deterministic LLM provider for local development and tests
+ * Builds schema-valid checksheet / work-instruction JSON (or JSON shaped like the prompt's example)
+ * from the context embedded in the prompt, so the full upload → ingest → generate pipeline can run
+ * without network access or API keys
+ */
+
+import tokenBudgetService from './tokenBudgetService.js';
+import { logger } from '../utils/logger.js';
+
+const FREQUENCIES = [
+  { label: 'Daily', pattern: /\b(daily|every day|each day)\b/i },
+  { label: 'Weekly', pattern: /\b(weekly|every week|each week)\b/i },
+  { label: 'Monthly', pattern: /\b(monthly|every month|each month)\b/i },
+  { label: 'Quarterly', pattern: /\b(quarterly|every (3|three) months)\b/i },
+  { label: 'Annual', pattern: /\b(annual|annually|yearly|every year|each year)\b/i }
+];
+const SAFETY_KEYWORDS = /\b(warning|caution|danger|hazard|safety|ppe|lockout|isolate|de-?energi[sz]e)\b/i;
+const CHECK_KEYWORDS = /\b(verify|ensure|confirm|check|test|inspect)\b/i;
+const PLACEHOLDER = 'See manual';
+const WORK_INSTRUCTION_KEYS = ['title', 'overview', 'frequency', 'prerequisites', 'steps', 'safetyWarnings', 'completionChecklist'];
+const VALUE_PATTERN = /(\d+(?:[.,]\d+)?)\s*(%|°\s?[CF]|[A-Za-zµ°]{1,5}(?:\/[A-Za-z]{1,3})?\b)?/;
+
+class MockLLMService {
+  constructor() {
+    this.modelName = 'mock';
+    this.defaultMaxItems = 8;
+    this.defaultMaxSteps = 2;
+
+    this.capabilities = {
+      maxOutputTokens: 8192,
+      contextWindowTokens: 32768,
+      jsonMode: true,
+      streaming: true
+    };
+
+    logger.info('MockLLMService initialized', {
+      model: this.modelName,
+      capabilities: this.capabilities
+    });
+  }
+
+  /**
+   * Extract the document context from a rendered user prompt
+   * Templates embed context as "...:\n\n{context}\n\n<instructions>"
+   * @param {string} userPrompt - Rendered user prompt
+   * @returns {string} Context text (or the whole prompt if no markers are found)
+   */
+  extractContext(userPrompt) {
+    // generateDocumentPrompt puts its context after the requirements
+    const contextSection = userPrompt.indexOf('Relevant Context from Documents:\n');
+    if (contextSection !== -1) {
+      userPrompt = userPrompt.substring(contextSection);
+    }
+
+    const startMarker = userPrompt.indexOf(':\n\n');
+    const start = contextSection !== -1 ? userPrompt.indexOf('\n') + 1 : (startMarker === -1 ? 0 : startMarker + 3);
+    const rest = userPrompt.substring(start);
+    const end = rest.search(/\n\n(?:CRITICAL INSTRUCTIONS|Create |Extract ONLY|Generate |Perform |Provide |Please )/);
+
+    return (end === -1 ? rest : rest.substring(0, end)).trim();
+  }
+
+  /**
+   * Split context into clean, de-duplicated sentences
+   * @param {string} context - Context text
+   * @returns {Array<string>} Sentences in document order
+   */
+  extractSentences(context) {
+    const seen = new Set();
+    return context
+      .split(/(?<=[.!?])\s+|\n+/)
+      .map(sentence => sentence.replace(/\s+/g, ' ').replace(/^[-*•\d.)\s]+/, '').trim())
+      .filter(sentence => {
+        const key = sentence.toLowerCase();
+        if (sentence.length < 15 || !/[a-z]/i.test(sentence) || seen.has(key)) {
+          return false;
+        }
+        seen.add(key);
+        return true;
+      });
+  }
+
+  /**
+   * Take the first N words of a sentence
+   * @param {string} sentence - Source sentence
+   * @param {number} count - Maximum number of words
+   * @returns {string} Truncated text without trailing punctuation
+   */
+  takeWords(sentence, count) {
+    return sentence
+      .split(' ')
+      .slice(0, count)
+      .join(' ')
+      .replace(/[,;:.!?]+$/, '');
+  }
+
+  /**
+   * Build a short Title Case label from a sentence
+   * @param {string} sentence - Source sentence
+   * @param {number} count - Maximum number of words
+   * @returns {string} Label
+   */
+  toLabel(sentence, count) {
+    return this.takeWords(sentence.replace(/[^\w\s/-]/g, ' ').replace(/\s+/g, ' ').trim(), count)
+      .split(' ')
+      .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+      .join(' ');
+  }
+
+  /**
+   * Detect a maintenance frequency mentioned in a sentence
+   * @param {string} sentence - Source sentence
+   * @returns {string} Frequency or placeholder
+   */
+  detectFrequency(sentence) {
+    const match = FREQUENCIES.find(frequency => frequency.pattern.test(sentence));
+    return match ? match.label : PLACEHOLDER;
+  }
+
+  /**
+   * Read the "Maximum N <noun>" constraint from the system prompt
+   * @param {string} systemPrompt - System prompt
+   * @param {string} noun - Constrained noun (e.g. 'items', 'steps')
+   * @param {number} fallback - Value when no constraint is present
+   * @returns {number} Limit
+   */
+  readLimit(systemPrompt, noun, fallback) {
+    const match = systemPrompt.match(new RegExp(`Maximum (\\d+) ${noun}`, 'i'));
+    return match ? parseInt(match[1]) : fallback;
+  }
+
+  /**
+   * Read "- <field> must be one of: A, B, C" constraints from the system prompt
+   * @param {string} systemPrompt - System prompt
+   * @returns {Object} Map of field => allowed values
+   */
+  readAllowedValues(systemPrompt) {
+    const allowed = {};
+    for (const match of systemPrompt.matchAll(/^- (\w+) must be one of: (.+)$/gm)) {
+      allowed[match[1]] = match[2].split(',').map(value => value.trim());
+    }
+    return allowed;
+  }
+
+  /**
+   * Determine the response shape requested by the prompt
+   * Chunked generation appends "Example: <json>" describing exactly the fields it wants
+   * @param {string} systemPrompt - System prompt
+   * @param {string} userPrompt - User prompt
+   * @returns {Object} { type: 'array'|'object', keys: Array<string>|null, example: Object|null }
+   */
+  detectShape(systemPrompt, userPrompt) {
+    const exampleMatch = systemPrompt.match(/Example:\s*([[{].*)$/m);
+    if (exampleMatch) {
+      try {
+        const example = JSON.parse(exampleMatch[1].trim());
+        return Array.isArray(example)
+          ? { type: 'array', keys: null, example: example[0] || null }
+          : { type: 'object', keys: Object.keys(example), example };
+      } catch (error) {
+        logger.debug('Mock LLM could not parse prompt example, falling back to heuristics');
+      }
+    }
+
+    const prompt = `${systemPrompt}\n${userPrompt}`;
+    if (/JSON array/i.test(prompt) || /itemName/.test(prompt)) {
+      return { type: 'array', keys: null, example: null };
+    }
+    return { type: 'object', keys: null, example: null };
+  }
+
+  /**
+   * Build checksheet items from context sentences
+   * @param {Array<string>} sentences - Context sentences
+   * @param {number} maxItems - Maximum number of items
+   * @returns {Array<Object>} Checksheet items
+   */
+  buildChecksheetItems(sentences, maxItems) {
+    const items = sentences.slice(0, maxItems).map(sentence => ({
+      itemName: this.toLabel(sentence, 3),
+      inspectionPoint: `${this.takeWords(sentence, 10)}.`,
+      frequency: this.detectFrequency(sentence),
+      expectedStatus: PLACEHOLDER,
+      notes: PLACEHOLDER
+    }));
+
+    if (items.length === 0) {
+      items.push({
+        itemName: 'General Inspection',
+        inspectionPoint: 'Inspect equipment per manual.',
+        frequency: PLACEHOLDER,
+        expectedStatus: PLACEHOLDER,
+        notes: PLACEHOLDER
+      });
+    }
+
+    return items;
+  }
+
+  /**
+   * Build a work-instructions object from context sentences
+   * @param {Array<string>} sentences - Context sentences
+   * @param {Array<string>|null} keys - Requested top-level keys (null = all)
+   * @param {number} maxSteps - Maximum number of steps
+   * @param {number} firstStepNumber - Number of the first generated step
+   * @returns {Object} Work instructions (subset of fields when keys are given)
+   */
+  buildWorkInstructions(sentences, keys, maxSteps, firstStepNumber) {
+    const first = sentences[0] || 'Maintenance procedure';
+    const safety = sentences.filter(sentence => SAFETY_KEYWORDS.test(sentence));
+    const checks = sentences.filter(sentence => CHECK_KEYWORDS.test(sentence));
+    // Continue through the context when asked to resume numbering, so follow-up step requests add new steps
+    const stepOffset = Math.min(firstStepNumber - 1, Math.max(sentences.length - maxSteps, 0));
+    const stepSentences = keys
+      ? sentences.slice(stepOffset, stepOffset + maxSteps)
+      : sentences.slice(0, Math.max(maxSteps, 5));
+
+    const full = {
+      title: this.toLabel(first, 5),
+      overview: `${this.takeWords(first, 15)}.`,
+      prerequisites: {
+        tools: [PLACEHOLDER],
+        materials: [PLACEHOLDER],
+        safety: safety.length > 0 ? safety.slice(0, 2).map(sentence => this.takeWords(sentence, 5)) : [PLACEHOLDER]
+      },
+      steps: stepSentences.map((sentence, index) => ({
+        stepNumber: firstStepNumber + index,
+        title: this.toLabel(sentence, 3),
+        description: `${this.takeWords(sentence, 10)}.`
+      })),
+      safetyWarnings: safety.length > 0 ? safety.slice(0, 2).map(sentence => this.takeWords(sentence, 5)) : [PLACEHOLDER],
+      completionChecklist: checks.length > 0 ? checks.slice(0, 2).map(sentence => this.takeWords(sentence, 3)) : [PLACEHOLDER]
+    };
+
+    if (!keys) {
+      return full;
+    }
+
+    return keys.reduce((result, key) => {
+      if (key in full) {
+        result[key] = full[key];
+      }
+      return result;
+    }, {});
+  }
+
+  /**
+   * Build a value shaped like an example value from one sentence
+   * Strings keep the example's length class, "value"/"unit" fields take the first number and its unit
+   * @param {string} key - Field name
+   * @param {*} exampleValue - Value from the prompt example
+   * @param {string} sentence - Source sentence
+   * @returns {*} Generated value
+   */
+  fillFromExample(key, exampleValue, sentence) {
+    const measured = sentence.match(VALUE_PATTERN);
+    if (/^value$/i.test(key)) {
+      return measured ? measured[1] : this.takeWords(sentence, 3);
+    }
+    if (/^unit$/i.test(key)) {
+      return measured?.[2] ? measured[2].replace(/\s+/g, '') : '';
+    }
+    if (typeof exampleValue === 'number') {
+      return measured ? parseFloat(measured[1].replace(',', '.')) : 0;
+    }
+    if (typeof exampleValue === 'boolean') {
+      return true;
+    }
+    if (Array.isArray(exampleValue)) {
+      return [this.takeWords(sentence, 5)];
+    }
+    if (exampleValue && typeof exampleValue === 'object') {
+      return this.buildRecord(exampleValue, sentence);
+    }
+
+    // Example sentences get a sentence, short examples (labels, headings) a short label
+    const exampleText = String(exampleValue ?? '').trim();
+    const exampleWords = exampleText.split(/\s+/).filter(Boolean).length;
+    return exampleWords <= 4 && !/[.!?]$/.test(exampleText)
+      ? this.toLabel(sentence, Math.max(exampleWords, 2))
+      : `${this.takeWords(sentence, 15)}.`;
+  }
+
+  /**
+   * Build one record with the example's fields from a sentence
+   * @param {Object} example - Example record
+   * @param {string} sentence - Source sentence
+   * @param {Object} [allowedValues] - Map of field => allowed values (the first one is used)
+   * @returns {Object} Record
+   */
+  buildRecord(example, sentence, allowedValues = {}) {
+    return Object.entries(example).reduce((record, [key, exampleValue]) => {
+      record[key] = allowedValues[key] ? allowedValues[key][0] : this.fillFromExample(key, exampleValue, sentence);
+      return record;
+    }, {});
+  }
+
+  /**
+   * Build an array of records shaped like the prompt example (anything other than checksheet items)
+   * Sentences with numbers come first when the example has a "value" field
+   * @param {Array<string>} sentences - Context sentences
+   * @param {Object} example - Example record
+   * @param {number} maxItems - Maximum number of records
+   * @param {Object} [allowedValues] - Map of field => allowed values
+   * @returns {Array<Object>} Records
+   */
+  buildRecords(sentences, example, maxItems, allowedValues = {}) {
+    const candidates = 'value' in example
+      ? [...sentences.filter(sentence => /\d/.test(sentence)), ...sentences.filter(sentence => !/\d/.test(sentence))]
+      : sentences;
+    const records = candidates.slice(0, maxItems).map(sentence => this.buildRecord(example, sentence, allowedValues));
+    return records.length > 0 ? records : [this.buildRecord(example, PLACEHOLDER, allowedValues)];
+  }
+
+  /**
+   * Build an object shaped like the prompt example, drawing each field from the next unused sentences
+   * List fields are limited by "Maximum N <field in words>" (e.g. keyPoints → "Maximum 4 key points")
+   * @param {Array<string>} sentences - Context sentences
+   * @param {Object} example - Example object
+   * @param {string} systemPrompt - System prompt
+   * @returns {Object} Generated object
+   */
+  buildObjectFromExample(sentences, example, systemPrompt) {
+    const pool = sentences.length > 0 ? sentences : [PLACEHOLDER];
+    let cursor = 0;
+    const next = () => pool[cursor++ % pool.length];
+    const allowedValues = this.readAllowedValues(systemPrompt);
+
+    return Object.entries(example).reduce((result, [key, exampleValue]) => {
+      if (Array.isArray(exampleValue)) {
+        const noun = key.replace(/([A-Z])/g, ' $1').toLowerCase();
+        const limit = Math.min(this.readLimit(systemPrompt, noun, 3), pool.length);
+        const itemExample = exampleValue[0];
+        result[key] = Array.from({ length: limit }, () => {
+          const sentence = next();
+          return itemExample && typeof itemExample === 'object'
+            ? this.buildRecord(itemExample, sentence, allowedValues)
+            : `${this.takeWords(sentence, 15)}.`;
+        });
+      } else {
+        result[key] = this.fillFromExample(key, exampleValue, key === 'title' ? pool[0] : next());
+      }
+      return result;
+    }, {});
+  }
+
+  /**
+   * Generate a deterministic response for a prompt pair
+   * @param {string} systemPrompt - System prompt/instructions
+   * @param {string} userPrompt - User prompt/content
+   * @returns {Object|Array} Response payload
+   */
+  generateResponse(systemPrompt, userPrompt) {
+    if (!systemPrompt || typeof systemPrompt !== 'string' || systemPrompt.trim().length === 0) {
+      throw new Error('System prompt must be a non-empty string');
+    }
+    if (!userPrompt || typeof userPrompt !== 'string' || userPrompt.trim().length === 0) {
+      throw new Error('User prompt must be a non-empty string');
+    }
+
+    const sentences = this.extractSentences(this.extractContext(userPrompt));
+    const shape = this.detectShape(systemPrompt, userPrompt);
+
+    if (shape.type === 'array') {
+      const maxItems = this.readLimit(systemPrompt, 'items', this.defaultMaxItems);
+      return shape.example && !('itemName' in shape.example)
+        ? this.buildRecords(sentences, shape.example, maxItems, this.readAllowedValues(systemPrompt))
+        : this.buildChecksheetItems(sentences, maxItems);
+    }
+
+    if (shape.keys && !shape.keys.every(key => WORK_INSTRUCTION_KEYS.includes(key))) {
+      return this.buildObjectFromExample(sentences, shape.example, systemPrompt);
+    }
+
+    const startMatch = systemPrompt.match(/starting from (\d+)/i);
+    return this.buildWorkInstructions(
+      sentences,
+      shape.keys,
+      this.readLimit(systemPrompt, 'steps', this.defaultMaxSteps),
+      startMatch ? parseInt(startMatch[1]) : 1
+    );
+  }
+
+  /**
+   * Invoke and parse JSON response
+   * @param {string} systemPrompt - System prompt/instructions
+   * @param {string} userPrompt - User prompt/content
+   * @param {Object} options - Additional options (only onUsage is used; usage is counted with the mock tokenizer)
+   * @returns {Promise<Object>} Parsed JSON response
+   */
+  async invokeAndParseJSON(systemPrompt, userPrompt, options = {}) {
+    try {
+      const response = this.generateResponse(systemPrompt, userPrompt);
+
+      if (options.onUsage) {
+        const promptTokens = tokenBudgetService.countTokens(`${systemPrompt}\n${userPrompt}`, 'mock');
+        const outputTokens = tokenBudgetService.countTokens(JSON.stringify(response), 'mock');
+        options.onUsage({ promptTokens, outputTokens, totalTokens: promptTokens + outputTokens });
+      }
+
+      logger.info('Mock model invoked successfully', {
+        model: this.modelName,
+        responseType: Array.isArray(response) ? `array[${response.length}]` : Object.keys(response).join(', ')
+      });
+
+      return response;
+    } catch (error) {
+      logger.error('Mock model invocation failed', error);
+      throw new Error(`Failed to invoke mock model: ${error.message}`);
+    }
+  }
+
+  /**
+   * Invoke with streaming response
+   * Yields the serialized JSON response in fixed-size fragments
+   * @param {string} systemPrompt - System prompt/instructions
+   * @param {string} userPrompt - User prompt/content
+   * @param {Object} options - Additional options (ignored by the mock)
+   * @returns {AsyncGenerator<string>} Text fragments
+   */
+  async *invokeStream(systemPrompt, userPrompt, options = {}) {
+    const responseText = JSON.stringify(this.generateResponse(systemPrompt, userPrompt));
+    const fragmentSize = 64;
+
+    for (let i = 0; i < responseText.length; i += fragmentSize) {
+      yield responseText.substring(i, i + fragmentSize);
+    }
+  }
+}
+
+// Export singleton instance
+export default new MockLLMService();
@@ -0,0 +1,161 @@
+/**
+ * OCR Service
+ * Recognizes text on PDF pages that have no text layer (scanned or image-only manuals)
+ *
+ * Pages are rendered with pdfjs-dist and recognized with tesseract.js, both loaded only when a document
+ * needs OCR. Each recognized page gets a confidence in [0, 1] and one box per text line, given as fractions
+ * of the page size so pdfService can convert them to the units of its own line boxes.
+ */
+
+import os from 'os';
+import path from 'path';
+import { logger } from '../utils/logger.js';
+
+// Passages recognized with confidence 0 keep this share of their retrieval score (confidence 1 keeps all of it)
+const MIN_CONFIDENCE_WEIGHT = 0.5;
+
+class OCRService {
+  constructor() {
+    this.enabled = (process.env.OCR_ENABLED || 'true').toLowerCase() !== 'false';
+    this.languages = process.env.OCR_LANGUAGES || 'eng';
+    // tesseract.js downloads language data from its CDN unless a directory or URL is configured
+    this.langPath = process.env.OCR_LANG_PATH || null;
+    this.cachePath = process.env.OCR_CACHE_DIR || path.join(os.tmpdir(), 'tessdata');
+
+    const minPageChars = parseInt(process.env.OCR_MIN_PAGE_CHARS, 10);
+    this.minPageChars = Number.isFinite(minPageChars) && minPageChars >= 0 ? minPageChars : 20;
+    const renderScale = parseFloat(process.env.OCR_RENDER_SCALE);
+    this.renderScale = Number.isFinite(renderScale) && renderScale > 0 ? renderScale : 2;
+    const maxPages = parseInt(process.env.OCR_MAX_PAGES, 10);
+    this.maxPages = Number.isFinite(maxPages) && maxPages > 0 ? maxPages : 50;
+
+    logger.info('OCRService initialized', {
+      enabled: this.enabled,
+      languages: this.languages,
+      minPageChars: this.minPageChars,
+      renderScale: this.renderScale,
+      maxPages: this.maxPages
+    });
+  }
+
+  /**
+   * Check whether a page's text layer is too thin to use (image-only pages, or scans with only a stamped page number)
+   * @param {string} pageText - Text extracted from the page's text layer
+   * @returns {boolean} True if the page should be recognized
+   */
+  needsOcr(pageText) {
+    return (pageText || '').replace(/\s+/g, '').length < this.minPageChars;
+  }
+
+  /**
+   * Retrieval weight of a passage recognized with the given confidence
+   * @param {number|null|undefined} confidence - OCR confidence in [0, 1] (missing for text-layer pages)
+   * @returns {number} Weight in [MIN_CONFIDENCE_WEIGHT, 1]
+   */
+  confidenceWeight(confidence) {
+    if (typeof confidence !== 'number' || !Number.isFinite(confidence)) {
+      return 1;
+    }
+    const clamped = Math.max(0, Math.min(1, confidence));
+    return MIN_CONFIDENCE_WEIGHT + (1 - MIN_CONFIDENCE_WEIGHT) * clamped;
+  }
+
+  /**
+   * Render a PDF page to a PNG image
+   * @param {Object} pdfDocument - pdfjs document
+   * @param {number} pageNumber - 1-based page number
+   * @returns {Promise<Object>} { image: PNG Buffer, width, height } (pixels)
+   */
+  async renderPage(pdfDocument, pageNumber) {
+    const page = await pdfDocument.getPage(pageNumber);
+    try {
+      const viewport = page.getViewport({ scale: this.renderScale });
+      const width = Math.ceil(viewport.width);
+      const height = Math.ceil(viewport.height);
+      const { canvas, context } = pdfDocument.canvasFactory.create(width, height);
+      await page.render({ canvasContext: context, viewport, canvas }).promise;
+      return { image: canvas.toBuffer('image/png'), width, height };
+    } finally {
+      page.cleanup();
+    }
+  }
+
+  /**
+   * Recognize the text of PDF pages
+   * Pages beyond maxPages and pages that fail to render or recognize are skipped (logged, not thrown)
+   * @param {Buffer} pdfBuffer - PDF file
+   * @param {Array<number>} pageNumbers - 1-based pages to recognize
+   * @returns {Promise<Map<number, Object>>} Page number => { text, confidence, lines: [{ text, x, y, w, h }] }
+   *   with line boxes as fractions of the page width/height; pages with no recognized text are left out
+   */
+  async recognizePages(pdfBuffer, pageNumbers) {
+    const results = new Map();
+    if (!this.enabled || pageNumbers.length === 0) {
+      return results;
+    }
+
+    const pages = pageNumbers.slice(0, this.maxPages);
+    if (pageNumbers.length > pages.length) {
+      logger.warn(`Document has ${pageNumbers.length} pages without text, recognizing the first ${pages.length} (OCR_MAX_PAGES)`);
+    }
+
+    const ocrStart = Date.now();
+    let pdfDocument;
+    let worker;
+    try {
+      const pdfjs = await import('pdfjs-dist/legacy/build/pdf.mjs');
+      const { createWorker, OEM } = await import('tesseract.js');
+
+      pdfDocument = await pdfjs.getDocument({ data: new Uint8Array(pdfBuffer), verbosity: 0 }).promise;
+      worker = await createWorker(this.languages.split('+'), OEM.LSTM_ONLY, {
+        cachePath: this.cachePath,
+        ...(this.langPath && { langPath: this.langPath })
+      });
+
+      for (const pageNumber of pages) {
+        try {
+          const { image, width, height } = await this.renderPage(pdfDocument, pageNumber);
+          const { data } = await worker.recognize(image, {}, { blocks: true, text: true });
+
+          const lines = (data.blocks || [])
+            .flatMap(block => block.paragraphs.flatMap(paragraph => paragraph.lines))
+            .map(line => ({
+              text: line.text.replace(/\s+/g, ' ').trim(),
+              x: line.bbox.x0 / width,
+              y: line.bbox.y0 / height,
+              w: (line.bbox.x1 - line.bbox.x0) / width,
+              h: (line.bbox.y1 - line.bbox.y0) / height
+            }))
+            .filter(line => line.text.length > 0);
+
+          if (lines.length > 0) {
+            results.set(pageNumber, {
+              text: lines.map(line => line.text).join('\n'),
+              confidence: Math.round(data.confidence) / 100,
+              lines
+            });
+          }
+        } catch (pageError) {
+          logger.warn(`OCR failed for page ${pageNumber}, leaving it empty`, { error: pageError.message });
+        }
+      }
+    } catch (error) {
+      logger.error('OCR engine failed', error);
+      throw new Error(`Failed to run OCR: ${error.message}`);
+    } finally {
+      await worker?.terminate();
+      await pdfDocument?.destroy();
+    }
+
+    logger.info('OCR completed', {
+      requestedPages: pageNumbers.length,
+      recognizedPages: results.size,
+      durationMs: Date.now() - ocrStart
+    });
+
+    return results;
+  }
+}
+
+// Export singleton instance
+export default new OCRService();
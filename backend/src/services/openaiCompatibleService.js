@@ -0,0 +1,370 @@
+/**
+ * OpenAI-Compatible Service
+ * Handles interactions with any HTTP endpoint that speaks the OpenAI Chat Completions API
+ * (OpenAI, Azure OpenAI proxies, vLLM, LM Studio, Ollama's /v1 endpoint, etc.)
+ */
+
+import axios from 'axios';
+import { logger } from '../utils/logger.js';
+import { createTiktokenTokenizer } from './tokenBudgetService.js';
+
+// response_format json_object only allows an object, so array responses are requested wrapped in this key
+const ARRAY_WRAPPER_KEY = 'items';
+
+class OpenAICompatibleService {
+  /**
+   * @param {Object} config - Adapter configuration
+   * @param {string} config.name - Provider name used in logs and error messages
+   * @param {string} config.baseUrl - Base URL of the API (e.g. https://api.openai.com/v1)
+   * @param {string} [config.apiKey] - Bearer token (optional for local servers such as Ollama)
+   * @param {string} config.model - Model name sent with every request
+   * @param {number} [config.maxOutputTokens] - Maximum output tokens supported by the model
+   * @param {number} [config.contextWindowTokens] - Context window of the model (prompt + output)
+   * @param {boolean} [config.jsonMode] - Whether the endpoint supports response_format json_object
+   * @param {number} [config.timeout] - Request timeout in milliseconds
+   */
+  constructor(config = {}) {
+    this.name = config.name || 'openai';
+    this.baseUrl = (config.baseUrl || '').replace(/\/+$/, '');
+    this.apiKey = config.apiKey || null;
+    this.modelName = config.model;
+    this.defaultMaxTokens = config.maxOutputTokens || 4096;
+    this.defaultTemperature = 0.3;
+    this.maxRetries = 3;
+    this.timeout = config.timeout || 120000;
+
+    this.capabilities = {
+      maxOutputTokens: this.defaultMaxTokens,
+      contextWindowTokens: config.contextWindowTokens || 8192,
+      jsonMode: !!config.jsonMode,
+      streaming: true
+    };
+
+    logger.info('OpenAICompatibleService initialized', {
+      provider: this.name,
+      baseUrl: this.baseUrl || '(not configured)',
+      model: this.modelName || '(not configured)',
+      capabilities: this.capabilities
+    });
+  }
+
+  /**
+   * Validate adapter configuration
+   * @returns {boolean} True if base URL and model are configured
+   */
+  validateConfig() {
+    if (!this.baseUrl) {
+      throw new Error(`Base URL for LLM provider "${this.name}" is not configured`);
+    }
+    if (!this.modelName) {
+      throw new Error(`Model for LLM provider "${this.name}" is not configured`);
+    }
+    return true;
+  }
+
+  /**
+   * Create an exact tokenizer for the configured model
+   * @returns {Function|null} (text) => number of tokens, or null if tiktoken does not know the model
+   *   (e.g. open models served by Ollama)
+   */
+  createTokenizer() {
+    return this.modelName ? createTiktokenTokenizer(this.modelName) : null;
+  }
+
+  /**
+   * Build request headers
+   * @returns {Object} HTTP headers
+   */
+  getHeaders() {
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.apiKey) {
+      headers.Authorization = `Bearer ${this.apiKey}`;
+    }
+    return headers;
+  }
+
+  /**
+   * Check whether a request sends response_format json_object
+   * @param {Object} options - Request options (jsonMode)
+   * @returns {boolean} True if JSON mode is requested and the endpoint supports it
+   */
+  usesJsonMode(options = {}) {
+    return !!options.jsonMode && this.capabilities.jsonMode;
+  }
+
+  /**
+   * Check whether an array response has to be wrapped in an object (JSON mode only returns objects)
+   * @param {Object} options - Request options (jsonMode, responseShape)
+   * @returns {boolean} True if the response is requested as { items: [...] }
+   */
+  wrapsArrayResponse(options = {}) {
+    return this.usesJsonMode(options) && options.responseShape === 'array';
+  }
+
+  /**
+   * Build the chat completions request body
+   * @param {string} systemPrompt - System prompt/instructions
+   * @param {string} userPrompt - User prompt/content
+   * @param {Object} options - Additional options (temperature, maxTokens, modelName, jsonMode, responseShape)
+   * @param {boolean} stream - Whether to request a streamed response
+   * @returns {Object} Request body
+   */
+  buildRequestBody(systemPrompt, userPrompt, options = {}, stream = false) {
+    const {
+      temperature = this.defaultTemperature,
+      maxTokens = this.defaultMaxTokens,
+      modelName = this.modelName
+    } = options;
+
+    if (!systemPrompt || typeof systemPrompt !== 'string' || systemPrompt.trim().length === 0) {
+      throw new Error('System prompt must be a non-empty string');
+    }
+    if (!userPrompt || typeof userPrompt !== 'string' || userPrompt.trim().length === 0) {
+      throw new Error('User prompt must be a non-empty string');
+    }
+
+    // Prompts ask for a bare array, which json_object mode cannot return
+    const systemContent = this.wrapsArrayResponse(options)
+      ? `${systemPrompt.trim()}\n\nRespond with a JSON object whose only field "${ARRAY_WRAPPER_KEY}" holds the JSON array, e.g. {"${ARRAY_WRAPPER_KEY}": [...]}.`
+      : systemPrompt.trim();
+
+    const body = {
+      model: modelName,
+      max_tokens: Math.min(Math.max(1, maxTokens), this.capabilities.maxOutputTokens),
+      temperature: Math.max(0, Math.min(2, temperature)),
+      stream,
+      messages: [
+        { role: 'system', content: systemContent },
+        { role: 'user', content: userPrompt.trim() }
+      ]
+    };
+
+    if (this.usesJsonMode(options)) {
+      body.response_format = { type: 'json_object' };
+    }
+
+    return body;
+  }
+
+  /**
+   * Invoke the chat completions endpoint
+   * @param {string} systemPrompt - System prompt/instructions
+   * @param {string} userPrompt - User prompt/content
+   * @param {Object} options - Additional options (temperature, maxTokens, modelName, jsonMode, onUsage)
+   * @returns {Promise<string>} AI response text
+   */
+  async invokeChat(systemPrompt, userPrompt, options = {}) {
+    try {
+      this.validateConfig();
+
+      const body = this.buildRequestBody(systemPrompt, userPrompt, options, false);
+
+      logger.debug(`Invoking ${this.name} model`, {
+        model: body.model,
+        systemPromptLength: systemPrompt.length,
+        userPromptLength: userPrompt.length,
+        maxTokens: body.max_tokens
+      });
+
+      const response = await axios.post(`${this.baseUrl}/chat/completions`, body, {
+        headers: this.getHeaders(),
+        timeout: this.timeout
+      });
+
+      const choice = response.data?.choices?.[0];
+      const responseText = choice?.message?.content;
+
+      if (!responseText || typeof responseText !== 'string' || responseText.trim().length === 0) {
+        throw new Error(`AI returned an empty response. FinishReason: ${choice?.finish_reason || 'unknown'}`);
+      }
+
+      if (choice.finish_reason === 'length') {
+        logger.warn(`${this.name} response hit max_tokens limit - response may be incomplete`, {
+          maxTokens: body.max_tokens,
+          usage: response.data.usage
+        });
+      }
+
+      logger.info(`${this.name} model invoked successfully`, {
+        model: body.model,
+        responseLength: responseText.length,
+        finishReason: choice.finish_reason,
+        usage: response.data.usage
+      });
+
+      const usage = response.data.usage;
+      if (options.onUsage && usage) {
+        options.onUsage({
+          promptTokens: usage.prompt_tokens || 0,
+          outputTokens: usage.completion_tokens || 0,
+          totalTokens: usage.total_tokens || (usage.prompt_tokens || 0) + (usage.completion_tokens || 0)
+        });
+      }
+
+      return responseText;
+    } catch (error) {
+      const status = error.response?.status;
+      logger.error(`${this.name} invocation failed`, {
+        error: error.message,
+        model: options.modelName || this.modelName,
+        statusCode: status
+      });
+
+      if (status === 400) {
+        throw new Error(`Invalid request to ${this.name}: ${error.response?.data?.error?.message || error.message}`);
+      }
+      if (status === 401 || status === 403) {
+        throw new Error(`Invalid or missing API key for LLM provider "${this.name}".`);
+      }
+      if (status === 429) {
+        throw new Error('Rate limit exceeded. Please try again later.');
+      }
+      if (status >= 500) {
+        throw new Error(`${this.name} service is temporarily unavailable. Please try again later.`);
+      }
+
+      throw new Error(`Failed to invoke ${this.name}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Invoke with retry logic and exponential backoff
+   * @param {string} systemPrompt - System prompt/instructions
+   * @param {string} userPrompt - User prompt/content
+   * @param {Object} options - Additional options (temperature, maxTokens, modelName, maxRetries)
+   * @returns {Promise<string>} AI response text
+   */
+  async invokeWithRetry(systemPrompt, userPrompt, options = {}) {
+    const {
+      maxRetries = this.maxRetries,
+      ...invokeOptions
+    } = options;
+
+    let lastError;
+
+    for (let attempt = 1; attempt <= maxRetries; attempt++) {
+      try {
+        return await this.invokeChat(systemPrompt, userPrompt, invokeOptions);
+      } catch (error) {
+        lastError = error;
+
+        const isRetryable =
+          error.message.includes('Rate limit') ||
+          error.message.includes('temporarily unavailable') ||
+          error.message.includes('timeout') ||
+          error.message.includes('ECONNRESET');
+
+        if (isRetryable && attempt < maxRetries) {
+          const delay = Math.pow(2, attempt) * 1000;
+          logger.warn(`${this.name} invocation failed, retrying in ${delay}ms (attempt ${attempt}/${maxRetries})`, {
+            error: error.message
+          });
+
+          await new Promise(resolve => setTimeout(resolve, delay));
+          continue;
+        }
+
+        throw error;
+      }
+    }
+
+    throw lastError || new Error(`Failed to invoke ${this.name} after retries`);
+  }
+
+  /**
+   * Invoke and parse JSON response
+   * With responseShape 'array' in JSON mode, the array the endpoint returns wrapped in an object is unwrapped
+   * @param {string} systemPrompt - System prompt/instructions
+   * @param {string} userPrompt - User prompt/content
+   * @param {Object} options - Additional options (responseShape: 'array' for prompts asking for a JSON array)
+   * @returns {Promise<Object|Array>} Parsed JSON response
+   */
+  async invokeAndParseJSON(systemPrompt, userPrompt, options = {}) {
+    try {
+      const responseText = await this.invokeWithRetry(systemPrompt, userPrompt, options);
+
+      let jsonText = responseText.trim();
+
+      // Remove markdown code blocks if present
+      const jsonMatch = jsonText.match(/```(?:json)?\s*([\s\S]*?)\s*```/);
+      if (jsonMatch) {
+        jsonText = jsonMatch[1].trim();
+      }
+
+      // Trim any leading/trailing prose around the JSON payload
+      const startIndex = jsonText.search(/[{\[]/);
+      const endIndex = Math.max(jsonText.lastIndexOf('}'), jsonText.lastIndexOf(']'));
+      if (startIndex !== -1 && endIndex > startIndex) {
+        jsonText = jsonText.substring(startIndex, endIndex + 1);
+      }
+
+      const parsed = JSON.parse(jsonText);
+      if (this.wrapsArrayResponse(options) && Array.isArray(parsed?.[ARRAY_WRAPPER_KEY])) {
+        return parsed[ARRAY_WRAPPER_KEY];
+      }
+
+      logger.debug(`Parsed JSON response from ${this.name}`, {
+        keys: Object.keys(parsed)
+      });
+
+      return parsed;
+    } catch (error) {
+      logger.error(`Failed to parse JSON response from ${this.name}`, error);
+      throw new Error(`Failed to parse AI response: ${error.message}`);
+    }
+  }
+
+  /**
+   * Invoke with streaming response
+   * Yields text fragments as they arrive from the server-sent event stream
+   * @param {string} systemPrompt - System prompt/instructions
+   * @param {string} userPrompt - User prompt/content
+   * @param {Object} options - Additional options
+   * @returns {AsyncGenerator<string>} Text fragments
+   */
+  async *invokeStream(systemPrompt, userPrompt, options = {}) {
+    this.validateConfig();
+
+    const body = this.buildRequestBody(systemPrompt, userPrompt, options, true);
+
+    let response;
+    try {
+      response = await axios.post(`${this.baseUrl}/chat/completions`, body, {
+        headers: this.getHeaders(),
+        timeout: this.timeout,
+        responseType: 'stream'
+      });
+    } catch (error) {
+      logger.error(`${this.name} streaming invocation failed`, error);
+      throw new Error(`Failed to invoke ${this.name} stream: ${error.message}`);
+    }
+
+    let buffer = '';
+    for await (const data of response.data) {
+      buffer += data.toString('utf8');
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+
+      for (const line of lines) {
+        const trimmed = line.trim();
+        if (!trimmed.startsWith('data:')) {
+          continue;
+        }
+        const payload = trimmed.slice(5).trim();
+        if (payload === '[DONE]') {
+          return;
+        }
+        try {
+          const delta = JSON.parse(payload).choices?.[0]?.delta?.content;
+          if (delta) {
+            yield delta;
+          }
+        } catch (parseError) {
+          logger.warn(`Skipping malformed ${this.name} stream event`, { payload: payload.substring(0, 100) });
+        }
+      }
+    }
+  }
+}
+
+export default OpenAICompatibleService;
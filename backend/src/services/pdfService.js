@@ -8,6 +8,19 @@
 import { S3Client, GetObjectCommand } from '@aws-sdk/client-s3';
 import { logger } from '../utils/logger.js';
 import { PdfReader } from 'pdfreader';
+import { encodeLineBoxes } from '../utils/sourceLocator.js';
+import { layoutPageLines, lineText } from '../utils/tableDetector.js';
+import { sectionsFromOutline, detectHeadingSections, sectionPathAt } from '../utils/sectionOutline.js';
+import ocrService from './ocrService.js';
+
+// Text items whose y differs by more than this (pdfreader units) start a new line
+const LINE_Y_TOLERANCE = 0.3;
+
+// Prose of up to this many characters right before a table is chunked with it (caption or heading)
+const TABLE_CAPTION_CHARS = 200;
+
+// pdfreader reports text widths (w) and font sizes about 16 times larger than its x/y page units
+const TEXT_SIZE_PER_PAGE_UNIT = 16;
 
 class PDFService {
   constructor() {
@@ -73,9 +86,11 @@ class PDFService {
 
   /**
    * Extract text from PDF buffer
+   * Text items are grouped into lines by their y coordinate (in reading order), so page texts keep one
+   * '\n'-separated line per PDF text line and metadata.pageLines[i][n] holds the box of line n + 1 of page i + 1
    * @param {Buffer} pdfBuffer - PDF file as buffer
    * @param {Object} metadata - Additional metadata (fileName, fileId, etc.)
-   * @returns {Promise<Object>} Extracted text with metadata
+   * @returns {Promise<Object>} Extracted text with metadata (pageTexts, pagePositions, pageLines, pageSizes, ...)
    */
   async extractText(pdfBuffer, metadata = {}) {
     try {
@@ -87,8 +102,8 @@ class PDFService {
       // Extract text using pdfreader (CJS-compatible, works with bundling)
       return new Promise((resolve, reject) => {
         const reader = new PdfReader();
-        let fullText = '';
-        const pageTextMap = new Map(); // Map to store text by page number
+        const pageTextMap = new Map(); // Map to store text lines by page number: [{ items: [{ text, x, right }], x, y, right, h }]
+        const pageSizeMap = new Map(); // Map: page number -> { width, height }
         let currentPage = 1; // Track current page number - starts at 1
         
         reader.parseBuffer(pdfBuffer, (err, item) => {
@@ -99,113 +114,14 @@ class PDFService {
           }
           
           if (!item) {
-            // End of parsing - process all pages and detect internal page numbers
-            const sortedPages = Array.from(pageTextMap.keys()).sort((a, b) => a - b);
-            const pageTexts = [];
-            const internalPageMap = new Map(); // Map: PDF page index -> internal page number
-            
-            // First pass: detect internal page numbers for each PDF page
-            sortedPages.forEach(pdfPageIndex => {
-              const pageText = pageTextMap.get(pdfPageIndex).join(' ');
-              const internalPageNum = this.detectInternalPageNumber(pageText);
-              
-              if (internalPageNum) {
-                internalPageMap.set(pdfPageIndex, internalPageNum);
-                logger.debug(`Detected internal page number ${internalPageNum} on PDF page ${pdfPageIndex}`);
-              }
-              
-              pageTexts.push(pageText);
-            });
-            
-            // Build cumulative position map for accurate page tracking
-            const pagePositions = []; // Array of { pageNumber, startPos, endPos, internalPageNumber }
-            let currentPosition = 0;
-
-            sortedPages.forEach(pdfPageIndex => {
-              const pageText = pageTextMap.get(pdfPageIndex).join(' ');
-              const internalPageNum = internalPageMap.get(pdfPageIndex) || null;
-
-              const startPos = currentPosition;
-              fullText += pageText + '\n';
-              currentPosition = fullText.length; // After adding pageText + '\n'
-
-              pagePositions.push({
-                pageNumber: pdfPageIndex, // PDF page index
-                internalPageNumber: internalPageNum, // Internal page number from document
-                startPos: startPos,
-                endPos: currentPosition - 1 // -1 to exclude the newline
-              });
-            });
-
-            // Log page mapping for diagnostics
-            if (internalPageMap.size > 0) {
-              const sampleMappings = Array.from(internalPageMap.entries())
-                .slice(0, 5)
-                .map(([pdfIndex, internal]) => ({ pdfPage: pdfIndex, internalPage: internal }));
-              logger.info('Internal page number mapping detected', {
-                totalMappings: internalPageMap.size,
-                totalPages: sortedPages.length,
-                sampleMappings
-              });
-            }
-
-            // Diagnostic: Log page position map to verify accurate tracking
-            if (pagePositions.length > 0) {
-              const samplePositions = [pagePositions[0], pagePositions[Math.floor(pagePositions.length / 2)], pagePositions[pagePositions.length - 1]].filter(Boolean);
-              logger.info('Page position map created (diagnostic)', {
-                totalPages: pagePositions.length,
-                totalTextLength: fullText.length,
-                samplePositions: samplePositions.map(p => ({
-                  page: p.pageNumber,
-                  startPos: p.startPos,
-                  endPos: p.endPos,
-                  length: p.endPos - p.startPos + 1
-                }))
-              });
-            }
-
-            const numPages = sortedPages.length > 0 ? Math.max(...sortedPages) : 0;
-
-            // Validate extracted data
-            if (!fullText || fullText.trim().length === 0) {
-              logger.warn('PDF appears to be empty or contains no extractable text', {
-                pages: numPages,
-                fileName: metadata.fileName
-              });
-              reject(new Error('PDF contains no extractable text. It may be image-based or empty.'));
-              return;
-            }
-            
-            const extractedData = {
-              text: fullText.trim(),
-              metadata: {
-                ...metadata,
-                numPages,
-                pageTexts,
-                pagePositions, // Add position map for accurate page tracking
-                internalPageMap: Object.fromEntries(internalPageMap), // Store mapping: PDF index -> internal page number
-                info: {
-                  // pdfreader doesn't provide detailed metadata
-                  title: null,
-                  author: null,
-                  subject: null,
-                  creator: null,
-                  producer: null,
-                  creationDate: null,
-                  modDate: null
-                },
-                extractedAt: new Date().toISOString()
-              }
-            };
-            
-            logger.info('Text extracted from PDF', {
-              textLength: fullText.length,
-              pages: numPages,
-              internalPageMappings: internalPageMap.size,
-              fileName: metadata.fileName
-            });
-            
-            resolve(extractedData);
+            // End of parsing - recognize pages without a text layer and read the document info and outline,
+            // then process all pages
+            Promise.all([
+              this.recognizeImagePages(pdfBuffer, pageTextMap, pageSizeMap),
+              this.readDocumentOutline(pdfBuffer)
+            ])
+              .then(([pageOcrConfidence, documentOutline]) => resolve(this.buildExtractedData(pageTextMap, pageSizeMap, pageOcrConfidence, metadata, documentOutline)))
+              .catch(reject);
             return;
           }
           
@@ -217,6 +133,7 @@ class PDFService {
             if (!pageTextMap.has(currentPage)) {
               pageTextMap.set(currentPage, []);
             }
+            pageSizeMap.set(currentPage, { width: item.width, height: item.height });
             logger.debug('Processing page', { page: currentPage, width: item.width, height: item.height });
             return; // Don't process this as text
           }
@@ -227,9 +144,24 @@ class PDFService {
             if (!pageTextMap.has(currentPage)) {
               pageTextMap.set(currentPage, []);
             }
-            const pageTexts = pageTextMap.get(currentPage);
-            pageTexts.push(item.text);
-            pageTextMap.set(currentPage, pageTexts);
+            const lines = pageTextMap.get(currentPage);
+            const text = item.text.replace(/[\r\n]+/g, ' ');
+            const x = Number(item.x) || 0;
+            const y = Number(item.y) || 0;
+            const right = x + (Number(item.w) || 0) / TEXT_SIZE_PER_PAGE_UNIT;
+            const fontSize = Number(item.R?.[0]?.TS?.[1]);
+            const h = fontSize > 0 ? fontSize / TEXT_SIZE_PER_PAGE_UNIT : 1;
+            const line = lines[lines.length - 1];
+
+            // Items arrive in reading order; a change of y starts a new line
+            if (line && Math.abs(line.y - y) <= LINE_Y_TOLERANCE) {
+              line.items.push({ text, x, right });
+              line.x = Math.min(line.x, x);
+              line.right = Math.max(line.right, right);
+              line.h = Math.max(line.h, h);
+            } else {
+              lines.push({ items: [{ text, x, right }], x, y, right, h });
+            }
           }
         });
       });
@@ -249,6 +181,270 @@ class PDFService {
     }
   }
 
+  /**
+   * Replace the text lines of pages without a usable text layer with OCR results
+   * If every page needs OCR, an OCR failure is thrown; otherwise the pages with text are kept and the failure logged
+   * @param {Buffer} pdfBuffer - PDF file as buffer
+   * @param {Map} pageTextMap - Page number => text lines from pdfreader (updated in place)
+   * @param {Map} pageSizeMap - Page number => { width, height }
+   * @returns {Promise<Map<number, number>>} Page number => OCR confidence (0-1) of each recognized page
+   */
+  async recognizeImagePages(pdfBuffer, pageTextMap, pageSizeMap) {
+    const pageOcrConfidence = new Map();
+    const imagePages = Array.from(pageTextMap.keys())
+      .sort((a, b) => a - b)
+      .filter(page => ocrService.needsOcr(pageTextMap.get(page).map(lineText).join('\n')));
+
+    if (!ocrService.enabled || imagePages.length === 0) {
+      return pageOcrConfidence;
+    }
+
+    logger.info(`${imagePages.length} of ${pageTextMap.size} pages have no text layer, running OCR`);
+
+    let recognized;
+    try {
+      recognized = await ocrService.recognizePages(pdfBuffer, imagePages);
+    } catch (error) {
+      if (imagePages.length === pageTextMap.size) {
+        throw error;
+      }
+      logger.warn('OCR failed, continuing with the pages that have a text layer', { error: error.message });
+      return pageOcrConfidence;
+    }
+
+    // OCR boxes are fractions of the page; scale them to pdfreader page units like the text-layer lines
+    for (const [page, result] of recognized) {
+      const { width, height } = pageSizeMap.get(page) || { width: 1, height: 1 };
+      pageTextMap.set(page, result.lines.map(line => ({
+        items: [{ text: line.text, x: line.x * width, right: (line.x + line.w) * width }],
+        x: line.x * width,
+        y: line.y * height,
+        right: (line.x + line.w) * width,
+        h: line.h * height
+      })));
+      pageOcrConfidence.set(page, result.confidence);
+    }
+
+    return pageOcrConfidence;
+  }
+
+  /**
+   * Read the document info (title, author, dates) and the outline (bookmarks) of a PDF with pdfjs-dist
+   * pdfreader reports neither. Failures are logged and yield empty results, the text is still usable without them.
+   * @param {Buffer} pdfBuffer - PDF file as buffer
+   * @returns {Promise<Object>} { info: { title, author, subject, creator, producer, creationDate, modDate },
+   *   outline: [{ title, level, pageNumber, top }] } with 1-based levels and pages, dates as ISO strings and
+   *   top as a fraction of the page height (null if the bookmark has no position)
+   */
+  async readDocumentOutline(pdfBuffer) {
+    const result = { info: {}, outline: [] };
+    let pdfDocument;
+    try {
+      const pdfjs = await import('pdfjs-dist/legacy/build/pdf.mjs');
+      pdfDocument = await pdfjs.getDocument({ data: new Uint8Array(pdfBuffer), verbosity: 0 }).promise;
+
+      const { info = {}, metadata: xmp } = await pdfDocument.getMetadata();
+      const text = (value) => (typeof value === 'string' && value.trim().length > 0 ? value.trim() : null);
+      const date = (value) => {
+        const parsed = text(value) && pdfjs.PDFDateString.toDateObject(value);
+        return parsed && !Number.isNaN(parsed.getTime()) ? parsed.toISOString() : null;
+      };
+      result.info = {
+        title: text(info.Title) || text(xmp?.get('dc:title')),
+        author: text(info.Author) || text(xmp?.get('dc:creator')),
+        subject: text(info.Subject),
+        creator: text(info.Creator),
+        producer: text(info.Producer),
+        creationDate: date(info.CreationDate),
+        modDate: date(info.ModDate)
+      };
+
+      // Bookmarks point at a page object (resolved through named destinations) and usually a position on it
+      const pageViews = new Map();
+      const resolveEntry = async (item) => {
+        const destination = typeof item.dest === 'string' ? await pdfDocument.getDestination(item.dest) : item.dest;
+        if (!Array.isArray(destination) || destination.length === 0) {
+          return { pageNumber: null, top: null };
+        }
+        const [target, mode] = destination;
+        const pageIndex = Number.isInteger(target) ? target : await pdfDocument.getPageIndex(target);
+        const top = mode?.name === 'XYZ' ? destination[3] : (['FitH', 'FitBH'].includes(mode?.name) ? destination[2] : null);
+        if (typeof top !== 'number') {
+          return { pageNumber: pageIndex + 1, top: null };
+        }
+        if (!pageViews.has(pageIndex)) {
+          pageViews.set(pageIndex, (await pdfDocument.getPage(pageIndex + 1)).view);
+        }
+        const [, bottom, , upper] = pageViews.get(pageIndex);
+        return { pageNumber: pageIndex + 1, top: Math.max(0, Math.min(1, (upper - top) / (upper - bottom))) };
+      };
+
+      const walk = async (items, level) => {
+        for (const item of items || []) {
+          try {
+            if (text(item.title)) {
+              result.outline.push({ title: item.title.trim(), level, ...(await resolveEntry(item)) });
+            }
+          } catch (entryError) {
+            logger.debug(`Skipping outline entry "${item.title}"`, { error: entryError.message });
+          }
+          await walk(item.items, level + 1);
+        }
+      };
+      await walk(await pdfDocument.getOutline(), 1);
+    } catch (error) {
+      logger.warn('Could not read PDF info and outline, continuing without them', { error: error.message });
+    } finally {
+      await pdfDocument?.destroy();
+    }
+    return result;
+  }
+
+  /**
+   * Build page texts, line boxes and the page position map from parsed text lines
+   * Tables detected from item positions are laid out as Markdown tables (see utils/tableDetector.js).
+   * Sections come from the outline, or from heading lines when the PDF has none (see utils/sectionOutline.js).
+   * @param {Map} pageTextMap - Page number => text lines [{ items: [{ text, x, right }], x, y, right, h }]
+   * @param {Map} pageSizeMap - Page number => { width, height }
+   * @param {Map} pageOcrConfidence - Page number => OCR confidence of recognized pages
+   * @param {Object} metadata - Additional metadata (fileName, fileId, etc.)
+   * @param {Object} [documentOutline] - { info, outline } from readDocumentOutline
+   * @returns {Object} Extracted text with metadata
+   * @throws {Error} If no page has any text
+   */
+  buildExtractedData(pageTextMap, pageSizeMap, pageOcrConfidence, metadata, documentOutline = { info: {}, outline: [] }) {
+    let fullText = '';
+    const sortedPages = Array.from(pageTextMap.keys()).sort((a, b) => a - b);
+    const pageTexts = [];
+    const pageLines = []; // Per page: [{ x, y, w, h }] per text line, aligned with the page text lines
+    const pageTables = []; // Per page: [{ lineStart, lineEnd, columns }] of the Markdown tables in the page text
+    const internalPageMap = new Map(); // Map: PDF page index -> internal page number
+    
+    // First pass: detect internal page numbers for each PDF page
+    sortedPages.forEach(pdfPageIndex => {
+      const { lines, tables } = layoutPageLines(pageTextMap.get(pdfPageIndex));
+      const pageText = lines.map(line => line.text).join('\n');
+      const internalPageNum = this.detectInternalPageNumber(pageText);
+      
+      if (internalPageNum) {
+        internalPageMap.set(pdfPageIndex, internalPageNum);
+        logger.debug(`Detected internal page number ${internalPageNum} on PDF page ${pdfPageIndex}`);
+      }
+      
+      pageTexts.push(pageText);
+      pageLines.push(lines.map(line => line.box));
+      pageTables.push(tables);
+    });
+    
+    // Build cumulative position map for accurate page tracking
+    const pagePositions = []; // Array of { pageNumber, startPos, endPos, internalPageNumber }
+    let currentPosition = 0;
+
+    sortedPages.forEach((pdfPageIndex, index) => {
+      const pageText = pageTexts[index];
+      const internalPageNum = internalPageMap.get(pdfPageIndex) || null;
+
+      const startPos = currentPosition;
+      fullText += pageText + '\n';
+      currentPosition = fullText.length; // After adding pageText + '\n'
+
+      pagePositions.push({
+        pageNumber: pdfPageIndex, // PDF page index
+        internalPageNumber: internalPageNum, // Internal page number from document
+        startPos: startPos,
+        endPos: currentPosition - 1 // -1 to exclude the newline
+      });
+    });
+
+    // Log page mapping for diagnostics
+    if (internalPageMap.size > 0) {
+      const sampleMappings = Array.from(internalPageMap.entries())
+        .slice(0, 5)
+        .map(([pdfIndex, internal]) => ({ pdfPage: pdfIndex, internalPage: internal }));
+      logger.info('Internal page number mapping detected', {
+        totalMappings: internalPageMap.size,
+        totalPages: sortedPages.length,
+        sampleMappings
+      });
+    }
+
+    // Diagnostic: Log page position map to verify accurate tracking
+    if (pagePositions.length > 0) {
+      const samplePositions = [pagePositions[0], pagePositions[Math.floor(pagePositions.length / 2)], pagePositions[pagePositions.length - 1]].filter(Boolean);
+      logger.info('Page position map created (diagnostic)', {
+        totalPages: pagePositions.length,
+        totalTextLength: fullText.length,
+        samplePositions: samplePositions.map(p => ({
+          page: p.pageNumber,
+          startPos: p.startPos,
+          endPos: p.endPos,
+          length: p.endPos - p.startPos + 1
+        }))
+      });
+    }
+
+    const numPages = sortedPages.length > 0 ? Math.max(...sortedPages) : 0;
+
+    // Validate extracted data
+    if (!fullText || fullText.trim().length === 0) {
+      logger.warn('PDF appears to be empty or contains no extractable text', {
+        pages: numPages,
+        fileName: metadata.fileName
+      });
+      throw new Error(ocrService.enabled
+        ? 'PDF contains no extractable text and OCR found none. It may be blank or too low-quality to read.'
+        : 'PDF contains no extractable text. It may be image-based or empty (OCR is disabled).');
+    }
+
+    // Chapter/section headings placed on page lines, for the sectionPath of each chunk
+    const pageSizes = sortedPages.map(pdfPageIndex => pageSizeMap.get(pdfPageIndex) || null);
+    const sections = documentOutline.outline.length > 0
+      ? sectionsFromOutline(documentOutline.outline, pageTexts, pageLines, pageSizes)
+      : detectHeadingSections(pageTexts);
+    
+    const extractedData = {
+      text: fullText.trim(),
+      metadata: {
+        ...metadata,
+        format: 'pdf',
+        numPages,
+        pageTexts,
+        pagePositions, // Add position map for accurate page tracking
+        pageLines, // Line boxes for line-level citations
+        pageTables, // Table line ranges for table-aware chunking
+        pageSizes,
+        pageOcrConfidence: sortedPages.map(pdfPageIndex => pageOcrConfidence.get(pdfPageIndex) ?? null), // null = text layer
+        ocrPages: pageOcrConfidence.size,
+        internalPageMap: Object.fromEntries(internalPageMap), // Store mapping: PDF index -> internal page number
+        sections, // [{ title, level, pageNumber, line, path }] in document order
+        sectionSource: documentOutline.outline.length > 0 ? 'outline' : 'headings',
+        info: {
+          title: null,
+          author: null,
+          subject: null,
+          creator: null,
+          producer: null,
+          creationDate: null,
+          modDate: null,
+          ...documentOutline.info
+        },
+        extractedAt: new Date().toISOString()
+      }
+    };
+    
+    logger.info('Text extracted from PDF', {
+      textLength: fullText.length,
+      pages: numPages,
+      internalPageMappings: internalPageMap.size,
+      ocrPages: pageOcrConfidence.size,
+      tables: pageTables.reduce((count, tables) => count + tables.length, 0),
+      sections: sections.length,
+      title: extractedData.metadata.info.title,
+      fileName: metadata.fileName
+    });
+    return extractedData;
+  }
+
   /**
    * Extract text from PDF stored in S3
    * @param {string} s3Key - S3 object key
@@ -450,8 +646,8 @@ class PDFService {
         }
 
         // Add chunk with metadata including page information
-        // Exclude pageTexts and pagePositions from metadata (they're large and only needed during chunking, not storage)
-        const { pageTexts: _, pagePositions: __, ...metadataWithoutPageTexts } = metadata;
+        // Exclude pageTexts, pagePositions and line layouts from metadata (they're large and only needed during chunking, not storage)
+        const { pageTexts: _, pagePositions: __, pageLines: ___, pageSizes: ____, pageOcrConfidence: _____, pageTables: ______, ...metadataWithoutPageTexts } = metadata;
         chunks.push({
           text: chunk.trim(),
           chunkIndex: chunkIndex++,
@@ -496,8 +692,16 @@ class PDFService {
   /**
    * Split text into chunks by page boundaries (one or more chunks per page)
    * This ensures each chunk has accurate page attribution
+   * With metadata.pageLines (from extractText) each chunk also gets lineStart/lineEnd (1-based lines of its
+   * page) and lineBoxes (see utils/sourceLocator.js), so generated content can cite exact lines. Formats without
+   * page geometry pass an empty array per page and get line numbers with empty lineBoxes.
+   * With metadata.pageOcrConfidence, chunks of recognized pages get ocrConfidence (0-1).
+   * With metadata.pageTables, Markdown tables become separate chunks with contentType 'table' (prose chunks get 'text');
+   * a table longer than one chunk is split at row boundaries and later chunks repeat its header rows
+   * (repeatedHeaderLines/tableHeaderLine tell utils/sourceLocator.js where those lines are on the page).
+   * With metadata.sections, each chunk gets the sectionPath of the section its first line is in.
    * @param {Array<string>} pageTexts - Array of text for each page
-   * @param {Object} metadata - Metadata to attach to each chunk
+   * @param {Object} metadata - Metadata to attach to each chunk (pageLines, pageSizes, pageOcrConfidence, pageTables and sections are not copied to chunks)
    * @returns {Array<Object>} Array of text chunks with metadata including page numbers
    */
   splitTextByPages(pageTexts, metadata = {}) {
@@ -510,90 +714,100 @@ class PDFService {
       let chunkIndex = 0;
       const maxChunkSize = this.chunkSize; // e.g., 1500 chars
       const internalPageMap = metadata.internalPageMap || {}; // Get mapping from metadata
+      const { pageLines = null, pageSizes = null, pageOcrConfidence = null, pageTables = null, sections = null, ...chunkMetadata } = metadata;
 
       pageTexts.forEach((pageText, pageIndex) => {
         const pdfPageNumber = pageIndex + 1; // PDF page index (1-based)
         const internalPageNumber = internalPageMap[pdfPageNumber] || null; // Internal page number from document
         const displayPageNumber = internalPageNumber || pdfPageNumber; // What to show to users
         const trimmedPageText = pageText.trim();
+        const leadingWhitespace = pageText.length - pageText.trimStart().length;
+        const ocrConfidence = pageOcrConfidence?.[pageIndex];
+        const ocrFields = typeof ocrConfidence === 'number' ? { ocrConfidence } : {};
+        const lines = pageLines?.[pageIndex];
+        const size = pageSizes?.[pageIndex];
+        const sizeFields = size ? { pageWidth: size.width, pageHeight: size.height } : {};
+
+        // Line fields for a chunk starting at offset `start` of the trimmed page text
+        const lineFields = (start, chunkText) => {
+          if (!lines) {
+            return {};
+          }
+          const lineStart = pageText.substring(0, leadingWhitespace + start).split('\n').length;
+          const lineEnd = lineStart + chunkText.split('\n').length - 1;
+          return {
+            lineStart,
+            lineEnd,
+            lineBoxes: encodeLineBoxes(lines.slice(lineStart - 1, lineEnd)),
+            ...sizeFields
+          };
+        };
 
         if (trimmedPageText.length === 0) {
           logger.warn(`Page ${displayPageNumber} (PDF index: ${pdfPageNumber}) is empty, skipping`);
           return; // Skip empty pages
         }
 
-        // If page is small enough, keep as single chunk
-        if (trimmedPageText.length <= maxChunkSize) {
+        const pushChunk = (text, fields, chunkSize = text.length) => {
+          const sectionPath = sectionPathAt(sections, pdfPageNumber, fields.lineStart ?? 1);
           chunks.push({
-            text: trimmedPageText,
+            text,
             chunkIndex: chunkIndex++,
             pageNumber: pdfPageNumber, // PDF page index for tracking
             internalPageNumber: internalPageNumber, // Internal page number from document
             displayPageNumber: displayPageNumber, // What to show to users
-            pageRange: `${displayPageNumber}`,
-            ...metadata,
-            chunkSize: trimmedPageText.length
+            pageRange: `${displayPageNumber}`, // Always single page since we chunk by page
+            ...chunkMetadata,
+            ...fields,
+            ...ocrFields,
+            ...(sectionPath && { sectionPath }),
+            chunkSize
           });
-        } else {
-          // Page is too large, split it into multiple chunks while preserving page number
-          let startIndex = 0;
-
-          while (startIndex < trimmedPageText.length) {
-            const endIndex = Math.min(startIndex + maxChunkSize, trimmedPageText.length);
-            let chunk = trimmedPageText.slice(startIndex, endIndex);
-
-            // Try to split at natural boundaries if not at end
-            if (endIndex < trimmedPageText.length) {
-              const overlapStart = Math.max(0, endIndex - this.chunkOverlap);
-              const overlapRegion = trimmedPageText.slice(overlapStart, endIndex);
-
-              // Try paragraph break first
-              const paraBreak = overlapRegion.lastIndexOf('\n\n');
-              if (paraBreak !== -1) {
-                chunk = trimmedPageText.slice(startIndex, overlapStart + paraBreak);
-                startIndex = overlapStart + paraBreak + 2;
-              } else {
-                // Try sentence break
-                const sentenceBreak = overlapRegion.lastIndexOf('. ');
-                if (sentenceBreak !== -1) {
-                  chunk = trimmedPageText.slice(startIndex, overlapStart + sentenceBreak + 1);
-                  startIndex = overlapStart + sentenceBreak + 2;
-                } else {
-                  // Try line break
-                  const lineBreak = overlapRegion.lastIndexOf('\n');
-                  if (lineBreak !== -1) {
-                    chunk = trimmedPageText.slice(startIndex, overlapStart + lineBreak);
-                    startIndex = overlapStart + lineBreak + 1;
-                  } else {
-                    // Try word boundary
-                    const wordBreak = overlapRegion.lastIndexOf(' ');
-                    if (wordBreak !== -1) {
-                      chunk = trimmedPageText.slice(startIndex, overlapStart + wordBreak);
-                      startIndex = overlapStart + wordBreak + 1;
-                    } else {
-                      // No boundary found, use fixed size
-                      startIndex = startIndex + maxChunkSize - this.chunkOverlap;
-                    }
-                  }
-                }
-              }
-            } else {
-              // Last chunk of page
-              startIndex = trimmedPageText.length;
-            }
+        };
 
-            chunks.push({
-              text: chunk.trim(),
-              chunkIndex: chunkIndex++,
-              pageNumber: pdfPageNumber, // PDF page index for tracking
-              internalPageNumber: internalPageNumber, // Internal page number from document
-              displayPageNumber: displayPageNumber, // What to show to users
-              pageRange: `${displayPageNumber}`, // Always single page since we chunk by page
-              ...metadata,
-              chunkSize: chunk.length
+        // Tables get chunks of their own, so they are never cut mid-row and can be told apart from prose
+        this.splitPageBlocks(pageText, pageTables?.[pageIndex] || []).forEach(block => {
+          if (block.table) {
+            this.splitTableBlock(block, maxChunkSize).forEach(piece => {
+              if (!piece.repeatedHeader) {
+                pushChunk(piece.text, { contentType: 'table', ...lineFields(piece.start, piece.text) });
+                return;
+              }
+              // Later pieces repeat the table header; their lineBoxes cover the header lines first
+              const lineStart = block.firstLine + piece.firstLine;
+              const lineEnd = lineStart + piece.lineCount - 1;
+              pushChunk(piece.text, {
+                contentType: 'table',
+                ...(lines && {
+                  lineStart,
+                  lineEnd,
+                  lineBoxes: encodeLineBoxes([
+                    ...lines.slice(block.headerLine - 1, block.headerLine + 1),
+                    ...lines.slice(lineStart - 1, lineEnd)
+                  ]),
+                  repeatedHeaderLines: 2,
+                  tableHeaderLine: block.headerLine,
+                  ...sizeFields
+                })
+              });
             });
+            return;
           }
-        }
+
+          // If the block is small enough, keep it as a single chunk
+          if (block.text.length <= maxChunkSize) {
+            pushChunk(block.text, { contentType: 'text', ...lineFields(block.start, block.text) });
+            return;
+          }
+
+          // Block is too large, split it into multiple chunks while preserving page number
+          this.splitBlockText(block.text).forEach(({ text: chunk, start }) => {
+            pushChunk(chunk.trim(), {
+              contentType: 'text',
+              ...lineFields(block.start + start + (chunk.length - chunk.trimStart().length), chunk.trim())
+            }, chunk.length);
+          });
+        });
       });
 
       logger.info('Text split into page-based chunks', {
@@ -630,6 +844,160 @@ class PDFService {
     }
   }
 
+  /**
+   * Split a page's text into prose and table blocks
+   * A short stretch of prose right before a table (its caption or heading) stays with the table
+   * @param {string} pageText - Page text (one line per PDF text line)
+   * @param {Array<Object>} tables - Tables on the page [{ lineStart, lineEnd }] (1-based page lines, lineStart = header row)
+   * @returns {Array<Object>} Blocks in page order [{ text, start, table }] with start the offset in the trimmed page
+   *   text; table blocks also have firstLine (page line of the block's first line) and headerLine
+   */
+  splitPageBlocks(pageText, tables) {
+    const trimmedPageText = pageText.trim();
+    if (tables.length === 0) {
+      return [{ text: trimmedPageText, start: 0, table: false }];
+    }
+
+    const leadingWhitespace = pageText.length - pageText.trimStart().length;
+    const lines = pageText.split('\n');
+    const lineOffsets = []; // Offset of each page line in the trimmed page text
+    lines.reduce((offset, line) => {
+      lineOffsets.push(Math.max(0, offset - leadingWhitespace));
+      return offset + line.length + 1;
+    }, 0);
+
+    const blocks = [];
+    const pushProse = (start, end) => {
+      const text = trimmedPageText.slice(start, end);
+      if (text.trim().length > 0) {
+        blocks.push({ text: text.trim(), start: start + (text.length - text.trimStart().length), table: false });
+      }
+    };
+
+    let cursor = 0;
+    tables.forEach(table => {
+      let start = lineOffsets[table.lineStart - 1];
+      const end = lineOffsets[table.lineEnd - 1] + lines[table.lineEnd - 1].length;
+      const before = trimmedPageText.slice(cursor, start);
+      if (before.trim().length > 0 && before.trim().length <= TABLE_CAPTION_CHARS) {
+        start = cursor + (before.length - before.trimStart().length);
+      } else {
+        pushProse(cursor, start);
+      }
+
+      blocks.push({
+        text: trimmedPageText.slice(start, end),
+        start,
+        table: true,
+        firstLine: pageText.substring(0, leadingWhitespace + start).split('\n').length,
+        headerLine: table.lineStart
+      });
+      cursor = end;
+    });
+    pushProse(cursor, trimmedPageText.length);
+
+    return blocks;
+  }
+
+  /**
+   * Split a table block into chunks at row boundaries
+   * Every chunk after the first starts with the table's header and separator rows again
+   * @param {Object} block - Table block from splitPageBlocks
+   * @param {number} maxChunkSize - Maximum chunk size (a chunk always holds at least one row)
+   * @returns {Array<Object>} Pieces [{ text, repeatedHeader }]: the first piece has start (offset in the trimmed page
+   *   text), later ones firstLine (index of their first row in the block) and lineCount (rows, without the header)
+   */
+  splitTableBlock(block, maxChunkSize) {
+    if (block.text.length <= maxChunkSize) {
+      return [{ text: block.text, start: block.start, repeatedHeader: false }];
+    }
+
+    const blockLines = block.text.split('\n');
+    const headerIndex = block.headerLine - block.firstLine;
+    const header = blockLines.slice(headerIndex, headerIndex + 2).join('\n');
+    const pieces = [];
+
+    let from = 0;
+    while (from < blockLines.length) {
+      const repeated = pieces.length > 0;
+      const sizeUntil = (end) => (repeated ? header.length + 1 : 0) + blockLines.slice(from, end).join('\n').length;
+      // The first piece holds the caption, header, separator and at least one row
+      let to = repeated ? from + 1 : Math.min(blockLines.length, headerIndex + 3);
+      while (to < blockLines.length && sizeUntil(to + 1) <= maxChunkSize) {
+        to++;
+      }
+
+      const rows = blockLines.slice(from, to).join('\n');
+      pieces.push(repeated
+        ? { text: `${header}\n${rows}`, repeatedHeader: true, firstLine: from, lineCount: to - from }
+        : { text: rows, start: block.start, repeatedHeader: false });
+      from = to;
+    }
+
+    return pieces;
+  }
+
+  /**
+   * Split prose longer than the chunk size at natural boundaries (paragraph, sentence, line, word) with overlap
+   * @param {string} text - Trimmed prose
+   * @returns {Array<Object>} Chunks [{ text, start }] (untrimmed text, start offset in the input)
+   */
+  splitBlockText(text) {
+    const maxChunkSize = this.chunkSize;
+    const pieces = [];
+    let startIndex = 0;
+
+    while (startIndex < text.length) {
+      const chunkStart = startIndex;
+      const endIndex = Math.min(startIndex + maxChunkSize, text.length);
+      let chunk = text.slice(startIndex, endIndex);
+
+      // Try to split at natural boundaries if not at end
+      if (endIndex < text.length) {
+        const overlapStart = Math.max(0, endIndex - this.chunkOverlap);
+        const overlapRegion = text.slice(overlapStart, endIndex);
+
+        // Try paragraph break first
+        const paraBreak = overlapRegion.lastIndexOf('\n\n');
+        if (paraBreak !== -1) {
+          chunk = text.slice(startIndex, overlapStart + paraBreak);
+          startIndex = overlapStart + paraBreak + 2;
+        } else {
+          // Try sentence break
+          const sentenceBreak = overlapRegion.lastIndexOf('. ');
+          if (sentenceBreak !== -1) {
+            chunk = text.slice(startIndex, overlapStart + sentenceBreak + 1);
+            startIndex = overlapStart + sentenceBreak + 2;
+          } else {
+            // Try line break
+            const lineBreak = overlapRegion.lastIndexOf('\n');
+            if (lineBreak !== -1) {
+              chunk = text.slice(startIndex, overlapStart + lineBreak);
+              startIndex = overlapStart + lineBreak + 1;
+            } else {
+              // Try word boundary
+              const wordBreak = overlapRegion.lastIndexOf(' ');
+              if (wordBreak !== -1) {
+                chunk = text.slice(startIndex, overlapStart + wordBreak);
+                startIndex = overlapStart + wordBreak + 1;
+              } else {
+                // No boundary found, use fixed size
+                startIndex = startIndex + maxChunkSize - this.chunkOverlap;
+              }
+            }
+          }
+        }
+      } else {
+        // Last chunk of the block
+        startIndex = text.length;
+      }
+
+      pieces.push({ text: chunk, start: chunkStart });
+    }
+
+    return pieces;
+  }
+
   /**
    * Extract text and split into chunks in one operation
    * @param {string} s3Key - S3 object key
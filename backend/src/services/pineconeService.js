@@ -202,8 +202,8 @@ class PineconeService {
           // String values - limit size to prevent metadata bloat
           if (typeof value === 'string') {
             // Limit string fields to 500 chars max (except for small identifiers)
-            if (key === 'fileName' || key === 'originalFileName' || key === 's3Key' || key === 'fileId') {
-              filteredMetadata[key] = value; // Allow full file names/IDs
+            if (key === 'fileName' || key === 'originalFileName' || key === 's3Key' || key === 'fileId' || key === 'lineBoxes') {
+              filteredMetadata[key] = value; // Allow full file names/IDs and line boxes (needed whole for line citations)
             } else if (value.length <= 500) {
               filteredMetadata[key] = value;
             } else {
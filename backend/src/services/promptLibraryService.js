@@ -307,12 +307,103 @@ const getDefaultLibrary = () => {
           updatedAt: now
         }
       ]
+    },
+    summary: {
+      useCase: 'summary',
+      activePromptId: 'executive-summary',
+      prompts: [
+        {
+          id: 'executive-summary',
+          name: '📝 Executive Summary',
+          description: 'Key points and short thematic sections covering the whole document',
+          system: DEFAULT_PROMPTS.summary.system,
+          userTemplate: DEFAULT_PROMPTS.summary.user('{context}'),
+          version: '1.0.0',
+          tags: ['summary', 'overview', 'recommended'],
+          isActive: true,
+          createdAt: now,
+          updatedAt: now
+        },
+        {
+          id: 'technician-briefing',
+          name: '🧰 Technician Briefing',
+          description: 'Short briefing on what a technician must know before working on the equipment',
+          system: 'You are a maintenance supervisor briefing technicians. Keep EXTREMELY BRIEF. Key points: 1 sentence, 15 words max. Sections: heading 4 words max, content 2 sentences max. Return ONLY valid JSON object. STRICT: Use ONLY information from the provided context. DO NOT add external knowledge.',
+          userTemplate: `From this maintenance manual:\n\n{context}\n\nSummarize what a technician must know before working on this equipment:\n- Hazards and required precautions\n- Key settings, limits and intervals\n- Common faults and their causes\n\nCRITICAL: Keep EXTREMELY BRIEF. Use ONLY the manual content. Return ONLY valid JSON:\n{\n  "keyPoints": ["Lock out power before opening the control cabinet"],\n  "sections": [\n    {\n      "heading": "Hazards",\n      "content": "Stored hydraulic pressure remains after shutdown. Bleed the accumulator first."\n    }\n  ]\n}`,
+          version: '1.0.0',
+          tags: ['summary', 'briefing', 'safety'],
+          isActive: false,
+          createdAt: now,
+          updatedAt: now
+        }
+      ]
+    },
+    analysis: {
+      useCase: 'analysis',
+      activePromptId: 'reliability-analysis',
+      prompts: [
+        {
+          id: 'reliability-analysis',
+          name: '🔍 Maintenance & Reliability Analysis',
+          description: 'Findings on risks, gaps and inconsistencies with evidence and recommendations',
+          system: DEFAULT_PROMPTS.analysis.system,
+          userTemplate: DEFAULT_PROMPTS.analysis.user('{context}'),
+          version: '1.0.0',
+          tags: ['analysis', 'reliability', 'recommended'],
+          isActive: true,
+          createdAt: now,
+          updatedAt: now
+        },
+        {
+          id: 'safety-compliance-review',
+          name: '🛡️ Safety & Compliance Review',
+          description: 'Safety-critical requirements, missing precautions and compliance obligations',
+          system: 'You are a safety compliance auditor. Keep EXTREMELY BRIEF. Findings: 1 sentence, 15 words max, with evidence quoted from the context. Significance: High/Medium/Low. Recommendations: 1 sentence each. Return ONLY valid JSON object. STRICT: Use ONLY information from the provided context.',
+          userTemplate: `From these documents:\n\n{context}\n\nReview the content for SAFETY and COMPLIANCE:\n- Safety-critical requirements and interlocks\n- Precautions that are mentioned but not explained\n- Inspection or certification obligations\n\nCRITICAL: Keep EXTREMELY BRIEF. Quote the evidence. Return ONLY valid JSON:\n{\n  "findings": [\n    {\n      "finding": "Emergency stop test interval is not stated",\n      "evidence": "Verify the emergency stop circuit regularly.",\n      "significance": "High"\n    }\n  ],\n  "recommendations": ["Define a weekly emergency stop test"]\n}`,
+          version: '1.0.0',
+          tags: ['analysis', 'safety', 'compliance'],
+          isActive: false,
+          createdAt: now,
+          updatedAt: now
+        }
+      ]
+    },
+    extraction: {
+      useCase: 'extraction',
+      activePromptId: 'technical-data',
+      prompts: [
+        {
+          id: 'technical-data',
+          name: '📊 Technical Data Extraction',
+          description: 'Specifications, tolerances, intervals, quantities and part numbers as table rows',
+          system: DEFAULT_PROMPTS.extraction.system,
+          userTemplate: DEFAULT_PROMPTS.extraction.user('{context}'),
+          version: '1.0.0',
+          tags: ['extraction', 'specifications', 'recommended'],
+          isActive: true,
+          createdAt: now,
+          updatedAt: now
+        },
+        {
+          id: 'spare-parts-list',
+          name: '🔩 Spare Parts List',
+          description: 'Part numbers, descriptions and quantities for spares and consumables',
+          system: 'You are a spare parts planner. Extract ONLY parts and consumables. Keep EXTREMELY BRIEF. Field: part description, 4 words max. Value: part number or quantity exactly as written. Return ONLY valid JSON array. STRICT: Use ONLY information from the provided context.',
+          userTemplate: `From this maintenance manual:\n\n{context}\n\nExtract ONLY SPARE PARTS and CONSUMABLES:\n- Part numbers and descriptions\n- Quantities and fill volumes\n- Lubricant, filter and seal specifications\n\nCRITICAL: Keep EXTREMELY BRIEF. Return ONLY JSON array:\n[\n  {\n    "category": "Part Number",\n    "field": "Hydraulic Return Filter",\n    "value": "HF-2040",\n    "unit": "",\n    "notes": "Replace every 500 h"\n  }\n]`,
+          version: '1.0.0',
+          tags: ['extraction', 'parts', 'consumables'],
+          isActive: false,
+          createdAt: now,
+          updatedAt: now
+        }
+      ]
     }
   };
 };
 
 /**
  * Load prompt library from S3 or return defaults
+ * Use cases missing from a saved library (e.g. added after it was saved) get their default prompts
  */
 export const loadPromptLibrary = async () => {
   try {
@@ -324,6 +415,12 @@ export const loadPromptLibrary = async () => {
     const response = await s3Client.send(command);
     const body = await response.Body.transformToString();
     const library = JSON.parse(body);
+    const defaults = getDefaultLibrary();
+    for (const useCase of Object.keys(defaults)) {
+      if (!library[useCase]) {
+        library[useCase] = defaults[useCase];
+      }
+    }
 
     logger.info('Loaded prompt library from S3');
     return library;
@@ -587,3 +684,62 @@ export const resetPromptLibrary = async () => {
   return defaultLibrary;
 };
 
+
+/**
+ * Create or replace the default prompt of a use case library (used for registered custom use cases)
+ * The prompt becomes active; other prompts in the library are kept
+ */
+export const upsertDefaultPrompt = async (useCase, promptData) => {
+  const library = await loadPromptLibrary();
+  const now = new Date().toISOString();
+
+  if (!library[useCase]) {
+    library[useCase] = {
+      useCase,
+      activePromptId: 'default',
+      prompts: []
+    };
+  }
+
+  const useCaseLibrary = library[useCase];
+  const existing = useCaseLibrary.prompts.find(p => p.id === 'default');
+  const defaultPrompt = {
+    id: 'default',
+    name: promptData.name,
+    description: promptData.description || '',
+    system: promptData.system,
+    userTemplate: promptData.userTemplate,
+    version: promptData.version || '1.0.0',
+    tags: promptData.tags || [],
+    isActive: true,
+    createdAt: existing?.createdAt || now,
+    updatedAt: now
+  };
+
+  useCaseLibrary.prompts.forEach(p => p.isActive = false);
+  useCaseLibrary.prompts = [defaultPrompt, ...useCaseLibrary.prompts.filter(p => p.id !== 'default')];
+  useCaseLibrary.activePromptId = 'default';
+
+  await savePromptLibrary(library);
+  logger.info(`Set default prompt for use case ${useCase}`);
+
+  return defaultPrompt;
+};
+
+/**
+ * Remove the whole prompt library of a use case
+ * Returns false if the use case had no library
+ */
+export const deletePromptLibrary = async (useCase) => {
+  const library = await loadPromptLibrary();
+
+  if (!library[useCase]) {
+    return false;
+  }
+
+  delete library[useCase];
+  await savePromptLibrary(library);
+  logger.info(`Deleted prompt library for use case ${useCase}`);
+
+  return true;
+};
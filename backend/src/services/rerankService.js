@@ -0,0 +1,266 @@
+/**
+ * Rerank Service
+ * Rescores a larger set of retrieved chunks against the query (or use case) before context assembly
+ *
+ * Scorers are pluggable: each is an async function (query, candidates, options) => Array<number>
+ * returning one relevance score per candidate (higher = more relevant). Built-in scorers:
+ * - 'lexical': local query-term overlap scorer, no network calls
+ * - 'llm': asks the selected LLM provider to grade each passage (falls back to 'lexical' on failure)
+ */
+
+import llmProviderRegistry from './llmProviderRegistry.js';
+import keywordIndexService from './keywordIndexService.js';
+import { logger } from '../utils/logger.js';
+
+// Used when the request has no queryText, so reranking still favours chunks that suit the output
+const USE_CASE_QUERIES = {
+  checksheet: 'inspect check verify replace lubricate clean daily weekly monthly annual interval tolerance limit pressure temperature',
+  workInstructions: 'procedure step remove install tighten torque adjust tools materials safety warning lockout verify'
+};
+
+/**
+ * Reduce a term to a crude stem so "inspection"/"inspect" and "monthly"/"month" match
+ * @param {string} term - Lowercase term
+ * @returns {string} Stem
+ */
+const stem = (term) => {
+  if (term.length <= 4 || /\d/.test(term)) {
+    return term;
+  }
+  return term.replace(/(ations?|ions?|ings?|ments?|ly|ies|es|ed|s)$/, '') || term;
+};
+
+class RerankService {
+  constructor() {
+    this.scorers = new Map();
+    this.defaultStrategy = (process.env.RERANK_STRATEGY || 'none').toLowerCase();
+    this.defaultCandidates = parseInt(process.env.RERANK_CANDIDATES) || 50;
+    this.llmBatchSize = 25;
+    this.llmPassageChars = 600;
+
+    this.registerScorer('lexical', (query, candidates) => this.scoreLexical(query, candidates));
+    this.registerScorer('llm', (query, candidates, options) => this.scoreWithLLM(query, candidates, options));
+
+    logger.info('RerankService initialized', {
+      defaultStrategy: this.defaultStrategy,
+      defaultCandidates: this.defaultCandidates
+    });
+  }
+
+  /**
+   * Register (or replace) a scorer
+   * @param {string} name - Strategy name used in requests (e.g. 'lexical')
+   * @param {Function} scorer - async (query, candidates, options) => Array<number>
+   * @returns {RerankService} The service (for chaining)
+   */
+  registerScorer(name, scorer) {
+    if (!name || typeof name !== 'string') {
+      throw new Error('Scorer name must be a non-empty string');
+    }
+    if (typeof scorer !== 'function') {
+      throw new Error(`Scorer "${name}" must be a function`);
+    }
+
+    this.scorers.set(name.toLowerCase(), scorer);
+    return this;
+  }
+
+  /**
+   * Check whether a strategy can be used ('none' disables reranking)
+   * @param {string} name - Strategy name
+   * @returns {boolean} True if valid
+   */
+  hasStrategy(name) {
+    return typeof name === 'string' && (name.toLowerCase() === 'none' || this.scorers.has(name.toLowerCase()));
+  }
+
+  /**
+   * List available strategies
+   * @returns {Array<string>} Strategy names including 'none'
+   */
+  listStrategies() {
+    return ['none', ...this.scorers.keys()];
+  }
+
+  /**
+   * Resolve the strategy for a request
+   * @param {string|boolean|null} rerank - Request value (strategy name, true for the default scorer, false/null for default config)
+   * @returns {string} Strategy name ('none' when disabled)
+   */
+  resolveStrategy(rerank) {
+    if (rerank === false) {
+      return 'none';
+    }
+    if (rerank === true) {
+      return this.defaultStrategy === 'none' ? 'lexical' : this.defaultStrategy;
+    }
+    return (rerank || this.defaultStrategy).toLowerCase();
+  }
+
+  /**
+   * Build the relevance query for a request
+   * @param {string} queryText - Optional request query
+   * @param {string} useCase - Use case
+   * @returns {string} Query used for scoring
+   */
+  buildQuery(queryText, useCase) {
+    if (typeof queryText === 'string' && queryText.trim().length > 0) {
+      return queryText.trim();
+    }
+    return USE_CASE_QUERIES[useCase] || useCase;
+  }
+
+  /**
+   * Local lexical scorer: coverage of (stemmed) query terms with diminishing returns for repeats
+   * @param {string} query - Relevance query
+   * @param {Array<Object>} candidates - Normalized chunks
+   * @returns {Promise<Array<number>>} Scores in [0, 1]
+   */
+  async scoreLexical(query, candidates) {
+    const queryTerms = [...new Set(keywordIndexService.tokenize(query).map(stem))];
+    if (queryTerms.length === 0) {
+      return candidates.map(() => 0);
+    }
+
+    return candidates.map(candidate => {
+      const counts = {};
+      for (const term of keywordIndexService.tokenize(candidate.text)) {
+        const key = stem(term);
+        counts[key] = (counts[key] || 0) + 1;
+      }
+
+      const total = queryTerms.reduce((sum, term) => sum + (counts[term] ? 1 + Math.log(counts[term]) : 0), 0);
+      const maxPerTerm = 1 + Math.log(10);
+      return Math.min(1, total / (queryTerms.length * maxPerTerm));
+    });
+  }
+
+  /**
+   * LLM scorer: grades passages 0-10 in batches through the selected provider
+   * @param {string} query - Relevance query
+   * @param {Array<Object>} candidates - Normalized chunks
+   * @param {Object} options - { llmProvider }
+   * @returns {Promise<Array<number>>} Scores in [0, 1]
+   */
+  async scoreWithLLM(query, candidates, options = {}) {
+    const provider = llmProviderRegistry.getProvider(options.llmProvider);
+    const scores = new Array(candidates.length).fill(null);
+
+    const systemPrompt = `You are a retrieval relevance grader for maintenance documentation.
+Grade how useful each passage is for answering the query, from 0 (irrelevant) to 10 (directly answers it).
+Return ONLY a JSON array with one object per passage, no explanations.
+Example: [{"index": 0, "score": 7}]`;
+
+    for (let start = 0; start < candidates.length; start += this.llmBatchSize) {
+      const batch = candidates.slice(start, start + this.llmBatchSize);
+      const passages = batch
+        .map((candidate, offset) => `[${offset}] ${(candidate.text || '').substring(0, this.llmPassageChars).replace(/\s+/g, ' ')}`)
+        .join('\n\n');
+      const userPrompt = `Query: ${query}\n\nPassages:\n\n${passages}\n\nReturn a JSON array of {"index", "score"} for all ${batch.length} passages.`;
+
+      const response = await provider.invokeAndParseJSON(systemPrompt, userPrompt, {
+        temperature: 0,
+        maxTokens: Math.min(2000, provider.capabilities.maxOutputTokens),
+        jsonMode: provider.capabilities.jsonMode,
+        responseShape: 'array'
+      });
+
+      const grades = Array.isArray(response) ? response : (response.scores || response.results || []);
+      for (const grade of grades) {
+        const index = Number(grade?.index);
+        const score = Number(grade?.score);
+        if (Number.isInteger(index) && index >= 0 && index < batch.length && Number.isFinite(score)) {
+          scores[start + index] = Math.max(0, Math.min(10, score)) / 10;
+        }
+      }
+    }
+
+    const missing = scores.filter(score => score === null).length;
+    if (missing === candidates.length) {
+      throw new Error('LLM returned no usable relevance grades');
+    }
+    if (missing > 0) {
+      logger.warn(`LLM reranker did not grade ${missing} of ${candidates.length} passages, scoring them as 0`);
+    }
+
+    return scores.map(score => score ?? 0);
+  }
+
+  /**
+   * Rerank candidates and keep the best topK
+   * @param {Array<Object>} candidates - Normalized chunks in retrieval order ({ id, text, metadata, score })
+   * @param {Object} params - Rerank parameters
+   * @param {string} params.strategy - Scorer name
+   * @param {string} [params.queryText] - Request query
+   * @param {string} params.useCase - Use case (query fallback)
+   * @param {number} params.topK - Number of chunks to keep
+   * @param {string} [params.llmProvider] - Provider for the 'llm' scorer
+   * @returns {Promise<Object>} { chunks, metadata }
+   */
+  async rerank(candidates, { strategy, queryText = null, useCase, topK, llmProvider = null }) {
+    const query = this.buildQuery(queryText, useCase);
+    let appliedStrategy = strategy.toLowerCase();
+    const scorer = this.scorers.get(appliedStrategy);
+
+    if (!scorer) {
+      throw new Error(`Unknown rerank strategy: ${strategy}. Available strategies: ${this.listStrategies().join(', ')}`);
+    }
+
+    const rerankStart = Date.now();
+    let scores;
+    try {
+      scores = await scorer(query, candidates, { llmProvider, useCase });
+    } catch (scorerError) {
+      if (appliedStrategy === 'lexical') {
+        throw new Error(`Failed to rerank: ${scorerError.message}`);
+      }
+      logger.warn(`Rerank strategy "${appliedStrategy}" failed, falling back to lexical`, { error: scorerError.message });
+      appliedStrategy = 'lexical';
+      scores = await this.scoreLexical(query, candidates);
+    }
+
+    if (!Array.isArray(scores) || scores.length !== candidates.length) {
+      throw new Error(`Scorer "${appliedStrategy}" returned ${scores?.length ?? 0} scores for ${candidates.length} candidates`);
+    }
+
+    // Stable sort: ties keep their retrieval order
+    const reranked = candidates
+      .map((chunk, index) => ({
+        ...chunk,
+        score: scores[index],
+        retrievalScore: chunk.score ?? null,
+        retrievalRank: index + 1,
+        rerankScore: scores[index]
+      }))
+      .sort((a, b) => b.rerankScore - a.rerankScore || a.retrievalRank - b.retrievalRank)
+      .slice(0, topK);
+
+    const metadata = {
+      strategy: appliedStrategy,
+      requestedStrategy: strategy,
+      query,
+      candidates: candidates.length,
+      kept: reranked.length,
+      durationMs: Date.now() - rerankStart,
+      results: reranked.map((chunk, index) => ({
+        id: chunk.id,
+        retrievalRank: chunk.retrievalRank,
+        retrievalScore: chunk.retrievalScore,
+        rerankRank: index + 1,
+        rerankScore: chunk.rerankScore
+      }))
+    };
+
+    logger.info('Reranked retrieved chunks', {
+      strategy: appliedStrategy,
+      candidates: candidates.length,
+      kept: reranked.length,
+      durationMs: metadata.durationMs
+    });
+
+    return { chunks: reranked, metadata };
+  }
+}
+
+// Export singleton instance
+export default new RerankService();
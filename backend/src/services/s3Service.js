@@ -3,7 +3,7 @@
  * Handles all S3 operations including file uploads and presigned URL generation
  */
 
-import { S3Client, PutObjectCommand, GetObjectCommand, HeadObjectCommand } from '@aws-sdk/client-s3';
+import { S3Client, PutObjectCommand, GetObjectCommand, HeadObjectCommand, ListObjectsV2Command, DeleteObjectsCommand } from '@aws-sdk/client-s3';
 import { getSignedUrl } from '@aws-sdk/s3-request-presigner';
 import { logger } from '../utils/logger.js';
 
@@ -28,9 +28,10 @@ class S3Service {
    * @param {string} fileName - Original file name
    * @param {string} contentType - MIME type of the file
    * @param {string} fileId - Unique file identifier (UUID)
+   * @param {string} [contentHash] - SHA-256 of the file, recorded with the object
    * @returns {Promise<Object>} Upload result with S3 key and metadata
    */
-  async uploadDocument(fileBuffer, fileName, contentType, fileId) {
+  async uploadDocument(fileBuffer, fileName, contentType, fileId, contentHash = null) {
     try {
       if (!this.documentsBucket) {
         throw new Error('S3_DOCUMENTS_BUCKET or DOCUMENTS_BUCKET environment variable is not set. Please configure it in your environment variables.');
@@ -48,7 +49,8 @@ class S3Service {
         Metadata: {
           originalFileName: fileName,
           fileId: fileId,
-          uploadedAt: new Date().toISOString()
+          uploadedAt: new Date().toISOString(),
+          ...(contentHash && { contentHash })
         }
       });
 
@@ -65,7 +67,8 @@ class S3Service {
         s3Key,
         bucket: this.documentsBucket,
         fileName: sanitizedName,
-        originalFileName: fileName
+        originalFileName: fileName,
+        contentHash
       };
     } catch (error) {
       logger.error('S3 upload failed', error);
@@ -149,6 +152,39 @@ class S3Service {
     }
   }
 
+  /**
+   * Download an object from S3
+   * @param {string} bucket - S3 bucket name
+   * @param {string} key - S3 object key
+   * @returns {Promise<Object>} { body: Buffer, contentType, metadata }
+   */
+  async getObject(bucket, key) {
+    try {
+      const command = new GetObjectCommand({
+        Bucket: bucket,
+        Key: key
+      });
+
+      const response = await this.client.send(command);
+      const chunks = [];
+      for await (const chunk of response.Body) {
+        chunks.push(chunk);
+      }
+
+      return {
+        body: Buffer.concat(chunks),
+        contentType: response.ContentType,
+        metadata: response.Metadata
+      };
+    } catch (error) {
+      logger.error('Failed to download object from S3', error);
+      if (error.name === 'NoSuchKey') {
+        throw new Error(`File not found in S3: ${key}`);
+      }
+      throw new Error(`Failed to download object from S3: ${error.message}`);
+    }
+  }
+
   /**
    * Check if an object exists in S3
    * @param {string} bucket - S3 bucket name
@@ -199,6 +235,69 @@ class S3Service {
     }
   }
 
+  /**
+   * List the objects under a key prefix (all pages)
+   * @param {string} bucket - S3 bucket name
+   * @param {string} prefix - Key prefix (e.g. 'documents/')
+   * @returns {Promise<Array<Object>>} Objects { key, size, lastModified }
+   */
+  async listObjects(bucket, prefix) {
+    try {
+      const objects = [];
+      let continuationToken;
+      do {
+        const response = await this.client.send(new ListObjectsV2Command({
+          Bucket: bucket,
+          Prefix: prefix,
+          ContinuationToken: continuationToken
+        }));
+        (response.Contents || []).forEach(object => objects.push({
+          key: object.Key,
+          size: object.Size,
+          lastModified: object.LastModified
+        }));
+        continuationToken = response.IsTruncated ? response.NextContinuationToken : undefined;
+      } while (continuationToken);
+
+      return objects;
+    } catch (error) {
+      logger.error('Failed to list objects', error);
+      throw new Error(`Failed to list objects: ${error.message}`);
+    }
+  }
+
+  /**
+   * Delete every object under a key prefix
+   * @param {string} bucket - S3 bucket name
+   * @param {string} prefix - Key prefix (e.g. 'documents/{fileId}/')
+   * @returns {Promise<Object>} { deleted: number of objects deleted }
+   */
+  async deletePrefix(bucket, prefix) {
+    try {
+      const keys = (await this.listObjects(bucket, prefix)).map(object => object.key);
+
+      // DeleteObjects accepts up to 1000 keys per request
+      for (let start = 0; start < keys.length; start += 1000) {
+        const response = await this.client.send(new DeleteObjectsCommand({
+          Bucket: bucket,
+          Delete: {
+            Objects: keys.slice(start, start + 1000).map(key => ({ Key: key })),
+            Quiet: true
+          }
+        }));
+        if (response.Errors?.length > 0) {
+          throw new Error(response.Errors.map(failure => `${failure.Key}: ${failure.Message}`).join('; '));
+        }
+      }
+
+      logger.info('Deleted objects from S3', { bucket, prefix, count: keys.length });
+      return { deleted: keys.length };
+    } catch (error) {
+      logger.error('Failed to delete objects', error);
+      throw new Error(`Failed to delete objects: ${error.message}`);
+    }
+  }
+
   /**
    * Sanitize file name to remove unsafe characters
    * @param {string} fileName - Original file name
@@ -0,0 +1,136 @@
+/**
+ * Structured Output Service
+ * Validates JSON returned by chunked generation calls against the use case's response schema
+ * (config/schemas.js) and asks the model to repair responses that do not match
+ *
+ * Each call gets at most SCHEMA_REPAIR_ATTEMPTS repair rounds. A repair round sends the validation
+ * errors and the previous response back with the original prompt. Whatever still fails afterwards
+ * is returned with its errors so the generators can flag the affected fields in the output document
+ * instead of dropping them.
+ */
+
+import { logger } from '../utils/logger.js';
+import { validateAgainstSchema, formatSchemaErrors } from '../utils/schemaValidator.js';
+
+// Longest previous response echoed back in a repair prompt
+const MAX_ECHOED_RESPONSE_CHARS = 6000;
+
+// Most errors listed in a repair prompt (the model fixes the rest on the next round)
+const MAX_LISTED_ERRORS = 20;
+
+class StructuredOutputService {
+  constructor() {
+    const attempts = parseInt(process.env.SCHEMA_REPAIR_ATTEMPTS, 10);
+    this.maxRepairAttempts = Number.isFinite(attempts) && attempts >= 0 ? attempts : 2;
+
+    logger.info('StructuredOutputService initialized', {
+      maxRepairAttempts: this.maxRepairAttempts
+    });
+  }
+
+  /**
+   * Build the user prompt for a repair round
+   * @param {string} userPrompt - Original user prompt
+   * @param {*} previousResponse - Parsed response that failed validation
+   * @param {Array<Object>} errors - Errors from validateAgainstSchema
+   * @returns {string} Repair prompt
+   */
+  buildRepairPrompt(userPrompt, previousResponse, errors) {
+    const echoed = JSON.stringify(previousResponse);
+    const listed = errors.slice(0, MAX_LISTED_ERRORS).map(error => `- ${error.path} ${error.message}`);
+    if (errors.length > listed.length) {
+      listed.push(`- ...and ${errors.length - listed.length} more`);
+    }
+
+    return `${userPrompt}\n\nPlease correct your previous response. It did not match the required JSON format:\n${listed.join('\n')}\n\nPrevious response:\n${echoed.length > MAX_ECHOED_RESPONSE_CHARS ? `${echoed.substring(0, MAX_ECHOED_RESPONSE_CHARS)}...` : echoed}\n\nReturn the complete corrected JSON (every entry, not only the corrected ones), using only information from the context above. Return ONLY the JSON, no explanations.`;
+  }
+
+  /**
+   * Invoke a provider and validate the parsed JSON, repairing it up to maxRepairAttempts times
+   * @param {Object} provider - LLM provider (invokeAndParseJSON)
+   * @param {string} systemPrompt - System prompt
+   * @param {string} userPrompt - User prompt
+   * @param {Object} options - Provider options (temperature, maxTokens, jsonMode, onUsage)
+   * @param {Object|null} schema - JSON Schema for the (normalized) response; null skips validation
+   * @param {Object} [settings] - Validation settings
+   * @param {Function} [settings.normalize] - (data) => data to validate, e.g. unwrapping { items: [...] }
+   * @param {Object} [settings.validationTracker] - Tracker from createValidationTracker()
+   * @param {string} [settings.label] - Name used in logs (e.g. 'checksheet chunk 2')
+   * @returns {Promise<Object>} { data, valid, errors, repairAttempts } with data normalized
+   */
+  async invokeWithRepair(provider, systemPrompt, userPrompt, options, schema, { normalize = (data) => data, validationTracker = null, label = 'response' } = {}) {
+    let data = normalize(await provider.invokeAndParseJSON(systemPrompt, userPrompt, options));
+
+    if (!schema) {
+      return { data, valid: true, errors: [], repairAttempts: 0 };
+    }
+
+    let { valid, errors } = validateAgainstSchema(schema, data);
+    let repairAttempts = 0;
+
+    while (!valid && repairAttempts < this.maxRepairAttempts) {
+      repairAttempts++;
+      logger.warn(`Schema validation failed for ${label}, repair attempt ${repairAttempts}/${this.maxRepairAttempts}`, {
+        errors: formatSchemaErrors(errors.slice(0, 5))
+      });
+
+      let repaired;
+      try {
+        repaired = normalize(await provider.invokeAndParseJSON(systemPrompt, this.buildRepairPrompt(userPrompt, data, errors), options));
+      } catch (error) {
+        // Keep the last parsed response rather than failing the whole generation
+        logger.warn(`Repair attempt ${repairAttempts} for ${label} failed`, { error: error.message });
+        break;
+      }
+
+      const result = validateAgainstSchema(schema, repaired);
+      // A repair that makes things worse (e.g. drops most entries) is not kept
+      if (result.valid || result.errors.length <= errors.length) {
+        data = repaired;
+        ({ valid, errors } = result);
+      }
+    }
+
+    if (valid && repairAttempts > 0) {
+      logger.info(`Repaired ${label} after ${repairAttempts} attempt(s)`);
+    } else if (!valid) {
+      logger.warn(`${label} still fails schema validation after ${repairAttempts} repair attempt(s); affected fields will be flagged`, {
+        errorCount: errors.length,
+        errors: formatSchemaErrors(errors.slice(0, 5))
+      });
+    }
+
+    validationTracker?.record({ valid, repairAttempts, errors, label });
+    return { data, valid, errors, repairAttempts };
+  }
+
+  /**
+   * Create a collector for validation results across the calls of one generation
+   * @returns {Object} { record(result), flag(count), summary() }
+   */
+  createValidationTracker() {
+    const totals = { responses: 0, validResponses: 0, repairedResponses: 0, repairAttempts: 0, flaggedEntries: 0 };
+    const unresolved = [];
+
+    return {
+      record: ({ valid, repairAttempts, errors, label }) => {
+        totals.responses += 1;
+        totals.repairAttempts += repairAttempts;
+        if (valid) {
+          totals.validResponses += 1;
+          if (repairAttempts > 0) totals.repairedResponses += 1;
+        } else if (unresolved.length < 10) {
+          unresolved.push({ response: label, errors: formatSchemaErrors(errors.slice(0, 5)) });
+        }
+      },
+      // Entries kept with validationIssues
+      flag: (count) => {
+        totals.flaggedEntries += count;
+      },
+      summary: () => ({ ...totals, unresolved: [...unresolved] })
+    };
+  }
+}
+
+// Export singleton instance
+export default new StructuredOutputService();
@@ -0,0 +1,315 @@
+/**
+ * Text Extractor Service
+ * Extracts the text of non-PDF source documents (DOCX, XLSX, CSV, HTML, Markdown and plain text) in the same
+ * shape as pdfService.extractText, so ingestion, chunking and citations work the same for every format
+ *
+ * These formats have no fixed pages, so their text is laid out as Markdown lines (headings, list items,
+ * tables) and split into pages of about PAGE_CHARS characters, breaking before headings where possible and
+ * never inside a table. Spreadsheets get one page per worksheet and plain text starts a new page at every form
+ * feed. Pages have line numbers but no line boxes (metadata.pageLines holds an empty array per page). The
+ * Markdown headings give the section hierarchy (metadata.sections).
+ */
+
+import { Readable } from 'stream';
+import ExcelJS from 'exceljs';
+import { logger } from '../utils/logger.js';
+import { htmlToMarkdownLines, decodeEntities } from '../utils/htmlToMarkdown.js';
+import { markdownRow } from '../utils/tableDetector.js';
+import { detectHeadingSections } from '../utils/sectionOutline.js';
+
+// Characters per page of a document without pages (about one printed page)
+const PAGE_CHARS = 3000;
+
+// Markdown table rows ("| a | b |") and the separator row under the header ("| --- | :---: |")
+const MARKDOWN_TABLE_ROW = /^\s*\|.*\|\s*$/;
+const MARKDOWN_TABLE_SEPARATOR = /^\s*\|(\s*:?-+:?\s*\|)+\s*$/;
+
+/**
+ * Find Markdown tables in a list of lines
+ * @param {Array<string>} lines - Text lines
+ * @returns {Array<Object>} Tables [{ start, end, columns }] with 0-based line indexes (start = header row)
+ */
+const findMarkdownTables = (lines) => {
+  const tables = [];
+  let index = 0;
+  while (index < lines.length - 1) {
+    if (MARKDOWN_TABLE_ROW.test(lines[index]) && MARKDOWN_TABLE_SEPARATOR.test(lines[index + 1])) {
+      let end = index + 1;
+      while (end + 1 < lines.length && MARKDOWN_TABLE_ROW.test(lines[end + 1])) {
+        end++;
+      }
+      const columns = lines[index + 1].trim().split('|').length - 2;
+      tables.push({ start: index, end, columns });
+      index = end + 1;
+    } else {
+      index++;
+    }
+  }
+  return tables;
+};
+
+class TextExtractorService {
+  constructor() {
+    logger.info('TextExtractorService initialized', {
+      pageChars: PAGE_CHARS
+    });
+  }
+
+  /**
+   * Split text lines into pages of about PAGE_CHARS characters
+   * A page breaks early before a heading once it is half full; tables are never split across pages
+   * @param {Array<string>} lines - Text lines (Markdown)
+   * @returns {Array<Array<string>>} Lines of each page
+   */
+  paginate(lines) {
+    const tableEnds = new Map(findMarkdownTables(lines).map(table => [table.start, table.end]));
+    const pages = [];
+    let page = [];
+    let size = 0;
+
+    let index = 0;
+    while (index < lines.length) {
+      const block = lines.slice(index, (tableEnds.get(index) ?? index) + 1);
+      const blockSize = block.reduce((sum, line) => sum + line.length + 1, 0);
+      const heading = /^#{1,6}\s/.test(block[0]);
+      if (page.length > 0 && (size + blockSize > PAGE_CHARS || (heading && size > PAGE_CHARS / 2))) {
+        pages.push(page);
+        page = [];
+        size = 0;
+      }
+      page.push(...block);
+      size += blockSize;
+      index += block.length;
+    }
+    if (page.length > 0) {
+      pages.push(page);
+    }
+
+    return pages;
+  }
+
+  /**
+   * Build extracted data from page lines (the pdfService.extractText shape)
+   * @param {Array<Array<string>>} pages - Lines of each page
+   * @param {Object} metadata - Additional metadata (fileName, fileId, etc.)
+   * @param {string} format - Source format (e.g. 'docx')
+   * @param {Object} [info] - Document properties ({ title, author, ... })
+   * @returns {Object} { text, metadata }
+   * @throws {Error} If no page has any text
+   */
+  buildExtractedData(pages, metadata, format, info = {}) {
+    const pageTexts = pages.map(lines => lines.join('\n'));
+    const pagePositions = [];
+    let fullText = '';
+
+    pageTexts.forEach((pageText, index) => {
+      const startPos = fullText.length;
+      fullText += pageText + '\n';
+      pagePositions.push({
+        pageNumber: index + 1,
+        internalPageNumber: null,
+        startPos,
+        endPos: fullText.length - 2
+      });
+    });
+
+    if (fullText.trim().length === 0) {
+      logger.warn('Document contains no extractable text', { format, fileName: metadata.fileName });
+      throw new Error(`${format.toUpperCase()} document contains no extractable text`);
+    }
+
+    const pageTables = pages.map(lines => findMarkdownTables(lines).map(table => ({
+      lineStart: table.start + 1,
+      lineEnd: table.end + 1,
+      columns: table.columns
+    })));
+
+    const sections = detectHeadingSections(pageTexts);
+
+    logger.info(`Text extracted from ${format.toUpperCase()}`, {
+      textLength: fullText.length,
+      pages: pages.length,
+      tables: pageTables.reduce((count, tables) => count + tables.length, 0),
+      sections: sections.length,
+      fileName: metadata.fileName
+    });
+
+    return {
+      text: fullText.trim(),
+      metadata: {
+        ...metadata,
+        format,
+        numPages: pages.length,
+        pageTexts,
+        pagePositions,
+        pageLines: pages.map(() => []), // Line numbers without boxes: these formats have no page geometry
+        pageTables,
+        pageSizes: null,
+        pageOcrConfidence: null,
+        ocrPages: 0,
+        internalPageMap: {},
+        sections, // [{ title, level, pageNumber, line, path }] in document order
+        sectionSource: 'headings',
+        info: {
+          title: null,
+          author: null,
+          ...info
+        },
+        extractedAt: new Date().toISOString()
+      }
+    };
+  }
+
+  /**
+   * Lay out the rows of a worksheet as a Markdown table
+   * Empty rows and trailing empty columns are dropped; the first row is the header
+   * @param {Object} worksheet - ExcelJS worksheet
+   * @returns {Array<string>} Table lines (plain lines for a single column)
+   */
+  worksheetLines(worksheet) {
+    const rows = [];
+    worksheet.eachRow({ includeEmpty: false }, (row) => {
+      const cells = [];
+      row.eachCell({ includeEmpty: true }, (cell, columnNumber) => {
+        const text = cell.value instanceof Date
+          ? cell.value.toISOString().substring(0, 10)
+          : (cell.text ?? '').toString();
+        cells[columnNumber - 1] = text.replace(/\s+/g, ' ').trim();
+      });
+      const values = Array.from(cells, cell => cell || '');
+      if (values.some(cell => cell.length > 0)) {
+        rows.push(values);
+      }
+    });
+    if (rows.length === 0) {
+      return [];
+    }
+
+    const width = Math.max(...rows.map(cells => {
+      let last = cells.length;
+      while (last > 0 && cells[last - 1].length === 0) last--;
+      return last;
+    }));
+    const padded = rows.map(cells => Array.from({ length: width }, (_, index) => cells[index] || ''));
+    if (width === 1) {
+      return padded.map(([cell]) => cell);
+    }
+
+    const [header, ...body] = padded;
+    return [markdownRow(header), markdownRow(header.map(() => '---')), ...body.map(markdownRow)];
+  }
+
+  /**
+   * Extract text from a DOCX file (converted to HTML by mammoth, then to Markdown lines)
+   * @param {Buffer} buffer - DOCX file
+   * @param {Object} metadata - Additional metadata (fileName, fileId, etc.)
+   * @returns {Promise<Object>} Extracted text with metadata
+   */
+  async extractDocx(buffer, metadata = {}) {
+    try {
+      const { default: mammoth } = await import('mammoth');
+      const { value: html, messages } = await mammoth.convertToHtml({ buffer });
+      const warnings = messages.filter(message => message.type === 'warning');
+      if (warnings.length > 0) {
+        logger.debug('DOCX conversion warnings', { count: warnings.length, first: warnings[0].message });
+      }
+      return this.buildExtractedData(this.paginate(htmlToMarkdownLines(html)), metadata, 'docx');
+    } catch (error) {
+      logger.error('DOCX extraction failed', error);
+      throw new Error(`Failed to extract text from DOCX: ${error.message}`);
+    }
+  }
+
+  /**
+   * Extract text from an XLSX workbook (one page per visible worksheet, headed by the sheet name)
+   * @param {Buffer} buffer - XLSX file
+   * @param {Object} metadata - Additional metadata (fileName, fileId, etc.)
+   * @returns {Promise<Object>} Extracted text with metadata
+   */
+  async extractSpreadsheet(buffer, metadata = {}) {
+    try {
+      const workbook = new ExcelJS.Workbook();
+      await workbook.xlsx.load(buffer);
+
+      const pages = workbook.worksheets
+        .filter(worksheet => worksheet.state === 'visible')
+        .map(worksheet => {
+          const lines = this.worksheetLines(worksheet);
+          return lines.length > 0 ? [`## ${worksheet.name}`, ...lines] : [];
+        })
+        .filter(lines => lines.length > 0);
+
+      return this.buildExtractedData(pages, metadata, 'xlsx', {
+        title: workbook.title || null,
+        author: workbook.creator || null
+      });
+    } catch (error) {
+      logger.error('XLSX extraction failed', error);
+      throw new Error(`Failed to extract text from XLSX: ${error.message}`);
+    }
+  }
+
+  /**
+   * Extract text from a CSV file (one page, cell values kept as written)
+   * @param {Buffer} buffer - CSV file
+   * @param {Object} metadata - Additional metadata (fileName, fileId, etc.)
+   * @returns {Promise<Object>} Extracted text with metadata
+   */
+  async extractCsv(buffer, metadata = {}) {
+    try {
+      const workbook = new ExcelJS.Workbook();
+      const worksheet = await workbook.csv.read(Readable.from([buffer]), {
+        map: (value) => value // ExcelJS would otherwise turn numbers and dates into values
+      });
+      return this.buildExtractedData([this.worksheetLines(worksheet)], metadata, 'csv');
+    } catch (error) {
+      logger.error('CSV extraction failed', error);
+      throw new Error(`Failed to extract text from CSV: ${error.message}`);
+    }
+  }
+
+  /**
+   * Extract text from an HTML page
+   * @param {Buffer} buffer - HTML file (UTF-8)
+   * @param {Object} metadata - Additional metadata (fileName, fileId, etc.)
+   * @returns {Promise<Object>} Extracted text with metadata
+   */
+  async extractHtml(buffer, metadata = {}) {
+    try {
+      const html = buffer.toString('utf8');
+      const title = /<title\b[^>]*>([\s\S]*?)<\/title\s*>/i.exec(html);
+      return this.buildExtractedData(this.paginate(htmlToMarkdownLines(html)), metadata, 'html', {
+        title: title ? decodeEntities(title[1]).replace(/\s+/g, ' ').trim() || null : null
+      });
+    } catch (error) {
+      logger.error('HTML extraction failed', error);
+      throw new Error(`Failed to extract text from HTML: ${error.message}`);
+    }
+  }
+
+  /**
+   * Extract text from a Markdown or plain-text file
+   * Blank lines are dropped; in plain text a form feed starts a new page
+   * @param {Buffer} buffer - Text file (UTF-8)
+   * @param {Object} metadata - Additional metadata (fileName, fileId, etc.)
+   * @param {string} [format] - 'markdown' or 'txt'
+   * @returns {Promise<Object>} Extracted text with metadata
+   */
+  async extractPlainText(buffer, metadata = {}, format = 'txt') {
+    try {
+      const text = buffer.toString('utf8').replace(/^\uFEFF/, '');
+      const sections = format === 'txt' ? text.split('\f') : [text];
+      const pages = sections.flatMap(section => this.paginate(section
+        .split(/\r?\n/)
+        .map(line => line.replace(/\s+$/, ''))
+        .filter(line => line.trim().length > 0)));
+      return this.buildExtractedData(pages, metadata, format);
+    } catch (error) {
+      logger.error(`${format.toUpperCase()} extraction failed`, error);
+      throw new Error(`Failed to extract text from ${format.toUpperCase()}: ${error.message}`);
+    }
+  }
+}
+
+// Export singleton instance
+export default new TextExtractorService();
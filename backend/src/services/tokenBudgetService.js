@@ -0,0 +1,297 @@
+/**
+ * Token Budget Service
+ * Token accounting for generation: counts tokens with a per-provider tokenizer, plans how much
+ * context a request can use and how large each generation slice may be, and collects the
+ * token usage providers report back
+ *
+ * Tokenizers are pluggable: each is a synchronous function (text) => number of tokens, registered
+ * with registerTokenizer(providerName, fn). Providers with a local tokenizer register it (the
+ * OpenAI-compatible adapter registers tiktoken for models tiktoken knows). Providers whose tokenizer
+ * is only available through an API (Gemini countTokens, Bedrock CountTokens) register an async
+ * counter with registerTokenCounter(providerName, fn); calibrate() measures a sample with it and
+ * scales the approximation for the request. The approximation of each model family's subword
+ * tokenizer (whole words, long words split every few characters, punctuation as separate tokens)
+ * is the fallback for providers with neither.
+ */
+
+import { Tiktoken, getEncodingNameForModel } from 'js-tiktoken/lite';
+import cl100kBase from 'js-tiktoken/ranks/cl100k_base';
+import o200kBase from 'js-tiktoken/ranks/o200k_base';
+import { logger } from '../utils/logger.js';
+
+// Approximate characters per subword token for each built-in provider
+const CHARS_PER_TOKEN = {
+  gemini: 4,
+  bedrock: 3.5,
+  openai: 4,
+  ollama: 3.8,
+  mock: 4
+};
+
+// tiktoken encodings bundled for OpenAI models (older models fall back to the approximation)
+const TIKTOKEN_RANKS = {
+  cl100k_base: cl100kBase,
+  o200k_base: o200kBase
+};
+
+// Text measured with a provider's token counting API to calibrate the approximation
+const CALIBRATION_SAMPLE_CHARS = 20000;
+
+// Bounds of the calibration scale (outside them the measurement is treated as an error)
+const MIN_CALIBRATION_SCALE = 0.5;
+const MAX_CALIBRATION_SCALE = 2;
+
+// Tokens reserved per call for the constraint text the chunked generators append to prompts
+const CONSTRAINT_OVERHEAD_TOKENS = 150;
+
+/**
+ * Build an approximate subword tokenizer
+ * @param {number} charsPerToken - Average characters per token for word pieces
+ * @returns {Function} (text) => number of tokens
+ */
+const createApproximateTokenizer = (charsPerToken) => (text) => {
+  if (!text || typeof text !== 'string') {
+    return 0;
+  }
+
+  let tokens = 0;
+  for (const piece of text.match(/[A-Za-z]+|\d+|[^\sA-Za-z\d]/g) || []) {
+    // Digits are tokenized in short groups; words are split every few characters
+    tokens += /^\d/.test(piece) ? Math.ceil(piece.length / 3) : Math.max(1, Math.ceil(piece.length / charsPerToken));
+  }
+  return tokens;
+};
+
+/**
+ * Build an exact tokenizer for an OpenAI model with tiktoken
+ * @param {string} modelName - OpenAI model name (e.g. gpt-4o-mini)
+ * @returns {Function|null} (text) => number of tokens, or null if tiktoken does not know the model
+ */
+export const createTiktokenTokenizer = (modelName) => {
+  let encodingName;
+  try {
+    encodingName = getEncodingNameForModel(modelName);
+  } catch {
+    return null;
+  }
+  if (!TIKTOKEN_RANKS[encodingName]) {
+    return null;
+  }
+
+  const encoding = new Tiktoken(TIKTOKEN_RANKS[encodingName]);
+  return (text) => {
+    if (!text || typeof text !== 'string') {
+      return 0;
+    }
+    // Special token text in documents is counted as plain text
+    return encoding.encode(text, [], []).length;
+  };
+};
+
+class TokenBudgetService {
+  constructor() {
+    this.tokenizers = new Map();
+    this.approximateTokenizers = new Map();
+    this.tokenCounters = new Map();
+    // providerName => scale measured by calibrate()
+    this.calibrationScales = new Map();
+    this.defaultTokenizer = createApproximateTokenizer(4);
+
+    for (const [name, charsPerToken] of Object.entries(CHARS_PER_TOKEN)) {
+      this.approximateTokenizers.set(name, createApproximateTokenizer(charsPerToken));
+    }
+
+    logger.info('TokenBudgetService initialized', {
+      approximations: Array.from(this.approximateTokenizers.keys())
+    });
+  }
+
+  /**
+   * Register (or replace) the exact tokenizer for a provider
+   * @param {string} providerName - Provider name from the LLM provider registry
+   * @param {Function} tokenizer - (text) => number of tokens
+   * @returns {TokenBudgetService} The service (for chaining)
+   */
+  registerTokenizer(providerName, tokenizer) {
+    if (!providerName || typeof providerName !== 'string') {
+      throw new Error('Tokenizer provider name must be a non-empty string');
+    }
+    if (typeof tokenizer !== 'function') {
+      throw new Error(`Tokenizer for "${providerName}" must be a function`);
+    }
+
+    this.tokenizers.set(providerName.toLowerCase(), tokenizer);
+    logger.info(`Registered tokenizer: ${providerName.toLowerCase()}`);
+    return this;
+  }
+
+  /**
+   * Register (or replace) the token counting API of a provider, used to calibrate the approximation
+   * @param {string} providerName - Provider name from the LLM provider registry
+   * @param {Function} counter - async (text) => number of tokens
+   * @returns {TokenBudgetService} The service (for chaining)
+   */
+  registerTokenCounter(providerName, counter) {
+    if (!providerName || typeof providerName !== 'string') {
+      throw new Error('Token counter provider name must be a non-empty string');
+    }
+    if (typeof counter !== 'function') {
+      throw new Error(`Token counter for "${providerName}" must be a function`);
+    }
+
+    this.tokenCounters.set(providerName.toLowerCase(), counter);
+    logger.info(`Registered token counter: ${providerName.toLowerCase()}`);
+    return this;
+  }
+
+  /**
+   * Check whether a provider counts tokens exactly (with a registered tokenizer)
+   * @param {string} providerName - Provider name
+   * @returns {boolean} True if exact
+   */
+  hasExactTokenizer(providerName) {
+    return this.tokenizers.has((providerName || '').toLowerCase());
+  }
+
+  /**
+   * Get the tokenizer for a provider: its exact tokenizer, else its approximation scaled by the
+   * last calibration, else the generic approximation
+   * @param {string} providerName - Provider name
+   * @returns {Function} (text) => number of tokens
+   */
+  getTokenizer(providerName) {
+    const key = (providerName || '').toLowerCase();
+    if (this.tokenizers.has(key)) {
+      return this.tokenizers.get(key);
+    }
+
+    const approximate = this.approximateTokenizers.get(key) || this.defaultTokenizer;
+    const scale = this.calibrationScales.get(key);
+    return scale ? (text) => Math.ceil(approximate(text) * scale) : approximate;
+  }
+
+  /**
+   * Calibrate the approximation of a provider against its token counting API
+   * Measures the sample (e.g. the prompt and the first retrieved chunks of a request) with the API once;
+   * does nothing for providers with an exact tokenizer or without a counter. If the API fails, the
+   * approximation is used as is.
+   * @param {string} providerName - Provider name
+   * @param {string} sampleText - Text representative of the request
+   * @returns {Promise<number|null>} Scale applied to the approximation, or null if not calibrated
+   */
+  async calibrate(providerName, sampleText) {
+    const key = (providerName || '').toLowerCase();
+    const counter = this.tokenCounters.get(key);
+    const sample = (sampleText || '').slice(0, CALIBRATION_SAMPLE_CHARS);
+    if (!counter || this.tokenizers.has(key) || !sample.trim()) {
+      return null;
+    }
+
+    try {
+      const exactTokens = await counter(sample);
+      const approximateTokens = (this.approximateTokenizers.get(key) || this.defaultTokenizer)(sample);
+      const scale = exactTokens / approximateTokens;
+
+      if (!Number.isFinite(scale) || scale < MIN_CALIBRATION_SCALE || scale > MAX_CALIBRATION_SCALE) {
+        logger.warn('Ignoring token calibration outside bounds', { providerName: key, exactTokens, approximateTokens });
+        return null;
+      }
+
+      this.calibrationScales.set(key, scale);
+      logger.info('Calibrated token approximation', { providerName: key, exactTokens, approximateTokens, scale });
+      return scale;
+    } catch (error) {
+      logger.warn(`Token counting API failed for ${key}, using the approximation`, { error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Count tokens for a provider
+   * @param {string} text - Text to count
+   * @param {string} providerName - Provider name
+   * @returns {number} Token count
+   */
+  countTokens(text, providerName) {
+    return this.getTokenizer(providerName)(text);
+  }
+
+  /**
+   * Output tokens to request per generation call
+   * @param {Object} provider - LLM provider from the registry
+   * @returns {number} Output token budget per call
+   */
+  getOutputTokensPerCall(provider) {
+    const configured = parseInt(process.env.GENERATION_OUTPUT_TOKENS) || 8000;
+    return Math.min(configured, provider.capabilities.maxOutputTokens);
+  }
+
+  /**
+   * Plan the token budget for a chunked generation request
+   * @param {Object} params - Planning parameters
+   * @param {string} params.providerName - Provider name
+   * @param {Object} params.provider - LLM provider from the registry
+   * @param {string} params.systemPrompt - System prompt
+   * @param {string} params.userTemplate - User prompt with the {context} placeholder
+   * @returns {Object} Budget { contextWindowTokens, outputTokensPerCall, promptOverheadTokens, sliceTokens, maxSlices, contextTokens }
+   */
+  planBudget({ providerName, provider, systemPrompt, userTemplate }) {
+    const contextWindowTokens = provider.capabilities.contextWindowTokens || 8192;
+    const outputTokensPerCall = this.getOutputTokensPerCall(provider);
+    const promptOverheadTokens = this.countTokens(systemPrompt, providerName) +
+      this.countTokens((userTemplate || '').replace('{context}', ''), providerName) +
+      CONSTRAINT_OVERHEAD_TOKENS;
+
+    // Keep a 5% margin for tokenizer error
+    const availablePerCall = Math.floor(contextWindowTokens * 0.95) - outputTokensPerCall - promptOverheadTokens;
+    if (availablePerCall <= 0) {
+      throw new Error(`Prompt does not fit the ${providerName} context window: ${promptOverheadTokens} prompt tokens + ${outputTokensPerCall} output tokens > ${contextWindowTokens} tokens`);
+    }
+
+    // Slice size: GENERATION_SLICE_TOKENS, or ~1% of the context window bounded by GENERATION_SLICE_MAX_TOKENS
+    const configuredSlice = parseInt(process.env.GENERATION_SLICE_TOKENS);
+    const maxSliceTokens = parseInt(process.env.GENERATION_SLICE_MAX_TOKENS) || 375;
+    const scaledSlice = Math.max(75, Math.min(maxSliceTokens, Math.round(contextWindowTokens * 0.01)));
+    const sliceTokens = Math.min(configuredSlice > 0 ? configuredSlice : scaledSlice, availablePerCall);
+
+    // Total context: MAX_CONTEXT_TOKENS, else the legacy MAX_CONTEXT_CHARS converted, capped by the slice count limit
+    const maxSlices = parseInt(process.env.GENERATION_MAX_SLICES) || 15;
+    const legacyChars = parseInt(process.env.MAX_CONTEXT_CHARS);
+    const configuredContext = parseInt(process.env.MAX_CONTEXT_TOKENS) ||
+      (legacyChars > 0 ? Math.ceil(legacyChars / (CHARS_PER_TOKEN[providerName] || 4)) : 1000);
+    const contextTokens = Math.min(configuredContext, sliceTokens * maxSlices);
+
+    const budget = {
+      contextWindowTokens,
+      outputTokensPerCall,
+      promptOverheadTokens,
+      sliceTokens,
+      maxSlices,
+      contextTokens
+    };
+
+    logger.info('Planned token budget', { providerName, ...budget });
+    return budget;
+  }
+
+  /**
+   * Create a collector for the usage providers report through the onUsage option
+   * @returns {Object} { record(usage), summary() }
+   */
+  createUsageTracker() {
+    const totals = { calls: 0, promptTokens: 0, outputTokens: 0, totalTokens: 0 };
+
+    return {
+      record: (usage) => {
+        totals.calls += 1;
+        totals.promptTokens += usage?.promptTokens || 0;
+        totals.outputTokens += usage?.outputTokens || 0;
+        totals.totalTokens += usage?.totalTokens || (usage?.promptTokens || 0) + (usage?.outputTokens || 0);
+      },
+      summary: () => ({ ...totals })
+    };
+  }
+}
+
+// Export singleton instance
+export default new TokenBudgetService();
@@ -0,0 +1,359 @@
+/**
+ * Use Case Registry
+ * Built-in use cases plus user-defined use cases registered at runtime
+ *
+ * A custom use case has three parts, stored as JSON in S3:
+ * - itemSchema: JSON Schema for one generated item (generation output is an array of items)
+ * - prompt: { system, userTemplate } with a {context} placeholder (also added to the prompt library)
+ * - output: declarative mapping to a generic renderer, either
+ *   { format: 'excel', worksheetName, columns: [{ field, header, width }] } or
+ *   { format: 'docx', title, headingField, sections: [{ field, label }] }
+ */
+
+import { S3Client, GetObjectCommand, PutObjectCommand } from '@aws-sdk/client-s3';
+import { logger } from '../utils/logger.js';
+import { checkSchema } from '../utils/schemaValidator.js';
+import { USE_CASE_ID_PATTERN } from '../utils/validators.js';
+import { upsertDefaultPrompt, deletePromptLibrary } from './promptLibraryService.js';
+
+const s3Client = new S3Client({ region: process.env.AWS_REGION || 'us-east-1' });
+const USE_CASES_BUCKET = process.env.PROMPTS_BUCKET || process.env.S3_DOCUMENTS_BUCKET || 'genai-documents-shubham';
+const USE_CASES_KEY = 'use-cases/custom-use-cases.json';
+
+export const BUILT_IN_USE_CASES = {
+  checksheet: { name: 'Checksheet', description: 'Excel inspection checksheet', format: 'excel' },
+  workInstructions: { name: 'Work Instructions', description: 'Word step-by-step work instructions', format: 'docx' },
+  summary: { name: 'Document Summary', description: 'Word summary report', format: 'docx' },
+  analysis: { name: 'Document Analysis', description: 'Word analysis report with findings', format: 'docx' },
+  extraction: { name: 'Data Extraction', description: 'Excel table of extracted values', format: 'excel' }
+};
+
+const OUTPUT_FORMATS = ['excel', 'docx'];
+
+class UseCaseRegistry {
+  constructor() {
+    logger.info('UseCaseRegistry initialized', {
+      builtIn: Object.keys(BUILT_IN_USE_CASES),
+      bucket: USE_CASES_BUCKET
+    });
+  }
+
+  /**
+   * Check whether a use case is built in
+   * @param {string} useCase - Use case ID
+   * @returns {boolean} True for checksheet, workInstructions, summary, analysis and extraction
+   */
+  isBuiltIn(useCase) {
+    return Object.prototype.hasOwnProperty.call(BUILT_IN_USE_CASES, useCase);
+  }
+
+  /**
+   * Load custom use case definitions from S3
+   * @returns {Promise<Object>} Map of use case ID => definition (empty if none are stored)
+   * @throws {Error} If the definitions exist but cannot be read
+   */
+  async loadDefinitions() {
+    try {
+      const response = await s3Client.send(new GetObjectCommand({
+        Bucket: USE_CASES_BUCKET,
+        Key: USE_CASES_KEY
+      }));
+      return JSON.parse(await response.Body.transformToString());
+    } catch (error) {
+      if (error.name === 'NoSuchKey' || error.$metadata?.httpStatusCode === 404) {
+        return {};
+      }
+      // Anything else must not look like "no use cases": register and delete would save the empty map over them
+      logger.error('Error loading custom use cases from S3', error);
+      throw new Error(`Failed to load custom use cases: ${error.message}`);
+    }
+  }
+
+  /**
+   * Save custom use case definitions to S3
+   * @param {Object} definitions - Map of use case ID => definition
+   * @returns {Promise<void>}
+   */
+  async saveDefinitions(definitions) {
+    try {
+      await s3Client.send(new PutObjectCommand({
+        Bucket: USE_CASES_BUCKET,
+        Key: USE_CASES_KEY,
+        Body: JSON.stringify(definitions, null, 2),
+        ContentType: 'application/json'
+      }));
+    } catch (error) {
+      logger.error('Error saving custom use cases to S3', error);
+      throw new Error(`Failed to save custom use cases: ${error.message}`);
+    }
+  }
+
+  /**
+   * Validate a custom use case definition
+   * @param {Object} definition - Use case definition
+   * @throws {Error} If the definition is invalid
+   */
+  validateDefinition(definition) {
+    if (!definition || typeof definition !== 'object') {
+      throw new Error('Use case definition must be an object');
+    }
+
+    const { id, name, itemSchema, prompt, output } = definition;
+
+    if (typeof id !== 'string' || !USE_CASE_ID_PATTERN.test(id)) {
+      throw new Error('id must be 3-50 letters, digits or hyphens, starting with a letter');
+    }
+    if (this.isBuiltIn(id)) {
+      throw new Error(`${id} is a built-in use case and cannot be redefined`);
+    }
+    if (!name || typeof name !== 'string') {
+      throw new Error('name is required');
+    }
+
+    const schemaError = checkSchema(itemSchema);
+    if (schemaError) {
+      throw new Error(`itemSchema: ${schemaError}`);
+    }
+    if (itemSchema.type !== 'object' || !itemSchema.properties || Object.keys(itemSchema.properties).length === 0) {
+      throw new Error('itemSchema must describe an object with properties');
+    }
+
+    if (!prompt || typeof prompt.system !== 'string' || !prompt.system.trim()) {
+      throw new Error('prompt.system is required');
+    }
+    if (typeof prompt.userTemplate !== 'string' || !prompt.userTemplate.includes('{context}')) {
+      throw new Error('prompt.userTemplate must contain the {context} placeholder');
+    }
+
+    if (!output || !OUTPUT_FORMATS.includes(output.format)) {
+      throw new Error(`output.format must be one of: ${OUTPUT_FORMATS.join(', ')}`);
+    }
+
+    const properties = Object.keys(itemSchema.properties);
+    const checkField = (field, where) => {
+      if (!properties.includes(field)) {
+        throw new Error(`${where} references "${field}", which is not a property of itemSchema`);
+      }
+    };
+
+    if (output.format === 'excel') {
+      if (!Array.isArray(output.columns) || output.columns.length === 0) {
+        throw new Error('output.columns must be a non-empty array for excel output');
+      }
+      output.columns.forEach((column, index) => checkField(column?.field, `output.columns[${index}]`));
+    } else {
+      if (!Array.isArray(output.sections) || output.sections.length === 0) {
+        throw new Error('output.sections must be a non-empty array for docx output');
+      }
+      output.sections.forEach((section, index) => checkField(section?.field, `output.sections[${index}]`));
+      if (output.headingField) {
+        checkField(output.headingField, 'output.headingField');
+      }
+    }
+  }
+
+  /**
+   * Register (or replace) a custom use case
+   * Its prompt becomes the default prompt of the use case's prompt library
+   * @param {Object} definition - { id, name, description, itemSchema, prompt, output }
+   * @returns {Promise<Object>} Stored definition
+   */
+  async registerUseCase(definition) {
+    this.validateDefinition(definition);
+
+    const definitions = await this.loadDefinitions();
+    const now = new Date().toISOString();
+    const stored = {
+      id: definition.id,
+      name: definition.name,
+      description: definition.description || '',
+      itemSchema: definition.itemSchema,
+      prompt: {
+        system: definition.prompt.system,
+        userTemplate: definition.prompt.userTemplate
+      },
+      output: definition.output,
+      createdAt: definitions[definition.id]?.createdAt || now,
+      updatedAt: now
+    };
+
+    definitions[stored.id] = stored;
+    await this.saveDefinitions(definitions);
+    await upsertDefaultPrompt(stored.id, {
+      name: stored.name,
+      description: stored.description,
+      system: stored.prompt.system,
+      userTemplate: stored.prompt.userTemplate,
+      tags: ['custom']
+    });
+
+    logger.info(`Registered custom use case: ${stored.id}`, { format: stored.output.format });
+    return stored;
+  }
+
+  /**
+   * Check whether a use case exists (built-in or registered)
+   * @param {string} useCase - Use case ID
+   * @returns {Promise<boolean>} True if it exists
+   */
+  async hasUseCase(useCase) {
+    if (this.isBuiltIn(useCase)) {
+      return true;
+    }
+    return !!(await this.getUseCase(useCase));
+  }
+
+  /**
+   * Get a custom use case definition
+   * @param {string} useCase - Use case ID
+   * @returns {Promise<Object|null>} Definition, or null for built-in or unknown use cases
+   */
+  async getUseCase(useCase) {
+    if (typeof useCase !== 'string' || this.isBuiltIn(useCase)) {
+      return null;
+    }
+    const definitions = await this.loadDefinitions();
+    return definitions[useCase] || null;
+  }
+
+  /**
+   * List built-in and custom use cases
+   * @returns {Promise<Array<Object>>} Array of { id, name, description, builtIn, output: { format } }
+   */
+  async listUseCases() {
+    const definitions = await this.loadDefinitions();
+    return [
+      ...Object.entries(BUILT_IN_USE_CASES).map(([id, useCase]) => ({
+        id,
+        name: useCase.name,
+        description: useCase.description,
+        builtIn: true,
+        output: { format: useCase.format }
+      })),
+      ...Object.values(definitions).map(definition => ({
+        id: definition.id,
+        name: definition.name,
+        description: definition.description,
+        builtIn: false,
+        output: { format: definition.output.format }
+      }))
+    ];
+  }
+
+  /**
+   * Delete a custom use case and its prompt library
+   * @param {string} useCase - Use case ID
+   * @returns {Promise<boolean>} False if no such custom use case exists
+   */
+  async deleteUseCase(useCase) {
+    if (this.isBuiltIn(useCase)) {
+      throw new Error(`${useCase} is a built-in use case and cannot be deleted`);
+    }
+
+    const definitions = await this.loadDefinitions();
+    if (!definitions[useCase]) {
+      return false;
+    }
+
+    delete definitions[useCase];
+    await this.saveDefinitions(definitions);
+    await deletePromptLibrary(useCase);
+
+    logger.info(`Deleted custom use case: ${useCase}`);
+    return true;
+  }
+
+  /**
+   * Build a one-line example item from the item schema, for the chunked generation constraints
+   * @param {Object} itemSchema - JSON Schema of one item
+   * @returns {Object} Example item
+   */
+  buildExampleItem(itemSchema) {
+    const exampleFor = (schema = {}) => {
+      if (schema.examples?.length) return schema.examples[0];
+      if (schema.enum?.length) return schema.enum[0];
+      const type = Array.isArray(schema.type) ? schema.type[0] : schema.type;
+      switch (type) {
+        case 'number':
+        case 'integer':
+          return 1;
+        case 'boolean':
+          return true;
+        case 'array':
+          return [exampleFor(schema.items)];
+        case 'object':
+          return Object.fromEntries(Object.entries(schema.properties || {}).map(([key, value]) => [key, exampleFor(value)]));
+        default:
+          return schema.description ? schema.description.substring(0, 40) : 'Brief';
+      }
+    };
+    return exampleFor(itemSchema);
+  }
+
+  /**
+   * Map generated items to rows and columns for excelService.generateExcel
+   * A Source Reference column is appended unless the mapping already has one
+   * @param {Object} definition - Custom use case definition (excel output)
+   * @param {Array<Object>} items - Generated items
+   * @returns {Object} { worksheetName, columns: [{ header, key, width }], rows } (rows keep validationIssues)
+   */
+  toExcelData(definition, items) {
+    const columns = definition.output.columns.map(column => ({
+      header: column.header || column.field,
+      key: column.field,
+      width: column.width || 20
+    }));
+    if (!columns.some(column => column.key === 'source')) {
+      columns.push({ header: 'Source Reference', key: 'source', width: 35 });
+    }
+
+    const rows = items.map(item => ({
+      ...Object.fromEntries(columns.map(column => {
+        const value = item[column.key];
+        return [column.key, Array.isArray(value) ? value.join('; ') : value ?? ''];
+      })),
+      // Highlighted by excelService.generateExcel
+      ...(item.validationIssues && { validationIssues: item.validationIssues })
+    }));
+
+    return {
+      worksheetName: (definition.output.worksheetName || definition.name).substring(0, 31),
+      columns,
+      rows
+    };
+  }
+
+  /**
+   * Map generated items to the { title, content } shape of docxService.generateDocument
+   * Each item becomes a heading followed by one "Label: value" paragraph per mapped section
+   * (and a "Needs review" note if fields failed schema validation)
+   * @param {Object} definition - Custom use case definition (docx output)
+   * @param {Array<Object>} items - Generated items
+   * @returns {Object} { title, content }
+   */
+  toDocumentData(definition, items) {
+    const { title, headingField, sections } = definition.output;
+    const content = [];
+
+    items.forEach((item, index) => {
+      content.push({ heading: `${index + 1}. ${(headingField && item[headingField]) || `Item ${index + 1}`}` });
+      sections.forEach(section => {
+        const value = item[section.field];
+        if (value !== undefined && value !== null && value !== '') {
+          content.push(`${section.label || section.field}: ${Array.isArray(value) ? value.join('; ') : value}`);
+        }
+      });
+      if (item.source) {
+        content.push(`Source: ${item.source}`);
+      }
+      if (item.validationIssues) {
+        content.push({ validationIssues: item.validationIssues });
+      }
+    });
+
+    return { title: title || definition.name, content };
+  }
+}
+
+// Export singleton instance
+export default new UseCaseRegistry();
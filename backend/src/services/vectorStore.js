@@ -0,0 +1,266 @@
+/**
+ * Vector Store
+ * Common interface over the supported vector databases
+ *
+ * Every store implements the same contract and returns chunks normalized to
+ * { id, text, metadata, score } so callers never need to know which backend is in use:
+ * - upsertChunks(chunksWithEmbeddings, fileId) => Promise<Object>
+ * - query(documentIds, { queryText, queryEmbedding, topK }) => Promise<Array<Object>>
+ * - getChunksByFileId(fileId, limit) => Promise<Array<Object>>
+ * - deleteByFileId(fileId) => Promise<Object>
+ * - getStats() => Promise<Object>
+ */
+
+import pineconeService from './pineconeService.js';
+import chromaService from './chromaService.js';
+import localVectorService from './localVectorService.js';
+import embeddingService from './embeddingService.js';
+import { logger } from '../utils/logger.js';
+
+// Largest topK Pinecone accepts for queries that include metadata
+const PINECONE_MAX_TOP_K = 1000;
+
+export class VectorStore {
+  /**
+   * @param {string} name - Store name used in logs and results
+   */
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Normalize a backend-specific result to { id, text, metadata, score }
+   * @param {Object} result - Raw result from the underlying service
+   * @returns {Object} Normalized chunk
+   */
+  normalizeResult(result) {
+    const metadata = result.metadata || {};
+    return {
+      id: result.id,
+      text: result.text || metadata.text || '',
+      metadata,
+      score: typeof result.score === 'number' ? result.score : null
+    };
+  }
+
+  /**
+   * Store chunks that already carry their embedding
+   * @param {Array<Object>} chunksWithEmbeddings - Chunks from embeddingService.generateEmbeddingsForChunks
+   * @param {string} fileId - File identifier
+   * @returns {Promise<Object>} Upsert result
+   */
+  async upsertChunks(chunksWithEmbeddings, fileId) {
+    throw new Error(`Vector store "${this.name}" does not implement upsertChunks()`);
+  }
+
+  /**
+   * Retrieve chunks for a set of documents, ranked by similarity when a query is given
+   * @param {Array<string>} documentIds - Document IDs to filter by
+   * @param {Object} options - Query options
+   * @param {string} [options.queryText] - Query text
+   * @param {Array<number>} [options.queryEmbedding] - Pre-computed query embedding
+   * @param {number} [options.topK] - Number of results (default: 10)
+   * @returns {Promise<Array<Object>>} Normalized chunks
+   */
+  async query(documentIds, options = {}) {
+    throw new Error(`Vector store "${this.name}" does not implement query()`);
+  }
+
+  /**
+   * Get stored chunks for a single file (no ranking)
+   * @param {string} fileId - File identifier
+   * @param {number} limit - Maximum number of chunks (default: 1000)
+   * @returns {Promise<Array<Object>>} Normalized chunks
+   */
+  async getChunksByFileId(fileId, limit = 1000) {
+    throw new Error(`Vector store "${this.name}" does not implement getChunksByFileId()`);
+  }
+
+  /**
+   * Delete all chunks of a file
+   * @param {string} fileId - File identifier
+   * @returns {Promise<Object>} Delete result
+   */
+  async deleteByFileId(fileId) {
+    throw new Error(`Vector store "${this.name}" does not implement deleteByFileId()`);
+  }
+
+  /**
+   * Get store statistics
+   * @returns {Promise<Object>} Store statistics
+   */
+  async getStats() {
+    throw new Error(`Vector store "${this.name}" does not implement getStats()`);
+  }
+}
+
+export class PineconeVectorStore extends VectorStore {
+  constructor() {
+    super('pinecone');
+  }
+
+  async upsertChunks(chunksWithEmbeddings, fileId) {
+    const embeddings = chunksWithEmbeddings.map(chunk => chunk.embedding);
+    return pineconeService.upsertChunksWithEmbeddings(chunksWithEmbeddings, embeddings, fileId);
+  }
+
+  async query(documentIds, { queryText = null, queryEmbedding = null, topK = 10 } = {}) {
+    // Pinecone only accepts vectors, so embed the query text if no embedding was supplied
+    let vector = queryEmbedding;
+    if (!vector && queryText) {
+      vector = await embeddingService.generateEmbedding(queryText, 'RETRIEVAL_QUERY');
+    }
+
+    const results = await pineconeService.queryByDocumentIds(documentIds, vector, topK);
+    return results.map(result => this.normalizeResult(result));
+  }
+
+  async getChunksByFileId(fileId, limit = 1000) {
+    // Pinecone rejects topK above 1000 when metadata is included, so read the file in windows of chunkIndex
+    // (each window holds at most one chunk per index) until a window comes back empty
+    const zeroVector = new Array(embeddingService.dimension).fill(0);
+    const chunks = [];
+    for (let start = 0; chunks.length < limit; start += PINECONE_MAX_TOP_K) {
+      const pageSize = Math.min(PINECONE_MAX_TOP_K, limit - chunks.length);
+      const results = await pineconeService.queryVectors(zeroVector, pageSize, {
+        fileId: { $eq: fileId },
+        chunkIndex: { $gte: start, $lt: start + pageSize }
+      });
+      const matches = results.matches || [];
+      if (matches.length === 0) {
+        break;
+      }
+      chunks.push(...matches.map(match => this.normalizeResult(match)));
+    }
+    return chunks;
+  }
+
+  async deleteByFileId(fileId) {
+    await pineconeService.deleteVectorsByFilter({ fileId: { $eq: fileId } });
+    return { deleted: true, fileId };
+  }
+
+  async getStats() {
+    return pineconeService.getStats();
+  }
+}
+
+export class ChromaVectorStore extends VectorStore {
+  constructor() {
+    super('chromadb');
+  }
+
+  normalizeResult(result) {
+    const normalized = super.normalizeResult(result);
+    if (normalized.score === null && typeof result.distance === 'number') {
+      normalized.score = 1 - result.distance;
+    }
+    return normalized;
+  }
+
+  async upsertChunks(chunksWithEmbeddings, fileId) {
+    const embeddings = chunksWithEmbeddings.map(chunk => chunk.embedding);
+    return chromaService.upsertChunksWithEmbeddings(chunksWithEmbeddings, embeddings, fileId);
+  }
+
+  async query(documentIds, { queryText = null, queryEmbedding = null, topK = 10 } = {}) {
+    // Reuse a pre-computed embedding instead of letting chromaService embed the text again
+    const results = queryEmbedding
+      ? await chromaService.queryByVector(queryEmbedding, documentIds, topK)
+      : await chromaService.queryByDocumentIds(documentIds, queryText, topK);
+    return results.map(result => this.normalizeResult(result));
+  }
+
+  async getChunksByFileId(fileId, limit = 1000) {
+    const collection = await chromaService.connect();
+    const results = await collection.get({ where: { fileId }, limit });
+
+    return (results.ids || []).map((id, index) => this.normalizeResult({
+      id,
+      text: results.documents?.[index],
+      metadata: results.metadatas?.[index] || {}
+    }));
+  }
+
+  async deleteByFileId(fileId) {
+    return chromaService.deleteByFileId(fileId);
+  }
+
+  async getStats() {
+    return chromaService.getStats();
+  }
+}
+
+export class LocalVectorStore extends VectorStore {
+  constructor() {
+    super('local');
+  }
+
+  async upsertChunks(chunksWithEmbeddings, fileId) {
+    const embeddings = chunksWithEmbeddings.map(chunk => chunk.embedding);
+    return localVectorService.upsertChunksWithEmbeddings(chunksWithEmbeddings, embeddings, fileId);
+  }
+
+  async query(documentIds, { queryText = null, queryEmbedding = null, topK = 10 } = {}) {
+    const results = await localVectorService.queryByDocumentIds(documentIds, queryEmbedding || queryText, topK);
+    return results.map(result => this.normalizeResult(result));
+  }
+
+  async getChunksByFileId(fileId, limit = 1000) {
+    const results = await localVectorService.getChunksByFileId(fileId);
+    return results.slice(0, limit).map(result => this.normalizeResult(result));
+  }
+
+  async deleteByFileId(fileId) {
+    return localVectorService.deleteByFileId(fileId);
+  }
+
+  async getStats() {
+    return localVectorService.getStats();
+  }
+}
+
+export class LangchainVectorStore extends VectorStore {
+  /**
+   * @param {VectorStore} nativeStore - Native store for operations Langchain does not cover (lookup, delete, stats)
+   */
+  constructor(nativeStore) {
+    super('langchain');
+    this.nativeStore = nativeStore;
+  }
+
+  /**
+   * Lazily load the Langchain service (heavy dependency tree)
+   * @returns {Promise<Object>} Langchain service singleton
+   */
+  async getService() {
+    return (await import('./langchainService.js')).default;
+  }
+
+  async upsertChunks(chunksWithEmbeddings, fileId) {
+    const langchainService = await this.getService();
+    const ids = await langchainService.addDocuments(chunksWithEmbeddings, fileId);
+    return { upsertedCount: ids.length };
+  }
+
+  async query(documentIds, { queryText = null, topK = 10 } = {}) {
+    const langchainService = await this.getService();
+    const query = queryText || 'document content'; // Langchain needs a query string
+    const results = await langchainService.similaritySearch(query, documentIds, topK);
+    return results.map(result => this.normalizeResult(result));
+  }
+
+  async getChunksByFileId(fileId, limit = 1000) {
+    return this.nativeStore.getChunksByFileId(fileId, limit);
+  }
+
+  async deleteByFileId(fileId) {
+    // langchainService.deleteByFileId is a no-op, so delete through the underlying store
+    logger.info(`Deleting Langchain vectors for ${fileId} via ${this.nativeStore.name}`);
+    return this.nativeStore.deleteByFileId(fileId);
+  }
+
+  async getStats() {
+    return this.nativeStore.getStats();
+  }
+}
@@ -0,0 +1,111 @@
+/**
+ * Vector Store Factory
+ * Single place that decides which vector database backs retrieval, ingestion and deletion
+ *
+ * Selection order:
+ * - USE_LANGCHAIN=true wraps the VECTOR_DB store with Langchain
+ * - otherwise VECTOR_DB (pinecone | chromadb | local), defaulting to chromadb
+ */
+
+import {
+  PineconeVectorStore,
+  ChromaVectorStore,
+  LocalVectorStore,
+  LangchainVectorStore
+} from './vectorStore.js';
+import { logger } from '../utils/logger.js';
+
+class VectorStoreFactory {
+  constructor() {
+    this.factories = new Map();
+    this.instances = new Map();
+  }
+
+  /**
+   * Register (or replace) a vector store
+   * @param {string} name - Store name used in VECTOR_DB (e.g. 'pinecone')
+   * @param {Function} create - Factory returning a VectorStore instance; called once, on first use
+   * @returns {VectorStoreFactory} The factory (for chaining)
+   */
+  registerStore(name, create) {
+    if (!name || typeof name !== 'string') {
+      throw new Error('Vector store name must be a non-empty string');
+    }
+    if (typeof create !== 'function') {
+      throw new Error(`Vector store "${name}" must be registered with a factory function`);
+    }
+
+    const key = name.toLowerCase();
+    this.factories.set(key, create);
+    this.instances.delete(key);
+
+    return this;
+  }
+
+  /**
+   * Check whether a store is registered
+   * @param {string} name - Store name
+   * @returns {boolean} True if registered
+   */
+  hasStore(name) {
+    return typeof name === 'string' && this.factories.has(name.toLowerCase());
+  }
+
+  /**
+   * Get the configured store name from the environment
+   * @returns {string} Store name
+   */
+  getDefaultStoreName() {
+    if (process.env.USE_LANGCHAIN === 'true') {
+      return 'langchain';
+    }
+    return (process.env.VECTOR_DB || 'chromadb').toLowerCase();
+  }
+
+  /**
+   * Resolve a store by name (instances are cached per process)
+   * @param {string} [name] - Store name, defaults to the configured store
+   * @returns {VectorStore} Store instance
+   */
+  getStore(name = null) {
+    const key = (name || this.getDefaultStoreName()).toLowerCase();
+
+    if (!this.instances.has(key)) {
+      const create = this.factories.get(key);
+      if (!create) {
+        throw new Error(`Unknown vector store: ${key}. Available stores: ${this.listStoreNames().join(', ')}`);
+      }
+
+      const store = create();
+      this.instances.set(key, store);
+      logger.info(`Vector store initialized: ${key}`);
+    }
+
+    return this.instances.get(key);
+  }
+
+  /**
+   * List registered store names
+   * @returns {Array<string>} Store names
+   */
+  listStoreNames() {
+    return Array.from(this.factories.keys());
+  }
+}
+
+const vectorStoreFactory = new VectorStoreFactory();
+
+// Built-in stores
+vectorStoreFactory
+  .registerStore('pinecone', () => new PineconeVectorStore())
+  .registerStore('chromadb', () => new ChromaVectorStore())
+  .registerStore('chroma', () => vectorStoreFactory.getStore('chromadb'))
+  .registerStore('local', () => new LocalVectorStore())
+  .registerStore('langchain', () => {
+    // Langchain reads VECTOR_DB itself; the native store covers lookups and deletes
+    const nativeName = (process.env.VECTOR_DB || 'chromadb').toLowerCase();
+    return new LangchainVectorStore(vectorStoreFactory.getStore(nativeName));
+  });
+
+// Export singleton instance
+export default vectorStoreFactory;
@@ -0,0 +1,85 @@
+/**
+ * Admin Authorization Utility
+ * Guards admin-only routes (registering, replacing and deleting use cases)
+ *
+ * A request is an admin request if any of these holds:
+ * - API Gateway validated the admin API key for it: requestContext.identity.apiKeyId is the ID of that key, as
+ *   configured in ADMIN_API_KEY_ID (any other key of the API, e.g. one of a usage plan, is not an admin key)
+ * - an authorizer put the caller in the admin group (cognito:groups or groups claim)
+ * - its X-Api-Key header matches the ADMIN_API_KEY environment variable (used when running locally through Express)
+ * Without any of these, admin routes are refused, including when ADMIN_API_KEY_ID and ADMIN_API_KEY are not set.
+ */
+
+import { timingSafeEqual } from 'crypto';
+import { createErrorResponse } from './errorHandler.js';
+import { logger } from './logger.js';
+
+// Authorizer group that may manage use cases
+const ADMIN_GROUP = process.env.ADMIN_GROUP || 'admin';
+
+/**
+ * Compare two secrets in constant time
+ * @param {string} provided - Value sent by the client
+ * @param {string} expected - Configured value
+ * @returns {boolean} True if equal
+ */
+const secretsMatch = (provided, expected) => {
+  const a = Buffer.from(String(provided));
+  const b = Buffer.from(String(expected));
+  return a.length === b.length && timingSafeEqual(a, b);
+};
+
+/**
+ * Get the groups an authorizer put the caller in
+ * @param {Object} event - API Gateway event
+ * @returns {Array<string>} Group names (empty without an authorizer)
+ */
+const authorizerGroupsOf = (event) => {
+  const authorizer = event.requestContext?.authorizer || {};
+  const claims = authorizer.claims || authorizer.jwt?.claims || authorizer;
+  const groups = claims['cognito:groups'] ?? claims.groups ?? [];
+  if (Array.isArray(groups)) {
+    return groups;
+  }
+  // REST API authorizers pass claims as strings, e.g. "admin,editors" or "[admin editors]"
+  return String(groups).replace(/^\[|\]$/g, '').split(/[\s,]+/).filter(Boolean);
+};
+
+/**
+ * Check whether a request comes from an admin
+ * @param {Object} event - API Gateway event
+ * @returns {boolean} True if admin
+ */
+export const isAdminRequest = (event) => {
+  const adminApiKeyId = process.env.ADMIN_API_KEY_ID;
+  const apiKeyId = event.requestContext?.identity?.apiKeyId;
+  if (!!adminApiKeyId && apiKeyId === adminApiKeyId) {
+    return true;
+  }
+
+  if (authorizerGroupsOf(event).includes(ADMIN_GROUP)) {
+    return true;
+  }
+
+  const adminApiKey = process.env.ADMIN_API_KEY;
+  const headers = event.headers || {};
+  const providedKey = headers['x-api-key'] ?? headers['X-Api-Key'];
+  return !!adminApiKey && !!providedKey && secretsMatch(providedKey, adminApiKey);
+};
+
+/**
+ * Refuse non-admin requests
+ * @param {Object} event - API Gateway event
+ * @returns {Object|null} 403 error response if not an admin, null if allowed
+ */
+export const requireAdmin = (event) => {
+  if (isAdminRequest(event)) {
+    return null;
+  }
+  logger.warn('Admin request refused', {
+    method: event.httpMethod,
+    path: event.path,
+    sourceIp: event.requestContext?.identity?.sourceIp
+  });
+  return createErrorResponse(403, 'This operation requires admin access (send the admin API key in the X-Api-Key header)');
+};
@@ -25,7 +25,10 @@ export const MIME_TYPES = {
   DOC: 'application/msword',
   XLSX: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
   XLS: 'application/vnd.ms-excel',
-  CSV: 'text/csv'
+  CSV: 'text/csv',
+  HTML: 'text/html',
+  MARKDOWN: 'text/markdown',
+  TXT: 'text/plain'
 };
 
 // AWS Bedrock model IDs
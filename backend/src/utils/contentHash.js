@@ -0,0 +1,24 @@
+/**
+ * Content Hash Utility
+ * SHA-256 fingerprints of source documents, used to recognize a file that has already been uploaded or
+ * ingested under another file ID
+ */
+
+import { createHash } from 'crypto';
+
+// Lowercase hex SHA-256 digest
+const CONTENT_HASH_PATTERN = /^[a-f0-9]{64}$/;
+
+/**
+ * Compute the content hash of a file
+ * @param {Buffer} buffer - File content
+ * @returns {string} Lowercase hex SHA-256 digest
+ */
+export const computeContentHash = (buffer) => createHash('sha256').update(buffer).digest('hex');
+
+/**
+ * Check whether a value is a content hash (lowercase hex SHA-256 digest)
+ * @param {*} value - Value to check
+ * @returns {boolean} True if valid
+ */
+export const isContentHash = (value) => typeof value === 'string' && CONTENT_HASH_PATTERN.test(value);
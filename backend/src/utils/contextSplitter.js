@@ -0,0 +1,202 @@
+/**
+ * Context Splitter Utility
+ * Splits the merged generation context into slices for chunked LLM calls without cutting
+ * through words, sentences or numbered procedures
+ *
+ * Boundaries are respected in this order:
+ * 1. Source chunk boundaries from the chunk position map (a slice never spans two source chunks)
+ * 2. Numbered/bulleted lists (a list stays in one slice when it fits, otherwise it splits between items)
+ * 3. Sentence ends
+ * 4. Whitespace, only for single sentences longer than the slice size
+ *
+ * Sizes are measured with an optional measure function (e.g. a token counter); the default is characters.
+ */
+
+// "1.", "2)", "(3)", "Step 4:", "a.", "b)", "-", "•"
+const LIST_ITEM_PATTERN = /^\s*(?:\(?\d{1,3}[.)]|step\s+\d+[:.)]?|\(?[a-z][.)]|[-•*▪])\s+/i;
+
+// Sentence end followed by the start of a new sentence
+const SENTENCE_END_PATTERN = /[.!?]["')\]]?\s+(?=["'(\[]?[A-Z0-9])/g;
+
+// Abbreviations that end with a period but do not end a sentence
+const ABBREVIATION_PATTERN = /(?:^|[\s(])(?:e\.g|i\.e|etc|approx|fig|figs|no|nos|ref|min|max|vs|cf|p|pp|vol|sec|para|incl|[A-Z])\.$/i;
+
+/**
+ * Return the [start, end) range of text with surrounding whitespace removed
+ * @param {string} text - Full text
+ * @param {number} start - Range start
+ * @param {number} end - Range end
+ * @returns {Object|null} { start, end } or null if the range is only whitespace
+ */
+const trimRange = (text, start, end) => {
+  while (start < end && /\s/.test(text[start])) start++;
+  while (end > start && /\s/.test(text[end - 1])) end--;
+  return end > start ? { start, end } : null;
+};
+
+/**
+ * Split a paragraph range into sentence ranges
+ * @param {string} text - Full text
+ * @param {number} start - Paragraph start
+ * @param {number} end - Paragraph end
+ * @returns {Array<Object>} Sentence ranges { start, end }
+ */
+const splitSentences = (text, start, end) => {
+  const paragraph = text.substring(start, end);
+  const sentences = [];
+  let sentenceStart = 0;
+
+  for (const match of paragraph.matchAll(SENTENCE_END_PATTERN)) {
+    const punctuationEnd = match.index + match[0].trimEnd().length;
+    if (ABBREVIATION_PATTERN.test(paragraph.substring(sentenceStart, punctuationEnd))) {
+      continue;
+    }
+    const range = trimRange(text, start + sentenceStart, start + punctuationEnd);
+    if (range) sentences.push(range);
+    sentenceStart = match.index + match[0].length;
+  }
+
+  const last = trimRange(text, start + sentenceStart, end);
+  if (last) sentences.push(last);
+  return sentences;
+};
+
+/**
+ * Split a range that is longer than the slice size at whitespace
+ * @param {string} text - Full text
+ * @param {Object} range - { start, end }
+ * @param {number} targetSize - Maximum piece size
+ * @param {Function} measure - (text) => size
+ * @returns {Array<Object>} Piece ranges { start, end }
+ */
+const splitAtWhitespace = (text, range, targetSize, measure) => {
+  const pieces = [];
+  let start = range.start;
+
+  let size = measure(text.substring(start, range.end));
+  while (size > targetSize) {
+    // Scale the character cut to the measured size of what is left
+    const cutLength = Math.max(1, Math.floor((range.end - start) * targetSize / size));
+    let cut = text.lastIndexOf(' ', start + cutLength);
+    if (cut <= start) {
+      cut = start + cutLength; // No whitespace (e.g. a long table row): hard cut
+    }
+    const piece = trimRange(text, start, cut);
+    if (piece) pieces.push(piece);
+    start = cut;
+    size = measure(text.substring(start, range.end));
+  }
+
+  const last = trimRange(text, start, range.end);
+  if (last) pieces.push(last);
+  return pieces;
+};
+
+/**
+ * Break one source chunk into blocks that should not be split further:
+ * sentences of prose, and whole lists (or single list items when the list is too long)
+ * @param {string} text - Full text
+ * @param {number} start - Region start
+ * @param {number} end - Region end
+ * @param {number} targetSize - Target slice size
+ * @param {Function} measure - (text) => size
+ * @returns {Array<Object>} Blocks { start, end }
+ */
+const segmentRegion = (text, start, end, targetSize, measure) => {
+  // Group lines into paragraphs and list items
+  const units = [];
+  let current = null;
+  let position = start;
+
+  for (const line of text.substring(start, end).split('\n')) {
+    const lineStart = position;
+    const lineEnd = position + line.length;
+    position = lineEnd + 1;
+
+    if (line.trim().length === 0) {
+      current = null;
+      continue;
+    }
+
+    const isListItem = LIST_ITEM_PATTERN.test(line);
+    if (!current || isListItem || current.isListItem !== isListItem) {
+      current = { start: lineStart, end: lineEnd, isListItem };
+      units.push(current);
+    } else {
+      current.end = lineEnd;
+    }
+  }
+
+  // Consecutive list items form one list block; prose splits into sentences
+  const maxBlockSize = Math.round(targetSize * 1.5);
+  const sizeOf = (range) => measure(text.substring(range.start, range.end));
+  const blocks = [];
+  for (let i = 0; i < units.length; i++) {
+    if (!units[i].isListItem) {
+      blocks.push(...splitSentences(text, units[i].start, units[i].end));
+      continue;
+    }
+
+    let j = i;
+    while (j + 1 < units.length && units[j + 1].isListItem) j++;
+    const list = trimRange(text, units[i].start, units[j].end);
+    if (list && sizeOf(list) <= maxBlockSize) {
+      blocks.push(list);
+    } else {
+      for (let k = i; k <= j; k++) {
+        const item = trimRange(text, units[k].start, units[k].end);
+        if (item) blocks.push(item);
+      }
+    }
+    i = j;
+  }
+
+  return blocks.flatMap(block => (sizeOf(block) > maxBlockSize ? splitAtWhitespace(text, block, targetSize, measure) : [block]));
+};
+
+/**
+ * Split context into slices of roughly targetSize along structural boundaries
+ * @param {string} context - Merged context
+ * @param {Array<Object>} chunkPositionMap - Array of { startChar, endChar, chunk } mappings (may be empty)
+ * @param {number} targetSize - Target slice size (in the units of measure)
+ * @param {Function} [measure] - (text) => size, defaults to character length
+ * @returns {Array<Object>} Slices { text, startChar, endChar } in context order
+ */
+export const splitContextByStructure = (context, chunkPositionMap = [], targetSize = 1000, measure = (text) => text.length) => {
+  const sizeOf = (start, end) => measure(context.substring(start, end));
+
+  const regions = chunkPositionMap.length > 0
+    ? chunkPositionMap.map(mapped => ({ start: mapped.startChar, end: mapped.endChar }))
+    : [{ start: 0, end: context.length }];
+
+  const slices = [];
+  for (const region of regions) {
+    const regionSlices = [];
+    let current = null;
+
+    for (const block of segmentRegion(context, region.start, region.end, targetSize, measure)) {
+      if (current && sizeOf(current.start, block.end) > targetSize) {
+        regionSlices.push(current);
+        current = null;
+      }
+      current = current ? { start: current.start, end: block.end } : { ...block };
+    }
+    if (current) {
+      // Fold a short tail into the previous slice instead of sending a fragment on its own
+      const previous = regionSlices[regionSlices.length - 1];
+      if (previous && sizeOf(current.start, current.end) < targetSize * 0.25 && sizeOf(previous.start, current.end) <= targetSize * 1.5) {
+        previous.end = current.end;
+      } else {
+        regionSlices.push(current);
+      }
+    }
+
+    slices.push(...regionSlices);
+  }
+
+  return slices.map(slice => ({
+    text: context.substring(slice.start, slice.end),
+    startChar: slice.start,
+    endChar: slice.end
+  }));
+};
@@ -34,7 +34,7 @@ export const createMultipartEvent = (multerFile, req) => {
     httpMethod: 'POST',
     path: '/api/upload',
     pathParameters: {},
-    queryStringParameters: {},
+    queryStringParameters: req.query || {},
     headers: {
       'content-type': contentType,
       'host': req.headers.host || `localhost:${process.env.PORT || 3000}`,
@@ -0,0 +1,177 @@
+/**
+ * HTML to Markdown Utility
+ * Turns HTML (web manuals, and DOCX files converted by mammoth) into Markdown text lines for ingestion
+ *
+ * Only the structure that matters for retrieval is kept: headings become "#" lines, list items "- " or "1. "
+ * lines, preformatted text keeps its line breaks and tables become Markdown tables in the same format as the
+ * tables detected in PDFs (see utils/tableDetector.js). Scripts, styles and other markup are dropped.
+ */
+
+import { markdownRow } from './tableDetector.js';
+
+// Elements whose content is never document text
+const SKIPPED_ELEMENTS = ['script', 'style', 'head', 'noscript', 'template', 'svg', 'iframe'];
+
+// Elements that start and end a line of text
+const BLOCK_ELEMENTS = new Set([
+  'address', 'article', 'aside', 'blockquote', 'body', 'caption', 'dd', 'div', 'dl', 'dt', 'fieldset',
+  'figcaption', 'figure', 'footer', 'form', 'header', 'hr', 'html', 'main', 'nav', 'ol', 'p', 'pre',
+  'section', 'ul'
+]);
+
+const NAMED_ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', ndash: '–', mdash: '—', hellip: '…',
+  deg: '°', plusmn: '±', times: '×', micro: 'µ', le: '≤', ge: '≥', copy: '©', reg: '®', trade: '™',
+  lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”', bull: '•', middot: '·', frac12: '½', frac14: '¼', frac34: '¾'
+};
+
+/**
+ * Decode HTML character references
+ * @param {string} text - Text with entities
+ * @returns {string} Decoded text
+ */
+export const decodeEntities = (text) => text.replace(/&(#x[0-9a-f]+|#\d+|[a-z][a-z0-9]*);/gi, (entity, name) => {
+  if (name[0] === '#') {
+    const code = name[1] === 'x' || name[1] === 'X' ? parseInt(name.substring(2), 16) : parseInt(name.substring(1), 10);
+    return Number.isFinite(code) && code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : entity;
+  }
+  return NAMED_ENTITIES[name.toLowerCase()] ?? entity;
+});
+
+/**
+ * Convert HTML to Markdown lines
+ * @param {string} html - HTML document or fragment
+ * @returns {Array<string>} Non-empty text lines in document order
+ */
+export const htmlToMarkdownLines = (html) => {
+  const source = (html || '')
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(new RegExp(`<(${SKIPPED_ELEMENTS.join('|')})\\b[^>]*>[\\s\\S]*?<\\/\\1\\s*>`, 'gi'), '');
+
+  const lines = [];
+  let current = '';
+  let prefix = '';
+  let preformatted = 0;
+  const lists = []; // Open lists: { ordered, count }
+  const tables = []; // Open tables: { rows: [[cell]] } (a nested table's text stays in its outer cell)
+
+  const flush = () => {
+    const text = current.replace(/\s+/g, ' ').trim();
+    if (text.length > 0) {
+      lines.push(`${prefix}${text}`);
+    }
+    current = '';
+    prefix = '';
+  };
+
+  const appendText = (text) => {
+    const table = tables[tables.length - 1];
+    const row = table?.rows[table.rows.length - 1];
+    if (tables.length === 1 && row && row.length > 0) {
+      row[row.length - 1] += text;
+    } else if (tables.length > 1) {
+      const outer = tables[0].rows[tables[0].rows.length - 1];
+      if (outer && outer.length > 0) {
+        outer[outer.length - 1] += text;
+      }
+    } else if (preformatted > 0) {
+      const [first, ...rest] = text.split('\n');
+      current += first;
+      rest.forEach(line => {
+        lines.push(current.replace(/\s+$/, ''));
+        current = line;
+      });
+    } else {
+      current += text;
+    }
+  };
+
+  const closeTable = () => {
+    const table = tables.pop();
+    if (tables.length > 0) {
+      return;
+    }
+    const rows = table.rows
+      .map(cells => cells.map(cell => cell.replace(/\s+/g, ' ').trim()))
+      .filter(cells => cells.some(cell => cell.length > 0));
+    if (rows.length === 0) {
+      return;
+    }
+    flush(); // A caption comes before its table
+    const width = Math.max(...rows.map(cells => cells.length));
+    const padded = rows.map(cells => [...cells, ...new Array(width - cells.length).fill('')]);
+    if (width === 1) {
+      // Layout tables with a single column are just text
+      padded.forEach(([cell]) => lines.push(cell));
+      return;
+    }
+    const [header, ...body] = padded;
+    lines.push(markdownRow(header), markdownRow(header.map(() => '---')), ...body.map(markdownRow));
+  };
+
+  const tokens = source.matchAll(/<(\/?)([a-zA-Z][a-zA-Z0-9]*)\b[^>]*>|([^<]+|<)/g);
+  for (const [, closing, rawName, text] of tokens) {
+    if (text !== undefined) {
+      appendText(decodeEntities(text));
+      continue;
+    }
+
+    const name = rawName.toLowerCase();
+    const opening = !closing;
+
+    if (name === 'table') {
+      if (opening) {
+        if (tables.length === 0) flush();
+        tables.push({ rows: [] });
+      } else if (tables.length > 0) {
+        closeTable();
+      }
+    } else if (tables.length > 0) {
+      const table = tables[tables.length - 1];
+      if (name === 'tr' && opening && tables.length === 1) {
+        table.rows.push([]);
+      } else if ((name === 'td' || name === 'th') && opening && tables.length === 1) {
+        if (table.rows.length === 0) table.rows.push([]);
+        table.rows[table.rows.length - 1].push('');
+      } else if (['br', 'li', 'td', 'th', 'tr'].includes(name) || BLOCK_ELEMENTS.has(name) || /^h[1-6]$/.test(name)) {
+        // Block boundaries inside a cell (or a nested table's cells) separate words
+        appendText(' ');
+      }
+    } else if (/^h[1-6]$/.test(name)) {
+      flush();
+      if (opening) prefix = `${'#'.repeat(Number(name[1]))} `;
+    } else if (name === 'ul' || name === 'ol') {
+      flush();
+      if (opening) {
+        lists.push({ ordered: name === 'ol', count: 0 });
+      } else {
+        lists.pop();
+      }
+    } else if (name === 'li') {
+      flush();
+      if (opening) {
+        const list = lists[lists.length - 1];
+        const indent = '  '.repeat(Math.max(0, lists.length - 1));
+        prefix = list?.ordered ? `${indent}${++list.count}. ` : `${indent}- `;
+      }
+    } else if (name === 'br') {
+      if (preformatted > 0) {
+        appendText('\n');
+      } else {
+        flush();
+      }
+    } else if (name === 'pre') {
+      flush();
+      preformatted = Math.max(0, preformatted + (opening ? 1 : -1));
+    } else if (BLOCK_ELEMENTS.has(name)) {
+      flush();
+    }
+  }
+
+  while (tables.length > 0) {
+    closeTable();
+  }
+  flush();
+
+  return lines.filter(line => line.trim().length > 0);
+};
@@ -0,0 +1,46 @@
+/**
+ * Rank Fusion Utility
+ * Combines ranked result lists from different retrievers (e.g. vector and keyword search)
+ */
+
+/**
+ * Weighted reciprocal rank fusion
+ * Each list contributes weight / (k + rank) per result; scores are summed by result ID.
+ * Only ranks matter, so lists with incomparable score scales (cosine vs BM25) can be fused.
+ * @param {Array<Object>} lists - Array of { name, results, weight } where results are normalized chunks
+ * @param {Object} options - Fusion options
+ * @param {number} [options.k] - Rank smoothing constant (default: 60)
+ * @param {number} [options.topK] - Number of fused results to return (default: all)
+ * @returns {Array<Object>} Fused chunks with score = fused score and retrievalScores per list
+ */
+export const reciprocalRankFusion = (lists, { k = 60, topK = null } = {}) => {
+  const fused = new Map();
+
+  for (const { name, results, weight } of lists) {
+    if (!Array.isArray(results) || weight <= 0) {
+      continue;
+    }
+
+    results.forEach((result, index) => {
+      const rank = index + 1;
+      const existing = fused.get(result.id) || {
+        ...result,
+        // Prefer full text from whichever list has it (e.g. Pinecone only keeps a preview)
+        text: result.text,
+        score: 0,
+        retrievalScores: {}
+      };
+
+      if ((result.text || '').length > (existing.text || '').length) {
+        existing.text = result.text;
+      }
+
+      existing.score += weight / (k + rank);
+      existing.retrievalScores[name] = { rank, score: result.score ?? null };
+      fused.set(result.id, existing);
+    });
+  }
+
+  const ranked = Array.from(fused.values()).sort((a, b) => b.score - a.score);
+  return topK ? ranked.slice(0, topK) : ranked;
+};
@@ -0,0 +1,101 @@
+/**
+ * Schema Validator Utility
+ * JSON Schema (draft-07 / 2019-09 subset supported by Ajv) validation for generated content
+ */
+
+import Ajv from 'ajv';
+
+const ajv = new Ajv({ allErrors: true, strict: false });
+
+// Compiled validators keyed by serialized schema, so stored schemas are compiled once per container
+const compiledValidators = new Map();
+
+/**
+ * Compile a JSON Schema (cached)
+ * @param {Object} schema - JSON Schema
+ * @returns {Function} Ajv validate function
+ * @throws {Error} If the schema is invalid
+ */
+const compile = (schema) => {
+  const key = JSON.stringify(schema);
+  if (!compiledValidators.has(key)) {
+    // $id would make Ajv reject a second schema with the same id, and is not needed for lookup
+    const { $id, ...rest } = schema;
+    compiledValidators.set(key, ajv.compile(rest));
+  }
+  return compiledValidators.get(key);
+};
+
+/**
+ * Check that a value is a usable JSON Schema
+ * @param {Object} schema - JSON Schema
+ * @returns {string|null} Error message, or null if the schema compiles
+ */
+export const checkSchema = (schema) => {
+  if (!schema || typeof schema !== 'object' || Array.isArray(schema)) {
+    return 'Schema must be a JSON Schema object';
+  }
+
+  try {
+    compile(schema);
+    return null;
+  } catch (error) {
+    return `Invalid JSON Schema: ${error.message}`;
+  }
+};
+
+/**
+ * Validate data against a JSON Schema
+ * @param {Object} schema - JSON Schema
+ * @param {*} data - Data to validate
+ * @returns {Object} { valid, errors: Array<{ path, message }> } where path is a JSON pointer (e.g. "/frequency")
+ */
+export const validateAgainstSchema = (schema, data) => {
+  const validate = compile(schema);
+  if (validate(data)) {
+    return { valid: true, errors: [] };
+  }
+
+  return {
+    valid: false,
+    errors: (validate.errors || []).map(error => ({
+      // Missing properties are reported on the parent object; point at the property itself
+      path: error.keyword === 'required'
+        ? `${error.instancePath}/${error.params.missingProperty}`
+        : error.instancePath || '/',
+      message: error.keyword === 'required' ? 'is required' : error.message
+    }))
+  };
+};
+
+/**
+ * Format schema errors as one line for logs and prompts
+ * @param {Array<Object>} errors - Errors from validateAgainstSchema
+ * @returns {string} e.g. "/frequency must be equal to one of the allowed values; /notes must be string"
+ */
+export const formatSchemaErrors = (errors) => errors.map(error => `${error.path} ${error.message}`).join('; ');
+
+/**
+ * Group schema errors by the array entry they belong to
+ * @param {Array<Object>} errors - Errors from validateAgainstSchema
+ * @param {string} [arrayPath] - JSON pointer of the array inside the validated data ('' when the data is the array)
+ * @returns {Map<number, Array<Object>>} Entry index => [{ field, message }] (field is null when the entry itself is wrong)
+ */
+export const groupErrorsByItem = (errors, arrayPath = '') => {
+  const grouped = new Map();
+  for (const error of errors) {
+    if (!error.path.startsWith(`${arrayPath}/`)) {
+      continue;
+    }
+    const [index, field = null] = error.path.substring(arrayPath.length + 1).split('/');
+    if (!/^\d+$/.test(index)) {
+      continue;
+    }
+    const entryIndex = parseInt(index, 10);
+    if (!grouped.has(entryIndex)) {
+      grouped.set(entryIndex, []);
+    }
+    grouped.get(entryIndex).push({ field, message: error.message });
+  }
+  return grouped;
+};
@@ -0,0 +1,177 @@
+/**
+ * Section Outline Utility
+ * Places a document's chapter and section headings on its page lines, so every chunk can be tagged with the
+ * path of the section it starts in, e.g. "5 Maintenance > 5.3 Hydraulics"
+ *
+ * Headings come from the PDF outline (bookmarks) when the document has one. Otherwise they are detected in the
+ * page text: Markdown headings ("## Hydraulics", from DOCX, HTML and Markdown sources) and numbered heading
+ * lines ("5.3 Hydraulics"). Sections are [{ title, level, pageNumber, line, path }] in document order, with
+ * 1-based page and line numbers.
+ */
+
+export const SECTION_PATH_SEPARATOR = ' > ';
+
+// Longer lines are body text, not headings
+const MAX_HEADING_CHARS = 80;
+
+// "5.3 Hydraulics", "5.3. Hydraulics" or "5 Maintenance": a section number, then a capitalized title without sentence punctuation
+const NUMBERED_HEADING = /^(\d{1,2}(?:\.\d{1,2}){0,3})\.?\s+([A-Z][^.!?;|]*)$/;
+
+const MARKDOWN_HEADING = /^(#{1,6})\s+(.+)$/;
+
+/**
+ * Collapse whitespace and case for comparing headings with page lines
+ * @param {string} text - Text
+ * @returns {string} Normalized text
+ */
+const normalize = (text) => (text || '').replace(/\s+/g, ' ').trim().toLowerCase();
+
+/**
+ * Add the full path to each section (a section's path runs through the closest preceding section of each lower level)
+ * @param {Array<Object>} headings - [{ title, level, pageNumber, line }]
+ * @returns {Array<Object>} Sections in document order with path
+ */
+export const buildSections = (headings) => {
+  const stack = [];
+  return [...headings]
+    .sort((a, b) => a.pageNumber - b.pageNumber || a.line - b.line)
+    .map(heading => {
+      while (stack.length > 0 && stack[stack.length - 1].level >= heading.level) {
+        stack.pop();
+      }
+      stack.push(heading);
+      return { ...heading, path: stack.map(section => section.title).join(SECTION_PATH_SEPARATOR) };
+    });
+};
+
+/**
+ * Find the page line an outline entry points at: the first line at or below its target position that starts
+ * with its title, else the first line with its title, else the first line at its target position
+ * @param {Object} entry - Outline entry { title, top } (top as a fraction of the page height, or null)
+ * @param {Array<string>} lines - Page text lines
+ * @param {Array<Object>} [boxes] - Line boxes { y, h } (missing for formats without page geometry)
+ * @param {Object} [size] - Page size { height } in the units of the boxes
+ * @returns {number} 1-based line
+ */
+const locateOutlineEntry = (entry, lines, boxes, size) => {
+  const title = normalize(entry.title);
+  // Outline targets usually sit a little above the heading's baseline
+  const targetY = typeof entry.top === 'number' && size?.height ? entry.top * size.height - 1 : null;
+  const atOrBelow = (index) => targetY === null || !boxes?.[index] || boxes[index].y + boxes[index].h >= targetY;
+  const startsWithTitle = (index) => {
+    const line = normalize(lines[index]);
+    return line.length > 0 && (line.startsWith(title) || title.startsWith(line));
+  };
+
+  const indexes = lines.map((_, index) => index);
+  const index = [
+    indexes.find(candidate => atOrBelow(candidate) && startsWithTitle(candidate)),
+    indexes.find(startsWithTitle),
+    indexes.find(atOrBelow)
+  ].find(candidate => candidate !== undefined);
+  return (index ?? 0) + 1;
+};
+
+/**
+ * Build sections from a PDF outline
+ * @param {Array<Object>} outline - Outline entries [{ title, level, pageNumber, top }] in outline order
+ * @param {Array<string>} pageTexts - Text of each page
+ * @param {Array<Array<Object>>} [pageLines] - Line boxes of each page
+ * @param {Array<Object>} [pageSizes] - Size of each page
+ * @returns {Array<Object>} Sections
+ */
+export const sectionsFromOutline = (outline, pageTexts, pageLines = null, pageSizes = null) => buildSections(outline
+  .filter(entry => Number.isInteger(entry.pageNumber) && entry.pageNumber >= 1 && entry.pageNumber <= pageTexts.length)
+  .map(entry => {
+    const pageIndex = entry.pageNumber - 1;
+    return {
+      title: entry.title.replace(/\s+/g, ' ').trim(),
+      level: entry.level,
+      pageNumber: entry.pageNumber,
+      line: locateOutlineEntry(entry, pageTexts[pageIndex].split('\n'), pageLines?.[pageIndex], pageSizes?.[pageIndex])
+    };
+  }));
+
+/**
+ * Detect heading lines in page texts (for documents without an outline)
+ * Markdown headings always count. A numbered line counts as a heading only if it has a sub-number
+ * ("5.3 Hydraulics") or a sub-numbered heading follows it ("5 Maintenance" before "5.1 ..."), so numbered
+ * procedure steps ("1 Remove the cover") are not taken for chapters
+ * @param {Array<string>} pageTexts - Text of each page
+ * @returns {Array<Object>} Sections
+ */
+export const detectHeadingSections = (pageTexts) => {
+  const markdown = [];
+  const numbered = [];
+
+  pageTexts.forEach((pageText, pageIndex) => {
+    pageText.split('\n').forEach((rawLine, lineIndex) => {
+      const text = rawLine.replace(/\s+/g, ' ').trim();
+      if (text.length === 0 || text.length > MAX_HEADING_CHARS) {
+        return;
+      }
+      const position = { pageNumber: pageIndex + 1, line: lineIndex + 1 };
+      const markdownMatch = MARKDOWN_HEADING.exec(text);
+      if (markdownMatch) {
+        markdown.push({ title: markdownMatch[2].trim(), level: markdownMatch[1].length, ...position });
+        return;
+      }
+      const numberedMatch = NUMBERED_HEADING.exec(text);
+      // Table of contents lines end with a page number
+      if (numberedMatch && !/\s\d+$/.test(numberedMatch[2])) {
+        const number = numberedMatch[1];
+        numbered.push({ title: `${number} ${numberedMatch[2].trim()}`, number, level: number.split('.').length, ...position });
+      }
+    });
+  });
+
+  const chapters = new Set(numbered.filter(heading => heading.level > 1).map(heading => heading.number.split('.')[0]));
+  const headings = [
+    ...markdown,
+    ...numbered
+      .filter(heading => heading.level > 1 || chapters.has(heading.number))
+      .map(({ number, ...heading }) => heading)
+  ];
+  return buildSections(headings);
+};
+
+/**
+ * Get the path of the section a page line belongs to
+ * @param {Array<Object>} sections - Sections in document order
+ * @param {number} pageNumber - 1-based page
+ * @param {number} [line] - 1-based line (defaults to the first line of the page)
+ * @returns {string|null} Section path, or null before the first section
+ */
+export const sectionPathAt = (sections, pageNumber, line = 1) => {
+  let path = null;
+  for (const section of sections || []) {
+    if (section.pageNumber > pageNumber || (section.pageNumber === pageNumber && section.line > line)) {
+      break;
+    }
+    path = section.path;
+  }
+  return path;
+};
+
+/**
+ * Check whether a section path is within a section
+ * The section can be given by number ("5.3"), title ("Hydraulics"), full heading ("5.3 Hydraulics") or a path
+ * prefix ("5 Maintenance > 5.3 Hydraulics"); matching ignores case
+ * @param {string|null} sectionPath - Section path of a chunk
+ * @param {string} section - Section to match
+ * @returns {boolean} True if the path is in the section
+ */
+export const matchesSection = (sectionPath, section) => {
+  const path = normalize(sectionPath);
+  const wanted = normalize(section);
+  if (!path || !wanted) {
+    return false;
+  }
+  if (path === wanted || path.startsWith(`${wanted}${SECTION_PATH_SEPARATOR}`)) {
+    return true;
+  }
+  return path.split(SECTION_PATH_SEPARATOR).some(title => title === wanted ||
+    title.startsWith(`${wanted} `) ||
+    title.startsWith(`${wanted}. `) ||
+    title.replace(/^[\d.]+\s+/, '') === wanted);
+};
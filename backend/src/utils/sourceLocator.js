@@ -0,0 +1,130 @@
+/**
+ * Source Locator Utility
+ * Maps a quote inside a generation slice back to the page, lines and bounding box it came from
+ *
+ * Page chunks carry lineStart/lineEnd (1-based lines of their page) and lineBoxes, one "x,y,w,h" box per
+ * line of the chunk text in pdfreader page units joined with ';' (a string, because vector store metadata must
+ * be flat). Table chunks that repeat their table's header rows also carry repeatedHeaderLines and tableHeaderLine.
+ * A slice lists the chunk texts it was built from as segments:
+ * [{ offset, chunkOffset, text, metadata }] where offset is where the segment starts in the slice text and
+ * chunkOffset where it starts in the chunk text.
+ */
+
+/**
+ * Encode line boxes for chunk metadata
+ * @param {Array<Object>} lines - [{ x, y, w, h }]
+ * @returns {string} "x,y,w,h;x,y,w,h;..." rounded to 2 decimals
+ */
+export const encodeLineBoxes = (lines) => (lines || [])
+  .map(line => [line.x, line.y, line.w, line.h].map(value => Math.round((Number(value) || 0) * 100) / 100).join(','))
+  .join(';');
+
+/**
+ * Decode line boxes from chunk metadata
+ * @param {string} encoded - Output of encodeLineBoxes
+ * @returns {Array<Object>} [{ x, y, w, h }]
+ */
+export const decodeLineBoxes = (encoded) => {
+  if (typeof encoded !== 'string' || encoded.length === 0) {
+    return [];
+  }
+  return encoded.split(';').map(box => {
+    const [x, y, w, h] = box.split(',').map(Number);
+    return { x, y, w, h };
+  });
+};
+
+/**
+ * Format a line range for citations
+ * @param {number} lineStart - First line
+ * @param {number} lineEnd - Last line
+ * @returns {string} "Line 12" or "Lines 12–15"
+ */
+export const formatLineRange = (lineStart, lineEnd) => (lineEnd > lineStart ? `Lines ${lineStart}–${lineEnd}` : `Line ${lineStart}`);
+
+/**
+ * Find a quote in a text, ignoring case and whitespace differences (quotes are often whitespace-collapsed)
+ * @param {string} text - Text to search
+ * @param {string} quote - Quote (a trailing "..." from truncation is ignored)
+ * @returns {Object|null} { index, length } of the match in text, or null
+ */
+export const findQuote = (text, quote) => {
+  const words = (quote || '').replace(/\.\.\.$/, '').trim().split(/\s+/).filter(Boolean);
+  if (!text || words.length === 0) {
+    return null;
+  }
+  const pattern = new RegExp(words.map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('\\s+'), 'i');
+  const match = pattern.exec(text);
+  return match ? { index: match.index, length: match[0].length } : null;
+};
+
+/**
+ * Union of line boxes
+ * @param {Array<Object>} boxes - [{ x, y, w, h }]
+ * @returns {Object|null} { x, y, w, h } or null if there are no boxes
+ */
+const unionBoxes = (boxes) => {
+  if (boxes.length === 0) {
+    return null;
+  }
+  const left = Math.min(...boxes.map(box => box.x));
+  const top = Math.min(...boxes.map(box => box.y));
+  const right = Math.max(...boxes.map(box => box.x + box.w));
+  const bottom = Math.max(...boxes.map(box => box.y + box.h));
+  const round = (value) => Math.round(value * 100) / 100;
+  return { x: round(left), y: round(top), w: round(right - left), h: round(bottom - top) };
+};
+
+/**
+ * Locate a quote from a slice in its source document
+ * @param {Object} slice - Generation slice { text, segments }
+ * @param {string} quote - Text from the slice that supports a generated entry
+ * @returns {Object|null} { quote, fileName, sectionPath, pageNumber, pdfPageNumber, lineStart, lineEnd, bbox, pageWidth, pageHeight }
+ *   (line fields are null for chunks ingested without line data, sectionPath for chunks without a section),
+ *   or null if the quote is not in the slice
+ */
+export const locateSourceSpan = (slice, quote) => {
+  const segments = slice?.segments || [];
+  const match = findQuote(slice?.text, quote);
+  if (!match || segments.length === 0) {
+    return null;
+  }
+
+  const segment = segments.filter(candidate => candidate.offset <= match.index).pop() || segments[0];
+  const metadata = segment.metadata || {};
+  const span = {
+    quote: slice.text.substr(match.index, match.length).replace(/\s+/g, ' '),
+    fileName: metadata.fileName || metadata.originalFileName || 'Unknown Document',
+    sectionPath: metadata.sectionPath || null,
+    pageNumber: metadata.displayPageNumber || metadata.pageNumber || null,
+    pdfPageNumber: metadata.pageNumber || null,
+    lineStart: null,
+    lineEnd: null,
+    bbox: null,
+    pageWidth: metadata.pageWidth || null,
+    pageHeight: metadata.pageHeight || null
+  };
+
+  const chunkLineStart = Number(metadata.lineStart);
+  if (!Number.isInteger(chunkLineStart) || chunkLineStart < 1) {
+    return span;
+  }
+
+  // Lines are counted in the chunk text, where the segment starts at chunkOffset
+  const start = segment.chunkOffset + Math.max(0, match.index - segment.offset);
+  const end = Math.min(start + match.length, segment.text.length);
+  const lastIndex = segment.text.substring(0, end).split('\n').length - 1;
+
+  // Chunks continuing a table start with its header rows again; those lines are at tableHeaderLine on the page.
+  // A quote running from the repeated header into the rows cites the rows only.
+  const repeatedLines = Number(metadata.repeatedHeaderLines) || 0;
+  const quoteIndex = segment.text.substring(0, start).split('\n').length - 1;
+  const firstIndex = quoteIndex < repeatedLines && lastIndex >= repeatedLines ? repeatedLines : quoteIndex;
+  const pageLineOf = (index) => (index < repeatedLines ? Number(metadata.tableHeaderLine) + index : chunkLineStart + index - repeatedLines);
+  span.lineStart = pageLineOf(firstIndex);
+  span.lineEnd = pageLineOf(lastIndex);
+
+  const boxes = decodeLineBoxes(metadata.lineBoxes).slice(firstIndex, lastIndex + 1);
+  span.bbox = unionBoxes(boxes.filter(box => [box.x, box.y, box.w, box.h].every(Number.isFinite)));
+  return span;
+};
@@ -0,0 +1,209 @@
+/**
+ * Table Detector Utility
+ * Finds tables in the text lines of a PDF page from the x positions of their text items and lays them out
+ * as Markdown tables, so schedule tables keep their rows and columns in the page text
+ *
+ * Input lines are pdfreader lines { items: [{ text, x, right }], x, y, right, h } in page units.
+ * A table is a run of at least MIN_TABLE_ROWS lines split into two or more cells by wide gaps whose cells
+ * start at shared column positions. A single-cell line inside the run continues a cell of the row above
+ * (wrapped cell text).
+ */
+
+// Horizontal gap between text items (page units, about 16pt) that separates two cells
+const CELL_GAP = 1;
+
+// Cells starting within this distance of each other are in the same column
+const COLUMN_TOLERANCE = 0.8;
+
+// Fewest rows (including the header) for a run of lines to count as a table
+const MIN_TABLE_ROWS = 3;
+
+// Share of rows whose cells must all start at a column position
+const MIN_ALIGNED_SHARE = 0.75;
+
+// Multi-column page layouts also split lines into aligned "cells", but with long prose in each
+const MAX_MEDIAN_CELL_CHARS = 40;
+
+/**
+ * Text of a line (items joined with spaces)
+ * @param {Object} line - Text line
+ * @returns {string} Line text
+ */
+export const lineText = (line) => line.items.map(item => item.text).join(' ');
+
+/**
+ * Split a line into cells at wide gaps between its items
+ * @param {Object} line - Text line
+ * @returns {Array<Object>} Cells [{ text, x, right }] from left to right
+ */
+const splitCells = (line) => {
+  const cells = [];
+  [...line.items].sort((a, b) => a.x - b.x).forEach(item => {
+    const last = cells[cells.length - 1];
+    if (last && item.x - last.right < CELL_GAP) {
+      last.text = `${last.text} ${item.text}`;
+      last.right = Math.max(last.right, item.right);
+    } else {
+      cells.push({ text: item.text, x: item.x, right: item.right });
+    }
+  });
+  return cells.map(cell => ({ ...cell, text: cell.text.replace(/\s+/g, ' ').trim() })).filter(cell => cell.text.length > 0);
+};
+
+/**
+ * Group cell start positions into columns
+ * @param {Array<number>} positions - Cell x positions
+ * @returns {Array<number>} Column positions, left to right
+ */
+const clusterColumns = (positions) => {
+  const columns = [];
+  [...positions].sort((a, b) => a - b).forEach(x => {
+    const column = columns[columns.length - 1];
+    if (column && x - column.max <= COLUMN_TOLERANCE) {
+      column.values.push(x);
+      column.max = x;
+    } else {
+      columns.push({ values: [x], max: x });
+    }
+  });
+  return columns.map(column => ({
+    x: column.values.reduce((sum, x) => sum + x, 0) / column.values.length,
+    support: column.values.length
+  }));
+};
+
+/**
+ * Index of the column a cell belongs to (the nearest column, or the last one starting left of it)
+ * @param {Array<number>} columns - Column positions
+ * @param {number} x - Cell start
+ * @returns {number} Column index
+ */
+const columnOf = (columns, x) => {
+  let best = 0;
+  columns.forEach((columnX, index) => {
+    if (Math.abs(columnX - x) < Math.abs(columns[best] - x)) {
+      best = index;
+    }
+  });
+  if (Math.abs(columns[best] - x) > COLUMN_TOLERANCE) {
+    const left = columns.filter(columnX => columnX <= x).length - 1;
+    return Math.max(0, left);
+  }
+  return best;
+};
+
+/**
+ * Check a run of lines and build its table
+ * @param {Array<Array<Object>>} runCells - Cells of each line in the run
+ * @returns {Object|null} { columns, rows: [{ cells: [string], lines: [runIndex] }] }, or null if the run is not a table
+ */
+const buildTable = (runCells) => {
+  const multiCell = runCells.filter(cells => cells.length >= 2);
+  if (multiCell.length < MIN_TABLE_ROWS) {
+    return null;
+  }
+
+  // Columns need cells from at least two rows; stray positions do not make a column
+  const columns = clusterColumns(multiCell.flatMap(cells => cells.map(cell => cell.x)))
+    .filter(column => column.support >= 2)
+    .map(column => column.x);
+  if (columns.length < 2) {
+    return null;
+  }
+
+  const aligned = multiCell.filter(cells => cells.every(cell => columns.some(x => Math.abs(x - cell.x) <= COLUMN_TOLERANCE)));
+  if (aligned.length / multiCell.length < MIN_ALIGNED_SHARE) {
+    return null;
+  }
+
+  const cellLengths = multiCell.flatMap(cells => cells.map(cell => cell.text.length)).sort((a, b) => a - b);
+  if (cellLengths[Math.floor(cellLengths.length / 2)] > MAX_MEDIAN_CELL_CHARS) {
+    return null;
+  }
+
+  const rows = [];
+  runCells.forEach((cells, index) => {
+    const row = cells.length >= 2 || rows.length === 0
+      ? { cells: new Array(columns.length).fill(''), lines: [] }
+      : rows[rows.length - 1]; // Wrapped cell text continues the row above
+    if (row !== rows[rows.length - 1]) {
+      rows.push(row);
+    }
+    row.lines.push(index);
+    cells.forEach(cell => {
+      const column = columnOf(columns, cell.x);
+      row.cells[column] = row.cells[column] ? `${row.cells[column]} ${cell.text}` : cell.text;
+    });
+  });
+
+  return { columns, rows };
+};
+
+/**
+ * Union of line boxes
+ * @param {Array<Object>} lines - Text lines
+ * @returns {Object} { x, y, w, h }
+ */
+const boxOf = (lines) => {
+  const left = Math.min(...lines.map(line => line.x));
+  const top = Math.min(...lines.map(line => line.y));
+  const right = Math.max(...lines.map(line => line.right));
+  const bottom = Math.max(...lines.map(line => line.y + line.h));
+  return { x: left, y: top, w: right - left, h: bottom - top };
+};
+
+/**
+ * Format one Markdown table row
+ * @param {Array<string>} cells - Cell texts
+ * @returns {string} "| a | b |"
+ */
+export const markdownRow = (cells) => `| ${cells.map(cell => cell.replace(/\|/g, '\\|')).join(' | ')} |`;
+
+/**
+ * Lay out the text lines of a page, replacing detected tables with Markdown tables
+ * Every output line has a box: table rows get the union of the lines they were built from and the
+ * separator row repeats the header's box
+ * @param {Array<Object>} lines - Text lines of one page, top to bottom
+ * @returns {Object} { lines: [{ text, box }], tables: [{ lineStart, lineEnd, columns }] } with 1-based
+ *   output line numbers (lineStart is the header row, lineStart + 1 the separator)
+ */
+export const layoutPageLines = (lines) => {
+  const cells = lines.map(splitCells);
+  const output = [];
+  const tables = [];
+
+  let index = 0;
+  while (index < lines.length) {
+    // A run starts at a multi-cell line and continues through multi-cell and single-cell lines,
+    // ending before trailing single-cell lines (text after the table)
+    let end = index;
+    if (cells[index].length >= 2) {
+      let next = index + 1;
+      while (next < lines.length && (cells[next].length >= 2 || (cells[next].length === 1 && next + 1 < lines.length && cells[next + 1].length >= 2))) {
+        next++;
+      }
+      end = next - 1;
+    }
+
+    const table = end > index ? buildTable(cells.slice(index, end + 1)) : null;
+    if (!table) {
+      output.push({ text: lineText(lines[index]), box: boxOf([lines[index]]) });
+      index++;
+      continue;
+    }
+
+    const runLines = lines.slice(index, end + 1);
+    const [header, ...body] = table.rows;
+    const headerBox = boxOf(header.lines.map(line => runLines[line]));
+    const lineStart = output.length + 1;
+    output.push({ text: markdownRow(header.cells), box: headerBox });
+    output.push({ text: markdownRow(header.cells.map(() => '---')), box: headerBox });
+    body.forEach(row => {
+      output.push({ text: markdownRow(row.cells), box: boxOf(row.lines.map(line => runLines[line])) });
+    });
+    tables.push({ lineStart, lineEnd: output.length, columns: table.columns.length });
+    index = end + 1;
+  }
+
+  return { lines: output, tables };
+};
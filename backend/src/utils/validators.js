@@ -3,6 +3,9 @@
  * Provides validation functions for common data types and inputs
  */
 
+// Custom use case IDs: 3-50 letters, digits or hyphens, starting with a letter (used in URLs and file names)
+export const USE_CASE_ID_PATTERN = /^[a-zA-Z][a-zA-Z0-9-]{2,49}$/;
+
 /**
  * Validates if a value is a non-empty string
  * @param {*} value - Value to validate
@@ -138,16 +141,45 @@ export const validateIngestRequest = ({ fileId, s3Key }) => {
   return true;
 };
 
+/**
+ * Validates the manual and revision of a document to ingest
+ * A revision label needs a manual (by ID or name); a manual without a label gets "Revision <n>"
+ * @param {Object} data - { manualId, manualName, revision }
+ * @throws {Error} If validation fails
+ */
+export const validateRevisionRequest = ({ manualId, manualName, revision }) => {
+  const isSet = (value) => value !== undefined && value !== null;
+
+  if (isSet(manualId)) {
+    validateUUID(manualId);
+  }
+
+  if (isSet(manualName) && (typeof manualName !== 'string' || manualName.trim().length === 0 || manualName.length > 200)) {
+    throw new Error('manualName must be a non-empty string of at most 200 characters');
+  }
+
+  if (isSet(revision) && (typeof revision !== 'string' || revision.trim().length === 0 || revision.length > 50)) {
+    throw new Error('revision must be a non-empty string of at most 50 characters');
+  }
+
+  if (isSet(revision) && !isSet(manualId) && !isSet(manualName)) {
+    throw new Error('revision requires manualId or manualName');
+  }
+
+  return true;
+};
+
 /**
  * Validates generate request parameters
+ * Custom use case IDs are only checked for format here; callers check that they are registered
  * @param {Object} data - Request data with useCase and documentIds
  * @throws {Error} If validation fails
  */
-export const validateGenerateRequest = ({ useCase, documentIds }) => {
-  const validUseCases = ['checksheet', 'workInstructions'];
+export const validateGenerateRequest = ({ useCase, documentIds, keywordWeight, rerank, mode, section, pinRevisions }) => {
+  const validUseCases = ['checksheet', 'workInstructions', 'summary', 'analysis', 'extraction'];
   
-  if (!useCase || typeof useCase !== 'string' || !validUseCases.includes(useCase)) {
-    throw new Error(`Invalid useCase. Must be one of: ${validUseCases.join(', ')}`);
+  if (!useCase || typeof useCase !== 'string' || !(validUseCases.includes(useCase) || USE_CASE_ID_PATTERN.test(useCase))) {
+    throw new Error(`Invalid useCase. Must be one of: ${validUseCases.join(', ')}, or a registered custom use case ID`);
   }
 
   if (!Array.isArray(documentIds) || documentIds.length === 0) {
@@ -166,6 +198,101 @@ export const validateGenerateRequest = ({ useCase, documentIds }) => {
     }
   }
 
+  if (keywordWeight !== undefined && keywordWeight !== null &&
+      (typeof keywordWeight !== 'number' || keywordWeight < 0 || keywordWeight > 1)) {
+    throw new Error('keywordWeight must be a number between 0 and 1');
+  }
+
+  if (rerank !== undefined && rerank !== null && typeof rerank !== 'boolean' && typeof rerank !== 'string') {
+    throw new Error('rerank must be a boolean or a rerank strategy name');
+  }
+
+  const validModes = ['retrieval', 'fullDocument'];
+  if (mode !== undefined && mode !== null && !validModes.includes(mode)) {
+    throw new Error(`Invalid mode. Must be one of: ${validModes.join(', ')}`);
+  }
+
+  if (section !== undefined && section !== null &&
+      (typeof section !== 'string' || section.trim().length === 0 || section.length > 200)) {
+    throw new Error('section must be a non-empty string of at most 200 characters');
+  }
+
+  if (pinRevisions !== undefined && pinRevisions !== null && typeof pinRevisions !== 'boolean') {
+    throw new Error('pinRevisions must be a boolean');
+  }
+
+  return true;
+};
+
+/**
+ * Validates checksheet diff request parameters
+ * Either two checksheets (base and target) or two checksheet generations from the generation history
+ * @param {Object} data - { base, target, baseGenerationId, targetGenerationId, baseLabel, targetLabel }
+ * @throws {Error} If validation fails
+ */
+export const validateChecksheetDiffRequest = ({ base, target, baseGenerationId, targetGenerationId, baseLabel, targetLabel }) => {
+  const isSet = (value) => value !== undefined && value !== null;
+  const hasChecksheets = isSet(base) || isSet(target);
+  const hasGenerations = isSet(baseGenerationId) || isSet(targetGenerationId);
+
+  if (hasChecksheets === hasGenerations) {
+    throw new Error('Provide either base and target checksheets, or baseGenerationId and targetGenerationId');
+  }
+
+  if (hasChecksheets) {
+    for (const [name, checksheet] of [['base', base], ['target', target]]) {
+      if (!checksheet || typeof checksheet !== 'object') {
+        throw new Error(`${name} must be an array of checksheet items or a generation result`);
+      }
+    }
+  } else {
+    for (const [name, generationId] of [['baseGenerationId', baseGenerationId], ['targetGenerationId', targetGenerationId]]) {
+      try {
+        validateUUID(generationId);
+      } catch {
+        throw new Error(`Invalid ${name}: ${generationId}. Must be a valid UUID.`);
+      }
+    }
+    if (baseGenerationId === targetGenerationId) {
+      throw new Error('baseGenerationId and targetGenerationId must be different generations');
+    }
+  }
+
+  for (const [name, label] of [['baseLabel', baseLabel], ['targetLabel', targetLabel]]) {
+    if (isSet(label) && (typeof label !== 'string' || label.trim().length === 0 || label.length > 100)) {
+      throw new Error(`${name} must be a non-empty string of at most 100 characters`);
+    }
+  }
+
+  return true;
+};
+
+/**
+ * Validates generation history query parameters
+ * @param {Object} query - { status, documentId, limit } (query string values)
+ * @throws {Error} If validation fails
+ */
+export const validateGenerationHistoryQuery = ({ status, documentId, limit }) => {
+  const validStatuses = ['queued', 'processing', 'completed', 'failed'];
+  if (status && !validStatuses.includes(status)) {
+    throw new Error(`Invalid status. Must be one of: ${validStatuses.join(', ')}`);
+  }
+
+  if (documentId) {
+    try {
+      validateUUID(documentId);
+    } catch {
+      throw new Error(`Invalid documentId: ${documentId}. Must be a valid UUID.`);
+    }
+  }
+
+  if (limit !== undefined && limit !== null) {
+    const value = Number(limit);
+    if (!Number.isInteger(value) || value < 1 || value > 500) {
+      throw new Error('limit must be an integer between 1 and 500');
+    }
+  }
+
   return true;
 };
 
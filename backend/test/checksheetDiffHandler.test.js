@@ -0,0 +1,104 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { handler } from '../src/handlers/checksheetDiff.js';
+import generationHistoryService from '../src/services/generationHistoryService.js';
+import s3Service from '../src/services/s3Service.js';
+
+const BASE_ID = '11111111-1111-4111-8111-111111111111';
+const TARGET_ID = '22222222-2222-4222-8222-222222222222';
+
+const post = (body) => ({ httpMethod: 'POST', path: '/api/checksheet-diff', body: JSON.stringify(body) });
+
+const parse = (response) => ({ statusCode: response.statusCode, ...JSON.parse(response.body) });
+
+const baseItems = [
+  { itemName: 'Check oil level', frequency: 'Daily', inspectionPoint: 'Dipstick', expectedStatus: 'Between marks' },
+  { itemName: 'Clean air filter', frequency: 'Monthly', inspectionPoint: 'Filter', expectedStatus: 'Clean' }
+];
+const targetItems = [
+  { itemName: 'Inspect oil level', frequency: 'Daily', inspectionPoint: 'Dipstick', expectedStatus: 'Between marks' },
+  { itemName: 'Test emergency stop', frequency: 'Daily', inspectionPoint: 'E-stop', expectedStatus: 'Stops machine' }
+];
+
+const generation = (generationId, items, overrides = {}) => ({
+  generationId,
+  status: 'completed',
+  useCase: 'checksheet',
+  data: { items },
+  metadata: { revisions: [{ revision: generationId === BASE_ID ? 'Rev A' : 'Rev B' }] },
+  ...overrides
+});
+
+beforeEach((t) => {
+  t.mock.method(s3Service, 'uploadOutput', async (buffer, fileName) => ({
+    fileName,
+    s3Key: `outputs/test/${fileName}`,
+    bucket: 'outputs-bucket'
+  }));
+  t.mock.method(s3Service, 'getPresignedUrl', async () => 'https://example.com/download');
+});
+
+test('requires either two checksheets or two generation IDs', async () => {
+  for (const body of [{}, { base: baseItems, target: targetItems, baseGenerationId: BASE_ID, targetGenerationId: TARGET_ID }]) {
+    const response = parse(await handler(post(body)));
+    assert.equal(response.statusCode, 400);
+    assert.match(response.message, /Provide either base and target checksheets, or baseGenerationId and targetGenerationId/);
+  }
+
+  const sameGeneration = parse(await handler(post({ baseGenerationId: BASE_ID, targetGenerationId: BASE_ID })));
+  assert.equal(sameGeneration.statusCode, 400);
+
+  assert.equal((await handler({ httpMethod: 'GET' })).statusCode, 405);
+});
+
+test('diffs two checksheets and uploads the workbook', async () => {
+  const response = parse(await handler(post({ base: baseItems, target: { items: targetItems }, targetLabel: 'New' })));
+
+  assert.equal(response.statusCode, 200);
+  assert.deepEqual(response.data.diff.labels, { base: 'Base', target: 'New' });
+  assert.deepEqual(response.data.diff.summary, { baseItems: 2, targetItems: 2, added: 1, removed: 1, changed: 0, unchanged: 1 });
+  assert.equal(response.data.fileType, 'xlsx');
+  assert.equal(response.data.downloadUrl, 'https://example.com/download');
+
+  const [buffer, fileName] = s3Service.uploadOutput.mock.calls[0].arguments;
+  assert.match(fileName, /^checksheet-diff-\d{8}-[0-9a-f]{8}\.xlsx$/);
+  // An xlsx file is a zip archive
+  assert.equal(buffer.subarray(0, 2).toString(), 'PK');
+});
+
+test('diffs two stored generations labelled by their revisions', async (t) => {
+  t.mock.method(generationHistoryService, 'getGeneration', async (generationId) =>
+    generation(generationId, generationId === BASE_ID ? baseItems : targetItems));
+
+  const response = parse(await handler(post({ baseGenerationId: BASE_ID, targetGenerationId: TARGET_ID })));
+
+  assert.equal(response.statusCode, 200);
+  assert.deepEqual(response.data.diff.labels, { base: 'Rev A', target: 'Rev B' });
+  assert.equal(response.data.diff.summary.added, 1);
+  assert.equal(response.data.baseGenerationId, BASE_ID);
+  assert.equal(response.data.targetGenerationId, TARGET_ID);
+});
+
+test('refuses generations that are missing, unfinished or not checksheets', async (t) => {
+  const cases = [
+    [null, 404, /Generation not found/],
+    [{ status: 'processing' }, 409, /is processing, not completed/],
+    [{ useCase: 'workInstructions' }, 400, /not a checksheet/],
+    [{ data: null }, 409, /has no stored result/]
+  ];
+
+  for (const [overrides, statusCode, message] of cases) {
+    t.mock.method(generationHistoryService, 'getGeneration', async (generationId) => {
+      if (generationId === BASE_ID) {
+        return generation(BASE_ID, baseItems);
+      }
+      return overrides ? generation(TARGET_ID, targetItems, overrides) : null;
+    });
+
+    const response = parse(await handler(post({ baseGenerationId: BASE_ID, targetGenerationId: TARGET_ID })));
+    assert.equal(response.statusCode, statusCode);
+    assert.match(response.message, message);
+    generationHistoryService.getGeneration.mock.restore();
+  }
+  assert.equal(s3Service.uploadOutput.mock.callCount(), 0);
+});
@@ -0,0 +1,89 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import checksheetDiffService, { checksheetItemsOf } from '../src/services/checksheetDiffService.js';
+
+const item = (itemName, frequency, fields = {}) => ({
+  itemName,
+  frequency,
+  inspectionPoint: `${itemName} point`,
+  expectedStatus: 'OK',
+  notes: '',
+  ...fields
+});
+
+test('matches rephrased items and ignores case, whitespace and trailing punctuation', () => {
+  const base = [item('Check oil level', 'Daily', { notes: 'Top up if low.' })];
+  const target = [item('Inspect Oil Level', 'daily', { inspectionPoint: 'check oil level point', notes: 'top up  if low' })];
+
+  const diff = checksheetDiffService.diffChecksheets(base, target);
+
+  assert.equal(diff.summary.unchanged, 1);
+  assert.equal(diff.summary.changed, 0);
+  assert.deepEqual(diff.added, []);
+  assert.deepEqual(diff.removed, []);
+});
+
+test('reports the fields that changed on a matched item', () => {
+  const base = [item('Check brake pads', 'Weekly', { expectedStatus: 'Thickness > 3 mm' })];
+  const target = [item('Check brake pads', 'Weekly', { expectedStatus: 'Thickness > 4 mm', notes: 'Replace in pairs' })];
+
+  const { changed } = checksheetDiffService.diffChecksheets(base, target);
+
+  assert.equal(changed.length, 1);
+  assert.equal(changed[0].itemName, 'Check brake pads');
+  assert.deepEqual(changed[0].changes, [
+    { field: 'expectedStatus', from: 'Thickness > 3 mm', to: 'Thickness > 4 mm' },
+    { field: 'notes', from: '', to: 'Replace in pairs' }
+  ]);
+});
+
+test('matches an item whose interval changed by name alone', () => {
+  const base = [item('Grease bearings', 'Monthly')];
+  const target = [item('Grease bearings', 'Weekly')];
+
+  const diff = checksheetDiffService.diffChecksheets(base, target);
+
+  assert.equal(diff.summary.added, 0);
+  assert.equal(diff.summary.removed, 0);
+  assert.deepEqual(diff.changed[0].changes, [{ field: 'frequency', from: 'Monthly', to: 'Weekly' }]);
+});
+
+test('pairs same-name items by frequency before falling back to the name', () => {
+  const base = [item('Check coolant', 'Daily'), item('Check coolant', 'Annually', { notes: 'Replace coolant' })];
+  const target = [item('Check coolant', 'Annually', { notes: 'Replace coolant' }), item('Check coolant', 'Daily')];
+
+  const diff = checksheetDiffService.diffChecksheets(base, target);
+
+  assert.equal(diff.summary.unchanged, 2);
+  assert.equal(diff.summary.changed, 0);
+});
+
+test('classifies unmatched items as added or removed', () => {
+  const base = [item('Check oil level', 'Daily'), item('Clean air filter', 'Monthly')];
+  const target = [item('Check oil level', 'Daily'), item('Test emergency stop', 'Daily')];
+
+  const diff = checksheetDiffService.diffChecksheets(base, target, { baseLabel: 'Rev A', targetLabel: 'Rev B' });
+
+  assert.deepEqual(diff.labels, { base: 'Rev A', target: 'Rev B' });
+  assert.deepEqual(diff.added.map(entry => entry.itemName), ['Test emergency stop']);
+  assert.deepEqual(diff.removed.map(entry => entry.itemName), ['Clean air filter']);
+  assert.deepEqual(diff.summary, { baseItems: 2, targetItems: 2, added: 1, removed: 1, changed: 0, unchanged: 1 });
+});
+
+test('matches items without a distinctive name by inspection point', () => {
+  const base = [{ itemName: 'Check', inspectionPoint: 'Hydraulic hose', frequency: 'Daily' }];
+  const target = [{ itemName: 'Inspect', inspectionPoint: 'Hydraulic hose', frequency: 'Daily' }];
+
+  assert.equal(checksheetDiffService.diffChecksheets(base, target).summary.unchanged, 1);
+});
+
+test('reads items from generation results', () => {
+  const items = [item('Check oil level', 'Daily')];
+
+  assert.equal(checksheetItemsOf(items), items);
+  assert.equal(checksheetItemsOf({ items }), items);
+  assert.equal(checksheetItemsOf({ data: { items } }), items);
+  assert.equal(checksheetItemsOf({ data: items }), items);
+  assert.deepEqual(checksheetItemsOf({ data: { summary: 'none' } }), []);
+  assert.deepEqual(checksheetItemsOf(null), []);
+});
@@ -0,0 +1,96 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { splitContextByStructure } from '../src/utils/contextSplitter.js';
+
+const textsOf = (slices) => slices.map(slice => slice.text);
+
+test('returns no slices for empty context and one trimmed slice for short context', () => {
+  assert.deepEqual(splitContextByStructure('', [], 100), []);
+  assert.deepEqual(splitContextByStructure('  One sentence.  ', [], 100), [{ text: 'One sentence.', startChar: 2, endChar: 15 }]);
+});
+
+test('never spans two source chunks, even when both fit one slice', () => {
+  const first = 'Chunk one has a sentence. And another one.';
+  const second = 'Chunk two is here.';
+  const context = `${first}\n\n${second}`;
+  const chunkPositionMap = [
+    { startChar: 0, endChar: first.length },
+    { startChar: first.length + 2, endChar: context.length }
+  ];
+
+  const slices = splitContextByStructure(context, chunkPositionMap, 1000);
+
+  assert.deepEqual(textsOf(slices), [first, second]);
+  slices.forEach(slice => assert.equal(context.substring(slice.startChar, slice.endChar), slice.text));
+});
+
+test('splits prose at sentence ends', () => {
+  const context = 'The pump must be primed. Open the valve slowly. Check the gauge reads 2 bar. Close the drain cock. Record the reading.';
+
+  const slices = splitContextByStructure(context, [], 40);
+
+  assert.ok(slices.length > 1);
+  slices.forEach(slice => {
+    assert.ok(slice.text.length <= 40, `slice too long: ${slice.text}`);
+    assert.match(slice.text, /\.$/);
+  });
+  assert.equal(textsOf(slices).join(' '), context);
+});
+
+test('does not end a sentence at an abbreviation', () => {
+  const slices = splitContextByStructure('Use a solvent, e.g. Isopropanol for cleaning. Then dry it. Wipe the lens with a cloth now.', [], 40);
+
+  assert.equal(slices[0].text, 'Use a solvent, e.g. Isopropanol for cleaning.');
+});
+
+test('keeps a numbered list in one slice when it fits', () => {
+  const context = 'Procedure:\n1. Remove the cover.\n2. Disconnect the cable.\n3. Lift the motor.';
+
+  // The list is longer than the target, but within the 1.5x allowance for blocks
+  assert.deepEqual(textsOf(splitContextByStructure(context, [], 60)), [
+    'Procedure:',
+    '1. Remove the cover.\n2. Disconnect the cable.\n3. Lift the motor.'
+  ]);
+});
+
+test('splits a list that is too long between its items', () => {
+  const context = 'Procedure:\n1. Remove the cover.\n2. Disconnect the cable.\n3. Lift the motor.';
+
+  assert.deepEqual(textsOf(splitContextByStructure(context, [], 25)), [
+    'Procedure:',
+    '1. Remove the cover.',
+    '2. Disconnect the cable.',
+    '3. Lift the motor.'
+  ]);
+});
+
+test('splits a sentence longer than the slice at whitespace without cutting words', () => {
+  const context = 'alpha beta gamma delta epsilon zeta eta theta iota kappa lambda mu';
+
+  const slices = splitContextByStructure(context, [], 20);
+
+  assert.deepEqual(textsOf(slices), ['alpha beta gamma', 'delta epsilon zeta', 'eta theta iota', 'kappa lambda mu']);
+});
+
+test('hard-cuts text without whitespace and folds a short tail into the previous slice', () => {
+  const slices = splitContextByStructure('x'.repeat(95), [], 30);
+
+  assert.deepEqual(slices.map(slice => slice.text.length), [30, 30, 35]);
+  assert.equal(slices[2].endChar, 95);
+});
+
+test('folds a short trailing sentence into the previous slice', () => {
+  assert.deepEqual(textsOf(splitContextByStructure('This sentence is about forty characters. Tail.', [], 42)), [
+    'This sentence is about forty characters. Tail.'
+  ]);
+});
+
+test('measures slices with the given measure function', () => {
+  const countWords = (text) => text.split(/\s+/).filter(Boolean).length;
+  const context = 'One two three. Four five six. Seven eight nine. Ten eleven twelve.';
+
+  assert.deepEqual(textsOf(splitContextByStructure(context, [], 6, countWords)), [
+    'One two three. Four five six.',
+    'Seven eight nine. Ten eleven twelve.'
+  ]);
+});
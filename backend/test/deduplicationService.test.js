@@ -0,0 +1,84 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import deduplicationService from '../src/services/deduplicationService.js';
+import embeddingService from '../src/services/embeddingService.js';
+
+/**
+ * Replace item embeddings with the given vectors (one per item, in order)
+ */
+const mockEmbeddings = (t, vectors) => t.mock.method(embeddingService, 'generateEmbeddingsBatch', async () => vectors);
+
+test('normalizes item names and frequencies', () => {
+  assert.equal(deduplicationService.normalizeItemName('Inspect Oil Level'), 'level oil');
+  assert.equal(deduplicationService.normalizeItemName('Check oil levels.'), 'level oil');
+  assert.equal(deduplicationService.normalizeItemName('Check'), '');
+  assert.equal(deduplicationService.normalizeFrequency('Every 500 Hours'), 'every 500 hours');
+  assert.equal(deduplicationService.normalizeFrequency('N/A'), null);
+});
+
+test('merges items with the same name into the richest variant with all sources', async (t) => {
+  mockEmbeddings(t, [[1, 0], [0, 1], [1, 1]]);
+
+  const { items, metadata } = await deduplicationService.dedupeChecksheetItems([
+    { itemName: 'Check oil level', frequency: 'Daily', inspectionPoint: 'Dipstick', source: 'manual.pdf p.3' },
+    { itemName: 'Inspect oil level', frequency: 'Daily', inspectionPoint: 'Dipstick between MIN and MAX marks', source: 'manual.pdf p.7' },
+    { itemName: 'Check tyre pressure', frequency: 'Daily', source: 'manual.pdf p.9' }
+  ]);
+
+  assert.equal(items.length, 2);
+  assert.equal(items[0].inspectionPoint, 'Dipstick between MIN and MAX marks');
+  assert.deepEqual(items[0].sources, ['manual.pdf p.3', 'manual.pdf p.7']);
+  assert.equal(items[0].source, 'manual.pdf p.3; manual.pdf p.7');
+  assert.equal(items[0].mergedCount, 2);
+  assert.equal(items[1].itemName, 'Check tyre pressure');
+  assert.equal(metadata.method, 'embedding+name');
+  assert.equal(metadata.duplicatesCollapsed, 1);
+  assert.equal(metadata.clustersMerged, 1);
+});
+
+test('merges differently named items with similar embeddings', async (t) => {
+  mockEmbeddings(t, [[1, 0], [0.99, 0.05], [0, 1]]);
+
+  const { items } = await deduplicationService.dedupeChecksheetItems([
+    { itemName: 'Check hydraulic fluid', frequency: 'Weekly' },
+    { itemName: 'Verify hydraulic oil reservoir', frequency: 'Weekly' },
+    { itemName: 'Lubricate chain', frequency: 'Weekly' }
+  ], { similarityThreshold: 0.9 });
+
+  assert.deepEqual(items.map(item => item.itemName), ['Verify hydraulic oil reservoir', 'Lubricate chain']);
+});
+
+test('keeps the same check at different frequencies as separate rows', async (t) => {
+  mockEmbeddings(t, [[1, 0], [1, 0]]);
+
+  const { items } = await deduplicationService.dedupeChecksheetItems([
+    { itemName: 'Check coolant', frequency: 'Daily' },
+    { itemName: 'Check coolant', frequency: 'Annually' }
+  ]);
+
+  assert.equal(items.length, 2);
+});
+
+test('falls back to name matching when embedding fails', async (t) => {
+  t.mock.method(embeddingService, 'generateEmbeddingsBatch', async () => {
+    throw new Error('quota exceeded');
+  });
+
+  const { items, metadata } = await deduplicationService.dedupeChecksheetItems([
+    { itemName: 'Check oil level', frequency: 'Daily' },
+    { itemName: 'Inspect oil level', frequency: 'Daily' },
+    { itemName: 'Verify hydraulic oil reservoir', frequency: 'Daily' }
+  ]);
+
+  assert.equal(items.length, 2);
+  assert.equal(metadata.method, 'name');
+});
+
+test('leaves single items untouched', async () => {
+  const item = { itemName: 'Check oil level' };
+
+  const { items, metadata } = await deduplicationService.dedupeChecksheetItems([item]);
+
+  assert.deepEqual(items, [item]);
+  assert.equal(metadata.method, 'none');
+});
@@ -0,0 +1,120 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { handler } from '../src/handlers/documents.js';
+import s3Service from '../src/services/s3Service.js';
+import ingestionStatusService from '../src/services/ingestionStatusService.js';
+import keywordIndexService from '../src/services/keywordIndexService.js';
+import vectorStoreFactory from '../src/services/vectorStoreFactory.js';
+
+const FILE_ID = '11111111-1111-4111-8111-111111111111';
+const DUPLICATE_ID = '22222222-2222-4222-8222-222222222222';
+const OTHER_ID = '33333333-3333-4333-8333-333333333333';
+
+const parse = (response) => ({ statusCode: response.statusCode, ...JSON.parse(response.body) });
+
+const request = (httpMethod, fileId, queryStringParameters = null) => ({
+  httpMethod,
+  path: fileId ? `/api/documents/${fileId}` : '/api/documents',
+  pathParameters: fileId ? { fileId } : null,
+  queryStringParameters
+});
+
+const object = (fileId, fileName) => ({ key: `documents/${fileId}/${fileName}`, size: 1024, lastModified: '2026-01-01T00:00:00.000Z' });
+
+let documentsBucket;
+let store;
+
+before(() => {
+  documentsBucket = s3Service.documentsBucket;
+  s3Service.documentsBucket = 'documents-bucket';
+});
+
+after(() => {
+  s3Service.documentsBucket = documentsBucket;
+});
+
+beforeEach((t) => {
+  store = { name: 'test', deleteByFileId: t.mock.fn(async () => {}) };
+  t.mock.method(vectorStoreFactory, 'getStore', () => store);
+  t.mock.method(keywordIndexService, 'deleteIndex', async () => {});
+  t.mock.method(s3Service, 'deletePrefix', async () => ({ deleted: 1 }));
+  t.mock.method(s3Service, 'getObjectMetadata', async () => ({ contentType: 'application/pdf', metadata: {} }));
+  t.mock.method(ingestionStatusService, 'deleteStatus', async () => true);
+  t.mock.method(ingestionStatusService, 'findByAttribute', async () => []);
+});
+
+test('lists documents from their files and status records', async (t) => {
+  t.mock.method(s3Service, 'listObjects', async () => [object(FILE_ID, 'manual.pdf')]);
+  t.mock.method(ingestionStatusService, 'listStatuses', async () => [
+    { fileId: FILE_ID, status: 'completed', chunksProcessed: 12 },
+    { fileId: OTHER_ID, status: 'failed', fileName: 'expired.pdf' }
+  ]);
+
+  const response = parse(await handler(request('GET')));
+
+  assert.equal(response.statusCode, 200);
+  assert.equal(response.data.count, 2);
+  const [document] = response.data.documents;
+  assert.equal(document.fileName, 'manual.pdf');
+  assert.equal(document.chunkCount, 12);
+  assert.equal(response.data.documents[1].fileExists, false);
+});
+
+test('gets a document or answers 404 and 400', async (t) => {
+  t.mock.method(s3Service, 'listObjects', async (bucket, prefix) => (prefix.includes(FILE_ID) ? [object(FILE_ID, 'manual.pdf')] : []));
+  t.mock.method(ingestionStatusService, 'getStatus', async () => null);
+
+  const found = parse(await handler(request('GET', FILE_ID)));
+  assert.equal(found.statusCode, 200);
+  assert.equal(found.data.document.status, 'uploaded');
+  assert.equal(found.data.document.contentType, 'application/pdf');
+
+  assert.equal((await handler(request('GET', OTHER_ID))).statusCode, 404);
+  assert.equal((await handler(request('GET', 'not-a-uuid'))).statusCode, 400);
+});
+
+test('deletes a document with the identical files that resolved to it', async (t) => {
+  t.mock.method(s3Service, 'listObjects', async () => [object(FILE_ID, 'manual.pdf')]);
+  t.mock.method(ingestionStatusService, 'getStatus', async () => ({ fileId: FILE_ID, status: 'completed' }));
+  ingestionStatusService.findByAttribute.mock.mockImplementation(async () => [
+    { fileId: DUPLICATE_ID, status: 'completed', duplicateOf: FILE_ID }
+  ]);
+
+  const response = parse(await handler(request('DELETE', FILE_ID)));
+
+  assert.equal(response.statusCode, 200);
+  assert.deepEqual(response.data.deleted, { vectors: true, keywordIndex: true, files: 1, duplicates: [DUPLICATE_ID], status: true });
+  assert.deepEqual(ingestionStatusService.findByAttribute.mock.calls[0].arguments, ['duplicateOf', FILE_ID]);
+  assert.deepEqual(s3Service.deletePrefix.mock.calls.map(call => call.arguments[1]), [
+    `documents/${FILE_ID}/`,
+    `documents/${DUPLICATE_ID}/`
+  ]);
+  assert.deepEqual(ingestionStatusService.deleteStatus.mock.calls.map(call => call.arguments[0]), [DUPLICATE_ID, FILE_ID]);
+  assert.equal(store.deleteByFileId.mock.calls[0].arguments[0], FILE_ID);
+});
+
+test('refuses to delete a document that is being ingested unless forced', async (t) => {
+  t.mock.method(s3Service, 'listObjects', async () => [object(FILE_ID, 'manual.pdf')]);
+  t.mock.method(ingestionStatusService, 'getStatus', async () => ({ fileId: FILE_ID, status: 'processing' }));
+
+  const refused = parse(await handler(request('DELETE', FILE_ID)));
+  assert.equal(refused.statusCode, 409);
+  assert.equal(store.deleteByFileId.mock.callCount(), 0);
+
+  const forced = await handler(request('DELETE', FILE_ID, { force: 'true' }));
+  assert.equal(forced.statusCode, 200);
+});
+
+test('attempts every delete step and names the ones that failed', async (t) => {
+  t.mock.method(s3Service, 'listObjects', async () => [object(FILE_ID, 'manual.pdf')]);
+  t.mock.method(ingestionStatusService, 'getStatus', async () => ({ fileId: FILE_ID, status: 'completed' }));
+  keywordIndexService.deleteIndex.mock.mockImplementation(async () => {
+    throw new Error('AccessDenied');
+  });
+
+  const response = parse(await handler(request('DELETE', FILE_ID)));
+
+  assert.equal(response.statusCode, 500);
+  assert.match(response.message, /keywordIndex \(AccessDenied\)/);
+  assert.equal(ingestionStatusService.deleteStatus.mock.callCount(), 1);
+});
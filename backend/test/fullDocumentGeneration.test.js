@@ -0,0 +1,97 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { S3Client } from '@aws-sdk/client-s3';
+import { handleGenerate } from '../src/controllers/generateController.js';
+import llmProviderRegistry from '../src/services/llmProviderRegistry.js';
+import vectorStoreFactory from '../src/services/vectorStoreFactory.js';
+import keywordIndexService from '../src/services/keywordIndexService.js';
+import ingestionStatusService from '../src/services/ingestionStatusService.js';
+import manualRevisionService from '../src/services/manualRevisionService.js';
+import embeddingService from '../src/services/embeddingService.js';
+
+const FILE_ID = '11111111-1111-4111-8111-111111111111';
+const MAX_DOCUMENT_CHUNKS = 10000;
+
+const provider = {
+  capabilities: { maxOutputTokens: 2000, contextWindowTokens: 1000000, jsonMode: false },
+  invokeAndParseJSON: async () => [
+    { itemName: 'Check oil level', inspectionPoint: 'Dipstick', frequency: 'Daily', expectedStatus: 'Between marks' }
+  ],
+  invokeStream: async () => {}
+};
+
+/**
+ * Chunks of a document as the vector store returns them (at most limit)
+ */
+const storeWithChunks = (count) => ({
+  name: 'test',
+  getChunksByFileId: async (fileId, limit) => Array.from({ length: Math.min(count, limit) }, (_, index) => ({
+    id: `${fileId}_${index}`,
+    text: 'Check the oil level daily at the dipstick.',
+    metadata: { fileId, fileName: 'manual.pdf', chunkIndex: index, pageNumber: 1 + Math.floor(index / 10) }
+  }))
+});
+
+let maxBatches;
+
+before(() => {
+  llmProviderRegistry.registerProvider('test-full', provider);
+  maxBatches = process.env.FULL_DOCUMENT_MAX_BATCHES;
+  process.env.FULL_DOCUMENT_MAX_BATCHES = '2';
+});
+
+after(() => {
+  if (maxBatches === undefined) {
+    delete process.env.FULL_DOCUMENT_MAX_BATCHES;
+  } else {
+    process.env.FULL_DOCUMENT_MAX_BATCHES = maxBatches;
+  }
+});
+
+beforeEach((t) => {
+  // No prompt library is stored, so the default prompts are used
+  t.mock.method(S3Client.prototype, 'send', async () => {
+    throw Object.assign(new Error('The specified key does not exist.'), { name: 'NoSuchKey' });
+  });
+  t.mock.method(manualRevisionService, 'resolveDocumentRevisions', async (documentIds) => ({ documentIds, revisions: [] }));
+  t.mock.method(keywordIndexService, 'loadIndex', async () => null);
+  t.mock.method(embeddingService, 'generateEmbeddingsBatch', async () => {
+    throw new Error('embedding disabled in tests');
+  });
+});
+
+const generate = () => handleGenerate({ useCase: 'checksheet', documentIds: [FILE_ID], llmProvider: 'test-full', mode: 'fullDocument' });
+
+test('reports full coverage when every chunk of the document is read', async (t) => {
+  t.mock.method(vectorStoreFactory, 'getStore', () => storeWithChunks(MAX_DOCUMENT_CHUNKS));
+
+  const result = await generate();
+
+  assert.equal(result.chunksUsed, MAX_DOCUMENT_CHUNKS);
+  assert.equal(result.metadata.retrieval.truncated, false);
+  assert.equal(result.metadata.retrieval.totalChunks, undefined);
+  assert.match(result.message, /from the full document/);
+});
+
+test('reports a document cut off at the chunk limit with its total chunk count', async (t) => {
+  t.mock.method(vectorStoreFactory, 'getStore', () => storeWithChunks(12000));
+  t.mock.method(ingestionStatusService, 'getStatus', async () => ({ fileId: FILE_ID, status: 'completed', chunksProcessed: 12000 }));
+
+  const result = await generate();
+
+  assert.equal(result.chunksUsed, MAX_DOCUMENT_CHUNKS);
+  assert.equal(result.metadata.retrieval.truncated, true);
+  assert.equal(result.metadata.retrieval.totalChunks, 12000);
+  assert.deepEqual(result.metadata.retrieval.truncatedDocuments, [{ fileId: FILE_ID, chunksLoaded: MAX_DOCUMENT_CHUNKS, totalChunks: 12000 }]);
+  assert.doesNotMatch(result.message, /from the full document/);
+});
+
+test('reports an unknown total when the chunk count of a cut off document is not recorded', async (t) => {
+  t.mock.method(vectorStoreFactory, 'getStore', () => storeWithChunks(12000));
+  t.mock.method(ingestionStatusService, 'getStatus', async () => null);
+
+  const result = await generate();
+
+  assert.equal(result.metadata.retrieval.truncated, true);
+  assert.equal(result.metadata.retrieval.totalChunks, null);
+});
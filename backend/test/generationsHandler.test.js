@@ -0,0 +1,96 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { handler } from '../src/handlers/generations.js';
+import generationStatusService from '../src/services/generationStatusService.js';
+import s3Service from '../src/services/s3Service.js';
+
+const FIRST_ID = '11111111-1111-4111-8111-111111111111';
+const SECOND_ID = '22222222-2222-4222-8222-222222222222';
+const THIRD_ID = '33333333-3333-4333-8333-333333333333';
+const DOCUMENT_ID = '44444444-4444-4444-8444-444444444444';
+
+const statuses = [
+  {
+    generationId: FIRST_ID,
+    status: 'completed',
+    useCase: 'checksheet',
+    documentIds: [DOCUMENT_ID],
+    s3Key: 'outputs/file-1/checksheet.xlsx',
+    s3Bucket: 'outputs-bucket',
+    resultKey: 'outputs/file-1/generation.json',
+    createdAt: '2026-01-01T00:00:00.000Z'
+  },
+  { generationId: SECOND_ID, status: 'failed', useCase: 'workInstructions', documentIds: [DOCUMENT_ID], createdAt: '2026-01-03T00:00:00.000Z' },
+  { generationId: THIRD_ID, status: 'completed', useCase: 'checksheet', documentIds: [], createdAt: '2026-01-02T00:00:00.000Z' }
+];
+
+const result = {
+  generationId: FIRST_ID,
+  inputs: { useCase: 'checksheet', documentIds: [DOCUMENT_ID], model: 'gemini-2.5-flash' },
+  data: [{ itemName: 'Check oil level' }],
+  metadata: { sources: ['manual.pdf p.3'] }
+};
+
+const parse = (response) => ({ statusCode: response.statusCode, ...JSON.parse(response.body) });
+
+const request = (generationId = null, queryStringParameters = null) => ({
+  httpMethod: 'GET',
+  path: generationId ? `/api/generations/${generationId}` : '/api/generations',
+  pathParameters: generationId ? { generationId } : null,
+  queryStringParameters
+});
+
+beforeEach((t) => {
+  t.mock.method(generationStatusService, 'listStatuses', async () => statuses);
+  t.mock.method(generationStatusService, 'getStatus', async (generationId) => statuses.find(status => status.generationId === generationId) || null);
+  t.mock.method(s3Service, 'getObject', async () => ({ body: Buffer.from(JSON.stringify(result)) }));
+  t.mock.method(s3Service, 'getPresignedUrl', async () => 'https://example.com/download');
+});
+
+test('lists generations most recent first', async () => {
+  const response = parse(await handler(request()));
+
+  assert.equal(response.statusCode, 200);
+  assert.deepEqual(response.data.generations.map(generation => generation.generationId), [SECOND_ID, THIRD_ID, FIRST_ID]);
+  assert.equal(response.data.total, 3);
+});
+
+test('filters generations by use case, status and document, then limits them', async () => {
+  const filtered = parse(await handler(request(null, { useCase: 'checksheet', status: 'completed', documentId: DOCUMENT_ID })));
+  assert.deepEqual(filtered.data.generations.map(generation => generation.generationId), [FIRST_ID]);
+
+  const limited = parse(await handler(request(null, { limit: '1' })));
+  assert.equal(limited.data.count, 1);
+  assert.equal(limited.data.total, 3);
+});
+
+test('rejects invalid history queries', async () => {
+  for (const query of [{ status: 'done' }, { documentId: 'manual.pdf' }, { limit: '0' }, { limit: '501' }]) {
+    assert.equal((await handler(request(null, query))).statusCode, 400);
+  }
+});
+
+test('gets a generation with its stored result and a fresh download URL', async () => {
+  const response = parse(await handler(request(FIRST_ID)));
+
+  assert.equal(response.statusCode, 200);
+  const { generation } = response.data;
+  assert.equal(generation.downloadUrl, 'https://example.com/download');
+  assert.deepEqual(generation.data, result.data);
+  assert.deepEqual(generation.inputs, result.inputs);
+  assert.deepEqual(s3Service.getObject.mock.calls[0].arguments, ['outputs-bucket', 'outputs/file-1/generation.json']);
+});
+
+test('gets a generation without a stored result or output file', async () => {
+  const response = parse(await handler(request(SECOND_ID)));
+
+  assert.equal(response.data.generation.data, null);
+  assert.equal(response.data.generation.downloadUrl, null);
+  assert.equal(s3Service.getObject.mock.callCount(), 0);
+});
+
+test('answers 404 for unknown and 400 for malformed generation IDs', async () => {
+  assert.equal((await handler(request('55555555-5555-4555-8555-555555555555'))).statusCode, 404);
+  assert.equal((await handler(request('not-a-uuid'))).statusCode, 400);
+  assert.equal((await handler({ httpMethod: 'DELETE', path: '/api/generations' })).statusCode, 405);
+});
@@ -0,0 +1,98 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { handler } from '../src/handlers/getUploadUrl.js';
+import documentCatalogService from '../src/services/documentCatalogService.js';
+import ingestionStatusService from '../src/services/ingestionStatusService.js';
+
+const ORIGINAL_ID = '11111111-1111-4111-8111-111111111111';
+const CONTENT_HASH = 'a'.repeat(64);
+
+const ENV = {
+  S3_DOCUMENTS_BUCKET: 'documents-bucket',
+  AWS_REGION: 'us-east-1',
+  AWS_ACCESS_KEY_ID: 'AKIDEXAMPLE',
+  AWS_SECRET_ACCESS_KEY: 'secret'
+};
+
+const post = (body) => ({ httpMethod: 'POST', path: '/api/get-upload-url', body: JSON.stringify(body) });
+
+const parse = (response) => ({ statusCode: response.statusCode, ...JSON.parse(response.body) });
+
+const request = { fileName: 'manual.pdf', fileSize: 2048, contentType: 'application/pdf', contentHash: CONTENT_HASH };
+
+/**
+ * Make the original document identical to the uploaded file have a status
+ */
+const mockOriginal = (t, status) => {
+  t.mock.method(ingestionStatusService, 'findByContentHash', async () => [
+    { fileId: ORIGINAL_ID, status, contentHash: CONTENT_HASH, createdAt: '2026-01-01T00:00:00.000Z' }
+  ]);
+};
+
+let savedEnv;
+
+before(() => {
+  savedEnv = Object.fromEntries(Object.keys(ENV).map(key => [key, process.env[key]]));
+  Object.assign(process.env, ENV);
+});
+
+after(() => {
+  Object.entries(savedEnv).forEach(([key, value]) => {
+    if (value === undefined) {
+      delete process.env[key];
+    } else {
+      process.env[key] = value;
+    }
+  });
+});
+
+beforeEach((t) => {
+  t.mock.method(documentCatalogService, 'getDocument', async (fileId) => ({
+    fileId,
+    fileName: 'manual.pdf',
+    s3Key: `documents/${fileId}/manual.pdf`,
+    fileExists: true,
+    status: 'completed'
+  }));
+});
+
+test('returns an ingested identical document instead of an upload URL', async (t) => {
+  mockOriginal(t, 'completed');
+
+  const response = parse(await handler(post(request)));
+
+  assert.equal(response.statusCode, 200);
+  assert.equal(response.data.duplicate, true);
+  assert.equal(response.data.fileId, ORIGINAL_ID);
+  assert.equal(response.data.presignedUrl, null);
+});
+
+test('issues an upload URL when the identical document is not ingested', async (t) => {
+  for (const status of ['uploaded', 'queued', 'processing', 'failed']) {
+    mockOriginal(t, status);
+
+    const response = parse(await handler(post(request)));
+
+    assert.equal(response.statusCode, 200);
+    assert.equal(response.data.duplicate, false, status);
+    assert.notEqual(response.data.fileId, ORIGINAL_ID);
+    assert.match(response.data.presignedUrl, /^https:\/\/documents-bucket\.s3\./);
+    ingestionStatusService.findByContentHash.mock.restore();
+  }
+});
+
+test('issues an upload URL for an identical document when forced', async (t) => {
+  mockOriginal(t, 'completed');
+
+  const response = parse(await handler(post({ ...request, force: true })));
+
+  assert.equal(response.data.duplicate, false);
+  assert.equal(ingestionStatusService.findByContentHash.mock.callCount(), 0);
+});
+
+test('rejects a content hash that is not a SHA-256 digest', async () => {
+  const response = parse(await handler(post({ ...request, contentHash: 'abc' })));
+
+  assert.equal(response.statusCode, 400);
+  assert.match(response.message, /contentHash must be a lowercase hex SHA-256 digest/);
+});
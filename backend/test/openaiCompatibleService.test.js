@@ -0,0 +1,55 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import axios from 'axios';
+import OpenAICompatibleService from '../src/services/openaiCompatibleService.js';
+
+const createService = (jsonMode) => new OpenAICompatibleService({
+  name: 'test-openai',
+  baseUrl: 'https://llm.example.com/v1/',
+  model: 'gpt-4o-mini',
+  jsonMode
+});
+
+/**
+ * Answer chat completion requests with the given message content
+ */
+const mockCompletion = (t, content) => t.mock.method(axios, 'post', async () => ({
+  data: { choices: [{ message: { content }, finish_reason: 'stop' }] }
+}));
+
+const items = [{ itemName: 'Check oil level', frequency: 'Daily' }];
+
+test('sends response_format json_object only when JSON mode is requested and supported', () => {
+  assert.deepEqual(createService(true).buildRequestBody('System', 'User', { jsonMode: true }).response_format, { type: 'json_object' });
+  assert.equal(createService(true).buildRequestBody('System', 'User', {}).response_format, undefined);
+  assert.equal(createService(false).buildRequestBody('System', 'User', { jsonMode: true }).response_format, undefined);
+});
+
+test('asks for array responses wrapped in an object in JSON mode', () => {
+  const body = createService(true).buildRequestBody('Return ONLY the JSON array.', 'User', { jsonMode: true, responseShape: 'array' });
+
+  assert.match(body.messages[0].content, /^Return ONLY the JSON array\.\n\nRespond with a JSON object whose only field "items" holds the JSON array/);
+  assert.equal(createService(true).buildRequestBody('System', 'User', { jsonMode: true }).messages[0].content, 'System');
+  assert.equal(createService(false).buildRequestBody('System', 'User', { jsonMode: true, responseShape: 'array' }).messages[0].content, 'System');
+});
+
+test('unwraps array responses in JSON mode', async (t) => {
+  const post = mockCompletion(t, JSON.stringify({ items }));
+
+  const parsed = await createService(true).invokeAndParseJSON('System', 'User', { jsonMode: true, responseShape: 'array' });
+
+  assert.deepEqual(parsed, items);
+  const [url, body] = post.mock.calls[0].arguments;
+  assert.equal(url, 'https://llm.example.com/v1/chat/completions');
+  assert.deepEqual(body.response_format, { type: 'json_object' });
+});
+
+test('returns arrays and objects as the model sent them otherwise', async (t) => {
+  mockCompletion(t, `Here you go:\n\`\`\`json\n${JSON.stringify(items)}\n\`\`\``);
+  assert.deepEqual(await createService(false).invokeAndParseJSON('System', 'User', { jsonMode: true, responseShape: 'array' }), items);
+  axios.post.mock.restore();
+
+  // An object response of an object-shaped prompt keeps its items field
+  mockCompletion(t, JSON.stringify({ items, total: 1 }));
+  assert.deepEqual(await createService(true).invokeAndParseJSON('System', 'User', { jsonMode: true }), { items, total: 1 });
+});
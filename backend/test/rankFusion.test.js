@@ -0,0 +1,102 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { reciprocalRankFusion } from '../src/utils/rankFusion.js';
+import keywordIndexService from '../src/services/keywordIndexService.js';
+
+const results = (...ids) => ids.map((id, index) => ({ id, text: `chunk ${id}`, metadata: {}, score: 1 - index / 10 }));
+
+test('sums weight / (k + rank) across lists', () => {
+  const fused = reciprocalRankFusion([
+    { name: 'vector', results: results('a', 'b'), weight: 1 },
+    { name: 'keyword', results: results('b', 'c'), weight: 1 }
+  ], { k: 60 });
+
+  const scores = Object.fromEntries(fused.map(chunk => [chunk.id, chunk.score]));
+  assert.equal(scores.a, 1 / 61);
+  assert.equal(scores.b, 1 / 62 + 1 / 61);
+  assert.equal(scores.c, 1 / 62);
+  assert.deepEqual(fused.map(chunk => chunk.id), ['b', 'a', 'c']);
+});
+
+test('records the rank and original score of each list', () => {
+  const [fused] = reciprocalRankFusion([
+    { name: 'vector', results: results('x', 'a'), weight: 1 },
+    { name: 'keyword', results: results('a'), weight: 1 }
+  ]).filter(chunk => chunk.id === 'a');
+
+  assert.deepEqual(fused.retrievalScores, {
+    vector: { rank: 2, score: 0.9 },
+    keyword: { rank: 1, score: 1 }
+  });
+});
+
+test('weights lists and skips lists with no weight', () => {
+  const fused = reciprocalRankFusion([
+    { name: 'vector', results: results('a'), weight: 0.3 },
+    { name: 'keyword', results: results('b'), weight: 0.7 },
+    { name: 'disabled', results: results('c'), weight: 0 }
+  ]);
+
+  assert.deepEqual(fused.map(chunk => chunk.id), ['b', 'a']);
+  assert.equal(fused[0].score, 0.7 / 61);
+});
+
+test('keeps the longest text of a chunk found in several lists', () => {
+  const [fused] = reciprocalRankFusion([
+    { name: 'vector', results: [{ id: 'a', text: 'preview', score: 0.9 }], weight: 1 },
+    { name: 'keyword', results: [{ id: 'a', text: 'preview and the rest of the chunk', score: 4 }], weight: 1 }
+  ]);
+
+  assert.equal(fused.text, 'preview and the rest of the chunk');
+});
+
+test('limits the fused list to topK', () => {
+  const fused = reciprocalRankFusion([{ name: 'vector', results: results('a', 'b', 'c'), weight: 1 }], { topK: 2 });
+
+  assert.deepEqual(fused.map(chunk => chunk.id), ['a', 'b']);
+});
+
+test('keyword search ranks exact part numbers and fault codes', async () => {
+  const fileId = 'rank-fusion-test';
+  keywordIndexService.cache.set(fileId, keywordIndexService.buildIndex([
+    { text: 'Replace the filter cartridge P/N 12-345-A every 500 hours.', pageNumber: 1 },
+    { text: 'Fault code E-104 indicates low hydraulic pressure.', pageNumber: 2 },
+    { text: 'Clean the filter housing and check the seals of the filter.', pageNumber: 3 }
+  ], fileId));
+
+  const byPartNumber = await keywordIndexService.search([fileId], 'part 12-345-A');
+  assert.equal(byPartNumber[0].id, `${fileId}-chunk-0`);
+  assert.equal(byPartNumber[0].metadata.pageNumber, 1);
+
+  const byFaultCode = await keywordIndexService.search([fileId], 'E-104');
+  assert.deepEqual(byFaultCode.map(chunk => chunk.id), [`${fileId}-chunk-1`]);
+
+  // "filter" appears twice in the shorter chunk 2
+  const byTerm = await keywordIndexService.search([fileId], 'filter');
+  assert.deepEqual(byTerm.map(chunk => chunk.id), [`${fileId}-chunk-2`, `${fileId}-chunk-0`]);
+
+  assert.deepEqual(await keywordIndexService.search([fileId], 'the and of'), []);
+});
+
+test('fuses keyword and vector results by chunk ID', async () => {
+  const fileId = 'rank-fusion-hybrid';
+  keywordIndexService.cache.set(fileId, keywordIndexService.buildIndex([
+    'Torque the wheel nuts to 120 Nm.',
+    'Check tyre pressure before each shift.'
+  ], fileId));
+
+  const keyword = await keywordIndexService.search([fileId], '120 Nm');
+  const vector = [
+    { id: `${fileId}-chunk-1`, text: 'Check tyre pressure', score: 0.82 },
+    { id: `${fileId}-chunk-0`, text: 'Torque the wheel nuts', score: 0.8 }
+  ];
+
+  const fused = reciprocalRankFusion([
+    { name: 'vector', results: vector, weight: 0.5 },
+    { name: 'keyword', results: keyword, weight: 0.5 }
+  ]);
+
+  assert.equal(fused[0].id, `${fileId}-chunk-0`);
+  assert.equal(fused[0].text, 'Torque the wheel nuts to 120 Nm.');
+  assert.deepEqual(Object.keys(fused[0].retrievalScores), ['vector', 'keyword']);
+});
@@ -0,0 +1,73 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { checkSchema, validateAgainstSchema, formatSchemaErrors, groupErrorsByItem } from '../src/utils/schemaValidator.js';
+
+const itemSchema = {
+  $id: 'checksheet-item',
+  type: 'object',
+  required: ['itemName', 'frequency'],
+  properties: {
+    itemName: { type: 'string' },
+    frequency: { type: 'string', enum: ['Daily', 'Weekly', 'Monthly'] },
+    notes: { type: 'string' }
+  }
+};
+
+const listSchema = { type: 'array', items: itemSchema };
+
+test('accepts JSON Schema objects and rejects anything else', () => {
+  assert.equal(checkSchema(itemSchema), null);
+  assert.equal(checkSchema(null), 'Schema must be a JSON Schema object');
+  assert.equal(checkSchema([itemSchema]), 'Schema must be a JSON Schema object');
+  assert.match(checkSchema({ type: 'not-a-type' }), /^Invalid JSON Schema: /);
+});
+
+test('compiles schemas sharing an $id more than once', () => {
+  assert.equal(checkSchema({ ...itemSchema, required: ['itemName'] }), null);
+  assert.equal(validateAgainstSchema({ ...itemSchema, required: ['itemName'] }, { itemName: 'Check oil' }).valid, true);
+});
+
+test('validates data and reports every error with a JSON pointer', () => {
+  assert.deepEqual(validateAgainstSchema(itemSchema, { itemName: 'Check oil', frequency: 'Daily' }), { valid: true, errors: [] });
+
+  const { valid, errors } = validateAgainstSchema(itemSchema, { frequency: 'Hourly', notes: 3 });
+
+  assert.equal(valid, false);
+  assert.deepEqual(errors.map(error => error.path).sort(), ['/frequency', '/itemName', '/notes']);
+  assert.equal(errors.find(error => error.path === '/itemName').message, 'is required');
+});
+
+test('reports a wrong root value at "/"', () => {
+  const { errors } = validateAgainstSchema(listSchema, { items: [] });
+
+  assert.deepEqual(errors, [{ path: '/', message: 'must be array' }]);
+});
+
+test('formats errors as one line', () => {
+  const { errors } = validateAgainstSchema(itemSchema, { itemName: 'Check oil', notes: 3 });
+
+  assert.equal(formatSchemaErrors(errors), '/frequency is required; /notes must be string');
+});
+
+test('groups errors by array entry and field', () => {
+  const { errors } = validateAgainstSchema(listSchema, [
+    { itemName: 'Check oil', frequency: 'Daily' },
+    { itemName: 'Check belts', frequency: 'Hourly' },
+    'not an item'
+  ]);
+
+  const grouped = groupErrorsByItem(errors);
+
+  assert.deepEqual([...grouped.keys()].sort(), [1, 2]);
+  assert.deepEqual(grouped.get(1), [{ field: 'frequency', message: 'must be equal to one of the allowed values' }]);
+  assert.deepEqual(grouped.get(2), [{ field: null, message: 'must be object' }]);
+});
+
+test('groups errors of an array nested in the data', () => {
+  const errors = [
+    { path: '/items/0/notes', message: 'must be string' },
+    { path: '/title', message: 'must be string' }
+  ];
+
+  assert.deepEqual([...groupErrorsByItem(errors, '/items')], [[0, [{ field: 'notes', message: 'must be string' }]]]);
+});
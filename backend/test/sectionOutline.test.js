@@ -0,0 +1,113 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  buildSections,
+  sectionsFromOutline,
+  detectHeadingSections,
+  sectionPathAt,
+  matchesSection
+} from '../src/utils/sectionOutline.js';
+
+const pathsOf = (sections) => sections.map(section => section.path);
+
+test('builds section paths through the closest lower-level headings', () => {
+  const sections = buildSections([
+    { title: '6 Troubleshooting', level: 1, pageNumber: 9, line: 1 },
+    { title: '5 Maintenance', level: 1, pageNumber: 4, line: 1 },
+    { title: '5.1 Engine', level: 2, pageNumber: 4, line: 5 },
+    { title: '5.1.1 Oil', level: 3, pageNumber: 5, line: 2 },
+    { title: '5.2 Hydraulics', level: 2, pageNumber: 7, line: 1 }
+  ]);
+
+  assert.deepEqual(pathsOf(sections), [
+    '5 Maintenance',
+    '5 Maintenance > 5.1 Engine',
+    '5 Maintenance > 5.1 Engine > 5.1.1 Oil',
+    '5 Maintenance > 5.2 Hydraulics',
+    '6 Troubleshooting'
+  ]);
+});
+
+test('detects numbered headings but not numbered procedure steps', () => {
+  const sections = detectHeadingSections([
+    'Contents\n5.1 Engine 12\n5.2 Hydraulics 14',
+    '5 Maintenance\nPerform all checks.\n5.1 Engine\n1 Remove the cover\n2 Drain the oil',
+    '5.2. Hydraulics\nThe pump delivers 180 bar. Check the hoses.'
+  ]);
+
+  assert.deepEqual(sections.map(({ title, level, pageNumber, line }) => ({ title, level, pageNumber, line })), [
+    { title: '5 Maintenance', level: 1, pageNumber: 2, line: 1 },
+    { title: '5.1 Engine', level: 2, pageNumber: 2, line: 3 },
+    { title: '5.2 Hydraulics', level: 2, pageNumber: 3, line: 1 }
+  ]);
+});
+
+test('detects Markdown headings', () => {
+  const sections = detectHeadingSections(['# Operator Manual\nIntro.\n## Daily checks\n- Oil level\n### Engine']);
+
+  assert.deepEqual(pathsOf(sections), [
+    'Operator Manual',
+    'Operator Manual > Daily checks',
+    'Operator Manual > Daily checks > Engine'
+  ]);
+});
+
+test('places outline entries on the line starting with their title', () => {
+  const pageTexts = ['Cover', 'Safety first.\n5 Maintenance\nText\n5.1 Engine\nMore text'];
+
+  const sections = sectionsFromOutline([
+    { title: '5  Maintenance', level: 1, pageNumber: 2, top: null },
+    { title: '5.1 Engine', level: 2, pageNumber: 2, top: null },
+    { title: 'Appendix', level: 1, pageNumber: 7, top: null }
+  ], pageTexts);
+
+  assert.deepEqual(sections.map(({ title, pageNumber, line }) => ({ title, pageNumber, line })), [
+    { title: '5 Maintenance', pageNumber: 2, line: 2 },
+    { title: '5.1 Engine', pageNumber: 2, line: 4 }
+  ]);
+});
+
+test('uses the target position of an outline entry to pick between repeated titles', () => {
+  const pageTexts = ['Engine overview\nEngine\nText\nEngine\nText'];
+  const pageLines = [[
+    { y: 5, h: 1 },
+    { y: 10, h: 1 },
+    { y: 20, h: 1 },
+    { y: 60, h: 1 },
+    { y: 70, h: 1 }
+  ]];
+
+  const [section] = sectionsFromOutline([{ title: 'Engine', level: 1, pageNumber: 1, top: 0.6 }], pageTexts, pageLines, [{ height: 100 }]);
+
+  assert.equal(section.line, 4);
+});
+
+test('finds the section of a page line', () => {
+  const sections = buildSections([
+    { title: '5 Maintenance', level: 1, pageNumber: 2, line: 3 },
+    { title: '5.1 Engine', level: 2, pageNumber: 3, line: 4 }
+  ]);
+
+  assert.equal(sectionPathAt(sections, 1), null);
+  assert.equal(sectionPathAt(sections, 2, 2), null);
+  assert.equal(sectionPathAt(sections, 2, 3), '5 Maintenance');
+  assert.equal(sectionPathAt(sections, 3), '5 Maintenance');
+  assert.equal(sectionPathAt(sections, 3, 4), '5 Maintenance > 5.1 Engine');
+  assert.equal(sectionPathAt(sections, 9), '5 Maintenance > 5.1 Engine');
+  assert.equal(sectionPathAt([], 1), null);
+});
+
+test('matches sections by number, title, heading or path prefix', () => {
+  const path = '5 Maintenance > 5.3 Hydraulics';
+
+  assert.ok(matchesSection(path, '5.3'));
+  assert.ok(matchesSection(path, 'hydraulics'));
+  assert.ok(matchesSection(path, '5.3 Hydraulics'));
+  assert.ok(matchesSection(path, '5 Maintenance'));
+  assert.ok(matchesSection(path, '5'));
+  assert.ok(!matchesSection(path, '5.3.1'));
+  assert.ok(!matchesSection(path, 'Hydraulic'));
+  assert.ok(!matchesSection(path, '6'));
+  assert.ok(!matchesSection(null, '5'));
+  assert.ok(!matchesSection(path, ''));
+});
@@ -0,0 +1,135 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import structuredOutputService from '../src/services/structuredOutputService.js';
+
+const schema = {
+  type: 'array',
+  items: {
+    type: 'object',
+    required: ['itemName', 'frequency'],
+    properties: {
+      itemName: { type: 'string' },
+      frequency: { type: 'string', enum: ['Daily', 'Weekly'] }
+    }
+  }
+};
+
+/**
+ * Provider returning the given responses in order (an Error response is thrown) and recording the user prompts
+ */
+const scriptedProvider = (...responses) => ({
+  prompts: [],
+  async invokeAndParseJSON(systemPrompt, userPrompt) {
+    this.prompts.push(userPrompt);
+    const response = responses.shift();
+    if (response instanceof Error) {
+      throw response;
+    }
+    return response;
+  }
+});
+
+// Independent of SCHEMA_REPAIR_ATTEMPTS
+const { maxRepairAttempts } = structuredOutputService;
+before(() => {
+  structuredOutputService.maxRepairAttempts = 2;
+});
+after(() => {
+  structuredOutputService.maxRepairAttempts = maxRepairAttempts;
+});
+
+const valid = [{ itemName: 'Check oil', frequency: 'Daily' }];
+const wrongFrequency = [{ itemName: 'Check oil', frequency: 'Hourly' }];
+const twoErrors = [{ frequency: 'Hourly' }];
+
+test('returns a valid response without repairing it', async () => {
+  const provider = scriptedProvider(valid);
+
+  const result = await structuredOutputService.invokeWithRepair(provider, 'system', 'user', {}, schema);
+
+  assert.deepEqual(result, { data: valid, valid: true, errors: [], repairAttempts: 0 });
+  assert.equal(provider.prompts.length, 1);
+});
+
+test('skips validation without a schema', async () => {
+  const result = await structuredOutputService.invokeWithRepair(scriptedProvider({ anything: true }), 'system', 'user', {}, null);
+
+  assert.deepEqual(result, { data: { anything: true }, valid: true, errors: [], repairAttempts: 0 });
+});
+
+test('sends the errors and the previous response back and keeps the repair', async () => {
+  const provider = scriptedProvider(wrongFrequency, valid);
+
+  const result = await structuredOutputService.invokeWithRepair(provider, 'system', 'Extract items', {}, schema);
+
+  assert.equal(result.valid, true);
+  assert.equal(result.repairAttempts, 1);
+  assert.deepEqual(result.data, valid);
+
+  const repairPrompt = provider.prompts[1];
+  assert.ok(repairPrompt.startsWith('Extract items'));
+  assert.match(repairPrompt, /- \/0\/frequency must be equal to one of the allowed values/);
+  assert.ok(repairPrompt.includes(JSON.stringify(wrongFrequency)));
+});
+
+test('stops after the configured repair attempts and returns the remaining errors', async () => {
+  const provider = scriptedProvider(wrongFrequency, wrongFrequency, wrongFrequency, valid);
+
+  const result = await structuredOutputService.invokeWithRepair(provider, 'system', 'user', {}, schema);
+
+  assert.equal(provider.prompts.length, 3);
+  assert.equal(result.valid, false);
+  assert.equal(result.repairAttempts, 2);
+  assert.deepEqual(result.errors, [{ path: '/0/frequency', message: 'must be equal to one of the allowed values' }]);
+});
+
+test('does not keep a repair with more errors', async () => {
+  const provider = scriptedProvider(wrongFrequency, twoErrors, wrongFrequency);
+
+  const result = await structuredOutputService.invokeWithRepair(provider, 'system', 'user', {}, schema);
+
+  assert.deepEqual(result.data, wrongFrequency);
+  assert.equal(result.errors.length, 1);
+  // The second repair is asked to fix the kept response
+  assert.ok(provider.prompts[2].includes(JSON.stringify(wrongFrequency)));
+});
+
+test('keeps the last response when a repair call fails', async () => {
+  const provider = scriptedProvider(wrongFrequency, new Error('rate limited'));
+
+  const result = await structuredOutputService.invokeWithRepair(provider, 'system', 'user', {}, schema);
+
+  assert.deepEqual(result.data, wrongFrequency);
+  assert.equal(result.valid, false);
+  assert.equal(result.repairAttempts, 1);
+  assert.equal(provider.prompts.length, 2);
+});
+
+test('validates the normalized response', async () => {
+  const provider = scriptedProvider({ items: valid });
+
+  const result = await structuredOutputService.invokeWithRepair(provider, 'system', 'user', {}, schema, {
+    normalize: (data) => data.items
+  });
+
+  assert.equal(result.valid, true);
+  assert.deepEqual(result.data, valid);
+});
+
+test('tracks validation results across calls', async () => {
+  const validationTracker = structuredOutputService.createValidationTracker();
+
+  await structuredOutputService.invokeWithRepair(scriptedProvider(valid), 'system', 'user', {}, schema, { validationTracker, label: 'chunk 1' });
+  await structuredOutputService.invokeWithRepair(scriptedProvider(wrongFrequency, valid), 'system', 'user', {}, schema, { validationTracker, label: 'chunk 2' });
+  await structuredOutputService.invokeWithRepair(scriptedProvider(wrongFrequency, wrongFrequency, wrongFrequency), 'system', 'user', {}, schema, { validationTracker, label: 'chunk 3' });
+  validationTracker.flag(1);
+
+  assert.deepEqual(validationTracker.summary(), {
+    responses: 3,
+    validResponses: 2,
+    repairedResponses: 1,
+    repairAttempts: 3,
+    flaggedEntries: 1,
+    unresolved: [{ response: 'chunk 3', errors: '/0/frequency must be equal to one of the allowed values' }]
+  });
+});
@@ -0,0 +1,83 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { layoutPageLines, markdownRow, lineText } from '../src/utils/tableDetector.js';
+
+/**
+ * Build a pdfreader-style line from [text, x] cells (about 0.15 page units per character)
+ */
+const line = (y, ...cells) => {
+  const items = cells.map(([text, x]) => ({ text, x, right: x + text.length * 0.15 }));
+  return { items, x: items[0].x, y, right: Math.max(...items.map(item => item.right)), h: 0.8 };
+};
+
+const schedulePage = [
+  line(1, ['Maintenance schedule', 2]),
+  line(2, ['Item', 2], ['Interval', 10], ['Action', 18]),
+  line(3, ['Engine oil', 2], ['250 h', 10], ['Replace', 18]),
+  line(4, ['Air filter', 2], ['500 h', 10], ['Clean', 18]),
+  line(5, ['and inspect', 18]),
+  line(6, ['Coolant', 2], ['1000 h', 10], ['Replace', 18]),
+  line(7, ['Dispose of used oil properly.', 2])
+];
+
+test('lays out a table as Markdown between the surrounding text', () => {
+  const { lines, tables } = layoutPageLines(schedulePage);
+
+  assert.deepEqual(lines.map(output => output.text), [
+    'Maintenance schedule',
+    '| Item | Interval | Action |',
+    '| --- | --- | --- |',
+    '| Engine oil | 250 h | Replace |',
+    '| Air filter | 500 h | Clean and inspect |',
+    '| Coolant | 1000 h | Replace |',
+    'Dispose of used oil properly.'
+  ]);
+  assert.deepEqual(tables, [{ lineStart: 2, lineEnd: 6, columns: 3 }]);
+});
+
+test('gives table rows the box of the lines they were built from', () => {
+  const { lines } = layoutPageLines(schedulePage);
+
+  // The separator repeats the header box
+  assert.deepEqual(lines[2].box, lines[1].box);
+  // The wrapped row spans lines 4 and 5
+  assert.equal(lines[4].box.y, 4);
+  assert.ok(Math.abs(lines[4].box.h - 1.8) < 1e-9);
+});
+
+test('does not treat short runs of multi-cell lines as tables', () => {
+  const { lines, tables } = layoutPageLines([
+    line(1, ['Item', 2], ['Interval', 10]),
+    line(2, ['Engine oil', 2], ['250 h', 10])
+  ]);
+
+  assert.deepEqual(tables, []);
+  assert.deepEqual(lines.map(output => output.text), ['Item Interval', 'Engine oil 250 h']);
+});
+
+test('does not treat two-column prose as a table', () => {
+  const left = 'Before starting the engine make sure that all guards are in place and';
+  const right = 'the operator has read the safety instructions in chapter two of this manual';
+  const { tables } = layoutPageLines([
+    line(1, [left, 2], [right, 20]),
+    line(2, [left, 2], [right, 20]),
+    line(3, [left, 2], [right, 20])
+  ]);
+
+  assert.deepEqual(tables, []);
+});
+
+test('merges items closer than the cell gap into one cell', () => {
+  const { lines } = layoutPageLines([
+    line(1, ['Part', 2], ['no.', 2.8], ['Qty', 10]),
+    line(2, ['12-345', 2], ['2', 10]),
+    line(3, ['67-890', 2], ['4', 10])
+  ]);
+
+  assert.equal(lines[0].text, '| Part no. | Qty |');
+});
+
+test('escapes pipes in cells and joins line items with spaces', () => {
+  assert.equal(markdownRow(['A|B', 'C']), '| A\\|B | C |');
+  assert.equal(lineText(line(1, ['Engine', 2], ['oil', 4])), 'Engine oil');
+});
@@ -0,0 +1,96 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import tokenBudgetService, { createTiktokenTokenizer } from '../src/services/tokenBudgetService.js';
+
+const sample = 'Torque the M12 wheel nuts to 120 Nm and check them again after 50 km.';
+
+test('counts OpenAI tokens exactly with tiktoken', () => {
+  const tokenizer = createTiktokenTokenizer('gpt-4o-mini');
+
+  assert.equal(tokenizer('hello world'), 2);
+  assert.equal(tokenizer(''), 0);
+  // Special token text in documents is plain text
+  assert.ok(tokenizer('<|endoftext|>') > 1);
+  assert.equal(createTiktokenTokenizer('gpt-3.5-turbo')('hello world'), 2);
+});
+
+test('has no tiktoken tokenizer for models tiktoken does not know', () => {
+  assert.equal(createTiktokenTokenizer('llama3.1'), null);
+});
+
+test('prefers a registered tokenizer over the approximation', () => {
+  const approximate = tokenBudgetService.countTokens(sample, 'test-exact');
+  tokenBudgetService.registerTokenizer('Test-Exact', (text) => text.length);
+
+  assert.ok(tokenBudgetService.hasExactTokenizer('test-exact'));
+  assert.equal(tokenBudgetService.countTokens(sample, 'test-exact'), sample.length);
+  assert.notEqual(approximate, sample.length);
+  assert.throws(() => tokenBudgetService.registerTokenizer('test-exact', 42), /must be a function/);
+});
+
+test('scales the approximation by the ratio measured with a token counting API', async () => {
+  const approximate = tokenBudgetService.countTokens(sample, 'test-api');
+  tokenBudgetService.registerTokenCounter('test-api', async (text) => Math.round(tokenBudgetService.countTokens(text, 'unknown') * 1.5));
+
+  const scale = await tokenBudgetService.calibrate('test-api', sample.repeat(10));
+
+  assert.ok(Math.abs(scale - 1.5) < 0.01);
+  assert.equal(tokenBudgetService.countTokens(sample, 'test-api'), Math.ceil(approximate * scale));
+});
+
+test('keeps the approximation when the token counting API fails or is far off', async () => {
+  const approximate = tokenBudgetService.countTokens(sample, 'test-failing');
+
+  tokenBudgetService.registerTokenCounter('test-failing', async () => {
+    throw new Error('AccessDeniedException');
+  });
+  assert.equal(await tokenBudgetService.calibrate('test-failing', sample), null);
+
+  tokenBudgetService.registerTokenCounter('test-failing', async () => 1);
+  assert.equal(await tokenBudgetService.calibrate('test-failing', sample), null);
+
+  assert.equal(tokenBudgetService.countTokens(sample, 'test-failing'), approximate);
+});
+
+test('does not calibrate providers with an exact tokenizer or without a counter', async () => {
+  let calls = 0;
+  tokenBudgetService.registerTokenizer('test-both', (text) => text.length);
+  tokenBudgetService.registerTokenCounter('test-both', async () => {
+    calls++;
+    return 1;
+  });
+
+  assert.equal(await tokenBudgetService.calibrate('test-both', sample), null);
+  assert.equal(await tokenBudgetService.calibrate('test-none', sample), null);
+  assert.equal(calls, 0);
+});
+
+test('plans the context and slice budget within the context window', () => {
+  tokenBudgetService.registerTokenizer('test-plan', (text) => (text || '').split(/\s+/).filter(Boolean).length);
+  const provider = { capabilities: { contextWindowTokens: 10000, maxOutputTokens: 2000 } };
+
+  const budget = tokenBudgetService.planBudget({
+    providerName: 'test-plan',
+    provider,
+    systemPrompt: 'You write checksheets.',
+    userTemplate: 'Context: {context}'
+  });
+
+  assert.equal(budget.outputTokensPerCall, 2000);
+  // 3 system + 1 template + 150 reserved for constraints
+  assert.equal(budget.promptOverheadTokens, 154);
+  assert.ok(budget.sliceTokens <= budget.contextWindowTokens * 0.95 - budget.outputTokensPerCall - budget.promptOverheadTokens);
+  assert.ok(budget.contextTokens <= budget.sliceTokens * budget.maxSlices);
+});
+
+test('refuses prompts that do not fit the context window', () => {
+  tokenBudgetService.registerTokenizer('test-small', (text) => (text ? text.length : 0));
+  const provider = { capabilities: { contextWindowTokens: 1000, maxOutputTokens: 500 } };
+
+  assert.throws(() => tokenBudgetService.planBudget({
+    providerName: 'test-small',
+    provider,
+    systemPrompt: 'x'.repeat(600),
+    userTemplate: '{context}'
+  }), /Prompt does not fit the test-small context window/);
+});
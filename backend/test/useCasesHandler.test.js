@@ -0,0 +1,99 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { handler } from '../src/handlers/useCases.js';
+import useCaseRegistry from '../src/services/useCaseRegistry.js';
+
+const ENV = {
+  ADMIN_API_KEY_ID: 'admin-key-id',
+  ADMIN_API_KEY: 'local-admin-key'
+};
+
+const definition = { id: 'torqueTable', name: 'Torque table' };
+
+const parse = (response) => ({ statusCode: response.statusCode, ...JSON.parse(response.body) });
+
+/**
+ * Build a use case request with the given caller identity
+ */
+const request = (httpMethod, { useCaseId = null, headers = {}, requestContext = {} } = {}) => ({
+  httpMethod,
+  path: useCaseId ? `/api/use-cases/${useCaseId}` : '/api/use-cases',
+  pathParameters: useCaseId ? { useCaseId } : null,
+  body: httpMethod === 'POST' || httpMethod === 'PUT' ? JSON.stringify(definition) : null,
+  headers,
+  requestContext
+});
+
+let savedEnv;
+
+before(() => {
+  savedEnv = Object.fromEntries(Object.keys(ENV).map(key => [key, process.env[key]]));
+  Object.assign(process.env, ENV);
+});
+
+after(() => {
+  Object.entries(savedEnv).forEach(([key, value]) => {
+    if (value === undefined) {
+      delete process.env[key];
+    } else {
+      process.env[key] = value;
+    }
+  });
+});
+
+beforeEach((t) => {
+  t.mock.method(useCaseRegistry, 'listUseCases', async () => [{ id: 'checksheet', builtIn: true }]);
+  t.mock.method(useCaseRegistry, 'validateDefinition', () => {});
+  t.mock.method(useCaseRegistry, 'registerUseCase', async (useCase) => useCase);
+  t.mock.method(useCaseRegistry, 'deleteUseCase', async () => true);
+});
+
+test('lets anyone list use cases', async () => {
+  const response = parse(await handler(request('GET')));
+
+  assert.equal(response.statusCode, 200);
+  assert.equal(response.data.count, 1);
+});
+
+test('refuses to register, replace or delete use cases without admin access', async () => {
+  const callers = [
+    {},
+    // A key API Gateway validated that is not the admin key
+    { requestContext: { identity: { apiKeyId: 'usage-plan-key-id' } } },
+    { headers: { 'x-api-key': 'wrong-key' } },
+    { requestContext: { authorizer: { claims: { 'cognito:groups': 'editors' } } } }
+  ];
+
+  for (const caller of callers) {
+    assert.equal((await handler(request('POST', caller))).statusCode, 403);
+    assert.equal((await handler(request('PUT', { ...caller, useCaseId: 'torqueTable' }))).statusCode, 403);
+    assert.equal((await handler(request('DELETE', { ...caller, useCaseId: 'torqueTable' }))).statusCode, 403);
+  }
+  assert.equal(useCaseRegistry.registerUseCase.mock.callCount(), 0);
+  assert.equal(useCaseRegistry.deleteUseCase.mock.callCount(), 0);
+});
+
+test('accepts the admin API key, the local admin key and the admin group', async () => {
+  const admins = [
+    { requestContext: { identity: { apiKeyId: 'admin-key-id' } } },
+    { headers: { 'X-Api-Key': 'local-admin-key' } },
+    { requestContext: { authorizer: { claims: { 'cognito:groups': '[admin editors]' } } } }
+  ];
+
+  for (const admin of admins) {
+    assert.equal((await handler(request('POST', admin))).statusCode, 201);
+    assert.equal((await handler(request('PUT', { ...admin, useCaseId: 'torqueTable' }))).statusCode, 200);
+    assert.equal((await handler(request('DELETE', { ...admin, useCaseId: 'torqueTable' }))).statusCode, 200);
+  }
+});
+
+test('refuses API keys when no admin API key ID is configured', async (t) => {
+  delete process.env.ADMIN_API_KEY_ID;
+  t.after(() => {
+    process.env.ADMIN_API_KEY_ID = ENV.ADMIN_API_KEY_ID;
+  });
+
+  const response = await handler(request('POST', { requestContext: { identity: { apiKeyId: 'admin-key-id' } } }));
+
+  assert.equal(response.statusCode, 403);
+});
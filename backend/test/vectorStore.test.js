@@ -0,0 +1,41 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PineconeVectorStore } from '../src/services/vectorStore.js';
+import pineconeService from '../src/services/pineconeService.js';
+import embeddingService from '../src/services/embeddingService.js';
+
+/**
+ * Answer Pinecone queries with the chunks of a file whose chunkIndex is in the filtered window
+ */
+const mockPinecone = (t, chunkCount) => t.mock.method(pineconeService, 'queryVectors', async (vector, topK, filter) => {
+  const { $gte: start, $lt: end } = filter.chunkIndex;
+  const matches = [];
+  for (let chunkIndex = start; chunkIndex < Math.min(end, chunkCount); chunkIndex++) {
+    matches.push({ id: `file_${chunkIndex}`, score: 0, metadata: { fileId: filter.fileId.$eq, chunkIndex, text: `Chunk ${chunkIndex}` } });
+  }
+  return { matches };
+});
+
+test('reads the chunks of a Pinecone file with a query vector of the embedding dimension', async (t) => {
+  const { dimension } = embeddingService;
+  embeddingService.dimension = 768;
+  t.after(() => {
+    embeddingService.dimension = dimension;
+  });
+  const queryVectors = mockPinecone(t, 3);
+
+  const chunks = await new PineconeVectorStore().getChunksByFileId('file', 10);
+
+  assert.deepEqual(chunks.map(chunk => chunk.text), ['Chunk 0', 'Chunk 1', 'Chunk 2']);
+  const [vector] = queryVectors.mock.calls[0].arguments;
+  assert.equal(vector.length, 768);
+});
+
+test('reads a Pinecone file in windows of at most 1000 chunks up to the limit', async (t) => {
+  const queryVectors = mockPinecone(t, 2500);
+
+  const chunks = await new PineconeVectorStore().getChunksByFileId('file', 2200);
+
+  assert.equal(chunks.length, 2200);
+  assert.deepEqual(queryVectors.mock.calls.map(call => call.arguments[1]), [1000, 1000, 200]);
+});
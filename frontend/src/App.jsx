@@ -1,5 +1,5 @@
 import React, { useMemo } from "react";
-import { useDocumentStore } from "./stores/useDocumentStore";
+import { useDocumentStore, selectGenerationDocuments } from "./stores/useDocumentStore";
 import { useGenerationStore } from "./stores/useGenerationStore";
 import { useAppStore } from "./stores/useAppStore";
 import FileUpload from "./components/FileUpload";
@@ -8,12 +8,15 @@ import UseCaseSelector from "./components/UseCaseSelector";
 import PromptSelector from "./components/PromptSelector";
 import GenerateButton from "./components/GenerateButton";
 import DownloadSection from "./components/DownloadSection";
+import GenerationHistory from "./components/GenerationHistory";
+import LiveGenerationPreview from "./components/LiveGenerationPreview";
 import ErrorBoundary from "./components/ErrorBoundary";
 import PromptBook from "./components/PromptBook";
 import DocumentCountInfo from "./components/DocumentCountInfo";
 import ActivePromptInfo from "./components/ActivePromptInfo";
 import { Button } from "./components/ui/button";
 import { AlertCircle, BookOpen } from "lucide-react";
+import { USE_CASE_LABELS, USE_CASE_OUTPUTS } from "./utils/constants.js";
 
 const App = () => {
   // Document store - using Zustand selectors for optimal re-renders
@@ -24,13 +27,17 @@ const App = () => {
   const uploadFile = useDocumentStore((state) => state.uploadFile);
   const ingestFile = useDocumentStore((state) => state.ingestFile);
   const removeDocument = useDocumentStore((state) => state.removeDocument);
+  const togglePinRevision = useDocumentStore((state) => state.togglePinRevision);
   const clearDocumentsError = useDocumentStore((state) => state.clearError);
+  const loadDocuments = useDocumentStore((state) => state.loadDocuments);
 
   // Generation store
   const generating = useGenerationStore((state) => state.generating);
   const generatedFile = useGenerationStore((state) => state.generatedFile);
   const generationError = useGenerationStore((state) => state.error);
   const progress = useGenerationStore((state) => state.progress);
+  const liveItems = useGenerationStore((state) => state.liveItems);
+  const liveTitle = useGenerationStore((state) => state.liveTitle);
   const generate = useGenerationStore((state) => state.generate);
   const resetGeneration = useGenerationStore((state) => state.reset);
   const clearGenerationError = useGenerationStore((state) => state.clearError);
@@ -43,6 +50,8 @@ const App = () => {
   const setSelectedUseCase = useAppStore((state) => state.setSelectedUseCase);
   const setSelectedPromptId = useAppStore((state) => state.setSelectedPromptId);
   const setShowPromptBook = useAppStore((state) => state.setShowPromptBook);
+  const customUseCases = useAppStore((state) => state.customUseCases);
+  const loadCustomUseCases = useAppStore((state) => state.loadCustomUseCases);
 
   // Computed values
   const processedDocuments = useMemo(
@@ -52,6 +61,35 @@ const App = () => {
 
   const hasProcessedDocuments = processedDocuments.length > 0;
 
+  // One revision per manual: the pinned one, else the latest
+  const generationSelection = useMemo(
+    () => selectGenerationDocuments(documents),
+    [documents]
+  );
+
+  // Label and output description for built-in or custom use cases
+  const selectedUseCaseInfo = useMemo(() => {
+    if (USE_CASE_LABELS[selectedUseCase]) {
+      return { label: USE_CASE_LABELS[selectedUseCase], ...USE_CASE_OUTPUTS[selectedUseCase] };
+    }
+    const customUseCase = customUseCases.find((useCase) => useCase.id === selectedUseCase);
+    const format = customUseCase?.output?.format === "excel" ? "Excel" : "Word";
+    return {
+      label: customUseCase?.name || selectedUseCase,
+      format,
+      description: `${format === "Excel" ? "an Excel" : "a Word"} ${customUseCase?.name || "document"} document`,
+    };
+  }, [selectedUseCase, customUseCases]);
+
+  React.useEffect(() => {
+    loadCustomUseCases();
+  }, [loadCustomUseCases]);
+
+  // Documents ingested in earlier sessions
+  React.useEffect(() => {
+    loadDocuments();
+  }, [loadDocuments]);
+
   // Debug logging
   React.useEffect(() => {
     console.log("App render - documents:", documents);
@@ -61,9 +99,9 @@ const App = () => {
   }, [documents, processedDocuments, hasProcessedDocuments]);
 
   // Handlers
-  const handleProcessDocument = async (fileId, s3Key) => {
+  const handleProcessDocument = async (fileId, s3Key, revisionInfo = null) => {
     try {
-      await ingestFile(fileId, s3Key);
+      await ingestFile(fileId, s3Key, revisionInfo);
     } catch (err) {
       console.error("Error processing document:", err);
     }
@@ -71,7 +109,7 @@ const App = () => {
 
   const handleGenerate = async (useCase, documentIds) => {
     try {
-      await generate(useCase, documentIds, selectedLLM, selectedPromptId);
+      await generate(useCase, documentIds, selectedLLM, selectedPromptId, generationSelection.pinRevisions);
     } catch (err) {
       console.error("Error generating document:", err);
     }
@@ -158,7 +196,7 @@ const App = () => {
                     Upload Documents
                   </h2>
                   <p className="text-sm sm:text-base text-muted-foreground">
-                    Upload PDF files to process and generate documents
+                    Upload manuals (PDF, Word, Excel, CSV, HTML or text) to process and generate documents
                   </p>
                 </div>
               </div>
@@ -191,6 +229,7 @@ const App = () => {
                     documents={documents}
                     onRemove={removeDocument}
                     onProcess={handleProcessDocument}
+                    onTogglePin={togglePinRevision}
                     loading={ingesting}
                     processingIds={documents
                       .filter((d) => d.status === "processing")
@@ -225,8 +264,8 @@ const App = () => {
                           ✓ Documents processed successfully!
                         </span>{" "}
                         The "Select Use Case" section should now be visible
-                        below. Choose checksheet or work instructions to
-                        generate your document.
+                        below. Choose the kind of document you want to
+                        generate.
                       </p>
                     </div>
                   )}
@@ -264,6 +303,7 @@ const App = () => {
                   <UseCaseSelector
                     selectedUseCase={selectedUseCase}
                     onSelect={setSelectedUseCase}
+                    customUseCases={customUseCases}
                     hasProcessedDocuments={hasProcessedDocuments}
                   />
 
@@ -288,9 +328,8 @@ const App = () => {
                         <span className="font-semibold">
                           Ready to generate:
                         </span>{" "}
-                        {selectedUseCase === "checksheet"
-                          ? "Checksheet will generate an Excel file with inspection points"
-                          : "Work Instructions will generate a Word document with step-by-step procedures"}
+                        {selectedUseCaseInfo.label} will generate{" "}
+                        {selectedUseCaseInfo.description}
                         . Click "Generate Document" below to create your file.
                       </p>
                     </div>
@@ -314,16 +353,14 @@ const App = () => {
                     </h2>
                     <p className="text-sm sm:text-base text-muted-foreground">
                       AI will analyze your processed documents and generate{" "}
-                      {selectedUseCase === "checksheet"
-                        ? "an Excel checksheet with inspection points"
-                        : "a Word document with step-by-step work instructions"}
+                      {selectedUseCaseInfo.description}
                     </p>
                   </div>
                 </div>
                 <div className="ml-11">
                   <GenerateButton
                     onGenerate={handleGenerate}
-                    selectedDocuments={documents}
+                    selectedDocuments={generationSelection.documents}
                     selectedUseCase={selectedUseCase}
                     generating={generating}
                     progress={progress}
@@ -332,6 +369,17 @@ const App = () => {
                     onClearError={clearGenerationError}
                     onReset={handleReset}
                   />
+                  {/* Items streamed in while generating */}
+                  {liveItems.length > 0 && (
+                    <div className="mt-4">
+                      <LiveGenerationPreview
+                        useCase={selectedUseCase}
+                        items={liveItems}
+                        title={liveTitle}
+                        generating={generating}
+                      />
+                    </div>
+                  )}
                   {/* What happens during generation */}
                   {!generating && !generatedFile && (
                     <div className="mt-4 p-4 bg-muted/50 border rounded-lg">
@@ -346,7 +394,7 @@ const App = () => {
                         <li>AI extracts and structures the information</li>
                         <li>
                           Document is created (
-                          {selectedUseCase === "checksheet" ? "Excel" : "Word"}{" "}
+                          {selectedUseCaseInfo.format}{" "}
                           format)
                         </li>
                         <li>File is saved and ready for download</li>
@@ -384,6 +432,11 @@ const App = () => {
                 </div>
               </section>
             )}
+
+            {/* Past generations, reloaded after each new one */}
+            <section className="space-y-4">
+              <GenerationHistory refreshKey={generatedFile?.fileId} />
+            </section>
           </div>
         </main>
 
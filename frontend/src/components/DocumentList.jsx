@@ -8,6 +8,8 @@ import {
   Play,
   Trash2,
   Sparkles,
+  Pin,
+  PinOff,
 } from "lucide-react";
 import { Button } from "./ui/button";
 
@@ -15,6 +17,7 @@ const DocumentList = ({
   documents,
   onRemove,
   onProcess,
+  onTogglePin,
   loading = false,
   processingIds = [],
   showOnlyProcessed = false, // New prop to filter to only processed documents
@@ -31,6 +34,30 @@ const DocumentList = ({
     return Array.from(seen.values()).reverse(); // Reverse back to original order
   }, [documents]);
 
+  // Manual and revision entered for documents that are not processed yet, by fileId
+  const [revisionInputs, setRevisionInputs] = React.useState({});
+
+  const updateRevisionInput = (fileId, field, value) => {
+    setRevisionInputs((inputs) => ({
+      ...inputs,
+      [fileId]: { ...inputs[fileId], [field]: value },
+    }));
+  };
+
+  // Latest processed revision of each manual
+  const latestRevisionIds = React.useMemo(() => {
+    const latest = new Map();
+    uniqueDocuments
+      .filter((doc) => doc.manualId && doc.status === "processed")
+      .forEach((doc) => {
+        const current = latest.get(doc.manualId);
+        if (!current || (doc.revisionIndex || 0) > (current.revisionIndex || 0)) {
+          latest.set(doc.manualId, doc);
+        }
+      });
+    return new Set(Array.from(latest.values(), (doc) => doc.fileId));
+  }, [uniqueDocuments]);
+
   // Filter to show only processed documents if requested
   const filteredDocuments = React.useMemo(() => {
     if (showOnlyProcessed) {
@@ -129,6 +156,10 @@ const DocumentList = ({
           doc.s3Key || doc.s3_key || (doc.s3Bucket && doc.fileId);
         const canProcess =
           doc.status === "uploaded" && !isProcessing && onProcess && hasS3Key;
+        const revisionInput = revisionInputs[doc.fileId] || {};
+        const manualName = (revisionInput.manualName || "").trim();
+        const revision = (revisionInput.revision || "").trim();
+        const isLatestRevision = latestRevisionIds.has(doc.fileId);
 
         return (
           <div
@@ -143,6 +174,19 @@ const DocumentList = ({
                     {doc.originalFileName || doc.fileName}
                   </p>
                   {getStatusBadge(doc)}
+                  {doc.manualId && (
+                    <span
+                      className={`inline-flex items-center gap-1 px-2.5 py-0.5 rounded-full text-xs font-medium border ${
+                        isLatestRevision
+                          ? "bg-purple-100 text-purple-800 dark:bg-purple-900/30 dark:text-purple-400 border-purple-200 dark:border-purple-800"
+                          : "bg-gray-100 text-gray-700 dark:bg-gray-900/30 dark:text-gray-400 border-gray-200 dark:border-gray-800"
+                      }`}
+                      title={isLatestRevision ? "Latest revision of this manual" : "Older revision of this manual"}
+                    >
+                      {doc.manualName} · {doc.revision}
+                      {isLatestRevision && " (latest)"}
+                    </span>
+                  )}
                 </div>
 
                 {/* Progress bar for processing documents */}
@@ -192,6 +236,35 @@ const DocumentList = ({
                   )}
                   {doc.status === "processed" && doc.chunksProcessed && <></>}
                 </div>
+
+                {/* Optional manual and revision for documents that are re-issues of a manual */}
+                {canProcess && (
+                  <div className="flex flex-wrap items-center gap-2 mt-2">
+                    <input
+                      type="text"
+                      value={revisionInput.manualName || ""}
+                      onChange={(e) =>
+                        updateRevisionInput(doc.fileId, "manualName", e.target.value)
+                      }
+                      placeholder="Manual name (optional)"
+                      maxLength={200}
+                      className="h-8 px-2 text-sm border rounded-md bg-background"
+                      aria-label={`Manual of ${doc.originalFileName || doc.fileName}`}
+                    />
+                    <input
+                      type="text"
+                      value={revisionInput.revision || ""}
+                      onChange={(e) =>
+                        updateRevisionInput(doc.fileId, "revision", e.target.value)
+                      }
+                      placeholder="Revision, e.g. Rev B"
+                      maxLength={50}
+                      disabled={!manualName}
+                      className="h-8 w-40 px-2 text-sm border rounded-md bg-background disabled:opacity-50"
+                      aria-label={`Revision of ${doc.originalFileName || doc.fileName}`}
+                    />
+                  </div>
+                )}
               </div>
             </div>
             <div className="flex items-center gap-2 flex-shrink-0 ml-2">
@@ -205,7 +278,10 @@ const DocumentList = ({
                       doc.s3Key ||
                         doc.s3_key ||
                         doc.s3key ||
-                        `${doc.s3Bucket}/documents/${doc.fileId}/${doc.fileName}`
+                        `${doc.s3Bucket}/documents/${doc.fileId}/${doc.fileName}`,
+                      manualName
+                        ? { manualName, ...(revision && { revision }) }
+                        : null
                     )
                   }
                   disabled={isProcessing || loading}
@@ -227,6 +303,22 @@ const DocumentList = ({
                   <span className="hidden sm:inline">Ready</span>
                 </div>
               )}
+              {doc.manualId && doc.status === "processed" && onTogglePin && (
+                <Button
+                  variant={doc.pinnedRevision ? "default" : "ghost"}
+                  size="icon"
+                  onClick={() => onTogglePin(doc.fileId)}
+                  className="h-8 w-8"
+                  title={
+                    doc.pinnedRevision
+                      ? "Pinned: generation uses this revision. Click to use the latest revision again"
+                      : "Pin this revision for generation instead of the latest revision"
+                  }
+                  aria-label={`${doc.pinnedRevision ? "Unpin" : "Pin"} ${doc.manualName} ${doc.revision}`}
+                >
+                  {doc.pinnedRevision ? <PinOff className="w-4 h-4" /> : <Pin className="w-4 h-4" />}
+                </Button>
+              )}
               {onRemove && (
                 <Button
                   variant="ghost"
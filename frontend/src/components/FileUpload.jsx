@@ -9,7 +9,7 @@ import {
   Loader2,
 } from "lucide-react";
 import { Button } from "./ui/button";
-import { MAX_FILE_SIZE } from "../utils/constants.js";
+import { MAX_FILE_SIZE, SOURCE_FILE_TYPES, SOURCE_FILE_LABEL } from "../utils/constants.js";
 import { useDocumentStore } from "../stores/useDocumentStore";
 
 const FileUpload = ({ disabled = false }) => {
@@ -54,7 +54,7 @@ const FileUpload = ({ disabled = false }) => {
       if (rejectedFiles.length > 0) {
         const rejection = rejectedFiles[0];
         if (rejection.errors.some((e) => e.code === "file-invalid-type")) {
-          setUploadError("Only PDF files are allowed");
+          setUploadError(`Only ${SOURCE_FILE_LABEL} files are allowed`);
         } else if (rejection.errors.some((e) => e.code === "file-too-large")) {
           setUploadError(
             `File size must be less than ${MAX_FILE_SIZE / (1024 * 1024)}MB`
@@ -82,9 +82,7 @@ const FileUpload = ({ disabled = false }) => {
   } = useDropzone({
     onDrop,
     disabled: disabled || uploading || ingesting,
-    accept: {
-      "application/pdf": [".pdf"],
-    },
+    accept: SOURCE_FILE_TYPES,
     maxSize: MAX_FILE_SIZE,
     multiple: false,
   });
@@ -153,12 +151,12 @@ const FileUpload = ({ disabled = false }) => {
               </div>
             ) : isDragActive ? (
               <p className="text-primary font-medium">
-                Drop the PDF file here...
+                Drop the file here...
               </p>
             ) : (
               <>
                 <p className="text-sm text-muted-foreground mb-2">
-                  Drag and drop a PDF file here, or click to select
+                  Drag and drop a manual here, or click to select
                 </p>
                 <Button
                   type="button"
@@ -166,18 +164,18 @@ const FileUpload = ({ disabled = false }) => {
                   size="sm"
                   disabled={disabled || uploading || ingesting}
                 >
-                  Select PDF File
+                  Select File
                 </Button>
               </>
             )}
           </div>
           <p className="text-xs text-muted-foreground">
-            PDF files only (Max {MAX_FILE_SIZE / (1024 * 1024)}MB)
+            {SOURCE_FILE_LABEL} files (Max {MAX_FILE_SIZE / (1024 * 1024)}MB)
           </p>
           {(isDragReject || fileRejections.length > 0) && (
             <p className="text-sm text-destructive mt-2 flex items-center gap-1">
               <AlertCircle className="w-4 h-4" />
-              Only PDF files are allowed
+              Only {SOURCE_FILE_LABEL} files are allowed
             </p>
           )}
         </div>
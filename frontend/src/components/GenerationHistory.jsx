@@ -0,0 +1,230 @@
+import React, { useState, useEffect } from "react";
+import {
+  History,
+  Download,
+  RefreshCw,
+  ChevronDown,
+  ChevronRight,
+  AlertCircle,
+} from "lucide-react";
+import { Button } from "./ui/button";
+import { listGenerations, getGeneration } from "../services/api";
+
+const STATUS_STYLES = {
+  completed: "bg-green-100 text-green-700 dark:bg-green-900/30 dark:text-green-300",
+  failed: "bg-destructive/10 text-destructive",
+  processing: "bg-primary/10 text-primary",
+  queued: "bg-muted text-muted-foreground",
+};
+
+const formatDate = (value) => (value ? new Date(value).toLocaleString() : "");
+
+/**
+ * Past generations with their inputs and output files
+ * refreshKey reloads the list (e.g. the file ID of the latest generation)
+ */
+const GenerationHistory = ({ refreshKey = null, limit = 10 }) => {
+  const [generations, setGenerations] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [reloadCount, setReloadCount] = useState(0);
+  // generationId => full generation (loaded when expanded)
+  const [details, setDetails] = useState({});
+  const [expandedId, setExpandedId] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    const load = async () => {
+      try {
+        setLoading(true);
+        setError(null);
+        const response = await listGenerations({ limit });
+        const data = response.data || response;
+        if (!cancelled) {
+          setGenerations(data.generations || []);
+          setTotal(data.total ?? data.count ?? 0);
+        }
+      } catch (err) {
+        console.error("Error loading generation history:", err);
+        if (!cancelled) {
+          setError(err.message || "Failed to load generation history");
+        }
+      } finally {
+        if (!cancelled) {
+          setLoading(false);
+        }
+      }
+    };
+    load();
+    return () => {
+      cancelled = true;
+    };
+  }, [refreshKey, limit, reloadCount]);
+
+  const loadGeneration = async (generationId) => {
+    if (details[generationId]) {
+      return details[generationId];
+    }
+    const response = await getGeneration(generationId);
+    const generation = (response.data || response).generation;
+    setDetails((current) => ({ ...current, [generationId]: generation }));
+    return generation;
+  };
+
+  const handleToggle = async (generationId) => {
+    if (expandedId === generationId) {
+      setExpandedId(null);
+      return;
+    }
+    setExpandedId(generationId);
+    try {
+      await loadGeneration(generationId);
+    } catch (err) {
+      console.error("Error loading generation:", err);
+      setError(err.message || "Failed to load generation");
+    }
+  };
+
+  const handleDownload = async (generationId) => {
+    try {
+      // The history holds no download URL; getting the generation signs a fresh one
+      const generation = await loadGeneration(generationId);
+      if (generation?.downloadUrl) {
+        window.open(generation.downloadUrl, "_blank", "noopener,noreferrer");
+      }
+    } catch (err) {
+      console.error("Error downloading generation:", err);
+      setError(err.message || "Failed to download file");
+    }
+  };
+
+  return (
+    <div className="p-4 border rounded-lg bg-card">
+      <div className="flex items-center justify-between mb-3">
+        <div className="flex items-center gap-2">
+          <History className="w-4 h-4 text-muted-foreground" />
+          <h3 className="font-semibold text-foreground">Generation History</h3>
+          {total > 0 && (
+            <span className="text-xs text-muted-foreground">
+              ({generations.length} of {total})
+            </span>
+          )}
+        </div>
+        <Button
+          variant="ghost"
+          size="sm"
+          onClick={() => setReloadCount((count) => count + 1)}
+          disabled={loading}
+          title="Refresh"
+        >
+          <RefreshCw className={`w-4 h-4 ${loading ? "animate-spin" : ""}`} />
+        </Button>
+      </div>
+
+      {error && (
+        <div className="mb-3 p-2 bg-destructive/10 border border-destructive/20 rounded flex items-start gap-2">
+          <AlertCircle className="w-4 h-4 text-destructive flex-shrink-0 mt-0.5" />
+          <p className="text-xs text-destructive">{error}</p>
+        </div>
+      )}
+
+      {!loading && generations.length === 0 && !error && (
+        <p className="text-sm text-muted-foreground">No generations yet.</p>
+      )}
+
+      <ul className="space-y-2">
+        {generations.map((generation) => {
+          const expanded = expandedId === generation.generationId;
+          const detail = details[generation.generationId];
+          return (
+            <li
+              key={generation.generationId}
+              className="border rounded-md bg-background"
+            >
+              <div className="flex items-center gap-2 p-2">
+                <button
+                  onClick={() => handleToggle(generation.generationId)}
+                  className="flex-1 min-w-0 flex items-center gap-2 text-left"
+                >
+                  {expanded ? (
+                    <ChevronDown className="w-4 h-4 flex-shrink-0 text-muted-foreground" />
+                  ) : (
+                    <ChevronRight className="w-4 h-4 flex-shrink-0 text-muted-foreground" />
+                  )}
+                  <div className="min-w-0">
+                    <p className="text-sm font-medium text-foreground truncate">
+                      {generation.fileName || generation.useCase}
+                    </p>
+                    <p className="text-xs text-muted-foreground truncate">
+                      {generation.useCase} · {formatDate(generation.createdAt)}
+                      {generation.itemCount != null &&
+                        ` · ${generation.itemCount} items`}
+                    </p>
+                  </div>
+                </button>
+                <span
+                  className={`text-xs px-2 py-0.5 rounded-full flex-shrink-0 ${
+                    STATUS_STYLES[generation.status] || STATUS_STYLES.queued
+                  }`}
+                >
+                  {generation.status}
+                </span>
+                {generation.status === "completed" && generation.s3Key && (
+                  <Button
+                    variant="ghost"
+                    size="sm"
+                    onClick={() => handleDownload(generation.generationId)}
+                    title="Download"
+                  >
+                    <Download className="w-4 h-4" />
+                  </Button>
+                )}
+              </div>
+
+              {expanded && (
+                <div className="px-8 pb-3 space-y-1 text-xs text-muted-foreground">
+                  <p>
+                    <span className="font-medium text-foreground">Model:</span>{" "}
+                    {generation.llmProvider}
+                    {generation.model && ` (${generation.model})`}
+                  </p>
+                  <p>
+                    <span className="font-medium text-foreground">Prompt:</span>{" "}
+                    {generation.prompt?.name ||
+                      generation.prompt?.id ||
+                      generation.promptId ||
+                      "Default"}
+                    {generation.prompt?.version &&
+                      ` v${generation.prompt.version}`}
+                  </p>
+                  <p>
+                    <span className="font-medium text-foreground">
+                      Documents:
+                    </span>{" "}
+                    {(generation.documentIds || []).length}
+                  </p>
+                  {generation.error && (
+                    <p className="text-destructive">{generation.error}</p>
+                  )}
+                  {detail?.metadata?.sources?.length > 0 && (
+                    <div>
+                      <p className="font-medium text-foreground">Sources:</p>
+                      <ul className="list-disc ml-4">
+                        {detail.metadata.sources.map((source) => (
+                          <li key={source}>{source}</li>
+                        ))}
+                      </ul>
+                    </div>
+                  )}
+                </div>
+              )}
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+};
+
+export default GenerationHistory;
@@ -0,0 +1,112 @@
+import React from "react";
+import { Loader2, ListChecks } from "lucide-react";
+import { USE_CASES } from "../utils/constants.js";
+import SourceSnippet from "./SourceSnippet.jsx";
+
+/**
+ * Shows checksheet items, work-instruction steps, summary key points, analysis findings
+ * or extracted records as they stream in during generation
+ */
+
+// Heading and count noun per use case
+const PREVIEW_LABELS = {
+  [USE_CASES.CHECKSHEET]: { heading: "Checksheet items", noun: "items" },
+  [USE_CASES.WORK_INSTRUCTIONS]: { heading: "Work instruction steps", noun: "steps" },
+  [USE_CASES.SUMMARY]: { heading: "Key points", noun: "key points" },
+  [USE_CASES.ANALYSIS]: { heading: "Findings", noun: "findings" },
+  [USE_CASES.EXTRACTION]: { heading: "Extracted records", noun: "records" },
+};
+
+/**
+ * Primary line and secondary detail shown for one streamed entry
+ */
+const describeItem = (useCase, item) => {
+  switch (useCase) {
+    case USE_CASES.CHECKSHEET:
+      return { primary: item.itemName, badge: item.frequency, detail: item.inspectionPoint };
+    case USE_CASES.WORK_INSTRUCTIONS:
+      return {
+        primary: `${item.stepNumber ? `${item.stepNumber}. ` : ""}${item.title || ""}`,
+        detail: item.description,
+      };
+    case USE_CASES.ANALYSIS:
+      return { primary: item.finding, badge: item.significance, detail: item.evidence };
+    case USE_CASES.EXTRACTION:
+      return {
+        primary: item.field,
+        badge: [item.value, item.unit].filter(Boolean).join(" "),
+        detail: item.notes,
+      };
+    case USE_CASES.SUMMARY:
+      return { primary: item.text || item.heading, detail: item.content };
+    default: {
+      // Custom use cases: first text field as the primary line
+      const text = Object.entries(item).find(([key, value]) => !["source", "groundingQuote"].includes(key) && typeof value === "string");
+      return { primary: item.text || item.heading || text?.[1], detail: item.content };
+    }
+  }
+};
+const LiveGenerationPreview = ({
+  useCase,
+  items = [],
+  title = null,
+  generating = false,
+}) => {
+  if (items.length === 0) {
+    return null;
+  }
+
+  const labels = PREVIEW_LABELS[useCase] || { heading: "Generated content", noun: "entries" };
+
+  return (
+    <div className="p-4 border rounded-lg bg-card space-y-3">
+      <div className="flex items-center justify-between gap-3">
+        <div className="flex items-center gap-2 min-w-0">
+          {generating ? (
+            <Loader2 className="w-4 h-4 animate-spin text-primary flex-shrink-0" />
+          ) : (
+            <ListChecks className="w-4 h-4 text-primary flex-shrink-0" />
+          )}
+          <p className="text-sm font-medium text-foreground truncate">
+            {title || labels.heading}
+          </p>
+        </div>
+        <span className="text-xs text-muted-foreground flex-shrink-0">
+          {items.length} {labels.noun}
+          {generating && " so far"}
+        </span>
+      </div>
+
+      <ol className="max-h-72 overflow-y-auto space-y-2 text-sm">
+        {items.map((item, index) => {
+          const { primary, badge, detail } = describeItem(useCase, item);
+          return (
+            <li
+              key={`${index}-${primary}`}
+              className="p-2 rounded-md bg-muted/50 animate-in fade-in duration-300"
+            >
+              <div className="flex items-center justify-between gap-2">
+                <span className="font-medium text-foreground">{primary}</span>
+                {badge && (
+                  <span className="text-xs text-muted-foreground flex-shrink-0">
+                    {badge}
+                  </span>
+                )}
+              </div>
+              {detail && (
+                <p className="text-xs text-muted-foreground mt-1">{detail}</p>
+              )}
+              {item.sourceSpan ? (
+                <SourceSnippet span={item.sourceSpan} />
+              ) : item.source && (
+                <p className="text-[11px] text-muted-foreground/80 mt-1">{item.source}</p>
+              )}
+            </li>
+          );
+        })}
+      </ol>
+    </div>
+  );
+};
+
+export default LiveGenerationPreview;
@@ -11,9 +11,11 @@ import {
   deletePromptFromLibrary,
   resetPromptLibrary
 } from '../services/api.js';
-import { USE_CASES } from '../utils/constants.js';
+import { USE_CASES, USE_CASE_LABELS } from '../utils/constants.js';
+import { useAppStore } from '../stores/useAppStore';
 
 const PromptBook = ({ onClose }) => {
+  const customUseCases = useAppStore((state) => state.customUseCases);
   const [libraries, setLibraries] = useState({});
   const [selectedUseCase, setSelectedUseCase] = useState('checksheet');
   const [prompts, setPrompts] = useState([]);
@@ -247,10 +249,6 @@ const PromptBook = ({ onClose }) => {
 
   const currentPrompt = selectedPrompt ? prompts.find(p => p.id === selectedPrompt) : null;
   const isEditing = editingPrompt === selectedPrompt && !showAddPrompt;
-  const useCaseLabels = {
-    checksheet: 'Checksheet',
-    workInstructions: 'Work Instructions'
-  };
 
   return (
     <div className="fixed inset-0 bg-black/50 backdrop-blur-sm z-50 flex items-center justify-center p-4">
@@ -310,8 +308,7 @@ const PromptBook = ({ onClose }) => {
           <div className="w-48 border-r bg-muted/30 p-4 flex flex-col">
             <h3 className="text-sm font-semibold mb-4">Use Cases</h3>
             <div className="space-y-2 flex-1 overflow-y-auto">
-              {Object.keys(USE_CASES).map(key => {
-                const useCase = USE_CASES[key];
+              {[...Object.values(USE_CASES), ...customUseCases.map(customUseCase => customUseCase.id)].map(useCase => {
                 const isSelected = selectedUseCase === useCase;
                 const library = libraries[useCase];
                 const promptCount = library?.prompts?.length || 0;
@@ -333,7 +330,7 @@ const PromptBook = ({ onClose }) => {
                       ) : (
                         <Sparkles className="w-4 h-4" />
                       )}
-                      <div className="font-medium text-sm">{useCaseLabels[useCase] || useCase}</div>
+                      <div className="font-medium text-sm">{USE_CASE_LABELS[useCase] || customUseCases.find(customUseCase => customUseCase.id === useCase)?.name || useCase}</div>
                     </div>
                     <div className="text-xs text-muted-foreground">
                       {promptCount} prompt{promptCount !== 1 ? 's' : ''}
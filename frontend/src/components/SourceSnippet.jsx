@@ -0,0 +1,54 @@
+import React from "react";
+
+/**
+ * Shows where a generated entry came from: a thumbnail of the source page with the cited
+ * lines highlighted, next to the exact quote and its section/page/line reference
+ */
+
+// Thumbnail width in pixels (height follows the page's aspect ratio)
+const THUMBNAIL_WIDTH = 48;
+
+const SourceSnippet = ({ span }) => {
+  if (!span?.quote) {
+    return null;
+  }
+
+  const { quote, fileName, sectionPath, pageNumber, lineStart, lineEnd, bbox, pageWidth, pageHeight } = span;
+  const showPage = bbox && pageWidth > 0 && pageHeight > 0;
+  const lines = lineStart
+    ? lineEnd > lineStart
+      ? `Lines ${lineStart}–${lineEnd}`
+      : `Line ${lineStart}`
+    : null;
+  // The innermost section of a path such as "5 Maintenance > 5.3 Hydraulics"
+  const section = sectionPath ? sectionPath.split(" > ").pop() : null;
+  const reference = [fileName, section, pageNumber && `Page ${pageNumber}`, lines].filter(Boolean).join(", ");
+
+  return (
+    <div className="flex items-start gap-2 mt-1">
+      {showPage && (
+        <div
+          className="relative flex-shrink-0 border rounded-sm bg-background"
+          style={{ width: THUMBNAIL_WIDTH, height: (THUMBNAIL_WIDTH * pageHeight) / pageWidth }}
+          title={reference}
+        >
+          <div
+            className="absolute bg-yellow-300/80 rounded-[1px]"
+            style={{
+              left: `${(bbox.x / pageWidth) * 100}%`,
+              top: `${(bbox.y / pageHeight) * 100}%`,
+              width: `${Math.max((bbox.w / pageWidth) * 100, 4)}%`,
+              height: `${Math.max((bbox.h / pageHeight) * 100, 2)}%`,
+            }}
+          />
+        </div>
+      )}
+      <div className="min-w-0">
+        <p className="text-[11px] text-foreground/80 italic line-clamp-3">“{quote}”</p>
+        <p className="text-[11px] text-muted-foreground/80" title={sectionPath || undefined}>{reference}</p>
+      </div>
+    </div>
+  );
+};
+
+export default SourceSnippet;
@@ -1,17 +1,26 @@
 import React from "react";
-import { ClipboardCheck, FileText, AlertCircle } from "lucide-react";
-import { USE_CASES } from "../utils/constants.js";
+import {
+  ClipboardCheck,
+  FileText,
+  BookOpen,
+  SearchCheck,
+  Table2,
+  Puzzle,
+  AlertCircle,
+} from "lucide-react";
+import { USE_CASES, USE_CASE_LABELS } from "../utils/constants.js";
 
 const UseCaseSelector = ({
   selectedUseCase,
   onSelect,
   disabled = false,
   hasProcessedDocuments = false,
+  customUseCases = [],
 }) => {
   const useCases = [
     {
       value: USE_CASES.CHECKSHEET,
-      label: "Checksheet",
+      label: USE_CASE_LABELS[USE_CASES.CHECKSHEET],
       description:
         "Generate a structured checksheet with verification points and validation criteria from your uploaded documents.",
       icon: ClipboardCheck,
@@ -20,13 +29,49 @@ const UseCaseSelector = ({
     },
     {
       value: USE_CASES.WORK_INSTRUCTIONS,
-      label: "Work Instructions",
+      label: USE_CASE_LABELS[USE_CASES.WORK_INSTRUCTIONS],
       description:
         "Generate detailed work instructions with procedures, steps, and guidelines from your uploaded documents.",
       icon: FileText,
       longDescription:
         "Generate detailed work instructions that include procedures, step-by-step instructions, safety guidelines, and operational requirements from your documents.",
     },
+    {
+      value: USE_CASES.SUMMARY,
+      label: USE_CASE_LABELS[USE_CASES.SUMMARY],
+      description:
+        "Generate a Word summary report with key points and short sections covering your uploaded documents.",
+      icon: BookOpen,
+      longDescription:
+        "Create a concise summary report with an overview paragraph, key points and thematic sections, each traced back to its source page.",
+    },
+    {
+      value: USE_CASES.ANALYSIS,
+      label: USE_CASE_LABELS[USE_CASES.ANALYSIS],
+      description:
+        "Generate a Word analysis report with findings, supporting evidence and recommendations from your uploaded documents.",
+      icon: SearchCheck,
+      longDescription:
+        "Analyze your documents for risks, gaps and inconsistencies, with quoted evidence, a significance rating for each finding, and recommendations.",
+    },
+    {
+      value: USE_CASES.EXTRACTION,
+      label: USE_CASE_LABELS[USE_CASES.EXTRACTION],
+      description:
+        "Extract specifications, intervals, part numbers and other values into an Excel table.",
+      icon: Table2,
+      longDescription:
+        "Extract structured records (category, field, value, unit and notes) from your documents into a filterable Excel table with source references.",
+    },
+    // Registered through POST /api/use-cases
+    ...customUseCases.map((useCase) => ({
+      value: useCase.id,
+      label: useCase.name,
+      description:
+        useCase.description ||
+        `Generate a custom ${useCase.output?.format === "excel" ? "Excel" : "Word"} document from your uploaded documents.`,
+      icon: Puzzle,
+    })),
   ];
 
   const isDisabled = disabled || !hasProcessedDocuments;
@@ -3,6 +3,7 @@ import { generateDocument } from '../services/api.js';
 import { handleApiError, isNetworkError, isTimeoutError } from '../utils/errorHandler.js';
 import { validateUseCase, validateDocumentIds } from '../utils/validators.js';
 import { USE_CASES } from '../utils/constants.js';
+import { useAppStore } from '../stores/useAppStore.js';
 
 export const useGeneration = () => {
   const [generating, setGenerating] = useState(false);
@@ -18,7 +19,8 @@ export const useGeneration = () => {
       setGeneratedFile(null);
 
       // Validate inputs using validators
-      const useCaseValidation = validateUseCase(useCase, USE_CASES);
+      const customUseCaseIds = useAppStore.getState().customUseCases.map(customUseCase => customUseCase.id);
+      const useCaseValidation = validateUseCase(useCase, [...Object.values(USE_CASES), ...customUseCaseIds]);
       if (!useCaseValidation.valid) {
         throw new Error(useCaseValidation.error);
       }
@@ -1,5 +1,5 @@
 import axios from 'axios';
-import { API_BASE_URL } from '../utils/constants.js';
+import { API_BASE_URL, STREAM_URL } from '../utils/constants.js';
 
 const api = axios.create({
   baseURL: API_BASE_URL,
@@ -55,18 +55,33 @@ api.interceptors.response.use(
   }
 );
 
+/**
+ * Compute the SHA-256 of a file, so the backend can recognize a file it already stores
+ * @param {File} file - File to hash
+ * @returns {Promise<string|null>} Lowercase hex digest, or null where Web Crypto is unavailable (pages not served over HTTPS)
+ */
+const hashFile = async (file) => {
+  if (!globalThis.crypto?.subtle) {
+    return null;
+  }
+  const digest = await crypto.subtle.digest('SHA-256', await file.arrayBuffer());
+  return Array.from(new Uint8Array(digest), (byte) => byte.toString(16).padStart(2, '0')).join('');
+};
+
 /**
  * Get presigned URL for direct S3 upload (for files >10MB)
  * @param {string} fileName - File name
  * @param {number} fileSize - File size in bytes
- * @param {string} contentType - MIME type
- * @returns {Promise<Object>} Presigned URL and file metadata
+ * @param {string} [contentType] - MIME type (omitted: the backend derives it from the file name)
+ * @param {string} [contentHash] - SHA-256 of the file (an identical stored document is returned instead of a URL)
+ * @returns {Promise<Object>} Presigned URL, the Content-Type to upload with and file metadata
  */
-export const getUploadUrl = async (fileName, fileSize, contentType = 'application/pdf') => {
+export const getUploadUrl = async (fileName, fileSize, contentType = null, contentHash = null) => {
   return api.post('/get-upload-url', {
     fileName,
     fileSize,
-    contentType
+    contentType,
+    contentHash
   });
 };
 
@@ -75,9 +90,10 @@ export const getUploadUrl = async (fileName, fileSize, contentType = 'applicatio
  * @param {string} presignedUrl - Presigned S3 URL
  * @param {File} file - File to upload
  * @param {Function} onProgress - Progress callback
+ * @param {string} [contentType] - Content-Type the URL was signed for
  * @returns {Promise<void>}
  */
-export const uploadToS3 = async (presignedUrl, file, onProgress) => {
+export const uploadToS3 = async (presignedUrl, file, onProgress, contentType = file.type || 'application/pdf') => {
   return new Promise((resolve, reject) => {
     const xhr = new XMLHttpRequest();
 
@@ -105,7 +121,7 @@ export const uploadToS3 = async (presignedUrl, file, onProgress) => {
     });
 
     xhr.open('PUT', presignedUrl);
-    xhr.setRequestHeader('Content-Type', file.type || 'application/pdf');
+    xhr.setRequestHeader('Content-Type', contentType);
     xhr.send(file);
   });
 };
@@ -118,15 +134,22 @@ export const uploadDocument = async (file) => {
     console.log(`File size (${(file.size / (1024 * 1024)).toFixed(2)}MB) exceeds API Gateway limit. Using presigned URL upload.`);
     
     // Step 1: Get presigned URL
+    // Browsers leave the type empty for some formats (e.g. Markdown); the backend then goes by the file name
     const response = await getUploadUrl(
       file.name,
       file.size,
-      file.type || 'application/pdf'
+      file.type || null,
+      await hashFile(file)
     );
     
     // Extract response data (handle both direct response and wrapped response)
     const responseData = response.data || response;
-    const { fileId, fileName, originalFileName, s3Key, s3Bucket, uploadedAt, presignedUrl } = responseData;
+    const { fileId, fileName, originalFileName, s3Key, s3Bucket, uploadedAt, presignedUrl, contentType, contentHash } = responseData;
+
+    // The file is identical to a stored document: nothing to upload
+    if (responseData.duplicate) {
+      return responseData;
+    }
 
     // Step 2: Upload directly to S3
     await uploadToS3(
@@ -134,7 +157,8 @@ export const uploadDocument = async (file) => {
       file,
       (progress) => {
         console.log(`Upload progress: ${progress}%`);
-      }
+      },
+      contentType
     );
 
     // Step 3: Return metadata in same format as regular upload
@@ -143,10 +167,12 @@ export const uploadDocument = async (file) => {
       fileName,
       originalFileName,
       fileSize: file.size,
-      contentType: file.type || 'application/pdf',
+      contentType,
       s3Key,
       s3Bucket,
-      uploadedAt
+      uploadedAt,
+      contentHash,
+      duplicate: false
     };
   }
 
@@ -163,8 +189,18 @@ export const uploadDocument = async (file) => {
   });
 };
 
-export const ingestDocument = async (fileId, s3Key) => {
-  return api.post('/ingest', { fileId, s3Key });
+/**
+ * Ingest an uploaded document
+ * An already ingested document, or a file identical to one, is not ingested again unless forced; the response
+ * then has duplicate: true and the fileId of the document that is used
+ * @param {string} fileId - File ID
+ * @param {string} s3Key - S3 key
+ * @param {boolean} [force] - Ingest again anyway
+ * @param {Object|null} [revisionInfo] - { manualName, revision } to add the document as a revision of a manual
+ * @returns {Promise<Object>} Ingest response
+ */
+export const ingestDocument = async (fileId, s3Key, force = false, revisionInfo = null) => {
+  return api.post('/ingest', { fileId, s3Key, force, ...revisionInfo });
 };
 
 /**
@@ -176,8 +212,127 @@ export const checkIngestStatus = async (fileId) => {
   return api.get(`/ingest-status/${fileId}`);
 };
 
-export const generateDocument = async (useCase, documentIds, llmProvider = 'gemini', promptId = null) => {
-  return api.post('/generate-document', { useCase, documentIds, llmProvider, promptId });
+/**
+ * List ingested documents (file name, page and chunk counts, ingest status, manual revision and timestamps)
+ * @returns {Promise<Object>} { documents, count, manuals }
+ */
+export const listDocuments = async () => api.get('/documents');
+
+/**
+ * Get one document with its document info and section outline
+ * @param {string} fileId - Document ID
+ * @returns {Promise<Object>} { document }
+ */
+export const getDocument = async (fileId) => api.get(`/documents/${fileId}`);
+
+/**
+ * Delete a document with its vectors, keyword index and files
+ * @param {string} fileId - Document ID
+ * @returns {Promise<Object>} Delete result
+ */
+export const deleteDocument = async (fileId) => api.delete(`/documents/${fileId}`);
+
+/**
+ * Queue generation of a document (Excel/DOCX)
+ * @param {string} useCase - Use case type
+ * @param {Array<string>} documentIds - Document IDs
+ * @param {string} llmProvider - LLM provider name
+ * @param {string|null} promptId - Prompt ID
+ * @param {boolean} [pinRevisions] - Use the given revisions of a manual instead of its latest revision
+ * @returns {Promise<Object>} { generationId, status } (or the finished file if processed synchronously)
+ */
+export const generateDocument = async (useCase, documentIds, llmProvider = 'gemini', promptId = null, pinRevisions = false) => {
+  return api.post('/generate-document', { useCase, documentIds, llmProvider, promptId, pinRevisions });
+};
+
+/**
+ * Parse one Server-Sent Events frame
+ * @param {string} frame - Lines of one event (without the blank separator line)
+ * @returns {Object|null} { event, data } or null for comments/keep-alives
+ */
+const parseSSEFrame = (frame) => {
+  let event = 'message';
+  const dataLines = [];
+  for (const line of frame.split('\n')) {
+    if (line.startsWith('event:')) {
+      event = line.slice(6).trim();
+    } else if (line.startsWith('data:')) {
+      dataLines.push(line.slice(5).trimStart());
+    }
+  }
+  if (dataLines.length === 0) {
+    return null;
+  }
+  return { event, data: JSON.parse(dataLines.join('\n')) };
+};
+
+/**
+ * Generate a document over Server-Sent Events, reporting progress and partial items as they arrive
+ * @param {string} useCase - Use case type
+ * @param {Array<string>} documentIds - Document IDs
+ * @param {string} llmProvider - LLM provider name
+ * @param {string|null} promptId - Prompt ID
+ * @param {Function} onEvent - (eventType, data) => void, called for every event
+ * @param {boolean} [pinRevisions] - Use the given revisions of a manual instead of its latest revision
+ * @returns {Promise<void>} Resolves when the stream closes
+ * @throws {Error} With isStreamUnavailable set when the endpoint cannot stream (caller should fall back to polling)
+ */
+export const streamGeneration = async (useCase, documentIds, llmProvider = 'gemini', promptId = null, onEvent, pinRevisions = false) => {
+  let response;
+  try {
+    response = await fetch(STREAM_URL, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Accept: 'text/event-stream'
+      },
+      body: JSON.stringify({ useCase, documentIds, llmProvider, promptId, pinRevisions })
+    });
+  } catch (error) {
+    const streamError = new Error(error.message || 'Failed to open generation stream');
+    streamError.isNetworkError = true;
+    streamError.isStreamUnavailable = true;
+    throw streamError;
+  }
+
+  const contentType = response.headers.get('content-type') || '';
+  if (!contentType.includes('text/event-stream') || !response.body) {
+    let message = `Generation stream failed with status ${response.status}`;
+    try {
+      const body = await response.json();
+      message = body.message || message;
+    } catch {
+      // Not a JSON error body
+    }
+    const streamError = new Error(message);
+    streamError.status = response.status;
+    // A rejected request would be rejected by the queued endpoint too
+    streamError.isStreamUnavailable = response.status !== 400;
+    throw streamError;
+  }
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  for (;;) {
+    const { done, value } = await reader.read();
+    buffer += decoder.decode(value, { stream: !done }).replace(/\r\n/g, '\n');
+
+    let boundary = buffer.indexOf('\n\n');
+    while (boundary !== -1) {
+      const parsed = parseSSEFrame(buffer.slice(0, boundary));
+      buffer = buffer.slice(boundary + 2);
+      if (parsed) {
+        onEvent(parsed.event, parsed.data);
+      }
+      boundary = buffer.indexOf('\n\n');
+    }
+
+    if (done) {
+      return;
+    }
+  }
 };
 
 /**
@@ -193,6 +348,20 @@ export const getDownloadUrl = async (fileId) => {
   return api.get(`/download/${fileId}`);
 };
 
+/**
+ * List past generations, most recent first
+ * @param {Object} [filters] - { useCase, status, documentId, limit }
+ * @returns {Promise<Object>} { generations, count, total }
+ */
+export const listGenerations = async (filters = {}) => api.get('/generations', { params: filters });
+
+/**
+ * Get one generation with its inputs, parsed data, citations and a fresh download URL
+ * @param {string} generationId - Generation ID
+ * @returns {Promise<Object>} { generation }
+ */
+export const getGeneration = async (generationId) => api.get(`/generations/${generationId}`);
+
 // Prompt management APIs (legacy - for backward compatibility)
 export const getPrompts = async () => api.get('/prompts');
 
@@ -234,3 +403,6 @@ export const deletePromptFromLibrary = async (useCase, promptId) =>
 
 export const resetPromptLibrary = async () => api.post('/prompts/library/reset');
 
+
+// Use case APIs (built-in and custom use cases)
+export const getUseCases = async () => api.get('/use-cases');
@@ -1,8 +1,9 @@
 import { create } from 'zustand';
+import { getUseCases } from '../services/api.js';
 
 /**
  * Zustand store for app-level UI state
- * Handles UI preferences, selected use case, and modal states
+ * Handles UI preferences, selected use case, custom use cases, and modal states
  */
 export const useAppStore = create((set) => ({
   // State
@@ -10,6 +11,7 @@ export const useAppStore = create((set) => ({
   selectedPromptId: null, // Track selected prompt ID
   selectedLLM: 'gemini', // Default to Gemini
   showPromptBook: false,
+  customUseCases: [], // Registered custom use cases: [{ id, name, description, output: { format } }]
 
   // Actions
   setSelectedUseCase: (useCase) => {
@@ -28,6 +30,17 @@ export const useAppStore = create((set) => ({
     set({ showPromptBook: show });
   },
 
+  loadCustomUseCases: async () => {
+    try {
+      const response = await getUseCases();
+      const useCases = response.data?.useCases || response.useCases || [];
+      set({ customUseCases: useCases.filter(useCase => !useCase.builtIn) });
+    } catch (error) {
+      // Built-in use cases still work without the list
+      console.warn('Failed to load custom use cases:', error.message);
+    }
+  },
+
   reset: () => {
     set({
       selectedUseCase: null,
@@ -1,8 +1,94 @@
 import { create } from 'zustand';
-import { uploadDocument, ingestDocument, checkIngestStatus } from '../services/api.js';
+import { uploadDocument, ingestDocument, checkIngestStatus, listDocuments, deleteDocument } from '../services/api.js';
 import { handleApiError } from '../utils/errorHandler.js';
 import { validateFile, validateFileId, validateS3Key } from '../utils/validators.js';
 
+// Ingestion status of a catalog document => document status used in the UI
+const CATALOG_STATUS = {
+  completed: 'processed',
+  failed: 'error',
+  queued: 'processing',
+  processing: 'processing',
+  uploaded: 'uploaded'
+};
+
+/**
+ * Get the manual and revision of a document from an API response (catalog document, ingest result or status)
+ * @param {Object} data - Response data
+ * @returns {Object} { manualId, manualName, revision, revisionIndex }, or an empty object if it is not in a manual
+ */
+const revisionFieldsOf = (data) => (data?.manualId
+  ? {
+      manualId: data.manualId,
+      manualName: data.manualName,
+      revision: data.revision,
+      revisionIndex: data.revisionIndex
+    }
+  : {});
+
+/**
+ * Pick the documents to generate from: every processed document, but only one revision of each manual
+ * (the pinned revision, else the latest processed one)
+ * @param {Array<Object>} documents - Document list
+ * @returns {Object} { documents, pinRevisions } where pinRevisions is true if a revision was pinned
+ */
+export const selectGenerationDocuments = (documents) => {
+  const processed = documents.filter(doc => doc.status === 'processed');
+  const chosen = new Map();
+  processed.filter(doc => doc.manualId).forEach(doc => {
+    const current = chosen.get(doc.manualId);
+    if (!current || (!current.pinnedRevision && (doc.pinnedRevision || (doc.revisionIndex || 0) > (current.revisionIndex || 0)))) {
+      chosen.set(doc.manualId, doc);
+    }
+  });
+
+  return {
+    documents: processed.filter(doc => !doc.manualId || chosen.get(doc.manualId) === doc),
+    pinRevisions: processed.some(doc => doc.manualId && doc.pinnedRevision)
+  };
+};
+
+/**
+ * Map a document from the document catalog (GET /api/documents) to the shape of an uploaded document
+ * @param {Object} document - Catalog document
+ * @returns {Object} Document state
+ */
+const fromCatalog = (document) => ({
+  fileId: document.fileId,
+  fileName: document.fileName,
+  originalFileName: document.fileName,
+  s3Key: document.s3Key,
+  fileSize: document.fileSize,
+  uploadedAt: document.uploadedAt,
+  status: CATALOG_STATUS[document.status] || 'uploaded',
+  progress: document.progress || 0,
+  message: document.message,
+  chunksProcessed: document.chunkCount || 0,
+  pageCount: document.pageCount,
+  completedAt: document.completedAt,
+  ...revisionFieldsOf(document),
+  ...(document.error && { error: document.error })
+});
+
+/**
+ * Point a document at the identical document it resolved to (an upload or ingestion of a duplicate file)
+ * The entry is dropped if the list already has that document
+ * @param {Array<Object>} documents - Document list
+ * @param {string} fileId - ID the document was uploaded or ingested as
+ * @param {Object} original - { fileId, s3Key } of the document it resolved to
+ * @returns {Array<Object>} Updated document list
+ */
+const resolveToOriginal = (documents, fileId, original) => {
+  if (documents.some(doc => doc.fileId === original.fileId)) {
+    return documents.filter(doc => doc.fileId !== fileId);
+  }
+  return documents.map(doc =>
+    doc.fileId === fileId
+      ? { ...doc, fileId: original.fileId, s3Key: original.s3Key || doc.s3Key }
+      : doc
+  );
+};
+
 /**
  * Zustand store for document management
  * Handles upload, ingestion, and document state
@@ -30,13 +116,17 @@ export const useDocumentStore = create((set, get) => ({
       // Handle different response structures
       const responseData = response.data || response;
       
-      const newDocument = {
-        ...responseData,
-        status: 'uploaded',
-        progress: 0,
-        // Ensure s3Key is available (handle different naming)
-        s3Key: responseData.s3Key || responseData.s3_key || responseData.s3key
-      };
+      // An identical file is already stored: the response is that document, with its ingest status
+      const newDocument = responseData.duplicate && responseData.document
+        ? { ...fromCatalog(responseData.document), duplicate: true }
+        : {
+            ...responseData,
+            status: 'uploaded',
+            progress: 0,
+            // Ensure s3Key is available (handle different naming)
+            s3Key: responseData.s3Key || responseData.s3_key || responseData.s3key
+          };
+      const alreadyListed = get().documents.some(doc => doc.fileId === newDocument.fileId);
 
       set((state) => {
         // Check if document already exists (prevent duplicates by fileId)
@@ -59,6 +149,13 @@ export const useDocumentStore = create((set, get) => ({
         };
       });
 
+      // An identical document that is still being ingested (and was not listed yet) needs its status polled
+      if (newDocument.duplicate && newDocument.status === 'processing' && !alreadyListed) {
+        get().pollIngestStatus(newDocument.fileId).catch((error) => {
+          console.error(`Polling failed for ${newDocument.fileId}:`, error);
+        });
+      }
+
       return newDocument;
     } catch (err) {
       const errorMessage = handleApiError(err);
@@ -67,7 +164,14 @@ export const useDocumentStore = create((set, get) => ({
     }
   },
 
-  ingestFile: async (fileId, s3Key) => {
+  /**
+   * Ingest an uploaded document
+   * @param {string} fileId - File ID
+   * @param {string} s3Key - S3 key
+   * @param {Object|null} [revisionInfo] - { manualName, revision } to add the document as a revision of a manual
+   * @returns {Promise<Object>} Ingest result
+   */
+  ingestFile: async (fileId, s3Key, revisionInfo = null) => {
     try {
       set({ ingesting: true, error: null });
 
@@ -91,7 +195,7 @@ export const useDocumentStore = create((set, get) => ({
         )
       }));
 
-      const response = await ingestDocument(fileId, s3Key);
+      const response = await ingestDocument(fileId, s3Key, false, revisionInfo);
 
       // Handle response structure: API returns { success: true, data: {...} }
       // Axios interceptor extracts response.data, so we get { success: true, data: {...} }
@@ -109,6 +213,12 @@ export const useDocumentStore = create((set, get) => ({
       }
       
       console.log('Ingest response received:', { response, ingestData });
+
+      // The file is identical to a document that is ingested (or being ingested): continue with that document
+      if (ingestData?.duplicate && ingestData.fileId && ingestData.fileId !== fileId) {
+        set((state) => ({ documents: resolveToOriginal(state.documents, fileId, ingestData) }));
+        fileId = ingestData.fileId;
+      }
       
       // Handle async processing response (status: 'processing') or completed (status: 'success')
       const apiStatus = ingestData?.status || 'unknown';
@@ -127,7 +237,8 @@ export const useDocumentStore = create((set, get) => ({
                   ...doc,
                   status: 'processing',
                   progress: 0,
-                  chunksProcessed: 0
+                  chunksProcessed: 0,
+                  ...revisionFieldsOf(ingestData)
                 }
               : doc
           ),
@@ -223,12 +334,77 @@ export const useDocumentStore = create((set, get) => ({
     }
   },
 
-  removeDocument: (fileId) => {
+  /**
+   * Load the documents ingested in earlier sessions from the document catalog
+   * Documents already in the list keep their state; ingestions still running are polled again
+   */
+  loadDocuments: async () => {
+    try {
+      const response = await listDocuments();
+      const catalog = response.data?.documents || response.documents || [];
+      const known = new Set(get().documents.map(doc => doc.fileId));
+      const loaded = catalog.filter(document => !known.has(document.fileId)).map(fromCatalog);
+
+      set((state) => ({ documents: [...state.documents, ...loaded] }));
+
+      loaded
+        .filter(doc => doc.status === 'processing')
+        .forEach(doc => get().pollIngestStatus(doc.fileId).catch((error) => {
+          console.error(`Polling failed for ${doc.fileId}:`, error);
+        }));
+    } catch (error) {
+      // Uploading and generating still work without the catalog
+      console.warn('Failed to load documents:', error.message);
+    }
+  },
+
+  /**
+   * Delete a document (vectors, keyword index and files) and remove it from the list
+   * @param {string} fileId - Document ID
+   */
+  removeDocument: async (fileId) => {
+    if (!confirm('Delete this document? Its file and ingested data will be removed. This action cannot be undone.')) {
+      return;
+    }
+
+    try {
+      set({ error: null });
+      await deleteDocument(fileId);
+    } catch (err) {
+      // A document that is already gone only needs to leave the list
+      if (err.status !== 404) {
+        set({ error: handleApiError(err) });
+        return;
+      }
+    }
+
     set((state) => ({
       documents: state.documents.filter(doc => doc.fileId !== fileId)
     }));
   },
 
+  /**
+   * Pin a revision of a manual for generation (instead of the manual's latest revision), or unpin it
+   * Only one revision of a manual can be pinned
+   * @param {string} fileId - Document ID of the revision
+   */
+  togglePinRevision: (fileId) => {
+    set((state) => {
+      const target = state.documents.find(doc => doc.fileId === fileId);
+      if (!target?.manualId) {
+        return {};
+      }
+      const pin = !target.pinnedRevision;
+      return {
+        documents: state.documents.map(doc =>
+          doc.manualId === target.manualId
+            ? { ...doc, pinnedRevision: pin && doc.fileId === fileId }
+            : doc
+        )
+      };
+    });
+  },
+
   clearError: () => {
     set({ error: null });
   },
@@ -281,6 +457,7 @@ export const useDocumentStore = create((set, get) => ({
                   elapsedTime: statusData.elapsedTime,
                   estimatedTotalTime: statusData.estimatedTotalTime,
                   ...(statusData.metadata && { metadata: statusData.metadata }),
+                  ...revisionFieldsOf(statusData),
                   ...(statusData.completedAt && { completedAt: statusData.completedAt }),
                   ...(statusData.error && { error: statusData.error })
                 };
@@ -303,6 +480,12 @@ export const useDocumentStore = create((set, get) => ({
 
           // Check if processing is complete
           if (statusData.status === 'completed') {
+            // Identical to an ingested document, whose vectors are used instead
+            if (statusData.duplicateOf) {
+              set((state) => ({
+                documents: resolveToOriginal(state.documents, fileId, { fileId: statusData.duplicateOf })
+              }));
+            }
             console.log(`Polling completed for ${fileId} after ${attempts} attempts`);
             resolve(statusData);
             return;
@@ -1,12 +1,15 @@
 import { create } from 'zustand';
-import { generateDocument, checkGenerationStatus } from '../services/api.js';
+import { generateDocument, checkGenerationStatus, streamGeneration } from '../services/api.js';
 import { handleApiError } from '../utils/errorHandler.js';
 import { validateUseCase, validateDocumentIds } from '../utils/validators.js';
 import { USE_CASES } from '../utils/constants.js';
+import { useAppStore } from './useAppStore.js';
 
 /**
  * Zustand store for document generation
- * Handles async AI generation with real-time progress tracking and polling
+ * Handles async AI generation with real-time progress tracking
+ * Streams generation over Server-Sent Events when available (items render as they are generated),
+ * otherwise queues it and polls for status
  */
 export const useGenerationStore = create((set, get) => ({
   // State
@@ -19,9 +22,11 @@ export const useGenerationStore = create((set, get) => ({
   estimatedTimeRemaining: null,
   elapsedTime: null,
   generationId: null,
+  liveItems: [], // Items, steps, key points, findings or records received so far while streaming
+  liveTitle: null,
 
   // Actions
-  generate: async (useCase, documentIds, llmProvider = 'gemini', promptId = null) => {
+  generate: async (useCase, documentIds, llmProvider = 'gemini', promptId = null, pinRevisions = false) => {
     try {
       set({
         generating: true,
@@ -32,11 +37,14 @@ export const useGenerationStore = create((set, get) => ({
         generatedFile: null,
         estimatedTimeRemaining: null,
         elapsedTime: null,
-        generationId: null
+        generationId: null,
+        liveItems: [],
+        liveTitle: null
       });
 
       // Validate inputs
-      const useCaseValidation = validateUseCase(useCase, USE_CASES);
+      const customUseCaseIds = useAppStore.getState().customUseCases.map(customUseCase => customUseCase.id);
+      const useCaseValidation = validateUseCase(useCase, [...Object.values(USE_CASES), ...customUseCaseIds]);
       if (!useCaseValidation.valid) {
         throw new Error(useCaseValidation.error);
       }
@@ -46,8 +54,18 @@ export const useGenerationStore = create((set, get) => ({
         throw new Error(documentIdsValidation.error);
       }
 
+      // Prefer streaming; fall back to queued generation only if the stream could not be opened
+      try {
+        return await get().streamGenerate(useCase, documentIds, llmProvider, promptId, pinRevisions);
+      } catch (streamError) {
+        if (!streamError.isStreamUnavailable) {
+          throw streamError;
+        }
+        console.warn('Streaming unavailable, falling back to queued generation:', streamError.message);
+      }
+
       // Call API - now returns 202 Accepted with generationId for async processing
-      const response = await generateDocument(useCase, documentIds, llmProvider, promptId);
+      const response = await generateDocument(useCase, documentIds, llmProvider, promptId, pinRevisions);
       
       // Handle different response formats from API
       let responseData;
@@ -126,6 +144,85 @@ export const useGenerationStore = create((set, get) => ({
     }
   },
 
+  /**
+   * Generate over Server-Sent Events, appending partial items to liveItems as each context slice finishes
+   * @param {string} useCase - Use case type
+   * @param {Array<string>} documentIds - Document IDs
+   * @param {string} llmProvider - LLM provider name
+   * @param {string|null} promptId - Prompt ID
+   * @param {boolean} [pinRevisions] - Use the given revisions of a manual instead of its latest revision
+   * @returns {Promise<Object>} Final file metadata
+   */
+  streamGenerate: async (useCase, documentIds, llmProvider, promptId, pinRevisions = false) => {
+    let result = null;
+    let streamError = null;
+
+    await streamGeneration(useCase, documentIds, llmProvider, promptId, (eventType, data) => {
+      switch (eventType) {
+        case 'start':
+          set({ generationId: data.generationId, currentStep: 'processing', message: 'Generation started...' });
+          break;
+        case 'progress':
+          set({
+            progress: data.progress || get().progress,
+            currentStep: data.step || get().currentStep,
+            message: data.message || get().message
+          });
+          break;
+        case 'partial':
+          set((state) => ({
+            liveItems: [...state.liveItems, ...(data.items || data.steps || [])],
+            liveTitle: data.title || state.liveTitle
+          }));
+          break;
+        case 'content':
+          // Final content replaces the partial items (duplicates merged, steps renumbered)
+          set({
+            liveItems: Array.isArray(data.data)
+              ? data.data
+              : (data.data?.steps || data.data?.findings || data.data?.keyPoints || []),
+            liveTitle: data.data?.title || get().liveTitle
+          });
+          break;
+        case 'complete':
+          result = data;
+          break;
+        case 'error':
+          streamError = new Error(data.message || 'Generation failed');
+          break;
+        default:
+          break;
+      }
+    }, pinRevisions);
+
+    if (streamError) {
+      throw streamError;
+    }
+    if (!result) {
+      throw new Error('Generation stream closed before the document was ready');
+    }
+
+    set({
+      progress: 100,
+      generatedFile: {
+        fileId: result.fileId,
+        fileName: result.fileName,
+        fileType: result.fileType,
+        contentType: result.contentType,
+        downloadUrl: result.downloadUrl,
+        s3Key: result.s3Key,
+        s3Bucket: result.s3Bucket,
+        useCase: result.useCase,
+        processingTime: result.processingTime
+      },
+      generating: false,
+      currentStep: 'completed',
+      message: 'Document generated successfully!'
+    });
+
+    return result;
+  },
+
   /**
    * Poll generation status until completion or timeout
    * Uses exponential backoff for efficient polling
@@ -293,7 +390,9 @@ export const useGenerationStore = create((set, get) => ({
       message: '',
       estimatedTimeRemaining: null,
       elapsedTime: null,
-      generationId: null
+      generationId: null,
+      liveItems: [],
+      liveTitle: null
     });
   },
 
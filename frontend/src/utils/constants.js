@@ -1,8 +1,31 @@
 export const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:3000/api';
 
+// Server-Sent Events endpoint for streaming generation (a Lambda function URL when deployed)
+export const STREAM_URL = import.meta.env.VITE_STREAM_URL || `${API_BASE_URL}/generate/stream`;
+
 export const USE_CASES = {
   CHECKSHEET: 'checksheet',
-  WORK_INSTRUCTIONS: 'workInstructions'
+  WORK_INSTRUCTIONS: 'workInstructions',
+  SUMMARY: 'summary',
+  ANALYSIS: 'analysis',
+  EXTRACTION: 'extraction'
+};
+
+export const USE_CASE_LABELS = {
+  [USE_CASES.CHECKSHEET]: 'Checksheet',
+  [USE_CASES.WORK_INSTRUCTIONS]: 'Work Instructions',
+  [USE_CASES.SUMMARY]: 'Document Summary',
+  [USE_CASES.ANALYSIS]: 'Document Analysis',
+  [USE_CASES.EXTRACTION]: 'Data Extraction'
+};
+
+// File format and short description of the document each use case produces
+export const USE_CASE_OUTPUTS = {
+  [USE_CASES.CHECKSHEET]: { format: 'Excel', description: 'an Excel checksheet with inspection points' },
+  [USE_CASES.WORK_INSTRUCTIONS]: { format: 'Word', description: 'a Word document with step-by-step work instructions' },
+  [USE_CASES.SUMMARY]: { format: 'Word', description: 'a Word summary report with key points and sections' },
+  [USE_CASES.ANALYSIS]: { format: 'Word', description: 'a Word analysis report with findings and recommendations' },
+  [USE_CASES.EXTRACTION]: { format: 'Excel', description: 'an Excel table of extracted values' }
 };
 
 export const LLM_PROVIDERS = {
@@ -19,5 +42,18 @@ export const FILE_TYPES = {
   DOCX: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
 };
 
+// Source document formats the backend can ingest (MIME type => extensions, the react-dropzone accept format)
+export const SOURCE_FILE_TYPES = {
+  'application/pdf': ['.pdf'],
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': ['.docx'],
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': ['.xlsx'],
+  'text/csv': ['.csv'],
+  'text/html': ['.html', '.htm'],
+  'text/markdown': ['.md', '.markdown'],
+  'text/plain': ['.txt']
+};
+
+export const SOURCE_FILE_LABEL = 'PDF, DOCX, XLSX, CSV, HTML, Markdown or TXT';
+
 export const MAX_FILE_SIZE = 100 * 1024 * 1024; // 100MB
 
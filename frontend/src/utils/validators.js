@@ -2,6 +2,8 @@
  * Input validation utilities
  */
 
+import { SOURCE_FILE_TYPES, SOURCE_FILE_LABEL } from './constants.js';
+
 /**
  * Validate file for upload
  * @param {File} file - The file to validate
@@ -12,13 +14,13 @@ export const validateFile = (file) => {
     return { valid: false, error: 'No file selected' };
   }
 
-  // Check file type
-  const allowedTypes = ['application/pdf'];
-  if (!allowedTypes.includes(file.type)) {
-    return { valid: false, error: 'Only PDF files are allowed' };
+  // Check file type (by extension: browsers report no type for some formats, e.g. Markdown)
+  const extension = `.${file.name?.split('.').pop()?.toLowerCase()}`;
+  if (!Object.values(SOURCE_FILE_TYPES).flat().includes(extension)) {
+    return { valid: false, error: `Only ${SOURCE_FILE_LABEL} files are allowed` };
   }
 
-  // Check file size (100MB max for PDF)
+  // Check file size (100MB max)
   const maxSize = 100 * 1024 * 1024; // 100MB
   if (file.size > maxSize) {
     return {
@@ -37,7 +39,7 @@ export const validateFile = (file) => {
 /**
  * Validate use case selection
  * @param {string} useCase - The use case value
- * @param {Object} validUseCases - Object with valid use case values
+ * @param {Object|Array<string>} validUseCases - Object or array with valid use case values
  * @returns {{ valid: boolean, error?: string }}
  */
 export const validateUseCase = (useCase, validUseCases) => {